@@ -0,0 +1,933 @@
+/**
+ * Aggregator Module
+ * `mcp-cross aggregate`: presents several MCP servers (backends) to the
+ * client as a single stdio server. Tools, prompts and resources of all
+ * backends are listed together, with a per-backend name prefix, and each
+ * call is routed to the backend that owns the tool, prompt or resource.
+ *
+ * Every backend is a config file profile, run as its own mcp-cross child
+ * process, so stdio, --wsl and --http backends can be mixed freely.
+ *
+ * @module aggregator
+ */
+
+'use strict';
+
+const { createInterface } = require('readline');
+const { PassThrough } = require('stream');
+const { ServerSupervisor } = require('./server-supervisor');
+const jsonrpc = require('./jsonrpc-error');
+
+/** Default separator between the backend prefix and a tool or prompt name */
+const DEFAULT_SEPARATOR = '__';
+
+/** Default time to wait for a backend to answer initialize or a list request (ms) */
+const DEFAULT_TIMEOUT = 60000;
+
+/** Capabilities whose flags (listChanged, subscribe) are merged across backends */
+const MERGED_CAPABILITIES = ['tools', 'prompts', 'resources', 'logging', 'completions'];
+
+/** Notifications that invalidate a routing table, by capability */
+const LIST_CHANGED = {
+  tools: 'notifications/tools/list_changed',
+  prompts: 'notifications/prompts/list_changed',
+  resources: 'notifications/resources/list_changed'
+};
+
+/**
+ * @typedef {Object} BackendSpec
+ * @property {string} name - Backend (profile) name, used in logs
+ * @property {string} prefix - Prefix for tool, prompt and resource names ('' for none)
+ * @property {function(): import('child_process').ChildProcess} spawn - Starts the backend
+ */
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} name - Backend name
+ * @property {string} prefix - Name prefix
+ * @property {ServerSupervisor} supervisor - Process supervisor
+ * @property {PassThrough} toServer - Lines written here reach the backend's stdin
+ * @property {Map<number, function(Object): void>} pending - Our requests awaiting a response
+ * @property {number} nextId - Next request id
+ * @property {boolean} alive - Whether the process is running
+ * @property {boolean} ready - Whether it answered initialize
+ * @property {Object} capabilities - Capabilities from its initialize result
+ */
+
+/**
+ * Parse `mcp-cross aggregate` arguments
+ * Each backend is `<profile>` (prefix "<profile>__"), `<profile>=<prefix>`
+ * or `<profile>=` (no prefix).
+ *
+ * @param {string[]} args - Arguments after `aggregate`
+ * @returns {{ backends: Array<{name: string, prefix: string}>, configPath: string|null, separator: string, timeout: number, shutdownTimeout: number|undefined, debug: boolean, errors: string[] }}
+ */
+function parseAggregateArgs(args) {
+  const result = {
+    backends: [],
+    configPath: null,
+    separator: DEFAULT_SEPARATOR,
+    timeout: DEFAULT_TIMEOUT,
+    shutdownTimeout: undefined,
+    debug: false,
+    errors: []
+  };
+  const specs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = args[i + 1];
+    if (['--config', '--separator', '--timeout', '--shutdown-timeout'].includes(arg)) {
+      if (value === undefined) {
+        result.errors.push(`${arg} requires a value`);
+        break;
+      }
+      i++;
+      if (arg === '--config') {
+        result.configPath = value;
+      } else if (arg === '--separator') {
+        result.separator = value;
+      } else {
+        const ms = parseInt(value, 10);
+        if (isNaN(ms) || ms < (arg === '--timeout' ? 1 : 0)) {
+          result.errors.push(`${arg} must be a ${arg === '--timeout' ? 'positive' : 'non-negative'} number`);
+        } else if (arg === '--timeout') {
+          result.timeout = ms;
+        } else {
+          result.shutdownTimeout = ms;
+        }
+      }
+    } else if (arg === '--debug') {
+      result.debug = true;
+    } else if (arg.startsWith('--')) {
+      result.errors.push(`Unknown option ${arg} for aggregate`);
+    } else {
+      specs.push(arg);
+    }
+  }
+
+  for (const spec of specs) {
+    const equalsIndex = spec.indexOf('=');
+    const name = equalsIndex === -1 ? spec : spec.slice(0, equalsIndex);
+    if (!name) {
+      result.errors.push(`Invalid backend "${spec}" (expected <profile>[=<prefix>])`);
+      continue;
+    }
+    if (result.backends.some(backend => backend.name === name)) {
+      result.errors.push(`Backend "${name}" is listed twice`);
+      continue;
+    }
+    const prefix = equalsIndex === -1 ? name : spec.slice(equalsIndex + 1);
+    result.backends.push({ name, prefix: prefix ? prefix + result.separator : '' });
+  }
+
+  if (result.backends.length === 0 && result.errors.length === 0) {
+    result.errors.push('aggregate requires at least one backend profile');
+  }
+  return result;
+}
+
+/**
+ * Merge the capabilities of several backends
+ * A capability is offered if any backend offers it, and a flag such as
+ * listChanged or subscribe is set if any backend sets it. listChanged is
+ * always set for tools, prompts and resources, since a backend exiting
+ * changes the merged lists.
+ *
+ * @param {Object[]} capabilityList - Backend capabilities
+ * @returns {Object} Merged capabilities
+ */
+function mergeCapabilities(capabilityList) {
+  const merged = {};
+  for (const capabilities of capabilityList) {
+    for (const key of MERGED_CAPABILITIES) {
+      if (!capabilities || !capabilities[key]) {
+        continue;
+      }
+      merged[key] = merged[key] || {};
+      for (const [flag, value] of Object.entries(capabilities[key])) {
+        if (value === true) {
+          merged[key][flag] = true;
+        }
+      }
+    }
+    if (capabilities && capabilities.experimental) {
+      merged.experimental = { ...capabilities.experimental, ...merged.experimental };
+    }
+  }
+  for (const key of Object.keys(LIST_CHANGED)) {
+    if (merged[key]) {
+      merged[key].listChanged = true;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Literal part of a URI template before its first expression
+ *
+ * @param {string} uriTemplate - RFC 6570 template
+ * @returns {string}
+ */
+function templatePrefix(uriTemplate) {
+  const braceIndex = uriTemplate.indexOf('{');
+  return braceIndex === -1 ? uriTemplate : uriTemplate.slice(0, braceIndex);
+}
+
+/**
+ * Aggregator - One MCP server in front of several backends
+ *
+ * Message flow:
+ * - initialize is sent to every backend; the client gets merged capabilities
+ * - tools/list, prompts/list, resources/list and resources/templates/list
+ *   are collected from every backend (all pages) and returned in one page
+ * - tools/call, prompts/get, resources/read, resources/(un)subscribe and
+ *   completion/complete go to the owning backend
+ * - Requests a backend sends to the client (sampling, roots, elicitation)
+ *   are forwarded with an aggregator id and their responses routed back
+ */
+class Aggregator {
+  /**
+   * @param {Object} options
+   * @param {BackendSpec[]} options.backends - Backends
+   * @param {import('stream').Readable} [options.input=process.stdin] - Client messages
+   * @param {import('stream').Writable} [options.output=process.stdout] - Messages to the client
+   * @param {number} [options.timeout=60000] - Wait for initialize and list responses in ms
+   * @param {number} [options.shutdownTimeout] - Passed to each backend's supervisor
+   * @param {string} [options.version] - Version reported in serverInfo
+   * @param {function(...any): void} [options.log] - Debug logger
+   */
+  constructor(options) {
+    /** @type {number} */
+    this.timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT;
+
+    /** @type {import('stream').Readable} */
+    this.input = options.input || process.stdin;
+
+    /** @type {import('stream').Writable} */
+    this.output = options.output || process.stdout;
+
+    /** @type {string} */
+    this.version = options.version || '0.0.0';
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {Backend[]} */
+    this.backends = options.backends.map(spec => this.createBackend(spec, options.shutdownTimeout));
+
+    /** @type {Object|null} Result returned for the client's initialize */
+    this.initializeResult = null;
+
+    /** @type {Promise<Object>|null} The backends' initialize round */
+    this._initializing = null;
+
+    /** @type {Object[]} Last merged lists returned to the client */
+    this._toolList = [];
+    this._promptList = [];
+    this._resourceList = [];
+    this._templateList = [];
+
+    /** @type {Map<string, {backend: Backend, name: string}>} Exposed tool name -> owner */
+    this.tools = new Map();
+
+    /** @type {Map<string, {backend: Backend, name: string}>} Exposed prompt name -> owner */
+    this.prompts = new Map();
+
+    /** @type {Map<string, Backend>} Resource URI -> owner */
+    this.resources = new Map();
+
+    /** @type {Array<{prefix: string, backend: Backend}>} Resource template prefixes */
+    this.templates = [];
+
+    /** @type {Map<string, {backend: Backend, id: string|number}>} Client request id -> backend request */
+    this.inflight = new Map();
+
+    /** @type {Map<string, {backend: Backend, id: string|number}>} Our id -> backend's request to the client */
+    this.serverRequests = new Map();
+
+    /** @type {number} */
+    this.nextServerRequestId = 1;
+
+    /** @type {boolean} */
+    this.inputEnded = false;
+  }
+
+  /**
+   * Create the state and supervisor of a backend
+   *
+   * @param {BackendSpec} spec - Backend
+   * @param {number} [shutdownTimeout] - Supervisor shutdown timeout
+   * @returns {Backend}
+   */
+  createBackend(spec, shutdownTimeout) {
+    const toServer = new PassThrough();
+    const fromServer = new PassThrough();
+    const backend = {
+      name: spec.name,
+      prefix: spec.prefix,
+      supervisor: null,
+      toServer,
+      pending: new Map(),
+      nextId: 1,
+      alive: true,
+      ready: false,
+      capabilities: {}
+    };
+
+    backend.supervisor = new ServerSupervisor({
+      spawn: spec.spawn,
+      input: toServer,
+      output: fromServer,
+      shutdownTimeout,
+      // Banners and debug output must not reach handleBackendLine
+      filterStdout: true,
+      onError: (err) => {
+        console.error(`[mcp-cross] Backend "${backend.name}" failed to start: ${err.message}`);
+      },
+      onExit: (code, signal) => this.handleBackendExit(backend, code, signal),
+      log: (...args) => this.log(`[${backend.name}]`, ...args)
+    });
+
+    const lines = createInterface({ input: fromServer, crlfDelay: Infinity });
+    lines.on('line', line => this.handleBackendLine(backend, line));
+    return backend;
+  }
+
+  /**
+   * Start every backend and serve the client
+   *
+   * @returns {Promise<number>} Exit code once the client is gone and every backend has exited
+   */
+  async start() {
+    const exited = Promise.all(this.backends.map(backend => backend.supervisor.start()));
+
+    const lines = createInterface({ input: this.input, crlfDelay: Infinity });
+    lines.on('line', (line) => {
+      this.handleClientLine(line).catch((err) => {
+        this.log('Unexpected error handling client message:', err.message);
+      });
+    });
+    lines.on('close', () => {
+      this.log('Client input closed; stopping backends');
+      this.inputEnded = true;
+      for (const backend of this.backends) {
+        backend.toServer.end();
+      }
+    });
+
+    await exited;
+    return this.inputEnded ? 0 : 1;
+  }
+
+  /**
+   * Stop every backend (SIGINT/SIGTERM)
+   */
+  shutdown() {
+    for (const backend of this.backends) {
+      backend.supervisor.shutdown();
+    }
+  }
+
+  /**
+   * Write a message to the client
+   *
+   * @param {Object|Object[]} message - JSON-RPC message
+   */
+  writeMessage(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Send a request to a backend
+   *
+   * @param {Backend} backend - Backend
+   * @param {string} method - Method
+   * @param {Object} [params] - Params
+   * @param {number} [timeout=0] - Give up after this many ms (0: never)
+   * @returns {Promise<Object>} Response message (an error response on timeout)
+   */
+  request(backend, method, params, timeout = 0) {
+    const id = backend.nextId++;
+    return new Promise((resolve) => {
+      let timer = null;
+      backend.pending.set(id, (response) => {
+        clearTimeout(timer);
+        resolve(response);
+      });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          backend.pending.delete(id);
+          resolve(jsonrpc.createErrorResponse(jsonrpc.ErrorCodes.TRANSPORT_ERROR,
+            `Backend "${backend.name}" did not answer ${method} within ${timeout}ms`, id));
+        }, timeout);
+      }
+      this.sendToBackend(backend, { jsonrpc: '2.0', id, method, ...(params !== undefined ? { params } : {}) });
+    });
+  }
+
+  /**
+   * Write a message to a backend
+   *
+   * @param {Backend} backend - Backend
+   * @param {Object} message - JSON-RPC message
+   */
+  sendToBackend(backend, message) {
+    if (backend.alive) {
+      backend.toServer.write(JSON.stringify(message) + '\n');
+    }
+  }
+
+  /**
+   * Backends that completed initialize and are still running
+   *
+   * @param {string} [capability] - Only backends offering this capability
+   * @returns {Backend[]}
+   */
+  readyBackends(capability) {
+    return this.backends.filter(backend => backend.alive && backend.ready &&
+      (!capability || Boolean(backend.capabilities[capability])));
+  }
+
+  /**
+   * Handle a line from the client
+   *
+   * @param {string} line - NDJSON line
+   * @returns {Promise<void>}
+   */
+  async handleClientLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      this.writeMessage(jsonrpc.parseError(err.message));
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      const responses = (await Promise.all(message.map(item => this.handleClientMessage(item))))
+        .filter(response => response !== null);
+      if (responses.length > 0) {
+        this.writeMessage(responses);
+      }
+      return;
+    }
+
+    const response = await this.handleClientMessage(message);
+    if (response !== null) {
+      this.writeMessage(response);
+    }
+  }
+
+  /**
+   * Handle one message from the client
+   *
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<Object|null>} Response to send, or null
+   */
+  async handleClientMessage(message) {
+    if (jsonrpc.isResponse(message)) {
+      this.routeClientResponse(message);
+      return null;
+    }
+
+    // Everything after initialize waits until the backends are initialized
+    if (message && message.method !== 'initialize' && this._initializing) {
+      await this._initializing.catch(() => {});
+    }
+
+    const validation = jsonrpc.isValidRequest(message);
+    if (!validation.valid) {
+      return jsonrpc.invalidRequest(message && message.id !== undefined ? message.id : null, validation.error);
+    }
+
+    if (message.id === undefined || message.id === null) {
+      this.handleClientNotification(message);
+      return null;
+    }
+
+    try {
+      return await this.handleClientRequest(message);
+    } catch (err) {
+      this.log(`${message.method} failed:`, err.message);
+      return jsonrpc.internalError(message.id, err.message);
+    }
+  }
+
+  /**
+   * Handle a request from the client
+   *
+   * @param {Object} message - JSON-RPC request
+   * @returns {Promise<Object>} Response
+   */
+  async handleClientRequest(message) {
+    const params = message.params || {};
+    switch (message.method) {
+      case 'initialize':
+        return { jsonrpc: '2.0', id: message.id, result: await this.initialize(params) };
+      case 'ping':
+        return { jsonrpc: '2.0', id: message.id, result: {} };
+      case 'tools/list':
+        await this.refreshTools();
+        return { jsonrpc: '2.0', id: message.id, result: { tools: this._toolList } };
+      case 'prompts/list':
+        await this.refreshPrompts();
+        return { jsonrpc: '2.0', id: message.id, result: { prompts: this._promptList } };
+      case 'resources/list':
+        await this.refreshResources();
+        return { jsonrpc: '2.0', id: message.id, result: { resources: this._resourceList } };
+      case 'resources/templates/list':
+        await this.refreshTemplates();
+        return { jsonrpc: '2.0', id: message.id, result: { resourceTemplates: this._templateList } };
+      case 'tools/call':
+        return this.forwardNamed(message, this.tools, () => this.refreshTools(), 'tool');
+      case 'prompts/get':
+        return this.forwardNamed(message, this.prompts, () => this.refreshPrompts(), 'prompt');
+      case 'resources/read':
+      case 'resources/subscribe':
+      case 'resources/unsubscribe':
+        return this.forwardResource(message, params.uri, params);
+      case 'completion/complete':
+        return this.forwardCompletion(message, params);
+      case 'logging/setLevel':
+        await Promise.all(this.readyBackends('logging').map(backend =>
+          this.request(backend, 'logging/setLevel', params, this.timeout)));
+        return { jsonrpc: '2.0', id: message.id, result: {} };
+      default:
+        return jsonrpc.createErrorResponse(jsonrpc.ErrorCodes.METHOD_NOT_FOUND,
+          `Method not found: ${message.method}`, message.id);
+    }
+  }
+
+  /**
+   * Handle a notification from the client
+   * notifications/cancelled goes to the backend handling that request, which
+   * is forgotten so a late response is dropped; everything else
+   * (initialized, roots/list_changed, ...) goes to every backend.
+   *
+   * @param {Object} message - JSON-RPC notification
+   */
+  handleClientNotification(message) {
+    if (message.method === 'notifications/cancelled') {
+      const requestId = message.params && message.params.requestId;
+      const key = JSON.stringify(requestId);
+      const target = this.inflight.get(key);
+      if (target) {
+        this.inflight.delete(key);
+        const resolve = target.backend.pending.get(target.id);
+        if (resolve) {
+          target.backend.pending.delete(target.id);
+          resolve(null);
+        }
+        this.sendToBackend(target.backend, {
+          ...message,
+          params: { ...message.params, requestId: target.id }
+        });
+      }
+      return;
+    }
+    for (const backend of this.readyBackends()) {
+      this.sendToBackend(backend, message);
+    }
+  }
+
+  /**
+   * Initialize every backend with the client's parameters (once)
+   * A failed attempt is not kept, so the client can retry initialize.
+   *
+   * @param {Object} params - Client's initialize params
+   * @returns {Promise<Object>} Merged initialize result
+   */
+  initialize(params) {
+    if (!this._initializing) {
+      this._initializing = this.initializeBackends(params).catch((err) => {
+        this._initializing = null;
+        throw err;
+      });
+    }
+    return this._initializing;
+  }
+
+  /**
+   * Send initialize to every running backend and merge the results
+   *
+   * @param {Object} params - Client's initialize params
+   * @returns {Promise<Object>} Merged initialize result
+   */
+  async initializeBackends(params) {
+    const results = await Promise.all(this.backends.filter(backend => backend.alive).map(async (backend) => {
+      const response = await this.request(backend, 'initialize', params, this.timeout);
+      if (response.error) {
+        console.error(`[mcp-cross] Backend "${backend.name}" failed to initialize: ${response.error.message}`);
+        return null;
+      }
+      backend.ready = true;
+      backend.capabilities = response.result.capabilities || {};
+      this.log(`Backend "${backend.name}" initialized:`, JSON.stringify(response.result.serverInfo || {}));
+      return { backend, result: response.result };
+    }));
+    const initialized = results.filter(Boolean);
+
+    if (initialized.length === 0) {
+      throw new Error('No backend could be initialized');
+    }
+
+    const versions = initialized.map(({ result }) => result.protocolVersion).filter(Boolean).sort();
+    const instructions = initialized
+      .filter(({ result }) => result.instructions)
+      .map(({ backend, result }) => `[${backend.name}] ${result.instructions}`);
+
+    this.initializeResult = {
+      protocolVersion: versions[0] || params.protocolVersion,
+      capabilities: mergeCapabilities(initialized.map(({ result }) => result.capabilities)),
+      serverInfo: { name: 'mcp-cross-aggregate', version: this.version },
+      ...(instructions.length > 0 ? { instructions: instructions.join('\n\n') } : {})
+    };
+    return this.initializeResult;
+  }
+
+  /**
+   * Collect every page of a list from every backend offering a capability
+   *
+   * @param {string} capability - Capability the backend must offer
+   * @param {string} method - List method
+   * @param {string} field - Result field holding the items
+   * @returns {Promise<Array<{backend: Backend, items: Object[]}>>}
+   */
+  async collect(capability, method, field) {
+    return Promise.all(this.readyBackends(capability).map(async (backend) => {
+      const items = [];
+      let cursor;
+      do {
+        const response = await this.request(backend, method, cursor ? { cursor } : {}, this.timeout);
+        if (response.error) {
+          console.error(`[mcp-cross] Backend "${backend.name}" ${method} failed: ${response.error.message}`);
+          break;
+        }
+        items.push(...(Array.isArray(response.result[field]) ? response.result[field] : []));
+        cursor = response.result.nextCursor;
+      } while (cursor);
+      return { backend, items };
+    }));
+  }
+
+  /**
+   * Build a prefixed, routed list of named items (tools or prompts)
+   *
+   * @param {Array<{backend: Backend, items: Object[]}>} collected - From collect()
+   * @param {string} kind - 'tool' or 'prompt', for logs
+   * @returns {{ list: Object[], routes: Map<string, {backend: Backend, name: string}> }}
+   */
+  buildNamed(collected, kind) {
+    const list = [];
+    const routes = new Map();
+    for (const { backend, items } of collected) {
+      for (const item of items) {
+        const exposed = backend.prefix + item.name;
+        if (routes.has(exposed)) {
+          console.error(`[mcp-cross] Warning: ${kind} "${exposed}" of backend "${backend.name}" hidden; ` +
+            `backend "${routes.get(exposed).backend.name}" already provides it (set a prefix)`);
+          continue;
+        }
+        routes.set(exposed, { backend, name: item.name });
+        list.push({ ...item, name: exposed });
+      }
+    }
+    return { list, routes };
+  }
+
+  /**
+   * Re-read the merged tool list
+   * @returns {Promise<void>}
+   */
+  async refreshTools() {
+    const { list, routes } = this.buildNamed(await this.collect('tools', 'tools/list', 'tools'), 'tool');
+    this._toolList = list;
+    this.tools = routes;
+  }
+
+  /**
+   * Re-read the merged prompt list
+   * @returns {Promise<void>}
+   */
+  async refreshPrompts() {
+    const { list, routes } = this.buildNamed(await this.collect('prompts', 'prompts/list', 'prompts'), 'prompt');
+    this._promptList = list;
+    this.prompts = routes;
+  }
+
+  /**
+   * Re-read the merged resource list
+   * URIs are left as they are (they identify the resource); only the
+   * display name gets the backend prefix.
+   * @returns {Promise<void>}
+   */
+  async refreshResources() {
+    const list = [];
+    const resources = new Map();
+    for (const { backend, items } of await this.collect('resources', 'resources/list', 'resources')) {
+      for (const item of items) {
+        if (!resources.has(item.uri)) {
+          resources.set(item.uri, backend);
+          list.push({ ...item, name: backend.prefix + item.name });
+        }
+      }
+    }
+    this._resourceList = list;
+    this.resources = resources;
+  }
+
+  /**
+   * Re-read the merged resource template list
+   * @returns {Promise<void>}
+   */
+  async refreshTemplates() {
+    const list = [];
+    const templates = [];
+    for (const { backend, items } of await this.collect('resources', 'resources/templates/list', 'resourceTemplates')) {
+      for (const item of items) {
+        templates.push({ prefix: templatePrefix(item.uriTemplate || ''), backend });
+        list.push({ ...item, name: backend.prefix + item.name });
+      }
+    }
+    this._templateList = list;
+    this.templates = templates;
+  }
+
+  /**
+   * Forward a request to a backend and relay its response to the client
+   *
+   * @param {Backend} backend - Backend
+   * @param {Object} message - Client request
+   * @param {Object} params - Params for the backend
+   * @returns {Promise<Object|null>} Response with the client's id, or null if the client cancelled it
+   */
+  async forward(backend, message, params) {
+    const key = JSON.stringify(message.id);
+    // request() sends with the backend's next id; cancellations need it
+    const target = { backend, id: backend.nextId };
+    this.inflight.set(key, target);
+    try {
+      const response = await this.request(backend, message.method, params);
+      return response && { ...response, id: message.id };
+    } finally {
+      if (this.inflight.get(key) === target) {
+        this.inflight.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Forward tools/call or prompts/get to the owner of the name
+   *
+   * @param {Object} message - Client request
+   * @param {Map<string, {backend: Backend, name: string}>} routes - Current routes
+   * @param {function(): Promise<void>} refresh - Re-reads the routes
+   * @param {string} kind - 'tool' or 'prompt'
+   * @returns {Promise<Object>} Response
+   */
+  async forwardNamed(message, routes, refresh, kind) {
+    const params = message.params || {};
+    let route = routes.get(params.name);
+    if (!route) {
+      // The client may call a name it never listed (or the lists changed)
+      await refresh();
+      route = (kind === 'tool' ? this.tools : this.prompts).get(params.name);
+    }
+    if (!route || !route.backend.alive) {
+      return jsonrpc.createErrorResponse(jsonrpc.ErrorCodes.INVALID_PARAMS,
+        `Unknown ${kind}: ${params.name}`, message.id);
+    }
+    return this.forward(route.backend, message, { ...params, name: route.name });
+  }
+
+  /**
+   * Find the backend owning a resource URI
+   * Listed resources first, then the longest matching template prefix,
+   * then the only backend offering resources.
+   *
+   * @param {string} uri - Resource URI
+   * @returns {Backend|null}
+   */
+  findResourceOwner(uri) {
+    const listed = this.resources.get(uri);
+    if (listed && listed.alive) {
+      return listed;
+    }
+    const template = this.templates
+      .filter(({ prefix, backend }) => prefix && backend.alive && uri.startsWith(prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+    if (template) {
+      return template.backend;
+    }
+    const candidates = this.readyBackends('resources');
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Forward a request about a resource URI to its owner
+   *
+   * @param {Object} message - Client request
+   * @param {string} uri - Resource URI
+   * @param {Object} params - Params for the backend
+   * @returns {Promise<Object>} Response
+   */
+  async forwardResource(message, uri, params) {
+    let owner = typeof uri === 'string' ? this.findResourceOwner(uri) : null;
+    if (!owner && typeof uri === 'string') {
+      await Promise.all([this.refreshResources(), this.refreshTemplates()]);
+      owner = this.findResourceOwner(uri);
+    }
+    if (!owner) {
+      return jsonrpc.createErrorResponse(jsonrpc.ErrorCodes.INVALID_PARAMS, `Unknown resource: ${uri}`, message.id);
+    }
+    return this.forward(owner, message, params);
+  }
+
+  /**
+   * Forward completion/complete for a prompt or resource reference
+   *
+   * @param {Object} message - Client request
+   * @param {Object} params - completion/complete params
+   * @returns {Promise<Object>} Response
+   */
+  async forwardCompletion(message, params) {
+    const ref = params.ref || {};
+    if (ref.type === 'ref/resource') {
+      return this.forwardResource(message, ref.uri, params);
+    }
+    if (!this.prompts.has(ref.name)) {
+      await this.refreshPrompts();
+    }
+    const route = this.prompts.get(ref.name);
+    if (!route || !route.backend.alive) {
+      return jsonrpc.createErrorResponse(jsonrpc.ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${ref.name}`, message.id);
+    }
+    return this.forward(route.backend, message, { ...params, ref: { ...ref, name: route.name } });
+  }
+
+  /**
+   * Route the client's response to a request a backend made
+   *
+   * @param {Object} message - JSON-RPC response
+   */
+  routeClientResponse(message) {
+    const key = JSON.stringify(message.id);
+    const target = this.serverRequests.get(key);
+    if (!target) {
+      this.log('Ignoring response to unknown request', message.id);
+      return;
+    }
+    this.serverRequests.delete(key);
+    this.sendToBackend(target.backend, { ...message, id: target.id });
+  }
+
+  /**
+   * Handle a line from a backend
+   *
+   * @param {Backend} backend - Backend
+   * @param {string} line - NDJSON line
+   */
+  handleBackendLine(backend, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      return;
+    }
+    for (const item of Array.isArray(message) ? message : [message]) {
+      this.handleBackendMessage(backend, item);
+    }
+  }
+
+  /**
+   * Handle one message from a backend
+   *
+   * @param {Backend} backend - Backend
+   * @param {Object} message - JSON-RPC message
+   */
+  handleBackendMessage(backend, message) {
+    if (jsonrpc.isResponse(message)) {
+      const resolve = backend.pending.get(message.id);
+      if (resolve) {
+        backend.pending.delete(message.id);
+        resolve(message);
+      }
+      return;
+    }
+    if (typeof message.method !== 'string') {
+      return;
+    }
+
+    if (message.id !== undefined && message.id !== null) {
+      if (message.method === 'ping') {
+        this.sendToBackend(backend, { jsonrpc: '2.0', id: message.id, result: {} });
+        return;
+      }
+      // Server-to-client request (sampling, roots, elicitation): our own id
+      const id = `mcp-cross-aggregate-${this.nextServerRequestId++}`;
+      this.serverRequests.set(JSON.stringify(id), { backend, id: message.id });
+      this.writeMessage({ ...message, id });
+      return;
+    }
+
+    if (message.method === 'notifications/cancelled') {
+      const requestId = message.params && message.params.requestId;
+      for (const [key, target] of this.serverRequests) {
+        if (target.backend === backend && target.id === requestId) {
+          this.serverRequests.delete(key);
+          this.writeMessage({ ...message, params: { ...message.params, requestId: JSON.parse(key) } });
+        }
+      }
+      return;
+    }
+    this.writeMessage(message);
+  }
+
+  /**
+   * A backend process exited for good
+   * Its unanswered requests fail, and the client is told the lists changed.
+   *
+   * @param {Backend} backend - Backend
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Terminating signal
+   */
+  handleBackendExit(backend, code, signal) {
+    const wasReady = backend.ready;
+    backend.alive = false;
+    backend.ready = false;
+
+    const message = `Backend "${backend.name}" exited (${signal ? `signal ${signal}` : `code ${code}`})`;
+    for (const [id, resolve] of backend.pending) {
+      resolve(jsonrpc.serverExited(id, `${message} before responding`, { exitCode: code, signal }));
+    }
+    backend.pending.clear();
+
+    if (this.inputEnded) {
+      this.log(message);
+      return;
+    }
+    console.error(`[mcp-cross] ${message}`);
+
+    if (wasReady && this.initializeResult) {
+      for (const [capability, method] of Object.entries(LIST_CHANGED)) {
+        if (backend.capabilities[capability]) {
+          this.writeMessage({ jsonrpc: '2.0', method });
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  Aggregator,
+  DEFAULT_SEPARATOR,
+  DEFAULT_TIMEOUT,
+  parseAggregateArgs,
+  mergeCapabilities,
+  templatePrefix
+};
@@ -0,0 +1,846 @@
+/**
+ * Client Config Module
+ * `mcp-cross config emit`: builds the MCP server entry that launches
+ * mcp-cross for Claude Desktop, VS Code or the Claude CLI, and prints it or
+ * merges it into the client's config file.
+ * `mcp-cross config wrap` / `unwrap`: rewrites the direct server entries of
+ * an existing config file to run through mcp-cross (e.g. in WSL), and back.
+ *
+ * @module client-config
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OPTIONS_WITH_VALUES, FLAGS, splitArgs } = require('./config-file');
+const wslBridge = require('./wsl-bridge');
+
+/**
+ * @typedef {Object} ClientInfo
+ * @property {string} label - Display name
+ * @property {string} key - Top-level key holding the servers
+ * @property {boolean} typed - Whether entries carry "type": "stdio"
+ * @property {function(Object): string} defaultPath - Config file for a context
+ */
+
+/** @type {Object<string, ClientInfo>} Supported --client values */
+const CLIENTS = {
+  'claude-desktop': {
+    label: 'Claude Desktop',
+    key: 'mcpServers',
+    typed: false,
+    defaultPath: ({ platform, env, homedir }) => {
+      if (platform === 'win32') {
+        return path.win32.join(env.APPDATA || path.win32.join(homedir, 'AppData', 'Roaming'),
+          'Claude', 'claude_desktop_config.json');
+      }
+      if (platform === 'darwin') {
+        return path.join(homedir, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+      }
+      return path.join(env.XDG_CONFIG_HOME || path.join(homedir, '.config'), 'Claude', 'claude_desktop_config.json');
+    }
+  },
+  vscode: {
+    label: 'VS Code',
+    key: 'servers',
+    typed: true,
+    defaultPath: ({ cwd }) => path.join(cwd, '.vscode', 'mcp.json')
+  },
+  'claude-cli': {
+    label: 'Claude CLI',
+    key: 'mcpServers',
+    typed: true,
+    defaultPath: ({ cwd }) => path.join(cwd, '.mcp.json')
+  }
+};
+
+/** Commands that run the server named by a later argument */
+const LAUNCHERS = new Set([
+  'npx', 'node', 'python', 'python3', 'py', 'uvx', 'bun', 'bunx', 'deno'
+]);
+
+/** Absolute Windows path (C:\\ or C:/) */
+const WINDOWS_PATH = /^[a-zA-Z]:[\\/]/;
+
+/** npx package spec of mcp-cross */
+const MCP_CROSS_PACKAGE = /^mcp-cross(@.+)?$/;
+
+/** Value options `config unwrap` can turn back into entry keys */
+const UNWRAPPABLE_OPTIONS = new Set(['--distro', '--env', '--http', '--header', '--transport']);
+
+/**
+ * Fill in context defaults
+ *
+ * @param {Object} [context]
+ * @returns {{ platform: string, env: Object, homedir: string, cwd: string }}
+ */
+function resolveContext(context = {}) {
+  return {
+    platform: context.platform || process.platform,
+    env: context.env || process.env,
+    homedir: context.homedir || os.homedir(),
+    cwd: context.cwd || process.cwd()
+  };
+}
+
+/**
+ * Default config file of a client
+ *
+ * @param {string} client - Key of CLIENTS
+ * @param {Object} [context] - platform, env, homedir and cwd
+ * @returns {string} Path
+ */
+function clientConfigPath(client, context) {
+  return CLIENTS[client].defaultPath(resolveContext(context));
+}
+
+/**
+ * Derive a server name from mcp-cross arguments
+ * Uses the profile name, the --http host, or the server script/package.
+ *
+ * @param {string[]} options - mcp-cross options
+ * @param {string[]} command - Server command and arguments
+ * @returns {string} Name
+ */
+function defaultServerName(options, command) {
+  const valueOf = (option) => {
+    const index = options.indexOf(option);
+    return index !== -1 ? options[index + 1] : undefined;
+  };
+
+  let name = valueOf('--profile');
+  if (!name && valueOf('--http')) {
+    try {
+      name = new URL(valueOf('--http')).hostname;
+    } catch (err) {
+      name = '';
+    }
+  }
+  if (!name && command.length > 0) {
+    const target = command.find((arg, i) => i > 0 && !arg.startsWith('-')) || command[0];
+    const base = LAUNCHERS.has(path.win32.basename(command[0]).replace(/\.(exe|cmd)$/i, ''))
+      ? target
+      : command[0];
+    name = path.win32.basename(base).replace(/\.(exe|cmd|bat|js|mjs|cjs|py)$/i, '');
+  }
+
+  return (name || 'mcp-server').replace(/[^A-Za-z0-9_.-]+/g, '-').replace(/^-+|-+$/g, '') || 'mcp-server';
+}
+
+/**
+ * Build the server entry that runs mcp-cross with the given arguments
+ * The server command is always placed after `--`, so the entry works the
+ * same with a global install and with npx.
+ *
+ * @param {string} client - Key of CLIENTS
+ * @param {string[]} crossArgs - mcp-cross arguments, as on the command line
+ * @param {Object} [options]
+ * @param {boolean} [options.npx=false] - Launch via `npx -y mcp-cross`
+ * @param {string} [options.name] - Server name (derived when omitted)
+ * @returns {{ name: string, entry: Object|null, errors: string[], warnings: string[] }}
+ */
+function buildServerEntry(client, crossArgs, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const { options: crossOptions, command } = splitArgs(crossArgs);
+
+  for (let i = 0; i < crossOptions.length; i++) {
+    const option = crossOptions[i];
+    if (OPTIONS_WITH_VALUES.has(option)) {
+      if (i + 1 >= crossOptions.length) {
+        errors.push(`${option} requires a value`);
+      }
+      i++;
+    } else if (!FLAGS.has(option)) {
+      warnings.push(`Unknown option ${option} (mcp-cross will ignore it)`);
+    }
+  }
+
+  if (crossOptions.includes('--serve-http')) {
+    errors.push('--serve-http runs an HTTP server; point the client at its URL instead');
+  } else if (crossOptions.includes('--diagnose')) {
+    errors.push('--diagnose is not a server');
+  } else if (command.length === 0 && !crossOptions.includes('--http') && !crossOptions.includes('--profile')) {
+    errors.push('No server command, --http or --profile given');
+  }
+
+  const name = options.name || defaultServerName(crossOptions, command);
+  if (errors.length > 0) {
+    return { name, entry: null, errors, warnings };
+  }
+
+  const args = command.length > 0 ? [...crossOptions, '--', ...command] : [...crossOptions];
+  const entry = CLIENTS[client].typed ? { type: 'stdio' } : {};
+  if (options.npx) {
+    entry.command = 'npx';
+    entry.args = ['-y', 'mcp-cross', ...args];
+  } else {
+    entry.command = 'mcp-cross';
+    entry.args = args;
+  }
+
+  return { name, entry, errors, warnings };
+}
+
+/**
+ * Config snippet holding one server entry, as printed by `config emit`
+ *
+ * @param {string} client - Key of CLIENTS
+ * @param {string} name - Server name
+ * @param {Object} entry - Server entry
+ * @returns {Object}
+ */
+function configSnippet(client, name, entry) {
+  return { [CLIENTS[client].key]: { [name]: entry } };
+}
+
+/**
+ * Read a client config file
+ *
+ * @param {string} filePath - Config file
+ * @param {boolean} [allowMissing=false] - Treat a missing file as empty
+ * @returns {{ config: Object|null, exists: boolean, error: string|null }}
+ */
+function readConfigFile(filePath, allowMissing = false) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && allowMissing) {
+      return { config: {}, exists: false, error: null };
+    }
+    return { config: null, exists: false, error: `Cannot read "${filePath}": ${err.message}` };
+  }
+
+  let config = {};
+  if (text.trim() !== '') {
+    try {
+      config = JSON.parse(text);
+    } catch (err) {
+      return { config: null, exists: true, error: `"${filePath}" is not valid JSON (${err.message})` };
+    }
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { config: null, exists: true, error: `"${filePath}" does not contain a JSON object` };
+  }
+  return { config, exists: true, error: null };
+}
+
+/**
+ * Write a client config file, copying the previous one to `<file>.bak`
+ *
+ * @param {string} filePath - Config file
+ * @param {Object} config - New contents
+ * @param {boolean} exists - Whether the file exists (and needs a backup)
+ * @returns {{ backup: string|null, error: string|null }}
+ */
+function writeConfigFile(filePath, config, exists) {
+  let backup = null;
+  try {
+    if (exists) {
+      backup = `${filePath}.bak`;
+      fs.copyFileSync(filePath, backup);
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
+  } catch (err) {
+    return { backup, error: `Cannot write "${filePath}": ${err.message}` };
+  }
+  return { backup, error: null };
+}
+
+/**
+ * Merge a server entry into a client config file
+ * The previous file is copied to `<file>.bak` before it is rewritten. An
+ * existing, different entry of the same name is only replaced with `force`.
+ *
+ * @param {string} filePath - Config file (created if missing)
+ * @param {string} client - Key of CLIENTS
+ * @param {string} name - Server name
+ * @param {Object} entry - Server entry
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Replace an existing entry
+ * @returns {{ status: 'added'|'replaced'|'unchanged'|null, backup: string|null, errors: string[] }}
+ */
+function mergeServerEntry(filePath, client, name, entry, options = {}) {
+  const { key } = CLIENTS[client];
+  const read = readConfigFile(filePath, true);
+  if (read.error) {
+    const hint = read.exists ? '; print the entry without --write and add it by hand' : '';
+    return { status: null, backup: null, errors: [read.error + hint] };
+  }
+
+  const config = read.config;
+  const servers = config[key] === undefined ? {} : config[key];
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+    return { status: null, backup: null, errors: [`"${key}" in "${filePath}" is not an object`] };
+  }
+
+  let status = 'added';
+  if (Object.prototype.hasOwnProperty.call(servers, name)) {
+    if (JSON.stringify(servers[name]) === JSON.stringify(entry)) {
+      return { status: 'unchanged', backup: null, errors: [] };
+    }
+    if (!options.force) {
+      return {
+        status: null,
+        backup: null,
+        errors: [`"${filePath}" already has a server named "${name}"; use --force to replace it or --name to pick another name`]
+      };
+    }
+    status = 'replaced';
+  }
+
+  config[key] = { ...servers, [name]: entry };
+
+  const written = writeConfigFile(filePath, config, read.exists);
+  if (written.error) {
+    return { status: null, backup: written.backup, errors: [written.error] };
+  }
+  return { status, backup: written.backup, errors: [] };
+}
+
+/**
+ * Locate the servers object of a client config
+ * Claude Desktop and the Claude CLI use "mcpServers", VS Code "servers".
+ *
+ * @param {Object} config - Parsed config file
+ * @returns {{ key: string, servers: Object }|null}
+ */
+function findServers(config) {
+  for (const key of ['mcpServers', 'servers']) {
+    const servers = config[key];
+    if (servers && typeof servers === 'object' && !Array.isArray(servers)) {
+      return { key, servers };
+    }
+  }
+  return null;
+}
+
+/**
+ * mcp-cross arguments of an entry that already launches mcp-cross
+ *
+ * @param {Object} entry - Server entry
+ * @returns {string[]|null} Arguments, or null if the entry runs something else
+ */
+function crossArgsOf(entry) {
+  if (typeof entry.command !== 'string') {
+    return null;
+  }
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  const command = path.win32.basename(entry.command).replace(/\.(cmd|exe)$/i, '');
+  if (command === 'mcp-cross') {
+    return args;
+  }
+  if (command === 'npx') {
+    const packageIndex = args.findIndex(arg => !arg.startsWith('-'));
+    if (packageIndex !== -1 && MCP_CROSS_PACKAGE.test(args[packageIndex])) {
+      return args.slice(packageIndex + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a value is an object of strings
+ *
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isStringMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
+
+/**
+ * Rewrite a direct server entry into one that runs it through mcp-cross
+ * - stdio entries: Windows paths in the command and args are translated
+ *   with WSLBridge.translateWindowsPathToWSL (with --wsl) and the server
+ *   command goes after `--`
+ * - `env` blocks become --env options
+ * - `url` entries become --http with --header options
+ * Other keys (e.g. "disabled") are kept.
+ *
+ * @param {Object} entry - Server entry
+ * @param {Object} [options]
+ * @param {boolean} [options.wsl=false] - Run the server (or HTTP proxy) in WSL
+ * @param {string} [options.distro] - WSL distribution
+ * @param {boolean} [options.npx=false] - Launch via `npx -y mcp-cross`
+ * @returns {{ entry: Object|null, skipped: string|null }}
+ */
+function wrapEntry(entry, options = {}) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { entry: null, skipped: 'is not an object' };
+  }
+  if (crossArgsOf(entry)) {
+    return { entry: null, skipped: 'already runs mcp-cross' };
+  }
+
+  const { type, command, args, env, url, headers, ...rest } = entry;
+  const crossOptions = [];
+  if (options.wsl) {
+    crossOptions.push('--wsl');
+    if (options.distro) {
+      crossOptions.push('--distro', options.distro);
+    }
+  }
+
+  if (env !== undefined) {
+    if (!isStringMap(env)) {
+      return { entry: null, skipped: '"env" is not an object of strings' };
+    }
+    for (const [key, value] of Object.entries(env)) {
+      crossOptions.push('--env', `${key}=${value}`);
+    }
+  }
+
+  let crossArgs;
+  if (typeof url === 'string') {
+    crossOptions.push('--http', url);
+    if (headers !== undefined) {
+      if (!isStringMap(headers)) {
+        return { entry: null, skipped: '"headers" is not an object of strings' };
+      }
+      for (const [name, value] of Object.entries(headers)) {
+        crossOptions.push('--header', `${name}: ${value}`);
+      }
+    }
+    if (type === 'sse') {
+      crossOptions.push('--transport', 'sse');
+    }
+    crossArgs = crossOptions;
+  } else if (typeof command === 'string') {
+    if (args !== undefined && !(Array.isArray(args) && args.every(arg => typeof arg === 'string'))) {
+      return { entry: null, skipped: '"args" is not an array of strings' };
+    }
+    const translate = (arg) => options.wsl && WINDOWS_PATH.test(arg)
+      ? wslBridge.translateWindowsPathToWSL(arg)
+      : arg;
+    crossArgs = [...crossOptions, '--', translate(command), ...(args || []).map(translate)];
+  } else {
+    return { entry: null, skipped: 'has neither "command" nor "url"' };
+  }
+
+  return {
+    entry: {
+      ...(type !== undefined ? { type: 'stdio' } : {}),
+      ...(options.npx
+        ? { command: 'npx', args: ['-y', 'mcp-cross', ...crossArgs] }
+        : { command: 'mcp-cross', args: crossArgs }),
+      ...rest
+    },
+    skipped: null
+  };
+}
+
+/**
+ * Turn an entry written by wrapEntry back into a direct server entry
+ * Entries using mcp-cross options other than --wsl, --distro, --env,
+ * --http, --header and --transport are left alone, since a direct entry
+ * cannot express them.
+ *
+ * @param {Object} entry - Server entry
+ * @returns {{ entry: Object|null, skipped: string|null }}
+ */
+function unwrapEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { entry: null, skipped: 'is not an object' };
+  }
+  const crossArgs = crossArgsOf(entry);
+  if (!crossArgs) {
+    return { entry: null, skipped: 'does not run mcp-cross' };
+  }
+
+  const { options: crossOptions, command } = splitArgs(crossArgs);
+  const env = {};
+  const headers = {};
+  const urls = [];
+  let wsl = false;
+  let transport = null;
+
+  for (let i = 0; i < crossOptions.length; i++) {
+    const option = crossOptions[i];
+    const value = crossOptions[i + 1];
+    if (option === '--wsl') {
+      wsl = true;
+      continue;
+    }
+    if (!UNWRAPPABLE_OPTIONS.has(option) || value === undefined) {
+      return { entry: null, skipped: `uses ${option}, which a direct entry cannot express` };
+    }
+    i++;
+    if (option === '--env' && value.indexOf('=') > 0) {
+      env[value.slice(0, value.indexOf('='))] = value.slice(value.indexOf('=') + 1);
+    } else if (option === '--header' && value.indexOf(':') > 0) {
+      headers[value.slice(0, value.indexOf(':')).trim()] = value.slice(value.indexOf(':') + 1).trim();
+    } else if (option === '--http') {
+      urls.push(value);
+    } else if (option === '--transport') {
+      transport = value;
+    } else if (option !== '--distro') {
+      return { entry: null, skipped: `has an invalid ${option} value "${value}"` };
+    }
+  }
+
+  const { type, env: entryEnv, ...rest } = entry;
+  delete rest.command;
+  delete rest.args;
+  const mergedEnv = { ...(isStringMap(entryEnv) ? entryEnv : {}), ...env };
+  const envBlock = Object.keys(mergedEnv).length > 0 ? { env: mergedEnv } : {};
+
+  if (urls.length > 1) {
+    return { entry: null, skipped: 'has several --http endpoints' };
+  }
+  if (urls.length === 1) {
+    return {
+      entry: {
+        ...(type !== undefined ? { type: transport === 'sse' ? 'sse' : 'http' } : {}),
+        url: urls[0],
+        ...(Object.keys(headers).length > 0 ? { headers } : {}),
+        ...envBlock,
+        ...rest
+      },
+      skipped: null
+    };
+  }
+  if (command.length === 0) {
+    return { entry: null, skipped: 'has no server command' };
+  }
+
+  const translate = (arg) => wsl ? wslBridge.translateWSLPathToWindows(arg) : arg;
+  return {
+    entry: {
+      ...(type !== undefined ? { type } : {}),
+      command: translate(command[0]),
+      args: command.slice(1).map(translate),
+      ...envBlock,
+      ...rest
+    },
+    skipped: null
+  };
+}
+
+/**
+ * Wrap or unwrap every server in a client config file
+ *
+ * @param {string} filePath - Config file
+ * @param {'wrap'|'unwrap'} mode - Direction
+ * @param {Object} [options] - wrapEntry options, plus dryRun
+ * @param {boolean} [options.dryRun=false] - Return the result without writing
+ * @returns {{ config: Object|null, changed: string[], skipped: Array<{name: string, reason: string}>, backup: string|null, errors: string[] }}
+ */
+function rewriteConfigFile(filePath, mode, options = {}) {
+  const result = { config: null, changed: [], skipped: [], backup: null, errors: [] };
+  const read = readConfigFile(filePath);
+  if (read.error) {
+    result.errors.push(read.error);
+    return result;
+  }
+
+  const found = findServers(read.config);
+  if (!found) {
+    result.errors.push(`"${filePath}" has no "mcpServers" or "servers" object`);
+    return result;
+  }
+
+  const servers = {};
+  for (const [name, entry] of Object.entries(found.servers)) {
+    const rewritten = mode === 'wrap' ? wrapEntry(entry, options) : unwrapEntry(entry);
+    if (rewritten.entry) {
+      servers[name] = rewritten.entry;
+      result.changed.push(name);
+    } else {
+      servers[name] = entry;
+      result.skipped.push({ name, reason: rewritten.skipped });
+    }
+  }
+
+  result.config = { ...read.config, [found.key]: servers };
+  if (result.changed.length > 0 && !options.dryRun) {
+    const written = writeConfigFile(filePath, result.config, true);
+    result.backup = written.backup;
+    if (written.error) {
+      result.errors.push(written.error);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse `config wrap` / `config unwrap` arguments
+ *
+ * @param {string[]} args - Arguments after `config wrap` or `config unwrap`
+ * @param {'wrap'|'unwrap'} mode - Subcommand
+ * @returns {{ file: string|null, wsl: boolean, distro: string|null, npx: boolean, dryRun: boolean, errors: string[] }}
+ */
+function parseWrapArgs(args, mode) {
+  const result = { file: null, wsl: false, distro: null, npx: false, dryRun: false, errors: [] };
+  const wrapOnly = new Set(['--wsl', '--distro', '--npx']);
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (mode === 'unwrap' && wrapOnly.has(arg)) {
+      result.errors.push(`${arg} only applies to config wrap`);
+    } else if (arg === '--distro') {
+      if (i + 1 >= args.length) {
+        result.errors.push('--distro requires a value');
+        break;
+      }
+      result.distro = args[++i];
+    } else if (arg === '--wsl' || arg === '--npx') {
+      result[arg.slice(2)] = true;
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      result.errors.push(`Unknown option ${arg} for config ${mode}`);
+    } else if (result.file === null) {
+      result.file = arg;
+    } else {
+      result.errors.push(`Unexpected argument "${arg}" (config ${mode} takes one file)`);
+    }
+  }
+
+  if (!result.file) {
+    result.errors.push(`config ${mode} requires a client config file`);
+  }
+  if (result.distro && !result.wsl) {
+    result.errors.push('--distro requires --wsl');
+  }
+  return result;
+}
+
+/**
+ * Parse `config emit` options (everything before the `--` that starts the
+ * mcp-cross arguments)
+ *
+ * @param {string[]} args - Arguments after `config emit`
+ * @returns {{ client: string|null, name: string|null, file: string|null, npx: boolean, write: boolean, force: boolean, crossArgs: string[], errors: string[] }}
+ */
+function parseEmitArgs(args) {
+  const result = {
+    client: null,
+    name: null,
+    file: null,
+    npx: false,
+    write: false,
+    force: false,
+    crossArgs: [],
+    errors: []
+  };
+
+  const delimiterIndex = args.indexOf('--');
+  const emitArgs = delimiterIndex !== -1 ? args.slice(0, delimiterIndex) : args;
+  result.crossArgs = delimiterIndex !== -1 ? args.slice(delimiterIndex + 1) : [];
+
+  for (let i = 0; i < emitArgs.length; i++) {
+    const arg = emitArgs[i];
+    if (['--client', '--name', '--file'].includes(arg)) {
+      if (i + 1 >= emitArgs.length) {
+        result.errors.push(`${arg} requires a value`);
+        break;
+      }
+      result[arg.slice(2)] = emitArgs[++i];
+    } else if (arg === '--npx' || arg === '--write' || arg === '--force') {
+      result[arg.slice(2)] = true;
+    } else {
+      result.errors.push(`Unknown option ${arg} for config emit (put the mcp-cross arguments after --)`);
+    }
+  }
+
+  if (!result.client) {
+    result.errors.push(`--client is required (${Object.keys(CLIENTS).join(', ')})`);
+  } else if (!Object.prototype.hasOwnProperty.call(CLIENTS, result.client)) {
+    result.errors.push(`Unknown client "${result.client}" (expected ${Object.keys(CLIENTS).join(', ')})`);
+  }
+  if (result.file && !result.write) {
+    result.errors.push('--file requires --write');
+  }
+  if (delimiterIndex === -1) {
+    result.errors.push('Missing -- before the mcp-cross arguments');
+  }
+
+  return result;
+}
+
+/**
+ * Print usage of the config command
+ *
+ * @param {function(string): void} print - Line writer
+ */
+function printConfigUsage(print) {
+  print('Usage: mcp-cross config emit --client <client> [--name <name>] [--npx] [--write [--file <path>] [--force]] -- <mcp-cross args>');
+  print('       mcp-cross config wrap <config-file> [--wsl [--distro <name>]] [--npx] [--dry-run]');
+  print('       mcp-cross config unwrap <config-file> [--dry-run]');
+  print('');
+  print('Commands:');
+  print('  emit                 Print (or merge into the client config) an entry that runs mcp-cross');
+  print('  wrap                 Rewrite every direct server entry in a config file to run through mcp-cross');
+  print('  unwrap               Turn wrapped entries back into direct server entries');
+  print('');
+  print('Clients:');
+  print('  claude-desktop       claude_desktop_config.json ("mcpServers")');
+  print('  vscode               .vscode/mcp.json in the working directory ("servers")');
+  print('  claude-cli           .mcp.json in the working directory ("mcpServers")');
+  print('');
+  print('Options:');
+  print('  --name <name>        Server name (default: profile, --http host or server script)');
+  print('  --npx                Launch via "npx -y mcp-cross" instead of a global install');
+  print('  --write              Merge into the client config file (previous file saved as .bak)');
+  print('  --file <path>        Config file to write instead of the client default');
+  print('  --force              Replace an existing server of the same name');
+  print('  --wsl                Wrap: run the servers in WSL, translating Windows paths to /mnt/...');
+  print('  --distro <name>      Wrap: WSL distribution');
+  print('  --dry-run            Wrap/unwrap: print the rewritten file instead of saving it');
+  print('');
+  print('Examples:');
+  print('  mcp-cross config emit --client claude-desktop -- --wsl node /home/user/server.js');
+  print('  mcp-cross config emit --client vscode --name github --write -- --http https://api.githubcopilot.com/mcp/ --header "Authorization: Bearer $GH_TOKEN"');
+  print('  mcp-cross config wrap %APPDATA%\\Claude\\claude_desktop_config.json --wsl --distro Ubuntu');
+}
+
+/**
+ * Print errors in the CLI format
+ *
+ * @param {string[]} errors - Messages
+ * @param {function(string): void} err - Line writer
+ * @returns {number} Exit code 1
+ */
+function reportErrors(errors, err) {
+  for (const error of errors) {
+    err(`Error: ${error}`);
+  }
+  return 1;
+}
+
+/**
+ * Run `mcp-cross config emit`
+ *
+ * @param {string[]} args - Arguments after `config emit`
+ * @param {function(string): void} out - Writes a line to stdout
+ * @param {function(string): void} err - Writes a line to stderr
+ * @param {Object} context - platform, env, homedir and cwd
+ * @returns {number} Exit code
+ */
+function runEmit(args, out, err, context) {
+  const parsed = parseEmitArgs(args);
+  if (parsed.errors.length > 0) {
+    return reportErrors(parsed.errors, err);
+  }
+
+  const built = buildServerEntry(parsed.client, parsed.crossArgs, { npx: parsed.npx, name: parsed.name });
+  for (const warning of built.warnings) {
+    err(`[mcp-cross] Warning: ${warning}`);
+  }
+  if (built.errors.length > 0) {
+    return reportErrors(built.errors, err);
+  }
+
+  if (!parsed.write) {
+    out(JSON.stringify(configSnippet(parsed.client, built.name, built.entry), null, 2));
+    return 0;
+  }
+
+  const filePath = parsed.file
+    ? path.resolve(context.cwd, parsed.file)
+    : clientConfigPath(parsed.client, context);
+  const merged = mergeServerEntry(filePath, parsed.client, built.name, built.entry, { force: parsed.force });
+  if (merged.errors.length > 0) {
+    return reportErrors(merged.errors, err);
+  }
+
+  if (merged.status === 'unchanged') {
+    err(`[mcp-cross] "${built.name}" in ${filePath} is already up to date`);
+  } else {
+    err(`[mcp-cross] ${merged.status === 'added' ? 'Added' : 'Replaced'} "${built.name}" in ${filePath}` +
+      (merged.backup ? ` (backup: ${merged.backup})` : ''));
+    err(`[mcp-cross] Restart ${CLIENTS[parsed.client].label} to load it`);
+  }
+  return 0;
+}
+
+/**
+ * Run `mcp-cross config wrap` or `mcp-cross config unwrap`
+ *
+ * @param {'wrap'|'unwrap'} mode - Subcommand
+ * @param {string[]} args - Arguments after the subcommand
+ * @param {function(string): void} out - Writes a line to stdout
+ * @param {function(string): void} err - Writes a line to stderr
+ * @param {Object} context - platform, env, homedir and cwd
+ * @returns {number} Exit code
+ */
+function runRewrite(mode, args, out, err, context) {
+  const parsed = parseWrapArgs(args, mode);
+  if (parsed.errors.length > 0) {
+    return reportErrors(parsed.errors, err);
+  }
+
+  const filePath = path.resolve(context.cwd, parsed.file);
+  const result = rewriteConfigFile(filePath, mode, parsed);
+  if (result.errors.length > 0) {
+    return reportErrors(result.errors, err);
+  }
+
+  for (const name of result.changed) {
+    err(`[mcp-cross] ${mode === 'wrap' ? 'Wrapped' : 'Unwrapped'} "${name}"`);
+  }
+  for (const { name, reason } of result.skipped) {
+    err(`[mcp-cross] Skipped "${name}": ${reason}`);
+  }
+
+  if (parsed.dryRun) {
+    out(JSON.stringify(result.config, null, 2));
+  } else if (result.changed.length === 0) {
+    err(`[mcp-cross] Nothing to ${mode} in ${filePath}`);
+  } else {
+    err(`[mcp-cross] Saved ${filePath} (backup: ${result.backup})`);
+  }
+  return 0;
+}
+
+/**
+ * Run `mcp-cross config ...`
+ *
+ * @param {string[]} args - Arguments after `config`
+ * @param {Object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {Object} [io.context] - platform, env, homedir and cwd
+ * @returns {number} Exit code
+ */
+function runConfigCommand(args, io = {}) {
+  const out = io.out || ((line) => process.stdout.write(line + '\n'));
+  const err = io.err || ((line) => process.stderr.write(line + '\n'));
+  const context = resolveContext(io.context);
+
+  switch (args[0]) {
+    case 'emit':
+      return runEmit(args.slice(1), out, err, context);
+    case 'wrap':
+    case 'unwrap':
+      return runRewrite(args[0], args.slice(1), out, err, context);
+    default:
+      if (args.length > 0 && args[0] !== '--help') {
+        err(`Error: Unknown config command "${args[0]}"`);
+      }
+      printConfigUsage(err);
+      return 1;
+  }
+}
+
+module.exports = {
+  CLIENTS,
+  clientConfigPath,
+  defaultServerName,
+  buildServerEntry,
+  configSnippet,
+  mergeServerEntry,
+  wrapEntry,
+  unwrapEntry,
+  rewriteConfigFile,
+  parseEmitArgs,
+  parseWrapArgs,
+  runConfigCommand
+};
@@ -0,0 +1,436 @@
+/**
+ * Config File Module
+ * Named server profiles in mcp-cross.json, so editor configs can say
+ * `mcp-cross --profile github` instead of repeating long argument lists.
+ *
+ * Precedence: command line flags > profile values > built-in defaults.
+ *
+ * @module config-file
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FILTER_OPTIONS } = require('./tool-filter');
+
+/** Config file looked up in the working directory */
+const CONFIG_FILE_NAME = 'mcp-cross.json';
+
+/**
+ * Options that take a value, as parsed by main() in index.js
+ * Keep in sync with the option loop there (tests/config-file.test.js
+ * checks the two against each other).
+ */
+const OPTIONS_WITH_VALUES = new Set([
+  '--http', '--http-policy', '--unhealthy-after', '--health-check-interval',
+  '--serve-http', '--allow-origin', '--session-timeout', '--header', '--header-command', '--header-command-ttl',
+  '--env', '--timeout', '--transport', '--max-concurrency', '--retries',
+  '--retry-backoff', '--oauth-token-url', '--oauth-client-id', '--oauth-scope',
+  '--ca-file', '--cert', '--key', '--pin-sha256', '--restart', '--max-restarts',
+  '--restart-backoff', '--shutdown-timeout', '--distro', '--shell',
+  '--allow-tools', '--deny-tools', '--allow-prompts', '--deny-prompts',
+  '--allow-resources', '--deny-resources', '--profile', '--config'
+]);
+
+/** Options without a value */
+const FLAGS = new Set([
+  '--wsl', '--debug', '--diagnose', '--oauth', '--retry-tools-call', '--filter-stdout',
+  '--allow-remote'
+]);
+
+/**
+ * Repeatable options whose values form one list: given on the command line,
+ * they replace the profile's values instead of adding to them
+ * (--header and --env are merged by name instead)
+ */
+const REPLACED_BY_CLI = new Set([
+  '--http', '--header-command', '--pin-sha256', '--allow-origin',
+  ...Object.keys(FILTER_OPTIONS)
+]);
+
+/** Profile modes */
+const MODES = ['stdio', 'http', 'serve-http'];
+
+/** Keys a profile may contain */
+const PROFILE_KEYS = new Set([
+  'mode', 'command', 'args', 'url', 'listen', 'env', 'headers', 'timeout',
+  'wsl', 'distro', 'shell', 'debug', 'options', 'description', 'comment'
+]);
+
+/**
+ * Candidate config file locations, most specific first
+ *
+ * @param {Object} [context]
+ * @param {string} [context.cwd=process.cwd()] - Working directory
+ * @param {Object} [context.env=process.env] - Environment (XDG_CONFIG_HOME)
+ * @param {string} [context.homedir=os.homedir()] - Home directory
+ * @returns {string[]} Absolute paths
+ */
+function configFileCandidates(context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const env = context.env || process.env;
+  const homedir = context.homedir || os.homedir();
+  const configHome = env.XDG_CONFIG_HOME || path.join(homedir, '.config');
+  return [
+    path.join(cwd, CONFIG_FILE_NAME),
+    path.join(configHome, 'mcp-cross', 'config.json')
+  ];
+}
+
+/**
+ * Find and parse the config file
+ * When searching, a file that lacks one of the wanted profiles is passed
+ * over for the next candidate; if no file has them all, the first file
+ * found is returned so the caller can report the unknown profile there.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Explicit --config path (no search)
+ * @param {string[]} [options.profiles] - Profile names the file must define
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment
+ * @param {string} [options.homedir] - Home directory
+ * @returns {{ path: string|null, config: Object|null, errors: string[], warnings: string[] }}
+ */
+function loadConfigFile(options = {}) {
+  const candidates = options.configPath
+    ? [path.resolve(options.cwd || process.cwd(), options.configPath)]
+    : configFileCandidates(options);
+  const wanted = options.profiles || [];
+  let first = null;
+
+  for (const candidate of candidates) {
+    let text;
+    try {
+      text = fs.readFileSync(candidate, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' && !options.configPath) {
+        continue;
+      }
+      return { path: candidate, config: null, errors: [`Cannot read config file "${candidate}": ${err.message}`], warnings: [] };
+    }
+
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (err) {
+      return { path: candidate, config: null, errors: [`Invalid JSON in config file "${candidate}": ${err.message}`], warnings: [] };
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config) ||
+        !config.profiles || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+      return { path: candidate, config: null, errors: [`Config file "${candidate}" must contain a "profiles" object`], warnings: [] };
+    }
+
+    const warnings = Object.keys(config)
+      .filter(key => key !== 'profiles' && key !== '$schema')
+      .map(key => `Unknown key "${key}" in config file "${candidate}" (ignored)`);
+    const loaded = { path: candidate, config, errors: [], warnings };
+    if (options.configPath || wanted.every(name => Object.prototype.hasOwnProperty.call(config.profiles, name))) {
+      return loaded;
+    }
+    first = first || loaded;
+  }
+
+  if (first) {
+    return first;
+  }
+  return {
+    path: null,
+    config: null,
+    errors: [`No config file found (looked for ${candidates.join(', ')})`],
+    warnings: []
+  };
+}
+
+/**
+ * Split command line arguments into mcp-cross options and the server command
+ * Mirrors the option loop in index.js: the command starts after `--` or at
+ * the first argument that is neither an option nor an option's value.
+ *
+ * @param {string[]} args - Arguments
+ * @returns {{ options: string[], command: string[] }}
+ */
+function splitArgs(args) {
+  const delimiterIndex = args.indexOf('--');
+  const optionArgs = delimiterIndex !== -1 ? args.slice(0, delimiterIndex) : args;
+
+  let i = 0;
+  while (i < optionArgs.length && optionArgs[i].startsWith('--')) {
+    i += OPTIONS_WITH_VALUES.has(optionArgs[i]) && i + 1 < optionArgs.length ? 2 : 1;
+  }
+
+  if (delimiterIndex !== -1) {
+    return { options: optionArgs.slice(0, i), command: args.slice(delimiterIndex + 1) };
+  }
+  return { options: optionArgs.slice(0, i), command: optionArgs.slice(i) };
+}
+
+/**
+ * Check that a value is an array of strings
+ *
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Turn a profile into mcp-cross arguments
+ *
+ * @param {string} name - Profile name (for messages)
+ * @param {Object} profile - Profile object
+ * @returns {{ options: string[], command: string[], errors: string[], warnings: string[] }}
+ */
+function profileToArgs(name, profile) {
+  const options = [];
+  const errors = [];
+  const warnings = [];
+  const where = `profile "${name}"`;
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { options, command: [], errors: [`${where} must be an object`], warnings };
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.has(key)) {
+      warnings.push(`Unknown key "${key}" in ${where} (ignored)`);
+    }
+  }
+
+  const mode = profile.mode || (profile.url ? 'http' : 'stdio');
+  if (!MODES.includes(mode)) {
+    errors.push(`Invalid mode "${mode}" in ${where} (expected ${MODES.join(', ')})`);
+  }
+
+  if (profile.wsl !== undefined && typeof profile.wsl !== 'boolean') {
+    errors.push(`"wsl" in ${where} must be true or false`);
+  } else if (profile.wsl) {
+    options.push('--wsl');
+  }
+  for (const key of ['distro', 'shell']) {
+    if (profile[key] === undefined) {
+      continue;
+    }
+    if (typeof profile[key] !== 'string' || !profile[key]) {
+      errors.push(`"${key}" in ${where} must be a non-empty string`);
+    } else {
+      options.push(`--${key}`, profile[key]);
+    }
+  }
+
+  if (mode === 'http') {
+    const urls = typeof profile.url === 'string' ? [profile.url] : profile.url;
+    if (!isStringArray(urls) || urls.length === 0) {
+      errors.push(`${where} has mode "http" and needs a "url" (string or array of strings)`);
+    } else {
+      for (const url of urls) {
+        options.push('--http', url);
+      }
+    }
+  } else if (profile.url !== undefined) {
+    warnings.push(`"url" in ${where} is only used with mode "http" (ignored)`);
+  }
+
+  if (mode === 'serve-http') {
+    if (typeof profile.listen !== 'string' || !profile.listen) {
+      errors.push(`${where} has mode "serve-http" and needs a "listen" address such as ":8080"`);
+    } else {
+      options.push('--serve-http', profile.listen);
+    }
+  } else if (profile.listen !== undefined) {
+    warnings.push(`"listen" in ${where} is only used with mode "serve-http" (ignored)`);
+  }
+
+  if (profile.headers !== undefined) {
+    if (isStringArray(profile.headers)) {
+      for (const header of profile.headers) {
+        options.push('--header', header);
+      }
+    } else if (profile.headers && typeof profile.headers === 'object' && !Array.isArray(profile.headers) &&
+        Object.values(profile.headers).every(value => typeof value === 'string')) {
+      for (const [header, value] of Object.entries(profile.headers)) {
+        options.push('--header', `${header}: ${value}`);
+      }
+    } else {
+      errors.push(`"headers" in ${where} must be an object of strings or an array of "Name: Value" strings`);
+    }
+  }
+
+  if (profile.env !== undefined) {
+    if (profile.env && typeof profile.env === 'object' && !Array.isArray(profile.env) &&
+        Object.values(profile.env).every(value => typeof value === 'string')) {
+      for (const [key, value] of Object.entries(profile.env)) {
+        options.push('--env', `${key}=${value}`);
+      }
+    } else {
+      errors.push(`"env" in ${where} must be an object of strings`);
+    }
+  }
+
+  if (profile.timeout !== undefined) {
+    if (!Number.isInteger(profile.timeout) || profile.timeout <= 0) {
+      errors.push(`"timeout" in ${where} must be a positive integer (ms)`);
+    } else {
+      options.push('--timeout', String(profile.timeout));
+    }
+  }
+
+  if (profile.debug !== undefined && typeof profile.debug !== 'boolean') {
+    errors.push(`"debug" in ${where} must be true or false`);
+  } else if (profile.debug) {
+    options.push('--debug');
+  }
+
+  if (profile.options !== undefined) {
+    if (!isStringArray(profile.options)) {
+      errors.push(`"options" in ${where} must be an array of strings`);
+    } else {
+      const split = splitArgs(profile.options);
+      if (split.command.length > 0 || profile.options.includes('--')) {
+        errors.push(`"options" in ${where} may only contain mcp-cross options; use "command" and "args" for the server`);
+      } else if (split.options.includes('--profile') || split.options.includes('--config')) {
+        errors.push(`"options" in ${where} cannot contain --profile or --config`);
+      } else {
+        options.push(...split.options);
+      }
+    }
+  }
+
+  let command = [];
+  if (profile.command !== undefined) {
+    if (typeof profile.command !== 'string' || !profile.command) {
+      errors.push(`"command" in ${where} must be a non-empty string`);
+    } else if (profile.args !== undefined && !isStringArray(profile.args)) {
+      errors.push(`"args" in ${where} must be an array of strings`);
+    } else {
+      command = [profile.command, ...(profile.args || [])];
+    }
+  } else if (profile.args !== undefined) {
+    errors.push(`"args" in ${where} needs a "command"`);
+  }
+  if ((mode === 'stdio' || mode === 'serve-http') && profile.command === undefined) {
+    errors.push(`${where} has mode "${mode}" and needs a "command"`);
+  }
+  if (mode === 'http' && profile.command !== undefined) {
+    warnings.push(`"command" in ${where} is not used with mode "http" (ignored)`);
+    command = [];
+  }
+
+  return { options, command, errors, warnings };
+}
+
+/**
+ * Combine profile arguments with the command line
+ * Command line options come last, so single-value options override the
+ * profile and --header/--env values override the same name; list options
+ * (REPLACED_BY_CLI) on the command line replace the profile's values; a
+ * command line server command replaces the profile's command and args.
+ *
+ * @param {{ options: string[], command: string[] }} profileArgs - From profileToArgs
+ * @param {{ options: string[], command: string[] }} cliArgs - From splitArgs
+ * @returns {string[]} Arguments for the option loop
+ */
+function mergeArgs(profileArgs, cliArgs) {
+  const replaced = new Set(cliArgs.options.filter(option => REPLACED_BY_CLI.has(option)));
+  const options = [];
+  for (let i = 0; i < profileArgs.options.length; i++) {
+    const option = profileArgs.options[i];
+    const hasValue = OPTIONS_WITH_VALUES.has(option);
+    if (!replaced.has(option)) {
+      options.push(option);
+      if (hasValue) {
+        options.push(profileArgs.options[i + 1]);
+      }
+    }
+    if (hasValue) {
+      i++;
+    }
+  }
+
+  const command = cliArgs.command.length > 0 ? cliArgs.command : profileArgs.command;
+  return command.length > 0
+    ? [...options, ...cliArgs.options, '--', ...command]
+    : [...options, ...cliArgs.options];
+}
+
+/**
+ * Apply --profile (and --config) from the command line
+ * Without --profile the arguments are returned unchanged and no config
+ * file is read.
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {Object} [context] - cwd, env and homedir for the config file search
+ * @returns {{ args: string[], profile: string|null, path: string|null, errors: string[], warnings: string[] }}
+ */
+function resolveProfileArgs(args, context = {}) {
+  const split = splitArgs(args);
+  const cliOptions = [];
+  let profileName = null;
+  let configPath = null;
+  const errors = [];
+
+  for (let i = 0; i < split.options.length; i++) {
+    const option = split.options[i];
+    if ((option === '--profile' || option === '--config') && i + 1 < split.options.length) {
+      if (option === '--profile') {
+        profileName = split.options[i + 1];
+      } else {
+        configPath = split.options[i + 1];
+      }
+      i++;
+    } else if (option === '--profile' || option === '--config') {
+      errors.push(`${option} requires a value`);
+    } else {
+      cliOptions.push(option);
+    }
+  }
+
+  if (configPath && !profileName) {
+    errors.push('--config requires --profile');
+  }
+  if (!profileName || errors.length > 0) {
+    return { args, profile: null, path: null, errors, warnings: [] };
+  }
+
+  const loaded = loadConfigFile({ ...context, configPath, profiles: [profileName] });
+  if (!loaded.config) {
+    return { args, profile: profileName, path: loaded.path, errors: loaded.errors, warnings: [] };
+  }
+
+  const profiles = loaded.config.profiles;
+  if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+    const known = Object.keys(profiles);
+    return {
+      args,
+      profile: profileName,
+      path: loaded.path,
+      errors: [`Unknown profile "${profileName}" in "${loaded.path}"` +
+        (known.length > 0 ? ` (available: ${known.join(', ')})` : '')],
+      warnings: loaded.warnings
+    };
+  }
+
+  const profileArgs = profileToArgs(profileName, profiles[profileName]);
+  return {
+    args: mergeArgs(profileArgs, { options: cliOptions, command: split.command }),
+    profile: profileName,
+    path: loaded.path,
+    errors: profileArgs.errors,
+    warnings: [...loaded.warnings, ...profileArgs.warnings]
+  };
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  OPTIONS_WITH_VALUES,
+  FLAGS,
+  REPLACED_BY_CLI,
+  configFileCandidates,
+  loadConfigFile,
+  splitArgs,
+  profileToArgs,
+  mergeArgs,
+  resolveProfileArgs
+};
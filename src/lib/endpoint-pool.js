@@ -0,0 +1,296 @@
+/**
+ * Endpoint Pool Module
+ * Tracks the health of several equivalent MCP endpoints (e.g. one per
+ * region) and picks the one a session should use.
+ *
+ * @module endpoint-pool
+ */
+
+'use strict';
+
+/** Policies accepted by --http-policy */
+const POLICIES = ['failover', 'round-robin'];
+
+/** Default consecutive transport errors before an endpoint is marked unhealthy */
+const DEFAULT_UNHEALTHY_AFTER = 3;
+
+/** Default delay between background probes of unhealthy endpoints (ms) */
+const DEFAULT_HEALTH_CHECK_INTERVAL = 10000;
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {URL} url - Endpoint URL
+ * @property {boolean} healthy - Whether the endpoint may be selected
+ * @property {number} failures - Consecutive transport errors
+ * @property {string|null} lastError - Message of the last transport error
+ */
+
+/**
+ * EndpointPool - Health state and selection policy for --http endpoints
+ *
+ * - failover: sessions use the first healthy endpoint in the order given
+ * - round-robin: the first session starts at a random endpoint and each new
+ *   session (or failover) moves on to the next healthy one
+ */
+class EndpointPool {
+  /**
+   * @param {Object} options
+   * @param {URL[]} options.urls - Endpoints, in priority order
+   * @param {string} [options.policy='failover'] - 'failover' or 'round-robin'
+   * @param {number} [options.unhealthyAfter=3] - Consecutive transport errors before an endpoint is unhealthy
+   * @param {number} [options.healthCheckInterval=10000] - Delay between probes of unhealthy endpoints in ms
+   * @param {function(URL): Promise<boolean>} [options.probe] - Resolves true if the endpoint answers
+   * @param {function(...any): void} [options.log] - Debug logger
+   * @param {function(): number} [options.random=Math.random] - Random source for the round-robin start
+   */
+  constructor(options) {
+    if (!Array.isArray(options.urls) || options.urls.length === 0) {
+      throw new Error('EndpointPool requires at least one URL');
+    }
+
+    /** @type {Endpoint[]} */
+    this.endpoints = options.urls.map(url => ({ url, healthy: true, failures: 0, lastError: null }));
+
+    /** @type {string} */
+    this.policy = POLICIES.includes(options.policy) ? options.policy : 'failover';
+
+    /** @type {number} */
+    this.unhealthyAfter = options.unhealthyAfter > 0 ? options.unhealthyAfter : DEFAULT_UNHEALTHY_AFTER;
+
+    /** @type {number} */
+    this.healthCheckInterval = options.healthCheckInterval > 0
+      ? options.healthCheckInterval
+      : DEFAULT_HEALTH_CHECK_INTERVAL;
+
+    /** @type {function(URL): Promise<boolean>} */
+    this.probe = options.probe || (async () => false);
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {number} Index of the endpoint in use */
+    this.index = this.policy === 'round-robin'
+      ? Math.floor((options.random || Math.random)() * this.endpoints.length) % this.endpoints.length
+      : 0;
+
+    /** @type {number} Sessions started so far */
+    this.sessionCount = 0;
+
+    /** @type {NodeJS.Timeout|null} */
+    this._timer = null;
+
+    /** @type {Promise<void>|null} Probe round in progress */
+    this._checking = null;
+  }
+
+  /**
+   * Endpoint in use
+   * @returns {URL}
+   */
+  get current() {
+    return this.endpoints[this.index].url;
+  }
+
+  /**
+   * Number of endpoints
+   * @returns {number}
+   */
+  get size() {
+    return this.endpoints.length;
+  }
+
+  /**
+   * Find the state of an endpoint
+   *
+   * @param {URL} url - Endpoint URL
+   * @returns {Endpoint|undefined}
+   */
+  find(url) {
+    return this.endpoints.find(endpoint => endpoint.url.href === url.href);
+  }
+
+  /**
+   * Check whether an endpoint is healthy
+   *
+   * @param {URL} url - Endpoint URL
+   * @returns {boolean}
+   */
+  isHealthy(url) {
+    const endpoint = this.find(url);
+    return Boolean(endpoint && endpoint.healthy);
+  }
+
+  /**
+   * Record that an endpoint answered (any HTTP response counts)
+   *
+   * @param {URL} url - Endpoint URL
+   */
+  recordSuccess(url) {
+    const endpoint = this.find(url);
+    if (!endpoint) {
+      return;
+    }
+    if (!endpoint.healthy) {
+      this.log(`Endpoint ${url} is healthy again`);
+    }
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+  }
+
+  /**
+   * Record a transport error (connection refused, reset, DNS failure, ...)
+   *
+   * @param {URL} url - Endpoint URL
+   * @param {Error} [err] - The error
+   * @returns {boolean} True if this error made the endpoint unhealthy
+   */
+  recordFailure(url, err) {
+    const endpoint = this.find(url);
+    if (!endpoint) {
+      return false;
+    }
+    endpoint.failures++;
+    endpoint.lastError = err ? err.message : null;
+    if (endpoint.healthy && endpoint.failures >= this.unhealthyAfter) {
+      endpoint.healthy = false;
+      this.log(`Endpoint ${url} marked unhealthy after ${endpoint.failures} transport errors`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Index of the next healthy endpoint after `from` (cyclic), excluding `from`
+   *
+   * @param {number} from - Starting index
+   * @returns {number} Index, or -1 if no other endpoint is healthy
+   */
+  nextHealthy(from) {
+    for (let step = 1; step < this.endpoints.length; step++) {
+      const candidate = (from + step) % this.endpoints.length;
+      if (this.endpoints[candidate].healthy) {
+        return candidate;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Check whether an endpoint other than the current one is healthy
+   * @returns {boolean}
+   */
+  hasHealthyAlternative() {
+    return this.nextHealthy(this.index) !== -1;
+  }
+
+  /**
+   * Choose the endpoint for a new session (the client's initialize)
+   * Keeps the current endpoint when no other candidate is healthy.
+   *
+   * @returns {URL} Endpoint to use
+   */
+  selectForSession() {
+    if (this.policy === 'failover') {
+      const first = this.endpoints.findIndex(endpoint => endpoint.healthy);
+      if (first !== -1) {
+        this.index = first;
+      }
+    } else if (this.sessionCount > 0) {
+      const next = this.nextHealthy(this.index);
+      if (next !== -1) {
+        this.index = next;
+      }
+    }
+    this.sessionCount++;
+    return this.current;
+  }
+
+  /**
+   * Move away from the current endpoint
+   *
+   * @returns {boolean} True if another healthy endpoint was selected
+   */
+  failover() {
+    let next;
+    if (this.policy === 'failover') {
+      next = this.endpoints.findIndex((endpoint, i) => endpoint.healthy && i !== this.index);
+    } else {
+      next = this.nextHealthy(this.index);
+    }
+    if (next === -1) {
+      return false;
+    }
+    this.index = next;
+    return true;
+  }
+
+  /**
+   * Probe every unhealthy endpoint once
+   * Concurrent callers share one round.
+   *
+   * @returns {Promise<void>}
+   */
+  checkHealth() {
+    if (this._checking) {
+      return this._checking;
+    }
+
+    const unhealthy = this.endpoints.filter(endpoint => !endpoint.healthy);
+    this._checking = Promise.all(unhealthy.map(async (endpoint) => {
+      let ok = false;
+      try {
+        ok = await this.probe(endpoint.url);
+      } catch (err) {
+        this.log(`Health check of ${endpoint.url} failed:`, err.message);
+      }
+      if (ok) {
+        this.recordSuccess(endpoint.url);
+      }
+    })).then(() => {}).finally(() => {
+      this._checking = null;
+    });
+    return this._checking;
+  }
+
+  /**
+   * Probe unhealthy endpoints in the background
+   * The timer does not keep the process alive.
+   */
+  startHealthChecks() {
+    if (this._timer || this.endpoints.length < 2) {
+      return;
+    }
+    this._timer = setInterval(() => {
+      this.checkHealth();
+    }, this.healthCheckInterval);
+    this._timer.unref();
+  }
+
+  /**
+   * Stop background probing
+   */
+  stopHealthChecks() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Summarize endpoint health for debug logging
+   * @returns {string}
+   */
+  describe() {
+    return this.endpoints
+      .map((endpoint, i) => `${i === this.index ? '*' : ''}${endpoint.url} (${endpoint.healthy ? 'healthy' : 'unhealthy'})`)
+      .join(', ');
+  }
+}
+
+module.exports = {
+  EndpointPool,
+  POLICIES,
+  DEFAULT_UNHEALTHY_AFTER,
+  DEFAULT_HEALTH_CHECK_INTERVAL
+};
@@ -0,0 +1,178 @@
+/**
+ * Header Command Module
+ * Produces header values by running a local command (a credential helper),
+ * so rotating tokens (e.g. `gh auth token`) stay fresh for the whole session.
+ *
+ * @module header-command
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const { isValidHeaderName, isValidHeaderValue } = require('./header-parser');
+
+/** Default time a command's output is reused before the command is re-run */
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+/** Time a single command run may take */
+const COMMAND_TIMEOUT = 30 * 1000;
+
+/**
+ * @typedef {Object} HeaderCommandSpec
+ * @property {string} name - Header name (e.g., "Authorization")
+ * @property {string} command - Shell command whose stdout becomes the header value
+ */
+
+/**
+ * Parse a header command in "Name=command" format
+ *
+ * @param {string} spec - Header command string (e.g., "Authorization=gh auth token")
+ * @returns {{ success: boolean, spec?: HeaderCommandSpec, error?: string }}
+ */
+function parseHeaderCommand(spec) {
+  if (!spec || typeof spec !== 'string') {
+    return { success: false, error: 'Header command must be a non-empty string' };
+  }
+
+  // Split on first equals sign only; the command may contain more
+  const equalsIndex = spec.indexOf('=');
+  if (equalsIndex === -1) {
+    return { success: false, error: `Invalid header command format: missing "=" separator in "${spec}"` };
+  }
+
+  const name = spec.substring(0, equalsIndex).trim();
+  const command = spec.substring(equalsIndex + 1).trim();
+
+  if (!isValidHeaderName(name)) {
+    return { success: false, error: `Invalid header name: "${name}"` };
+  }
+  if (!command) {
+    return { success: false, error: `Header command for "${name}" is empty` };
+  }
+
+  return { success: true, spec: { name, command } };
+}
+
+/**
+ * Run a shell command and resolve with its trimmed stdout
+ *
+ * @param {string} command - Shell command
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment for the command
+ * @param {number} [options.timeout=30000] - Kill the command after this many ms
+ * @returns {Promise<string>}
+ */
+function runCommand(command, { env = process.env, timeout = COMMAND_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    child_process.exec(command, { env, timeout, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = String(stderr || '').trim() || err.message;
+        reject(new Error(err.killed ? `timed out after ${timeout}ms` : detail));
+        return;
+      }
+      resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * HeaderCommand - Runs a credential helper and caches its output for a TTL
+ * Concurrent callers share a single run; the output is never logged.
+ */
+class HeaderCommand {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Header name
+   * @param {string} options.command - Shell command producing the header value
+   * @param {number} [options.ttl=300000] - Cache lifetime in ms (0 runs the command for every request)
+   * @param {Object} [options.env=process.env] - Environment for the command
+   * @param {function(...any): void} [options.log] - Debug logger
+   */
+  constructor(options) {
+    if (!options || !options.name || !options.command) {
+      throw new Error('HeaderCommand requires a header name and command');
+    }
+
+    /** @type {string} */
+    this.name = options.name;
+
+    /** @type {string} */
+    this.command = options.command;
+
+    /** @type {number} */
+    this.ttl = typeof options.ttl === 'number' && options.ttl >= 0 ? options.ttl : DEFAULT_TTL;
+
+    /** @type {Object} */
+    this.env = options.env || process.env;
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {string|null} */
+    this._value = null;
+
+    /** @type {number} */
+    this._expiresAt = 0;
+
+    /** @type {Promise<string>|null} */
+    this._pending = null;
+  }
+
+  /**
+   * Get the header value, running the command when the cache is empty or stale
+   *
+   * @returns {Promise<string>}
+   */
+  async getValue() {
+    if (this._value !== null && Date.now() < this._expiresAt) {
+      return this._value;
+    }
+    if (!this._pending) {
+      this._pending = this._run().finally(() => {
+        this._pending = null;
+      });
+    }
+    return this._pending;
+  }
+
+  /**
+   * Drop the cached value so the next request re-runs the command
+   */
+  invalidate() {
+    this._value = null;
+    this._expiresAt = 0;
+  }
+
+  /**
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _run() {
+    this.log(`Running header command for ${this.name}`);
+    let value;
+    try {
+      value = await runCommand(this.command, { env: this.env });
+    } catch (err) {
+      throw new Error(`Header command for ${this.name} failed: ${err.message}`);
+    }
+
+    if (!value) {
+      throw new Error(`Header command for ${this.name} produced no output`);
+    }
+    if (!isValidHeaderValue(value)) {
+      throw new Error(`Header command for ${this.name} produced a multi-line value`);
+    }
+
+    this._value = value;
+    this._expiresAt = Date.now() + this.ttl;
+    this.log(`Header command for ${this.name} succeeded (cached for ${this.ttl}ms)`);
+    return value;
+  }
+}
+
+module.exports = {
+  HeaderCommand,
+  parseHeaderCommand,
+  runCommand,
+  DEFAULT_TTL
+};
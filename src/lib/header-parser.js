@@ -163,12 +163,13 @@ function parseHeaders(headerStrings, env = process.env) {
  * 
  * @param {string} name - Header name
  * @param {string} value - Header value
+ * @param {boolean} [alwaysMask=false] - Treat the value as sensitive regardless of header name
  * @returns {string} Masked value if sensitive, original otherwise
  */
-function maskSensitiveValue(name, value) {
+function maskSensitiveValue(name, value, alwaysMask = false) {
   const sensitiveHeaders = ['authorization', 'x-api-key', 'api-key', 'x-auth-token', 'cookie', 'set-cookie'];
   
-  if (sensitiveHeaders.includes(name.toLowerCase())) {
+  if (alwaysMask || sensitiveHeaders.includes(name.toLowerCase())) {
     if (value.length <= 12) {
       return '***';
     }
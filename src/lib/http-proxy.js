@@ -8,9 +8,110 @@
 'use strict';
 
 const { createInterface } = require('readline');
-const { validateUrl, isHttps, isLocalhost } = require('./url-validator');
+const { validateUrl, isHttps, isLocalhost, isWebSocket } = require('./url-validator');
 const { parseHeaders, maskSensitiveValue, headersMapToObject } = require('./header-parser');
+const { HeaderCommand, parseHeaderCommand, DEFAULT_TTL } = require('./header-command');
+const { readEventStream } = require('./sse-parser');
+const { OAuthClient, ClientCredentialsProvider, canonicalResource } = require('./oauth');
 const jsonrpc = require('./jsonrpc-error');
+const { WebSocketProxySession } = require('./ws-proxy');
+const { readProxyEnv, parseProxyUrl, maskProxyUrl, getProxyForUrl, createProxyFetch } = require('./outbound-proxy');
+const { loadTlsConfig, describeTls } = require('./tls-options');
+const { createToolFilter } = require('./tool-filter');
+const {
+  EndpointPool,
+  POLICIES,
+  DEFAULT_UNHEALTHY_AFTER,
+  DEFAULT_HEALTH_CHECK_INTERVAL
+} = require('./endpoint-pool');
+
+/** Environment variable holding the client credentials secret */
+const CLIENT_SECRET_ENV = 'MCP_CROSS_OAUTH_CLIENT_SECRET';
+
+/** Default delay before reopening a dropped GET event stream (ms) */
+const EVENT_STREAM_RETRY_DELAY = 1000;
+
+/** Upper bound for the event stream reconnect backoff (ms) */
+const EVENT_STREAM_MAX_RETRY_DELAY = 30000;
+
+/** Consecutive failed GET attempts before the listener gives up */
+const EVENT_STREAM_MAX_FAILURES = 5;
+
+/** HTTP status codes that indicate a transient failure worth retrying */
+const RETRYABLE_STATUS_CODES = new Set([429, 502, 503, 504]);
+
+/** Network error codes that indicate a transient failure worth retrying */
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'UND_ERR_SOCKET']);
+
+/** Network error codes raised before a request reaches the server (safe to resend elsewhere) */
+const CONNECT_FAILURE_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROXY']);
+
+/** Timeout for a health check ping (ms) */
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+/** Upper bound for a single retry delay, including Retry-After (ms) */
+const RETRY_MAX_DELAY = 60000;
+
+/** Transports accepted by --transport */
+const TRANSPORTS = ['auto', 'streamable-http', 'sse'];
+
+/**
+ * Check whether a method is safe to replay
+ * 
+ * @param {string} method - JSON-RPC method name
+ * @returns {boolean} True for initialize, ping and list/read/get methods
+ */
+function isIdempotentMethod(method) {
+  return method === 'initialize' ||
+    method === 'ping' ||
+    /\/(list|read|get)$/.test(method);
+}
+
+/**
+ * Parse a Retry-After header value
+ * 
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Resolve after a delay, or early if the signal aborts
+ * 
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
 
 /**
  * HTTPProxyConfig - Configuration for the HTTP proxy
@@ -20,8 +121,28 @@ class HTTPProxyConfig {
   /**
    * @param {Object} options
    * @param {URL} options.url - Target HTTP endpoint (validated)
+   * @param {URL[]} [options.urls] - All endpoints in priority order (defaults to [url])
+   * @param {string} [options.policy='failover'] - How sessions pick among urls: 'failover' or 'round-robin'
+   * @param {number} [options.unhealthyAfter=3] - Consecutive transport errors before an endpoint is unhealthy
+   * @param {number} [options.healthCheckInterval=10000] - Delay between ping probes of unhealthy endpoints in ms
+   * @param {string} [options.socketPath] - Send requests to the target over this Unix socket or named pipe
    * @param {Map<string, string>} options.headers - Custom headers with expanded env vars
+   * @param {Array<{name: string, command: string}>} [options.headerCommands] - Headers whose values come from a command
+   * @param {number} [options.headerCommandTtl=300000] - How long a command's output is reused, in ms
    * @param {number} [options.timeout=60000] - Request timeout in ms
+   * @param {string} [options.transport='auto'] - 'streamable-http', 'sse' (legacy HTTP+SSE) or 'auto'
+   * @param {number} [options.maxConcurrency=10] - Maximum requests in flight at once
+   * @param {number} [options.retries=0] - Retries for transient failures of idempotent requests
+   * @param {number} [options.retryBackoff=500] - Base retry delay in ms (doubled per attempt)
+   * @param {boolean} [options.retryToolsCall=false] - Also retry tools/call (not idempotent)
+   * @param {boolean} [options.oauth=false] - Authorize via OAuth (authorization code + PKCE) on 401
+   * @param {URL} [options.oauthTokenUrl] - Token endpoint for the client credentials grant
+   * @param {string} [options.oauthClientId] - Client id for the client credentials grant
+   * @param {string} [options.oauthClientSecret] - Client secret for the client credentials grant
+   * @param {string} [options.oauthScope] - Scope to request with client credentials
+   * @param {import('./outbound-proxy').ProxyEnv} [options.proxy] - Outbound proxy settings (HTTPS_PROXY, HTTP_PROXY, NO_PROXY)
+   * @param {import('./tls-options').TLSConfig} [options.tls] - CA bundle, client certificate and public key pins
+   * @param {Object} [options.filter] - Tool filter rules (see tool-filter parseFilterOptions)
    * @param {boolean} [options.debug=false] - Enable debug logging
    */
   constructor(options) {
@@ -31,14 +152,92 @@ class HTTPProxyConfig {
     
     /** @type {URL} */
     this.url = options.url;
+
+    /** @type {URL[]} Endpoints in priority order; url is the first */
+    this.urls = Object.freeze(Array.isArray(options.urls) && options.urls.length > 0 ? [...options.urls] : [options.url]);
+
+    /** @type {string} */
+    this.policy = POLICIES.includes(options.policy) ? options.policy : 'failover';
+
+    /** @type {number} */
+    this.unhealthyAfter = Number.isInteger(options.unhealthyAfter) && options.unhealthyAfter > 0
+      ? options.unhealthyAfter
+      : DEFAULT_UNHEALTHY_AFTER;
+
+    /** @type {number} */
+    this.healthCheckInterval = typeof options.healthCheckInterval === 'number' && options.healthCheckInterval > 0
+      ? options.healthCheckInterval
+      : DEFAULT_HEALTH_CHECK_INTERVAL;
+
+    /** @type {string|null} Unix socket or named pipe carrying the requests to `url` */
+    this.socketPath = options.socketPath || null;
     
     /** @type {Map<string, string>} */
     this.headers = options.headers || new Map();
+
+    /** @type {Array<{name: string, command: string}>} */
+    this.headerCommands = Object.freeze(Array.isArray(options.headerCommands) ? [...options.headerCommands] : []);
+
+    /** @type {number} */
+    this.headerCommandTtl = typeof options.headerCommandTtl === 'number' && options.headerCommandTtl >= 0
+      ? options.headerCommandTtl
+      : DEFAULT_TTL;
     
     /** @type {number} */
     this.timeout = typeof options.timeout === 'number' && options.timeout > 0 
       ? options.timeout 
       : 60000;
+
+    /** @type {string} */
+    this.transport = TRANSPORTS.includes(options.transport) ? options.transport : 'auto';
+
+    /** @type {number} */
+    this.maxConcurrency = Number.isInteger(options.maxConcurrency) && options.maxConcurrency > 0
+      ? options.maxConcurrency
+      : 10;
+
+    /** @type {number} */
+    this.retries = Number.isInteger(options.retries) && options.retries >= 0
+      ? options.retries
+      : 0;
+
+    /** @type {number} */
+    this.retryBackoff = typeof options.retryBackoff === 'number' && options.retryBackoff >= 0
+      ? options.retryBackoff
+      : 500;
+
+    /** @type {boolean} */
+    this.retryToolsCall = Boolean(options.retryToolsCall);
+
+    /** @type {boolean} */
+    this.oauth = Boolean(options.oauth);
+
+    /** @type {URL|null} */
+    this.oauthTokenUrl = options.oauthTokenUrl instanceof URL ? options.oauthTokenUrl : null;
+
+    /** @type {string|null} */
+    this.oauthClientId = options.oauthClientId || null;
+
+    /** @type {string|null} */
+    this.oauthClientSecret = options.oauthClientSecret || null;
+
+    /** @type {string|null} */
+    this.oauthScope = options.oauthScope || null;
+
+    /** @type {import('./outbound-proxy').ProxyEnv|null} */
+    this.proxy = options.proxy ? Object.freeze({ ...options.proxy }) : null;
+
+    /** @type {import('./tls-options').TLSConfig|null} */
+    this.tls = options.tls
+      ? Object.freeze({
+        ...options.tls,
+        pins: Object.freeze([...(options.tls.pins || [])]),
+        hosts: Object.freeze([...(options.tls.hosts || [])])
+      })
+      : null;
+
+    /** @type {Object|null} Allow/deny patterns for tools, prompts and resources */
+    this.filter = options.filter || null;
     
     /** @type {boolean} */
     this.debug = Boolean(options.debug);
@@ -51,38 +250,164 @@ class HTTPProxyConfig {
    * Create HTTPProxyConfig from CLI arguments
    * 
    * @param {Object} args - Parsed CLI arguments
-   * @param {string} args.url - Target URL string
+   * @param {string|string[]} args.url - Target URL string (http:, https:, ws:, wss:, unix: or npipe:),
+   *   or several http(s) URLs of equivalent endpoints
+   * @param {string} [args.policy] - 'failover' or 'round-robin' across several URLs
+   * @param {number} [args.unhealthyAfter] - Consecutive transport errors before an endpoint is unhealthy
+   * @param {number} [args.healthCheckInterval] - Delay between probes of unhealthy endpoints in ms
    * @param {string[]} [args.headers] - Header strings ["Name: Value", ...]
+   * @param {string[]} [args.headerCommands] - Header command strings ["Name=command", ...]
+   * @param {number} [args.headerCommandTtl] - How long a command's output is reused, in ms
    * @param {number} [args.timeout] - Timeout in ms
+   * @param {string} [args.transport] - 'auto', 'streamable-http' or 'sse'
+   * @param {number} [args.maxConcurrency] - Maximum requests in flight at once
+   * @param {number} [args.retries] - Retries for transient failures
+   * @param {number} [args.retryBackoff] - Base retry delay in ms
+   * @param {boolean} [args.retryToolsCall] - Also retry tools/call
+   * @param {boolean} [args.oauth] - Authorize via OAuth on 401
+   * @param {string} [args.oauthTokenUrl] - Token endpoint for the client credentials grant
+   * @param {string} [args.oauthClientId] - Client id for the client credentials grant
+   * @param {string} [args.oauthScope] - Scope to request with client credentials
+   * @param {string} [args.caFile] - PEM CA bundle to trust in addition to the system roots
+   * @param {string} [args.certFile] - PEM client certificate for mutual TLS
+   * @param {string} [args.keyFile] - PEM private key for --cert
+   * @param {string[]} [args.pins] - Base64 SHA-256 public key pins for the server
+   * @param {Object} [args.filter] - Tool filter rules (see tool-filter parseFilterOptions)
    * @param {boolean} [args.debug] - Debug mode
-   * @param {Object} [env=process.env] - Environment for variable expansion
+   * @param {Object} [env=process.env] - Environment for variable expansion, MCP_CROSS_OAUTH_CLIENT_SECRET and HTTPS_PROXY/HTTP_PROXY/NO_PROXY
    * @returns {{ config?: HTTPProxyConfig, errors: string[], warnings: string[] }}
    */
   static fromArgs(args, env = process.env) {
     const errors = [];
     const warnings = [];
 
-    // Validate URL
-    const urlResult = validateUrl(args.url);
+    // Validate URL (ws:/wss: targets are served by WebSocketProxySession;
+    // unix:/npipe: targets become http://localhost/<path> plus a socket path)
+    const urlStrings = Array.isArray(args.url) ? args.url : [args.url];
+    const urlResult = validateUrl(urlStrings[0], { allowWebSocket: true, allowSocket: true });
     if (!urlResult.valid) {
       errors.push(urlResult.error);
       return { errors, warnings };
     }
     warnings.push(...urlResult.warnings);
 
+    // Further --http URLs are failover/round-robin peers of the first
+    const urls = [urlResult.url];
+    for (const urlString of urlStrings.slice(1)) {
+      const peerResult = validateUrl(urlString);
+      if (!peerResult.valid) {
+        errors.push(`Invalid --http "${urlString}": ${peerResult.error}`);
+        continue;
+      }
+      warnings.push(...peerResult.warnings);
+      urls.push(peerResult.url);
+    }
+    if (urlStrings.length > 1 && (urlResult.socketPath || isWebSocket(urlResult.url))) {
+      errors.push('Multiple --http URLs are only supported for http: and https: endpoints');
+    }
+
+    if (args.policy !== undefined && args.policy !== null && !POLICIES.includes(args.policy)) {
+      errors.push(`Invalid --http-policy "${args.policy}" (expected ${POLICIES.join(', ')})`);
+    }
+
     // Parse headers
     const headerResult = parseHeaders(args.headers || [], env);
     errors.push(...headerResult.errors);
     warnings.push(...headerResult.warnings);
 
+    // Parse header commands (run lazily, per request)
+    const headerCommands = [];
+    for (const spec of args.headerCommands || []) {
+      const result = parseHeaderCommand(spec);
+      if (result.success) {
+        headerCommands.push(result.spec);
+      } else {
+        errors.push(result.error);
+      }
+    }
+
+    if (args.transport !== undefined && args.transport !== null && !TRANSPORTS.includes(args.transport)) {
+      errors.push(`Invalid --transport "${args.transport}" (expected ${TRANSPORTS.join(', ')})`);
+    }
+
+    if (isWebSocket(urlResult.url)) {
+      if (args.transport && args.transport !== 'auto') {
+        errors.push(`--transport ${args.transport} cannot be used with a WebSocket URL`);
+      }
+      if (args.oauth || args.oauthTokenUrl) {
+        errors.push('OAuth is not supported for WebSocket URLs; use --header or --header-command');
+      }
+    }
+
+    // Client credentials: token URL, client id, and secret from the environment
+    let oauthTokenUrl;
+    let oauthClientSecret;
+    if (args.oauthTokenUrl) {
+      const tokenUrlResult = validateUrl(args.oauthTokenUrl);
+      if (!tokenUrlResult.valid) {
+        errors.push(`Invalid --oauth-token-url: ${tokenUrlResult.error}`);
+      } else {
+        oauthTokenUrl = tokenUrlResult.url;
+        warnings.push(...tokenUrlResult.warnings);
+      }
+      if (!args.oauthClientId) {
+        errors.push('--oauth-token-url requires --oauth-client-id');
+      }
+      oauthClientSecret = env[CLIENT_SECRET_ENV];
+      if (!oauthClientSecret) {
+        errors.push(`--oauth-token-url requires the client secret in ${CLIENT_SECRET_ENV}`);
+      }
+      if (args.oauth) {
+        errors.push('--oauth and --oauth-token-url cannot be combined');
+      }
+    } else if (args.oauthClientId) {
+      errors.push('--oauth-client-id requires --oauth-token-url');
+    }
+
+    // Outbound proxy from the environment
+    const proxyEnv = readProxyEnv(env);
+    for (const [name, value] of [['HTTPS_PROXY', proxyEnv.httpsProxy], ['HTTP_PROXY', proxyEnv.httpProxy]]) {
+      if (value) {
+        const proxyResult = parseProxyUrl(value);
+        if (!proxyResult.success) {
+          errors.push(`Invalid ${name}: ${proxyResult.error}`);
+        }
+      }
+    }
+
+    // Custom CA, client certificate and pins
+    const tlsResult = loadTlsConfig(args, urls);
+    errors.push(...tlsResult.errors);
+    warnings.push(...tlsResult.warnings);
+
     if (errors.length > 0) {
       return { errors, warnings };
     }
 
     const config = new HTTPProxyConfig({
       url: urlResult.url,
+      urls,
+      policy: args.policy,
+      unhealthyAfter: args.unhealthyAfter,
+      healthCheckInterval: args.healthCheckInterval,
+      socketPath: urlResult.socketPath,
       headers: headerResult.headers,
+      headerCommands,
+      headerCommandTtl: args.headerCommandTtl,
       timeout: args.timeout,
+      transport: args.transport,
+      maxConcurrency: args.maxConcurrency,
+      retries: args.retries,
+      retryBackoff: args.retryBackoff,
+      retryToolsCall: args.retryToolsCall,
+      oauth: args.oauth,
+      oauthTokenUrl,
+      oauthClientId: args.oauthClientId,
+      oauthClientSecret,
+      oauthScope: args.oauthScope,
+      proxy: proxyEnv.httpProxy || proxyEnv.httpsProxy ? proxyEnv : null,
+      tls: tlsResult.tls,
+      filter: args.filter,
       debug: args.debug
     });
 
@@ -114,8 +439,111 @@ class HTTPProxySession {
     /** @type {number} */
     this.requestCount = 0;
 
+    /** @type {Set<AbortController>} One controller per in-flight request */
+    this._abortControllers = new Set();
+
+    /** @type {Map<string|number, AbortController>} In-flight requests by JSON-RPC id */
+    this._inFlight = new Map();
+
+    /** @type {Set<string|number>} Ids cancelled by the client whose responses must be dropped */
+    this._cancelledIds = new Set();
+
+    /** @type {Object|null} Client's initialize request, replayed on session loss */
+    this._initializeRequest = null;
+
+    /** @type {Object|null} Client's notifications/initialized, replayed on session loss */
+    this._initializedNotification = null;
+
+    /** @type {Promise<boolean>|null} Session recovery in progress */
+    this._recovery = null;
+
+    /** @type {number} */
+    this.recoveryCount = 0;
+
     /** @type {AbortController|null} */
-    this._abortController = null;
+    this._eventStreamController = null;
+
+    /** @type {Promise<void>|null} */
+    this._eventStream = null;
+
+    /** @type {string} Transport in use: 'streamable-http' or 'sse' (legacy HTTP+SSE) */
+    this.transport = config.transport === 'sse' ? 'sse' : 'streamable-http';
+
+    /** @type {boolean} Whether a 404/405 on first contact may still switch to the legacy transport */
+    this._canFallBack = config.transport === 'auto';
+
+    /** @type {URL|null} Legacy transport: POST endpoint announced by the SSE stream */
+    this._legacyEndpoint = null;
+
+    /** @type {Promise<URL>|null} Legacy transport: stream connection in progress */
+    this._legacyConnecting = null;
+
+    /** @type {AbortController|null} Legacy transport: aborts the SSE stream */
+    this._legacyController = null;
+
+    /** @type {Map<string, function(Object|Error): void>} Legacy transport: response waiters by id key */
+    this._legacyWaiters = new Map();
+
+    /** @type {number} Legacy transport: streams opened so far */
+    this.legacyConnectCount = 0;
+
+    /** @type {function(string, Object=): Promise<Response>} fetch that honors the outbound proxy and TLS options */
+    this.fetch = createProxyFetch(config.proxy, {
+      tls: config.tls,
+      socket: config.socketPath ? { path: config.socketPath, origin: config.url.origin } : null
+    });
+
+    /** @type {EndpointPool} Health and selection of the --http endpoints */
+    this.endpoints = new EndpointPool({
+      urls: config.urls,
+      policy: config.policy,
+      unhealthyAfter: config.unhealthyAfter,
+      healthCheckInterval: config.healthCheckInterval,
+      probe: url => this.probeEndpoint(url),
+      log: (...args) => this.log(...args)
+    });
+
+    /**
+     * Supplies bearer tokens and reacts to 401s (OAuthClient or ClientCredentialsProvider)
+     * @type {{ getAccessToken: function(): Promise<string|null>, handleUnauthorized: function(string|null): Promise<boolean> }|null}
+     */
+    this.authProvider = null;
+    if (config.oauthTokenUrl) {
+      this.authProvider = new ClientCredentialsProvider({
+        tokenUrl: config.oauthTokenUrl,
+        clientId: config.oauthClientId,
+        clientSecret: config.oauthClientSecret,
+        scope: config.oauthScope || undefined,
+        resource: canonicalResource(config.url),
+        fetch: this.fetch,
+        log: (...args) => this.log('[oauth]', ...args)
+      });
+    } else if (config.oauth) {
+      this.authProvider = new OAuthClient({
+        resourceUrl: config.url,
+        fetch: this.fetch,
+        log: (...args) => this.log('[oauth]', ...args)
+      });
+    }
+
+    /** @type {HeaderCommand[]} Credential helpers, re-run when stale or after a 401 */
+    this.headerCommands = config.headerCommands.map(spec => new HeaderCommand({
+      name: spec.name,
+      command: spec.command,
+      ttl: config.headerCommandTtl,
+      log: (...args) => this.log(...args)
+    }));
+
+    /** @type {import('./tool-filter').ToolFilter|null} Hides tools, prompts and resources */
+    this.filter = createToolFilter(config.filter, (...args) => this.log('[filter]', ...args));
+  }
+
+  /**
+   * Endpoint the session currently talks to
+   * @returns {URL}
+   */
+  get url() {
+    return this.endpoints.current;
   }
 
   /**
@@ -130,14 +558,16 @@ class HTTPProxySession {
 
   /**
    * Log headers with sensitive values masked
+   * Values produced by header commands are always masked.
    * @param {Object} headers - Headers object
    */
   logHeaders(headers) {
     if (!this.config.debug) return;
     
+    const commandHeaders = new Set(this.headerCommands.map(h => h.name.toLowerCase()));
     const masked = {};
     for (const [name, value] of Object.entries(headers)) {
-      masked[name] = maskSensitiveValue(name, value);
+      masked[name] = maskSensitiveValue(name, value, commandHeaders.has(name.toLowerCase()));
     }
     this.log('Headers:', masked);
   }
@@ -149,7 +579,7 @@ class HTTPProxySession {
   buildRequestHeaders() {
     const headers = {
       'Content-Type': 'application/json',
-      'Accept': 'application/json',
+      'Accept': 'application/json, text/event-stream',
       ...headersMapToObject(this.config.headers)
     };
 
@@ -161,37 +591,221 @@ class HTTPProxySession {
     return headers;
   }
 
+  /**
+   * Add header command values and the auth provider's bearer token to a headers object
+   * 
+   * @param {Object} headers - Headers object to update in place
+   * @returns {Promise<Object>} The same headers object
+   */
+  async applyAuthorization(headers) {
+    for (const headerCommand of this.headerCommands) {
+      try {
+        headers[headerCommand.name] = await headerCommand.getValue();
+      } catch (err) {
+        this.log(err.message);
+      }
+    }
+
+    if (!this.authProvider) {
+      return headers;
+    }
+
+    try {
+      const token = await this.authProvider.getAccessToken();
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+    } catch (err) {
+      this.log('Could not obtain access token:', err.message);
+    }
+    return headers;
+  }
+
   /**
    * Send a JSON-RPC request to the HTTP server
+   * Transient failures (429/502/503/504, connection resets) are retried with
+   * exponential backoff for idempotent methods when retries are configured.
    * 
    * @param {Object|Array} message - JSON-RPC message or batch
-   * @returns {Promise<Object|Array>} JSON-RPC response or batch
+   * @returns {Promise<Object|Array|null>} JSON-RPC response or batch (null when accepted without a body)
    */
   async sendRequest(message) {
     const isBatch = jsonrpc.isBatchRequest(message);
     const requestId = isBatch ? null : message.id;
 
-    this.log('Sending request:', isBatch ? `batch of ${message.length}` : message.method);
+    this.log('Sending request:', isBatch ? `batch of ${message.length}` : (message.method || `response ${message.id}`));
     
-    // Create abort controller for timeout
-    this._abortController = new AbortController();
+    // Request-level abort controller (client cancellation and shutdown)
+    const abortController = new AbortController();
+    this._abortControllers.add(abortController);
+    const trackId = !isBatch && message.method !== undefined && requestId !== undefined && requestId !== null;
+    if (trackId) {
+      this._inFlight.set(requestId, abortController);
+    }
+
+    const maxAttempts = this.isRetryable(message) ? this.config.retries + 1 : 1;
+    let recovered = false;
+    let reauthorized = false;
+    let failedOver = false;
+
+    try {
+      if (!isBatch && message.method === 'initialize') {
+        this.beginSession();
+      } else if (!this.endpoints.isHealthy(this.url) && this.endpoints.hasHealthyAlternative()) {
+        // A probe brought another endpoint back while ours is still down
+        await this.switchEndpoint(this.url, message);
+      }
+
+      // Transport fallback, re-authorization, failover and session recovery
+      // resend without using up the --retries budget
+      for (let attempt = 1; ;) {
+        const outcome = await this.attemptRequest(message, abortController.signal);
+
+        if (outcome.aborted && trackId && this._cancelledIds.has(requestId)) {
+          this.log('Request cancelled by client:', requestId);
+          return null;
+        }
+
+        // First POST rejected: the server only speaks the legacy HTTP+SSE transport
+        if (outcome.transportFallback) {
+          continue;
+        }
+
+        // Credentials missing or rejected: refresh them once and resend
+        if (outcome.unauthorized && !reauthorized && (this.authProvider || this.headerCommands.length > 0)) {
+          reauthorized = true;
+          let resend = this.headerCommands.length > 0;
+          for (const headerCommand of this.headerCommands) {
+            headerCommand.invalidate();
+          }
+          if (this.authProvider) {
+            try {
+              if (await this.authProvider.handleUnauthorized(outcome.wwwAuthenticate)) {
+                resend = true;
+              }
+            } catch (err) {
+              this.log('Authorization failed:', err.message);
+              return jsonrpc.authError(requestId, `Authorization failed: ${err.message}`, {
+                statusCode: 401
+              });
+            }
+          }
+          if (resend) {
+            continue;
+          }
+        }
+
+        // Endpoint just became unhealthy: move to another one and resend if that is safe
+        if (outcome.transportError && !failedOver && !this.endpoints.isHealthy(outcome.endpoint) &&
+            this.endpoints.hasHealthyAlternative()) {
+          failedOver = true;
+          if (await this.switchEndpoint(outcome.endpoint, message) && this.canResendAfterFailover(message, outcome.errorCode)) {
+            continue;
+          }
+        }
+
+        // Server lost our session: re-initialize once and resend
+        if (outcome.sessionExpired && !recovered && this.canRecoverSession(message)) {
+          recovered = true;
+          if (await this.recoverSession(outcome.sessionId)) {
+            continue;
+          }
+        }
+
+        if (!outcome.retryable || attempt >= maxAttempts || !this.isActive) {
+          return outcome.response;
+        }
+
+        const delay = this.getRetryDelay(attempt, outcome.retryAfter);
+        this.log(`Retrying in ${delay}ms (attempt ${attempt + 1} of ${maxAttempts})`);
+        await sleep(delay, abortController.signal);
+
+        if (abortController.signal.aborted) {
+          if (trackId && this._cancelledIds.has(requestId)) {
+            this.log('Request cancelled by client:', requestId);
+            return null;
+          }
+          return outcome.response;
+        }
+        attempt++;
+      }
+    } finally {
+      this._abortControllers.delete(abortController);
+      if (trackId && this._inFlight.get(requestId) === abortController) {
+        this._inFlight.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Perform a single HTTP exchange for a JSON-RPC message
+   * With the legacy HTTP+SSE transport the message is POSTed to the endpoint
+   * announced by the SSE stream and the response is awaited on that stream.
+   * 
+   * @param {Object|Array} message - JSON-RPC message or batch
+   * @param {AbortSignal} signal - Request-level abort signal
+   * @returns {Promise<{ response: Object|Array|null, retryable: boolean, retryAfter?: number|null, aborted?: boolean, sessionExpired?: boolean, sessionId?: string|null, unauthorized?: boolean, wwwAuthenticate?: string|null, transportFallback?: boolean, transportError?: boolean, endpoint?: URL, errorCode?: string }>}
+   */
+  async attemptRequest(message, signal) {
+    const isBatch = jsonrpc.isBatchRequest(message);
+    const requestId = isBatch ? null : message.id;
+
+    // Per-attempt controller: timeout, plus the request-level signal
+    const attemptController = new AbortController();
+    const onAbort = () => attemptController.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    if (signal.aborted) {
+      attemptController.abort();
+    }
     const timeoutId = setTimeout(() => {
-      this._abortController.abort();
+      attemptController.abort();
     }, this.config.timeout);
 
+    let responded = false;
+    const sentSessionId = this.sessionId;
+    const legacy = this.transport === 'sse';
+    const endpoint = this.url;
+    let waiter = null;
+
     try {
-      const headers = this.buildRequestHeaders();
+      let target = endpoint;
+      if (legacy) {
+        // A lost stream means a lost server session: re-initialize first
+        if (!this._legacyEndpoint && this.legacyConnectCount > 0 && this.canRecoverSession(message) &&
+            !this._recovery) {
+          return { response: null, retryable: false, sessionExpired: true, sessionId: sentSessionId };
+        }
+        try {
+          target = await this.connectLegacyStream();
+        } catch (err) {
+          const failure = this.legacyConnectFailure(err, requestId);
+          if (!err.status) {
+            this.endpoints.recordFailure(endpoint, err);
+            failure.transportError = true;
+            failure.endpoint = endpoint;
+            failure.errorCode = err.code || (err.cause && err.cause.code);
+          }
+          return failure;
+        }
+        waiter = this.awaitLegacyResponses(message);
+      }
+
+      const headers = await this.applyAuthorization(this.buildRequestHeaders());
       this.logHeaders(headers);
 
-      const response = await fetch(this.config.url.toString(), {
+      const response = await this.fetch(target.toString(), {
         method: 'POST',
         headers,
         body: JSON.stringify(message),
-        signal: this._abortController.signal
+        signal: attemptController.signal
       });
 
-      clearTimeout(timeoutId);
+      if (!legacy) {
+        clearTimeout(timeoutId);
+      }
+      responded = true;
       this.requestCount++;
+      this.endpoints.recordSuccess(endpoint);
 
       // Capture session ID from response
       const responseSessionId = response.headers.get('Mcp-Session-Id');
@@ -217,80 +831,928 @@ class HTTPProxySession {
         }
         
         this.log('HTTP error:', response.status, statusText);
-        return jsonrpc.fromHttpError(response.status, statusText, requestId, body);
+
+        // No single-endpoint POST here: switch to the legacy transport and resend
+        if (this._canFallBack && !legacy && sentSessionId === null &&
+            (response.status === 404 || response.status === 405)) {
+          this.log(`POST returned ${response.status}; falling back to the legacy HTTP+SSE transport`);
+          this._canFallBack = false;
+          this.transport = 'sse';
+          return { response: null, retryable: false, transportFallback: true };
+        }
+
+        // Legacy endpoint unknown: the server dropped our stream's session
+        if (legacy && response.status === 404) {
+          this.closeLegacyStream();
+        }
+
+        return {
+          response: jsonrpc.fromHttpError(response.status, statusText, requestId, body),
+          retryable: RETRYABLE_STATUS_CODES.has(response.status),
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+          // 404 to a request carrying a session id means the session is gone
+          sessionExpired: response.status === 404 && (sentSessionId !== null || legacy),
+          sessionId: sentSessionId,
+          unauthorized: response.status === 401,
+          wwwAuthenticate: response.headers.get('WWW-Authenticate')
+        };
+      }
+
+      this._canFallBack = false;
+
+      // Legacy transport: the POST is only an acknowledgement
+      if (legacy) {
+        await response.arrayBuffer().catch(() => {});
+        if (!waiter) {
+          return { response: null, retryable: false };
+        }
+        const result = await waiter.wait(attemptController.signal);
+        this.log('Response received on SSE stream');
+        return { response: result, retryable: false };
+      }
+
+      // Accepted without a body (notifications and responses only)
+      if (response.status === 202) {
+        this.log('Accepted (202)');
+        return { response: null, retryable: false };
       }
 
       // Parse response
       const contentType = response.headers.get('Content-Type') || '';
       
-      // Handle SSE responses (deferred to v1.1 - return error for now)
+      // Handle SSE responses (Streamable HTTP)
       if (contentType.includes('text/event-stream')) {
-        this.log('SSE response not supported in this version');
-        return jsonrpc.internalError(
-          requestId,
-          'SSE responses not supported in this version. Please use a server that returns JSON.',
-          { contentType }
-        );
+        return { response: await this.readSSEResponse(response, message), retryable: false };
       }
 
       // Parse JSON response
       const data = await response.json();
       this.log('Response received');
-      return data;
+      return { response: data, retryable: false };
 
     } catch (err) {
       clearTimeout(timeoutId);
-      
+
+      // Handle abort by notifications/cancelled or shutdown
+      if (err.name === 'AbortError' && signal.aborted) {
+        return {
+          response: jsonrpc.fromNetworkError({ name: 'AbortError', message: 'Request aborted' }, requestId),
+          retryable: false,
+          aborted: true
+        };
+      }
+
       // Handle abort (timeout)
       if (err.name === 'AbortError') {
         this.log('Request timeout');
-        return jsonrpc.fromNetworkError(
-          { name: 'TimeoutError', message: `Request timeout after ${this.config.timeout}ms` },
-          requestId
-        );
+        return {
+          response: jsonrpc.fromNetworkError(
+            { name: 'TimeoutError', message: `Request timeout after ${this.config.timeout}ms` },
+            requestId
+          ),
+          retryable: false
+        };
       }
 
       // Handle network errors
       this.log('Network error:', err.message);
-      return jsonrpc.fromNetworkError(err, requestId);
+      const code = err.code || (err.cause && err.cause.code);
+      if (!responded) {
+        this.endpoints.recordFailure(endpoint, err);
+      }
+      return {
+        response: jsonrpc.fromNetworkError(err, requestId),
+        // Only retry before any response arrived; a broken stream may have been partially forwarded
+        retryable: !responded && RETRYABLE_NETWORK_CODES.has(code),
+        transportError: !responded,
+        endpoint,
+        errorCode: code
+      };
     } finally {
-      this._abortController = null;
+      clearTimeout(timeoutId);
+      signal.removeEventListener('abort', onAbort);
+      if (waiter) {
+        waiter.cancel();
+      }
     }
   }
 
   /**
-   * Process a single line of input (NDJSON)
+   * Map a failure to open the legacy SSE stream to a request outcome
    * 
-   * @param {string} line - Input line
-   * @returns {Promise<string|null>} Output line or null if no response needed
+   * @param {Error & { status?: number, statusText?: string, wwwAuthenticate?: string|null }} err - Connection error
+   * @param {string|number|null} requestId - JSON-RPC id of the request
+   * @returns {{ response: Object, retryable: boolean, unauthorized?: boolean, wwwAuthenticate?: string|null }}
    */
-  async processLine(line) {
-    // Skip empty lines
-    const trimmed = line.trim();
-    if (!trimmed) {
-      return null;
+  legacyConnectFailure(err, requestId) {
+    this.log('Could not open legacy SSE stream:', err.message);
+    if (err.status) {
+      return {
+        response: jsonrpc.fromHttpError(err.status, err.statusText || 'Unknown Error', requestId),
+        retryable: RETRYABLE_STATUS_CODES.has(err.status),
+        unauthorized: err.status === 401,
+        wwwAuthenticate: err.wwwAuthenticate
+      };
     }
+    const code = err.code || (err.cause && err.cause.code);
+    return {
+      response: jsonrpc.fromNetworkError(err, requestId),
+      retryable: RETRYABLE_NETWORK_CODES.has(code)
+    };
+  }
 
-    // Parse JSON
-    let message;
+  /**
+   * Legacy transport: open the SSE stream if needed and return the POST endpoint
+   * Concurrent callers share one connection attempt.
+   * 
+   * @returns {Promise<URL>} Endpoint announced by the server
+   */
+  connectLegacyStream() {
+    if (this._legacyEndpoint) {
+      return Promise.resolve(this._legacyEndpoint);
+    }
+    if (!this._legacyConnecting) {
+      this._legacyConnecting = this.openLegacyStream().finally(() => {
+        this._legacyConnecting = null;
+      });
+    }
+    return this._legacyConnecting;
+  }
+
+  /**
+   * Legacy transport: GET the SSE stream and wait for its endpoint event
+   * The stream keeps being read in the background; responses resolve
+   * waiters and everything else is written to stdout.
+   * 
+   * @returns {Promise<URL>} Endpoint announced by the server
+   */
+  async openLegacyStream() {
+    const controller = new AbortController();
+    this._legacyController = controller;
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    const headers = this.buildRequestHeaders();
+    delete headers['Content-Type'];
+    headers['Accept'] = 'text/event-stream';
+    await this.applyAuthorization(headers);
+
+    const serverUrl = this.url;
+    this.log('Opening legacy SSE stream:', serverUrl.toString());
+    let response;
     try {
-      message = JSON.parse(trimmed);
+      response = await this.fetch(serverUrl.toString(), { method: 'GET', headers, signal: controller.signal });
     } catch (err) {
-      this.log('Parse error:', err.message);
-      return JSON.stringify(jsonrpc.parseError(err.message));
+      clearTimeout(timeoutId);
+      if (err.name === 'AbortError') {
+        throw new Error(`Timed out opening SSE stream after ${this.config.timeout}ms`);
+      }
+      throw err;
     }
 
-    // Validate request(s)
-    const isBatch = jsonrpc.isBatchRequest(message);
-    
-    if (isBatch) {
-      // Validate batch - must be non-empty array
-      if (message.length === 0) {
-        return JSON.stringify(jsonrpc.invalidRequest(null, 'Empty batch'));
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      clearTimeout(timeoutId);
+      controller.abort();
+      const err = new Error(`SSE stream unavailable: HTTP ${response.status}`);
+      err.status = response.ok ? 406 : response.status;
+      err.statusText = response.ok ? `Unexpected Content-Type ${contentType}` : response.statusText;
+      err.wwwAuthenticate = response.headers.get('WWW-Authenticate');
+      throw err;
+    }
+
+    let resolveEndpoint, rejectEndpoint;
+    const endpoint = new Promise((resolve, reject) => {
+      resolveEndpoint = resolve;
+      rejectEndpoint = reject;
+    });
+
+    readEventStream(response.body, (event) => {
+      if (event.event === 'endpoint') {
+        let url;
+        try {
+          url = new URL(event.data.trim(), serverUrl);
+        } catch (err) {
+          rejectEndpoint(new Error(`Invalid endpoint event: ${event.data}`));
+          return false;
+        }
+        // Credentials are sent to the endpoint, so it must not leave the server's origin
+        if (url.origin !== serverUrl.origin) {
+          rejectEndpoint(new Error(`Endpoint ${url.origin} does not match server origin ${serverUrl.origin}`));
+          return false;
+        }
+        resolveEndpoint(url);
+        return;
       }
-      
-      // Validate each request in batch
-      for (let i = 0; i < message.length; i++) {
+      this.handleLegacyEvent(event);
+    })
+      .catch((err) => {
+        if (!controller.signal.aborted) {
+          this.log('Legacy SSE stream error:', err.message);
+        }
+      })
+      .finally(() => {
+        clearTimeout(timeoutId);
+        rejectEndpoint(controller.signal.aborted
+          ? new Error(`Timed out waiting for endpoint event after ${this.config.timeout}ms`)
+          : new Error('SSE stream closed before an endpoint event was received'));
+        this.legacyStreamClosed(controller);
+      });
+
+    const url = await endpoint;
+    clearTimeout(timeoutId);
+    this._legacyEndpoint = url;
+    this.legacyConnectCount++;
+    this.log('Legacy endpoint:', url.toString());
+    return url;
+  }
+
+  /**
+   * Legacy transport: dispatch a message event from the SSE stream
+   * 
+   * @param {import('./sse-parser').SSEEvent} event - SSE event
+   */
+  handleLegacyEvent(event) {
+    if (event.event !== 'message') {
+      this.log('Ignoring SSE event type:', event.event);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(event.data);
+    } catch (err) {
+      this.log('Ignoring non-JSON SSE event:', err.message);
+      return;
+    }
+
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      const waiter = jsonrpc.isResponse(item) ? this._legacyWaiters.get(JSON.stringify(item.id)) : null;
+      if (waiter) {
+        waiter(item);
+      } else {
+        this.log('Server message:', item.method || `response ${item.id}`);
+        this.writeMessage(item);
+      }
+    }
+  }
+
+  /**
+   * Legacy transport: register for the responses to a message's requests
+   * 
+   * @param {Object|Array} message - JSON-RPC message or batch about to be POSTed
+   * @returns {{ wait: function(AbortSignal): Promise<Object|Array>, cancel: function(): void }|null} Null if nothing awaits a response
+   */
+  awaitLegacyResponses(message) {
+    const isBatch = jsonrpc.isBatchRequest(message);
+    const requests = (isBatch ? message : [message])
+      .filter(m => m && m.method !== undefined && m.id !== undefined && m.id !== null);
+    if (requests.length === 0) {
+      return null;
+    }
+
+    const keys = requests.map(r => JSON.stringify(r.id));
+    const responses = new Map();
+    let settle;
+    const done = new Promise((resolve, reject) => {
+      settle = (value) => (value instanceof Error ? reject(value) : resolve(value));
+    });
+
+    for (const key of keys) {
+      this._legacyWaiters.set(key, (item) => {
+        if (item instanceof Error) {
+          settle(item);
+          return;
+        }
+        responses.set(key, item);
+        this._legacyWaiters.delete(key);
+        if (responses.size === keys.length) {
+          settle(isBatch ? keys.map(k => responses.get(k)) : responses.get(keys[0]));
+        }
+      });
+    }
+
+    const cancel = () => {
+      for (const key of keys) {
+        this._legacyWaiters.delete(key);
+      }
+    };
+
+    const wait = (signal) => new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const err = new Error('Request aborted');
+        err.name = 'AbortError';
+        reject(err);
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      done.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+
+    return { wait, cancel };
+  }
+
+  /**
+   * Legacy transport: forget a stream that ended, failing requests still waiting on it
+   * 
+   * @param {AbortController} controller - Controller of the stream that ended
+   */
+  legacyStreamClosed(controller) {
+    if (this._legacyController !== controller) {
+      return;
+    }
+    this.log('Legacy SSE stream closed');
+    this._legacyController = null;
+    this._legacyEndpoint = null;
+
+    const err = new Error('SSE stream closed before a response was received');
+    for (const waiter of [...this._legacyWaiters.values()]) {
+      waiter(err);
+    }
+    this._legacyWaiters.clear();
+  }
+
+  /**
+   * Legacy transport: close the SSE stream, if open
+   */
+  closeLegacyStream() {
+    if (this._legacyController) {
+      this._legacyController.abort();
+    }
+  }
+
+  /**
+   * Remember the client's lifecycle handshake so it can be replayed
+   * 
+   * @param {Object|Array} message - JSON-RPC message from the client
+   */
+  captureLifecycleMessage(message) {
+    if (jsonrpc.isBatchRequest(message)) {
+      return;
+    }
+    if (message.method === 'initialize') {
+      this._initializeRequest = message;
+      this._initializedNotification = null;
+    } else if (message.method === 'notifications/initialized') {
+      this._initializedNotification = message;
+    }
+  }
+
+  /**
+   * Check whether a failed message can be resent after session recovery
+   * 
+   * @param {Object|Array} message - JSON-RPC message or batch
+   * @returns {boolean} True if a cached handshake exists and the message is not itself initialize
+   */
+  canRecoverSession(message) {
+    if (!this._initializeRequest || !this.isActive) {
+      return false;
+    }
+    const messages = jsonrpc.isBatchRequest(message) ? message : [message];
+    return !messages.some(m => m && m.method === 'initialize');
+  }
+
+  /**
+   * Re-establish an expired session
+   * Replays the cached initialize request and notifications/initialized,
+   * swallowing the server's initialize response, and tells the client via
+   * a notifications/message log entry. Concurrent callers share one attempt.
+   * 
+   * @param {string|null} staleSessionId - Session id the server rejected
+   * @returns {Promise<boolean>} True if a new session is in place
+   */
+  recoverSession(staleSessionId) {
+    if (this._recovery) {
+      return this._recovery;
+    }
+
+    // Another request already replaced the stale session
+    if (this.sessionId !== staleSessionId) {
+      return Promise.resolve(true);
+    }
+
+    this.log('Session expired:', staleSessionId, '- re-initializing');
+    const notice = `Session with ${this.url.toString()} expired; reconnected with a new session. ` +
+      'Server-side state (e.g. subscriptions) may need to be re-established.';
+    this._recovery = this._replayHandshake(notice).finally(() => {
+      this._recovery = null;
+    });
+    return this._recovery;
+  }
+
+  /**
+   * Replay the cached handshake on the current endpoint
+   * Used by recoverSession and switchEndpoint.
+   * 
+   * @param {string} notice - Text of the notifications/message sent to the client on success
+   * @returns {Promise<boolean>} True if a new session is in place
+   * @private
+   */
+  async _replayHandshake(notice) {
+    this.sessionId = null;
+    this.stopEventStream();
+
+    const signal = new AbortController().signal;
+    const initialize = {
+      ...this._initializeRequest,
+      id: `mcp-cross-reinitialize-${this.recoveryCount + 1}`
+    };
+
+    const init = await this.attemptRequest(initialize, signal);
+    if (!init.response || init.response.error) {
+      this.log('Session recovery failed:', init.response && init.response.error
+        ? init.response.error.message
+        : 'no response');
+      return false;
+    }
+
+    if (this._initializedNotification) {
+      await this.attemptRequest(this._initializedNotification, signal);
+    }
+
+    this.recoveryCount++;
+    this.log('Session recovered:', this.sessionId);
+
+    this.writeMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: {
+        level: 'warning',
+        logger: 'mcp-cross',
+        data: notice
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Pick the endpoint for the client's initialize (a new session)
+   * Per-endpoint state is dropped when the policy moves the session elsewhere.
+   */
+  beginSession() {
+    const previous = this.url;
+    if (this.endpoints.selectForSession() !== previous) {
+      this.log(`New session uses ${this.url}`);
+      this.resetEndpointState();
+    }
+  }
+
+  /**
+   * Forget everything tied to the current endpoint
+   * Session ids, event streams and the detected transport do not carry over.
+   */
+  resetEndpointState() {
+    this.sessionId = null;
+    this.stopEventStream();
+    this.closeLegacyStream();
+    this._legacyEndpoint = null;
+    this.legacyConnectCount = 0;
+    this.transport = this.config.transport === 'sse' ? 'sse' : 'streamable-http';
+    this._canFallBack = this.config.transport === 'auto';
+  }
+
+  /**
+   * Move the session off an unhealthy endpoint
+   * Re-initializes on the new endpoint by replaying the cached handshake,
+   * since session ids are not portable. Concurrent callers share one attempt.
+   * 
+   * @param {URL} failedUrl - Endpoint that failed
+   * @param {Object|Array} message - Message that triggered the switch
+   * @returns {Promise<boolean>} True if the session now uses a healthy endpoint
+   */
+  switchEndpoint(failedUrl, message) {
+    if (this._recovery) {
+      return this._recovery;
+    }
+
+    // Another request already moved the session
+    if (this.url.href !== failedUrl.href) {
+      return Promise.resolve(true);
+    }
+
+    this._recovery = this._failover(message).finally(() => {
+      this._recovery = null;
+    });
+    return this._recovery;
+  }
+
+  /**
+   * Perform the endpoint switch for switchEndpoint
+   * 
+   * @param {Object|Array} message - Message that triggered the switch
+   * @returns {Promise<boolean>} True if the session now uses a healthy endpoint
+   * @private
+   */
+  async _failover(message) {
+    const failedUrl = this.url;
+    if (!this.endpoints.failover()) {
+      this.log('No healthy endpoint to fail over to');
+      return false;
+    }
+
+    this.log(`Failing over from ${failedUrl} to ${this.url}`);
+    this.resetEndpointState();
+
+    // Nothing to replay yet, or the message is the client's own initialize
+    if (!this.canRecoverSession(message)) {
+      return true;
+    }
+
+    const notice = `Endpoint ${failedUrl.toString()} is unreachable; switched to ${this.url.toString()} with a new session. ` +
+      'Server-side state (e.g. subscriptions) may need to be re-established.';
+    return this._replayHandshake(notice);
+  }
+
+  /**
+   * Check whether a message that failed on an unhealthy endpoint may be resent
+   * after failover: either the connection was never established, or every
+   * request in it is idempotent.
+   * 
+   * @param {Object|Array} message - JSON-RPC message or batch
+   * @param {string|undefined} errorCode - Network error code of the failure
+   * @returns {boolean}
+   */
+  canResendAfterFailover(message, errorCode) {
+    if (CONNECT_FAILURE_CODES.has(errorCode)) {
+      return true;
+    }
+    const messages = jsonrpc.isBatchRequest(message) ? message : [message];
+    return messages.every(m => m && typeof m.method === 'string' &&
+      (m.id === undefined || isIdempotentMethod(m.method)));
+  }
+
+  /**
+   * Health check: POST a ping to an endpoint outside the session
+   * Any HTTP response below 500 (even "session required") proves the
+   * endpoint is reachable.
+   * 
+   * @param {URL} url - Endpoint to probe
+   * @returns {Promise<boolean>} True if the endpoint answered
+   */
+  async probeEndpoint(url) {
+    const headers = await this.applyAuthorization({
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...headersMapToObject(this.config.headers)
+    });
+    try {
+      const response = await this.fetch(url.toString(), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jsonrpc: '2.0', id: 'mcp-cross-health-check', method: 'ping' }),
+        signal: AbortSignal.timeout(Math.min(this.config.timeout, HEALTH_CHECK_TIMEOUT))
+      });
+      await response.arrayBuffer().catch(() => {});
+      this.log(`Health check of ${url}: HTTP ${response.status}`);
+      return response.status < 500;
+    } catch (err) {
+      this.log(`Health check of ${url} failed:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a message may be replayed after a transient failure
+   * Only idempotent requests qualify; tools/call requires --retry-tools-call.
+   * 
+   * @param {Object|Array} message - JSON-RPC message or batch
+   * @returns {boolean} True if the message may be retried
+   */
+  isRetryable(message) {
+    if (this.config.retries <= 0) {
+      return false;
+    }
+
+    const requests = jsonrpc.isBatchRequest(message) ? message : [message];
+    return requests.length > 0 && requests.every((request) => {
+      if (!request || typeof request.method !== 'string' || request.id === undefined) {
+        return false;
+      }
+      if (request.method === 'tools/call') {
+        return this.config.retryToolsCall;
+      }
+      return isIdempotentMethod(request.method);
+    });
+  }
+
+  /**
+   * Compute the delay before the next retry
+   * Exponential backoff with jitter, unless the server sent Retry-After.
+   * 
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {number|null} [retryAfter] - Server-requested delay in ms
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt, retryAfter) {
+    if (typeof retryAfter === 'number' && retryAfter >= 0) {
+      return Math.min(retryAfter, RETRY_MAX_DELAY);
+    }
+
+    const exponential = this.config.retryBackoff * 2 ** (attempt - 1);
+    // Jitter between 50% and 100% of the exponential delay
+    const jittered = exponential * (0.5 + Math.random() / 2);
+    return Math.round(Math.min(jittered, RETRY_MAX_DELAY));
+  }
+
+  /**
+   * Abort the in-flight request with the given JSON-RPC id
+   * Any response that still arrives for it is dropped.
+   * 
+   * @param {string|number} requestId - JSON-RPC id from notifications/cancelled
+   * @param {string} [reason] - Cancellation reason (for logging)
+   * @returns {boolean} True if a matching request was in flight
+   */
+  cancelRequest(requestId, reason) {
+    const controller = this._inFlight.get(requestId);
+    if (!controller) {
+      this.log('Cancellation for unknown or completed request:', requestId);
+      return false;
+    }
+
+    this.log('Cancelling request:', requestId, reason ? `(${reason})` : '');
+    this._cancelledIds.add(requestId);
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Read a text/event-stream response body
+   * Every JSON-RPC message in the stream other than the response(s) to the
+   * request is written to stdout as it arrives; the response is returned.
+   * 
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {Object|Array} message - The JSON-RPC message or batch that was sent
+   * @returns {Promise<Object|Array>} JSON-RPC response or batch
+   */
+  async readSSEResponse(response, message) {
+    const isBatch = jsonrpc.isBatchRequest(message);
+    const requests = isBatch ? message : [message];
+    const pendingIds = new Set(
+      requests
+        .filter(r => r && r.id !== undefined && r.id !== null)
+        .map(r => r.id)
+    );
+    const responses = [];
+
+    this.log('Reading SSE response stream');
+
+    await readEventStream(response.body, (event) => {
+      if (event.event !== 'message') {
+        this.log('Ignoring SSE event type:', event.event);
+        return;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(event.data);
+      } catch (err) {
+        this.log('Ignoring non-JSON SSE event:', err.message);
+        return;
+      }
+
+      for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (jsonrpc.isResponse(item) && pendingIds.has(item.id)) {
+          pendingIds.delete(item.id);
+          responses.push(item);
+        } else {
+          this.writeMessage(item);
+        }
+      }
+
+      // Stop reading once every request has been answered
+      if (pendingIds.size === 0 && responses.length > 0) {
+        return false;
+      }
+    });
+
+    // Requests the stream never answered
+    for (const id of pendingIds) {
+      this.log('SSE stream ended without response for id:', id);
+      responses.push(jsonrpc.internalError(id, 'SSE stream ended before a response was received'));
+    }
+
+    this.log('SSE response complete');
+    return isBatch ? responses : (responses[0] || null);
+  }
+
+  /**
+   * Start the background GET listener for server-initiated messages
+   * Safe to call more than once; only one listener runs at a time.
+   * 
+   * @returns {Promise<void>} Resolves when the listener stops
+   */
+  startEventStream() {
+    if (this._eventStream) {
+      return this._eventStream;
+    }
+
+    this._eventStreamController = new AbortController();
+    this._eventStream = this.runEventStream(this._eventStreamController.signal)
+      .catch((err) => {
+        this.log('Event stream error:', err.message);
+      })
+      .finally(() => {
+        this._eventStream = null;
+        this._eventStreamController = null;
+      });
+
+    return this._eventStream;
+  }
+
+  /**
+   * Stop the background GET listener, if running
+   */
+  stopEventStream() {
+    if (this._eventStreamController) {
+      this._eventStreamController.abort();
+    }
+  }
+
+  /**
+   * GET listener loop
+   * Opens the event stream on the MCP endpoint and writes every message to
+   * stdout. Dropped streams are reopened with Last-Event-ID so the server can
+   * replay missed messages; a 405 means the server offers no such stream.
+   * 
+   * @param {AbortSignal} signal - Aborts the listener
+   * @returns {Promise<void>}
+   */
+  async runEventStream(signal) {
+    let lastEventId = null;
+    let retryDelay = EVENT_STREAM_RETRY_DELAY;
+    let failures = 0;
+
+    while (this.isActive && !signal.aborted) {
+      const headers = this.buildRequestHeaders();
+      delete headers['Content-Type'];
+      headers['Accept'] = 'text/event-stream';
+      if (lastEventId !== null) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+      await this.applyAuthorization(headers);
+
+      try {
+        this.log('Opening event stream', lastEventId !== null ? `(Last-Event-ID: ${lastEventId})` : '');
+        const response = await this.fetch(this.url.toString(), {
+          method: 'GET',
+          headers,
+          signal
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+
+        if (response.status === 405) {
+          this.log('Server does not offer a GET event stream');
+          return;
+        }
+
+        if (response.status === 404) {
+          this.log('Event stream rejected: session not found');
+          return;
+        }
+
+        if (!response.ok || !contentType.includes('text/event-stream')) {
+          this.log('Event stream unavailable:', response.status, contentType);
+          failures++;
+        } else {
+          failures = 0;
+          const parser = await readEventStream(response.body, (event) => {
+            if (event.id !== undefined) {
+              lastEventId = event.id;
+            }
+            this.handleStreamEvent(event);
+          });
+          if (parser.retry !== null) {
+            retryDelay = parser.retry;
+          }
+          this.log('Event stream closed by server');
+        }
+      } catch (err) {
+        if (signal.aborted) {
+          break;
+        }
+        this.log('Event stream error:', err.message);
+        failures++;
+      }
+
+      if (failures >= EVENT_STREAM_MAX_FAILURES) {
+        this.log(`Event stream failed ${failures} times, giving up`);
+        return;
+      }
+
+      const backoff = failures > 0
+        ? Math.min(retryDelay * 2 ** (failures - 1), EVENT_STREAM_MAX_RETRY_DELAY)
+        : retryDelay;
+      await sleep(backoff, signal);
+    }
+
+    this.log('Event stream stopped');
+  }
+
+  /**
+   * Forward a message received on the GET event stream to stdout
+   * 
+   * @param {import('./sse-parser').SSEEvent} event - SSE event
+   */
+  handleStreamEvent(event) {
+    if (event.event !== 'message') {
+      this.log('Ignoring SSE event type:', event.event);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(event.data);
+    } catch (err) {
+      this.log('Ignoring non-JSON SSE event:', err.message);
+      return;
+    }
+
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      this.log('Server message:', item.method || `response ${item.id}`);
+      this.writeMessage(item);
+    }
+  }
+
+  /**
+   * Write a JSON-RPC message to stdout as a single NDJSON line
+   * 
+   * @param {Object|Array} message - JSON-RPC message
+   */
+  writeMessage(message) {
+    if (this.filter) {
+      message = this.filter.filterServerMessage(message);
+      if (message === null) {
+        return;
+      }
+    }
+    this.writeLine(JSON.stringify(message));
+  }
+
+  /**
+   * Write a single NDJSON line to stdout
+   * 
+   * @param {string} line - Serialized JSON-RPC message
+   */
+  writeLine(line) {
+    process.stdout.write(line + '\n');
+  }
+
+  /**
+   * Peek at the method of a single (non-batch) message line
+   * Used by start() to schedule lines before they are fully processed.
+   * 
+   * @param {string} line - Raw input line
+   * @returns {string|null} Method name, or null for batches, responses and invalid JSON
+   */
+  peekMethod(line) {
+    try {
+      const message = JSON.parse(line);
+      if (Array.isArray(message) || message === null || typeof message.method !== 'string') {
+        return null;
+      }
+      return message.method;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Process a single line of input (NDJSON)
+   * 
+   * @param {string} line - Input line
+   * @returns {Promise<string|null>} Output line or null if no response needed
+   */
+  async processLine(line) {
+    // Skip empty lines
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    // Parse JSON
+    let message;
+    try {
+      message = JSON.parse(trimmed);
+    } catch (err) {
+      this.log('Parse error:', err.message);
+      return JSON.stringify(jsonrpc.parseError(err.message));
+    }
+
+    // Validate request(s)
+    const isBatch = jsonrpc.isBatchRequest(message);
+    
+    if (isBatch) {
+      // Validate batch - must be non-empty array
+      if (message.length === 0) {
+        return JSON.stringify(jsonrpc.invalidRequest(null, 'Empty batch'));
+      }
+      
+      // Validate each request in batch
+      for (let i = 0; i < message.length; i++) {
         const validation = jsonrpc.isValidRequest(message[i]);
         if (!validation.valid) {
           // For batch, return error for invalid request
@@ -299,6 +1761,10 @@ class HTTPProxySession {
           this.log(`Batch item ${i} invalid:`, validation.error);
         }
       }
+    } else if (jsonrpc.isResponse(message)) {
+      // Reply to a server-initiated request (e.g. sampling/createMessage)
+      await this.sendRequest(message);
+      return null;
     } else {
       // Validate single request
       const validation = jsonrpc.isValidRequest(message);
@@ -307,49 +1773,161 @@ class HTTPProxySession {
       }
     }
 
+    // Answer requests for hidden tools, prompts and resources here
+    let rejected = [];
+    if (this.filter) {
+      const filtered = this.filter.filterClientMessage(message);
+      rejected = filtered.rejected;
+      if (filtered.forward === null) {
+        return rejected.length > 0 ? JSON.stringify(isBatch ? rejected : rejected[0]) : null;
+      }
+      message = filtered.forward;
+    }
+
+    // Cache the handshake for session recovery
+    this.captureLifecycleMessage(message);
+
+    // Abort the matching in-flight request, then still tell the server
+    if (!isBatch && message.method === 'notifications/cancelled' && message.params &&
+        message.params.requestId !== undefined) {
+      this.cancelRequest(message.params.requestId, message.params.reason);
+    }
+
     // Send to HTTP server
-    const response = await this.sendRequest(message);
+    let response;
+    try {
+      response = await this.sendRequest(message);
+      if (this.filter && response !== null) {
+        response = this.filter.filterServerMessage(response);
+      }
+    } finally {
+      // Once sendRequest is done no response follows, even if none came back
+      if (this.filter) {
+        for (const request of isBatch ? message : [message]) {
+          if (request && request.method && request.id !== undefined && request.id !== null) {
+            this.filter.forget(request.id);
+          }
+        }
+      }
+    }
+
+    // Drop late responses for requests the client cancelled
+    if (!isBatch && this._cancelledIds.delete(message.id)) {
+      this.log('Dropping response for cancelled request:', message.id);
+      return null;
+    }
+
+    // Listen for server-initiated messages once the session is known
+    if (this.sessionId && !this._eventStream && this.isActive) {
+      this.startEventStream();
+    }
     
     // Notifications (no id) don't get responses
     if (!isBatch && message.id === undefined) {
       return null;
     }
 
+    // Filtered batch items are answered alongside the server's responses
+    if (rejected.length > 0) {
+      response = [...(Array.isArray(response) ? response : []), ...rejected];
+    }
+
+    // Batch of notifications only
+    if (response === null || (Array.isArray(response) && response.length === 0)) {
+      return null;
+    }
+
     return JSON.stringify(response);
   }
 
   /**
    * Start the stdio-HTTP bridge
-   * Reads NDJSON from stdin, sends to HTTP, writes responses to stdout
+   * Reads NDJSON from stdin, sends to HTTP, writes responses to stdout.
+   * Requests are dispatched concurrently (up to maxConcurrency) and each
+   * response is written as soon as it completes; the lifecycle handshake
+   * is dispatched on its own so the session exists before other traffic,
+   * and notifications/cancelled is never held back by the limit.
    * 
-   * @returns {Promise<void>} Resolves when stdin closes
+   * @param {import('stream').Readable} [input=process.stdin] - NDJSON input stream
+   * @returns {Promise<void>} Resolves when stdin closes and in-flight requests finish
    */
-  async start() {
+  async start(input = process.stdin) {
     // Warn about insecure HTTP
-    if (!isHttps(this.config.url) && !isLocalhost(this.config.url.hostname)) {
+    if (this.config.urls.some(url => !isHttps(url) && !isLocalhost(url))) {
       console.error(`[http-proxy] Warning: Using insecure HTTP for non-localhost URL. Consider using HTTPS.`);
     }
 
     this.log('Starting HTTP proxy');
-    this.log('Target URL:', this.config.url.toString());
+    this.log('Target URL:', this.url.toString());
+    if (this.endpoints.size > 1) {
+      this.log(`Endpoints (${this.config.policy}):`, this.endpoints.describe());
+    }
+    if (this.config.socketPath) {
+      this.log('Socket:', this.config.socketPath);
+    }
     this.log('Timeout:', this.config.timeout, 'ms');
+    this.log('Transport:', this.config.transport);
+    const proxyUrl = this.config.socketPath ? null : getProxyForUrl(this.url, this.config.proxy);
+    this.log('Proxy:', proxyUrl ? maskProxyUrl(proxyUrl) : 'none');
+    this.log('TLS:', describeTls(this.config.tls));
+    this.log('Max concurrency:', this.config.maxConcurrency);
+    this.log('Retries:', this.config.retries, `(backoff ${this.config.retryBackoff}ms)`);
+
+    this.endpoints.startHealthChecks();
 
     const rl = createInterface({
-      input: process.stdin,
+      input,
       crlfDelay: Infinity
     });
 
+    /** @type {Set<Promise<void>>} */
+    const pending = new Set();
+
+    const dispatch = (line) => {
+      const task = this.processLine(line)
+        .then((output) => {
+          if (output !== null) {
+            this.writeLine(output);
+          }
+        })
+        .catch((err) => {
+          this.log('Unexpected error processing line:', err.message);
+        })
+        .finally(() => {
+          pending.delete(task);
+        });
+      pending.add(task);
+      return task;
+    };
+
     for await (const line of rl) {
       if (!this.isActive) {
         break;
       }
 
-      const output = await this.processLine(line);
-      if (output !== null) {
-        process.stdout.write(output + '\n');
+      const method = this.peekMethod(line);
+
+      if (method === 'initialize' || method === 'notifications/initialized') {
+        await Promise.all(pending);
+        await dispatch(line);
+        continue;
+      }
+
+      // Cancellations bypass the limit so they can reach a saturated queue
+      if (method !== 'notifications/cancelled') {
+        while (pending.size >= this.config.maxConcurrency) {
+          await Promise.race(pending);
+        }
       }
+
+      dispatch(line);
     }
 
+    await Promise.all(pending);
+
+    this.endpoints.stopHealthChecks();
+    this.stopEventStream();
+    this.closeLegacyStream();
     this.log('Stdin closed, stopping proxy');
   }
 
@@ -361,20 +1939,25 @@ class HTTPProxySession {
     this.log('Stopping proxy session');
     this.isActive = false;
 
-    // Abort any pending request
-    if (this._abortController) {
-      this._abortController.abort();
+    // Abort any pending requests
+    for (const controller of this._abortControllers) {
+      controller.abort();
     }
 
+    // Close the server-initiated message stream
+    this.endpoints.stopHealthChecks();
+    this.stopEventStream();
+    this.closeLegacyStream();
+
     // Send session cleanup if we have a session ID
     if (this.sessionId) {
       try {
         this.log('Sending session cleanup DELETE');
-        await fetch(this.config.url.toString(), {
+        await this.fetch(this.url.toString(), {
           method: 'DELETE',
-          headers: {
+          headers: await this.applyAuthorization({
             'Mcp-Session-Id': this.sessionId
-          },
+          }),
           signal: AbortSignal.timeout(5000) // Short timeout for cleanup
         });
       } catch (err) {
@@ -388,12 +1971,27 @@ class HTTPProxySession {
 }
 
 /**
- * Create and start an HTTP proxy session
+ * Create and start an HTTP proxy session (a WebSocket session for ws:/wss: URLs)
  * 
  * @param {Object} args - CLI arguments
- * @param {string} args.url - Target URL
+ * @param {string|string[]} args.url - Target URL, or several equivalent endpoints
+ * @param {string} [args.policy] - 'failover' or 'round-robin' across several URLs
+ * @param {number} [args.unhealthyAfter] - Consecutive transport errors before an endpoint is unhealthy
+ * @param {number} [args.healthCheckInterval] - Delay between probes of unhealthy endpoints in ms
  * @param {string[]} [args.headers] - Header strings
+ * @param {string[]} [args.headerCommands] - Header command strings ["Name=command", ...]
+ * @param {number} [args.headerCommandTtl] - How long a command's output is reused, in ms
  * @param {number} [args.timeout] - Timeout in ms
+ * @param {string} [args.transport] - 'auto', 'streamable-http' or 'sse'
+ * @param {number} [args.maxConcurrency] - Maximum requests in flight at once
+ * @param {number} [args.retries] - Retries for transient failures
+ * @param {number} [args.retryBackoff] - Base retry delay in ms
+ * @param {boolean} [args.retryToolsCall] - Also retry tools/call
+ * @param {boolean} [args.oauth] - Authorize via OAuth on 401
+ * @param {string} [args.oauthTokenUrl] - Token endpoint for the client credentials grant
+ * @param {string} [args.oauthClientId] - Client id for the client credentials grant
+ * @param {string} [args.oauthScope] - Scope to request with client credentials
+ * @param {Object} [args.filter] - Tool filter rules (see tool-filter parseFilterOptions)
  * @param {boolean} [args.debug] - Debug mode
  * @param {Object} [env=process.env] - Environment for variable expansion
  * @returns {Promise<void>}
@@ -416,7 +2014,9 @@ async function startHttpProxy(args, env = process.env) {
   }
 
   // Create session
-  const session = new HTTPProxySession(config);
+  const session = isWebSocket(config.url)
+    ? new WebSocketProxySession(config)
+    : new HTTPProxySession(config);
 
   // Handle shutdown signals
   const shutdown = async (signal) => {
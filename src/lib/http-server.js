@@ -0,0 +1,1002 @@
+/**
+ * HTTP Server Module
+ * Reverse mode: serves a stdio MCP server over Streamable HTTP so that
+ * HTTP-only clients can reach it.
+ *
+ * @module http-server
+ * @see https://modelcontextprotocol.io/specification/2025-03-26/basic/transports#streamable-http
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { createInterface } = require('readline');
+const { isLocalhost } = require('./url-validator');
+const jsonrpc = require('./jsonrpc-error');
+
+/** Default endpoint path */
+const DEFAULT_PATH = '/mcp';
+
+/** Default bind address: loopback only */
+const DEFAULT_HOST = '127.0.0.1';
+
+/** Largest request body accepted, in bytes */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/** How long a later initialize waits for the first one to be answered, in ms */
+const DEFAULT_INITIALIZE_TIMEOUT = 60000;
+
+/** How long a session may sit idle before it is ended, in ms */
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+
+/** Longest interval between checks for idle sessions, in ms */
+const REAP_INTERVAL = 60000;
+
+/**
+ * Parse a --serve-http listen address
+ * Accepts ":8080", "8080", "host:8080" and "[::1]:8080"; the host defaults to loopback.
+ *
+ * @param {string} value - Listen address
+ * @returns {{ valid: boolean, host?: string, port?: number, error?: string }}
+ */
+function parseListenAddress(value) {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, error: 'Listen address must be a non-empty string' };
+  }
+
+  const match = value.trim().match(/^(?:(\[[^\]]+\]|[^:]*):)?(\d+)$/);
+  if (!match) {
+    return { valid: false, error: `Invalid listen address "${value}" (expected [host]:port)` };
+  }
+
+  const port = parseInt(match[2], 10);
+  if (port < 0 || port > 65535) {
+    return { valid: false, error: `Invalid port: ${match[2]}` };
+  }
+
+  let host = match[1] || DEFAULT_HOST;
+  if (host.startsWith('[')) {
+    host = host.slice(1, -1);
+  }
+
+  return { valid: true, host, port };
+}
+
+/**
+ * Key used to match JSON-RPC ids (1 and "1" are distinct)
+ *
+ * @param {string|number} id - JSON-RPC id
+ * @returns {string}
+ */
+function idKey(id) {
+  return JSON.stringify(id);
+}
+
+/**
+ * Read a request body as text
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Mcp-Session-Id
+ * @property {http.ServerResponse|null} getStream - Open GET stream for server-initiated messages
+ * @property {Set<Exchange>} exchanges - POSTs still awaiting responses
+ * @property {Map<string, number>} inFlight - Child ids of in-flight requests, by the client's id key
+ * @property {Set<string>} subscriptions - Resource URIs subscribed via resources/subscribe
+ * @property {number} lastActive - Time of the last POST or GET
+ */
+
+/**
+ * @typedef {Object} Exchange
+ * @property {Session} session - Session that sent the POST
+ * @property {http.ServerResponse} res - Response for the POST that carried the requests
+ * @property {boolean} stream - Whether responses are written as an SSE stream
+ * @property {boolean} batch - Whether the POST body was a batch
+ * @property {number} remaining - Requests still awaiting a response
+ * @property {Object[]} responses - Collected responses (JSON mode)
+ */
+
+/**
+ * @typedef {Object} PendingRequest
+ * @property {Exchange} exchange - POST waiting for the response
+ * @property {string|number} originalId - Id the client used
+ * @property {string|number} [progressToken] - Progress token the client used
+ * @property {string} [childProgressToken] - Progress token sent to the child
+ * @property {string} method - Request method
+ */
+
+/**
+ * StreamableHTTPServer - Serves one stdio MCP server over Streamable HTTP
+ * POST carries client messages; responses come back as JSON or an SSE stream.
+ * GET opens a stream for server-initiated messages; DELETE ends a session.
+ *
+ * Several sessions share the one child: request ids and progress tokens are
+ * rewritten so responses route back to the right client, the child is
+ * initialized once (later sessions get the cached initialize result), and
+ * notifications are broadcast or routed by subscription.
+ */
+class StreamableHTTPServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.host='127.0.0.1'] - Address to bind
+   * @param {number} [options.port=0] - Port to bind (0 picks a free port)
+   * @param {string} [options.path='/mcp'] - Endpoint path
+   * @param {boolean} [options.allowRemote=false] - Allow binding a non-loopback address
+   * @param {string[]} [options.allowedOrigins=[]] - Browser origins accepted besides local ones
+   * @param {number} [options.initializeTimeout=60000] - How long a later initialize waits for the first (ms)
+   * @param {number} [options.sessionTimeout=1800000] - End sessions idle this long (ms, 0 = never)
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.host = options.host || DEFAULT_HOST;
+
+    /** @type {number} */
+    this.port = Number.isInteger(options.port) ? options.port : 0;
+
+    /** @type {string} */
+    this.path = options.path || DEFAULT_PATH;
+
+    /** @type {boolean} */
+    this.allowRemote = Boolean(options.allowRemote);
+
+    /** @type {Set<string>} Origins accepted besides local ones, e.g. "https://app.example.com" */
+    this.allowedOrigins = new Set(options.allowedOrigins || []);
+
+    /** @type {number} */
+    this.initializeTimeout = options.initializeTimeout > 0 ? options.initializeTimeout : DEFAULT_INITIALIZE_TIMEOUT;
+
+    /** @type {number} */
+    this.sessionTimeout = options.sessionTimeout >= 0 ? options.sessionTimeout : DEFAULT_SESSION_TIMEOUT;
+
+    /** @type {boolean} */
+    this.debug = Boolean(options.debug);
+
+    /** @type {Map<string, Session>} Active sessions by Mcp-Session-Id */
+    this.sessions = new Map();
+
+    /** @type {Map<string, PendingRequest>} Requests sent to the child, by child id key */
+    this._pending = new Map();
+
+    /** @type {Map<string, PendingRequest>} Rewritten progress tokens */
+    this._progress = new Map();
+
+    /** @type {Map<string, Session>} Child-initiated requests awaiting a client response, by id key */
+    this._serverRequests = new Map();
+
+    /** @type {number} Next id used toward the child */
+    this._nextId = 1;
+
+    /** @type {number} Next progress token used toward the child */
+    this._nextProgressToken = 1;
+
+    /** @type {Object|null} Child's successful initialize response, shared with later sessions */
+    this._initializeResponse = null;
+
+    /** @type {Promise<Object|null>|null} First initialize still in flight */
+    this._initializing = null;
+
+    /** @type {function(Object|null): void|null} */
+    this._resolveInitializing = null;
+
+    /** @type {boolean} Whether notifications/initialized has reached the child */
+    this._initializedSent = false;
+
+    /** @type {import('stream').Writable|null} */
+    this._childInput = null;
+
+    /** @type {http.Server|null} */
+    this.server = null;
+
+    /** @type {NodeJS.Timeout|null} Periodic check for idle sessions */
+    this._reapTimer = null;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   */
+  log(...args) {
+    if (this.debug) {
+      console.error('[http-server]', ...args);
+    }
+  }
+
+  /**
+   * Connect the server to the child's stdio
+   *
+   * @param {import('stream').Writable} input - Child's stdin
+   * @param {import('stream').Readable} output - Child's stdout
+   */
+  attach(input, output) {
+    this._childInput = input;
+    const rl = createInterface({ input: output, crlfDelay: Infinity });
+    rl.on('line', line => this.handleChildLine(line));
+  }
+
+  /**
+   * Start listening
+   * Non-loopback addresses are refused unless allowRemote is set: the
+   * endpoint has no authentication of its own.
+   *
+   * @returns {Promise<{ host: string, port: number }>} Bound address
+   */
+  listen() {
+    if (!isLocalhost(this.host) && !this.allowRemote) {
+      return Promise.reject(new Error(
+        `Refusing to serve on non-loopback address ${this.host} without --allow-remote (the endpoint has no authentication)`));
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        this.log('Request failed:', err.message);
+        if (!res.headersSent) {
+          this.sendJson(res, 500, jsonrpc.internalError(null, err.message));
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    if (this.sessionTimeout > 0) {
+      this._reapTimer = setInterval(() => this.reapIdleSessions(), Math.min(this.sessionTimeout, REAP_INTERVAL));
+      this._reapTimer.unref();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        this.port = address.port;
+        resolve({ host: this.host, port: this.port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening and end all open streams
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this._reapTimer) {
+      clearInterval(this._reapTimer);
+      this._reapTimer = null;
+    }
+    for (const session of this.sessions.values()) {
+      this.endSessionStreams(session);
+    }
+    this.sessions.clear();
+    this._pending.clear();
+    this._progress.clear();
+
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Write a JSON body
+   *
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {*} body - Body to serialize
+   * @param {Object} [headers] - Extra headers
+   */
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Write a JSON-RPC message as an SSE event
+   *
+   * @param {http.ServerResponse} res - Open event stream
+   * @param {Object} message - JSON-RPC message
+   */
+  writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  /**
+   * Open an SSE response
+   *
+   * @param {http.ServerResponse} res - Response
+   * @param {Session} session - Session the stream belongs to
+   */
+  openEventStream(res, session) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Mcp-Session-Id': session.id
+    });
+    res.flushHeaders();
+  }
+
+  /**
+   * Reject cross-origin browser requests (DNS rebinding, drive-by pages)
+   * Requests without an Origin header (non-browser clients) pass; browser
+   * requests must come from a local origin or one of allowedOrigins.
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {boolean} True if the origin is acceptable
+   */
+  checkOrigin(req) {
+    const origin = req.headers['origin'];
+    if (!origin) {
+      return true;
+    }
+    try {
+      const url = new URL(origin);
+      return isLocalhost(url.hostname) || this.allowedOrigins.has(url.origin);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Look up the request's session, answering 400/404 when it is missing or unknown
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Session|null} The session, or null if an error was sent
+   */
+  validateSession(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      this.sendJson(res, 400, jsonrpc.invalidRequest(null, 'Missing Mcp-Session-Id header'));
+      return null;
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendJson(res, 404, jsonrpc.createErrorResponse(
+        jsonrpc.ErrorCodes.SESSION_ERROR,
+        'Session not found',
+        null
+      ));
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Route an incoming HTTP request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    this.log(req.method, pathname);
+
+    if (pathname !== this.path) {
+      this.sendJson(res, 404, jsonrpc.invalidRequest(null, `Unknown endpoint ${pathname}`));
+      return;
+    }
+
+    if (!this.checkOrigin(req)) {
+      this.sendJson(res, 403, jsonrpc.invalidRequest(null, 'Origin not allowed'));
+      return;
+    }
+
+    switch (req.method) {
+      case 'POST':
+        await this.handlePost(req, res);
+        break;
+      case 'GET':
+        this.handleGet(req, res);
+        break;
+      case 'DELETE':
+        this.handleDelete(req, res);
+        break;
+      default:
+        res.writeHead(405, { 'Allow': 'GET, POST, DELETE' });
+        res.end();
+    }
+  }
+
+  /**
+   * POST: forward client messages to the child and return the responses
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handlePost(req, res) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      this.sendJson(res, 413, jsonrpc.invalidRequest(null, err.message));
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (err) {
+      this.sendJson(res, 400, jsonrpc.parseError(err.message));
+      return;
+    }
+
+    const batch = Array.isArray(parsed);
+    const messages = batch ? parsed : [parsed];
+    if (messages.length === 0) {
+      this.sendJson(res, 400, jsonrpc.invalidRequest(null, 'Empty batch'));
+      return;
+    }
+
+    for (const message of messages) {
+      if (!jsonrpc.isResponse(message)) {
+        const validation = jsonrpc.isValidRequest(message);
+        if (!validation.valid) {
+          const id = message && message.id !== undefined ? message.id : null;
+          this.sendJson(res, 400, jsonrpc.invalidRequest(id, validation.error));
+          return;
+        }
+      }
+    }
+
+    // initialize starts a new session; everything else must carry an existing one
+    let session;
+    if (messages.some(m => m.method === 'initialize')) {
+      if (batch) {
+        this.sendJson(res, 400, jsonrpc.invalidRequest(null, 'initialize must not be part of a batch'));
+        return;
+      }
+      session = this.createSession();
+    } else {
+      session = this.validateSession(req, res);
+      if (!session) return;
+    }
+    session.lastActive = Date.now();
+
+    const requests = messages.filter(m => m.method !== undefined && m.id !== undefined && m.id !== null);
+
+    // Notifications and responses only: accept without a body
+    if (requests.length === 0) {
+      messages.forEach(m => this.forwardClientMessage(session, m));
+      res.writeHead(202, { 'Mcp-Session-Id': session.id });
+      res.end();
+      return;
+    }
+
+    for (const request of requests) {
+      if (session.inFlight.has(idKey(request.id))) {
+        this.sendJson(res, 400, jsonrpc.invalidRequest(request.id, 'Request id is already in flight'));
+        return;
+      }
+    }
+
+    /** @type {Exchange} */
+    const exchange = {
+      session,
+      res,
+      stream: (req.headers['accept'] || '').includes('text/event-stream'),
+      batch,
+      remaining: requests.length,
+      responses: []
+    };
+    session.exchanges.add(exchange);
+
+    // Client went away: late responses for these requests are dropped
+    res.on('close', () => {
+      session.exchanges.delete(exchange);
+    });
+
+    if (exchange.stream) {
+      this.openEventStream(res, session);
+    }
+
+    for (const message of messages) {
+      if (message.method === 'initialize') {
+        await this.initializeSession(exchange, message);
+      } else {
+        this.forwardClientMessage(session, message, exchange);
+      }
+    }
+  }
+
+  /**
+   * Answer a session's initialize: the first goes to the child, later ones
+   * get the child's cached result
+   *
+   * @param {Exchange} exchange - POST carrying the initialize request
+   * @param {Object} message - initialize request
+   */
+  async initializeSession(exchange, message) {
+    while (!this._initializeResponse && this._initializing) {
+      let timer;
+      const timedOut = await Promise.race([
+        this._initializing.then(() => false),
+        new Promise((resolve) => { timer = setTimeout(() => resolve(true), this.initializeTimeout); })
+      ]);
+      clearTimeout(timer);
+      if (timedOut) {
+        const err = new Error(`Server did not finish initializing within ${this.initializeTimeout}ms`);
+        err.name = 'TimeoutError';
+        this.deliver(exchange, jsonrpc.fromNetworkError(err, message.id));
+        return;
+      }
+    }
+
+    if (this._initializeResponse) {
+      this.log('Session', exchange.session.id, 'joins the running server');
+      this.deliver(exchange, { ...this._initializeResponse, id: message.id });
+      return;
+    }
+
+    this._initializing = new Promise((resolve) => {
+      this._resolveInitializing = resolve;
+    });
+    this.forwardClientMessage(exchange.session, message, exchange);
+  }
+
+  /**
+   * Rewrite and forward one client message to the child
+   *
+   * @param {Session} session - Sending session
+   * @param {Object} message - JSON-RPC message
+   * @param {Exchange} [exchange] - POST awaiting the response (requests only)
+   */
+  forwardClientMessage(session, message, exchange) {
+    // Reply to a child-initiated request, only from the session it was sent to
+    if (jsonrpc.isResponse(message)) {
+      if (this._serverRequests.get(idKey(message.id)) !== session) {
+        this.log('Dropping response to a request not sent to session', session.id + ':', message.id);
+        return;
+      }
+      this._serverRequests.delete(idKey(message.id));
+      this.sendToChild(message);
+      return;
+    }
+
+    // Notification
+    if (message.id === undefined || message.id === null) {
+      if (message.method === 'notifications/initialized') {
+        if (this._initializedSent) return;
+        this._initializedSent = true;
+      } else if (message.method === 'notifications/cancelled') {
+        const requestId = message.params ? message.params.requestId : undefined;
+        const childId = requestId === undefined ? undefined : session.inFlight.get(idKey(requestId));
+        if (childId === undefined) {
+          this.log('Ignoring cancellation of unknown request:', requestId);
+          return;
+        }
+        message = { ...message, params: { ...message.params, requestId: childId } };
+      }
+      this.sendToChild(message);
+      return;
+    }
+
+    // Request
+    if (message.method === 'resources/subscribe' && message.params && message.params.uri) {
+      session.subscriptions.add(message.params.uri);
+    } else if (message.method === 'resources/unsubscribe' && message.params && message.params.uri) {
+      session.subscriptions.delete(message.params.uri);
+      if (this.isSubscribed(message.params.uri)) {
+        // Other sessions still want updates; keep the child's subscription
+        this.deliver(exchange, { jsonrpc: '2.0', result: {}, id: message.id });
+        return;
+      }
+    }
+
+    const childId = this._nextId++;
+    /** @type {PendingRequest} */
+    const pending = { exchange, originalId: message.id, method: message.method };
+    let outgoing = { ...message, id: childId };
+
+    const meta = message.params && message.params._meta;
+    if (meta && meta.progressToken !== undefined) {
+      pending.progressToken = meta.progressToken;
+      pending.childProgressToken = `mcp-cross-progress-${this._nextProgressToken++}`;
+      outgoing = {
+        ...outgoing,
+        params: { ...message.params, _meta: { ...meta, progressToken: pending.childProgressToken } }
+      };
+      this._progress.set(idKey(pending.childProgressToken), pending);
+    }
+
+    this._pending.set(idKey(childId), pending);
+    session.inFlight.set(idKey(message.id), childId);
+    this.sendToChild(outgoing);
+  }
+
+  /**
+   * Whether any session is subscribed to a resource
+   *
+   * @param {string} uri - Resource URI
+   * @returns {boolean}
+   */
+  isSubscribed(uri) {
+    for (const session of this.sessions.values()) {
+      if (session.subscriptions.has(uri)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * GET: open a stream for server-initiated notifications and requests
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleGet(req, res) {
+    if (!(req.headers['accept'] || '').includes('text/event-stream')) {
+      res.writeHead(405, { 'Allow': 'POST, DELETE' });
+      res.end();
+      return;
+    }
+    const session = this.validateSession(req, res);
+    if (!session) return;
+    session.lastActive = Date.now();
+
+    // Only one standalone stream per session; a new GET replaces the old one
+    if (session.getStream) {
+      session.getStream.end();
+    }
+    session.getStream = res;
+    res.on('close', () => {
+      if (session.getStream === res) {
+        session.getStream = null;
+      }
+    });
+    this.openEventStream(res, session);
+  }
+
+  /**
+   * DELETE: end a session, cancelling its in-flight requests
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleDelete(req, res) {
+    const session = this.validateSession(req, res);
+    if (!session) return;
+
+    this.log('Session terminated by client:', session.id);
+    this.endSession(session, 'Session terminated');
+
+    res.writeHead(200);
+    res.end();
+  }
+
+  /**
+   * End a session: cancel its in-flight requests on the child and close its streams
+   *
+   * @param {Session} session - Session
+   * @param {string} reason - Cancellation reason sent to the child
+   */
+  endSession(session, reason) {
+    this.sessions.delete(session.id);
+
+    for (const childId of session.inFlight.values()) {
+      const pending = this._pending.get(idKey(childId));
+      this.forgetPending(childId, pending);
+      this.sendToChild({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: childId, reason }
+      });
+    }
+    for (const [key, owner] of this._serverRequests) {
+      if (owner === session) this._serverRequests.delete(key);
+    }
+    this.endSessionStreams(session);
+  }
+
+  /**
+   * End sessions that have been idle longer than sessionTimeout
+   * A session with an open GET stream or a POST awaiting responses is not idle.
+   */
+  reapIdleSessions() {
+    const cutoff = Date.now() - this.sessionTimeout;
+    for (const session of this.sessions.values()) {
+      if (session.lastActive < cutoff && !session.getStream && session.exchanges.size === 0) {
+        this.log('Session expired after inactivity:', session.id);
+        this.endSession(session, 'Session expired');
+      }
+    }
+  }
+
+  /**
+   * Start a new session
+   *
+   * @returns {Session}
+   */
+  createSession() {
+    /** @type {Session} */
+    const session = {
+      id: crypto.randomUUID(),
+      getStream: null,
+      exchanges: new Set(),
+      inFlight: new Map(),
+      subscriptions: new Set(),
+      lastActive: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    this.log('Session started:', session.id, `(${this.sessions.size} active)`);
+    return session;
+  }
+
+  /**
+   * End a session's GET stream and open POST responses
+   *
+   * @param {Session} session - Session
+   */
+  endSessionStreams(session) {
+    if (session.getStream) {
+      session.getStream.end();
+      session.getStream = null;
+    }
+    for (const exchange of session.exchanges) {
+      exchange.res.end();
+    }
+    session.exchanges.clear();
+  }
+
+  /**
+   * Write a message to the child's stdin
+   *
+   * @param {Object} message - JSON-RPC message
+   */
+  sendToChild(message) {
+    if (!this._childInput) {
+      throw new Error('StreamableHTTPServer is not attached to a child process');
+    }
+    this._childInput.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Handle a line of child stdout
+   *
+   * @param {string} line - Line without terminator
+   */
+  handleChildLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      console.error('[mcp-cross] Ignoring non-JSON output from server:', line);
+      return;
+    }
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+      console.error('[mcp-cross] Ignoring non-message output from server:', line);
+      return;
+    }
+
+    if (jsonrpc.isResponse(message)) {
+      this.handleChildResponse(message);
+    } else if (message.id !== undefined && message.id !== null) {
+      this.routeServerRequest(message);
+    } else {
+      this.routeNotification(message);
+    }
+  }
+
+  /**
+   * Drop the bookkeeping for a request sent to the child
+   *
+   * @param {number} childId - Id used toward the child
+   * @param {PendingRequest} [pending] - Pending entry
+   */
+  forgetPending(childId, pending) {
+    this._pending.delete(idKey(childId));
+    if (!pending) return;
+    pending.exchange.session.inFlight.delete(idKey(pending.originalId));
+    if (pending.childProgressToken) {
+      this._progress.delete(idKey(pending.childProgressToken));
+    }
+    // Sessions waiting on this initialize go ahead (and send their own if it failed)
+    if (pending.method === 'initialize' && this._resolveInitializing) {
+      const resolve = this._resolveInitializing;
+      this._initializing = null;
+      this._resolveInitializing = null;
+      resolve(this._initializeResponse);
+    }
+  }
+
+  /**
+   * Restore the client's id on a child response and deliver it
+   *
+   * @param {Object} message - JSON-RPC response from the child
+   */
+  handleChildResponse(message) {
+    const pending = this._pending.get(idKey(message.id));
+    if (!pending) {
+      this.log('Dropping response with no waiting client:', message.id);
+      return;
+    }
+
+    const response = { ...message, id: pending.originalId };
+    if (pending.method === 'initialize') {
+      this._initializeResponse = response.error ? null : { jsonrpc: '2.0', result: response.result };
+    }
+    this.forgetPending(message.id, pending);
+
+    this.deliver(pending.exchange, response);
+  }
+
+  /**
+   * Deliver a response to the POST that carried its request
+   *
+   * @param {Exchange} exchange - Waiting POST
+   * @param {Object} response - JSON-RPC response with the client's id
+   */
+  deliver(exchange, response) {
+    exchange.remaining--;
+    if (!exchange.session.exchanges.has(exchange)) {
+      this.log('Dropping response for disconnected client:', response.id);
+      return;
+    }
+
+    if (exchange.stream) {
+      this.writeEvent(exchange.res, response);
+      if (exchange.remaining === 0) {
+        exchange.session.exchanges.delete(exchange);
+        exchange.res.end();
+      }
+      return;
+    }
+
+    exchange.responses.push(response);
+    if (exchange.remaining === 0) {
+      exchange.session.exchanges.delete(exchange);
+      this.sendJson(exchange.res, 200, exchange.batch ? exchange.responses : exchange.responses[0], {
+        'Mcp-Session-Id': exchange.session.id
+      });
+    }
+  }
+
+  /**
+   * Find a session's stream for an unsolicited message
+   * Prefers the GET stream, then any open POST stream.
+   *
+   * @param {Session} session - Target session
+   * @returns {http.ServerResponse|null}
+   */
+  streamFor(session) {
+    if (session.getStream) {
+      return session.getStream;
+    }
+    for (const exchange of session.exchanges) {
+      if (exchange.stream) return exchange.res;
+    }
+    return null;
+  }
+
+  /**
+   * Send a message to a session's stream, if it has one
+   *
+   * @param {Session} session - Target session
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean} Whether the message was written
+   */
+  sendToSession(session, message) {
+    const stream = this.streamFor(session);
+    if (!stream) {
+      this.log('No open stream for session', session.id, '- dropping', message.method);
+      return false;
+    }
+    this.writeEvent(stream, message);
+    return true;
+  }
+
+  /**
+   * Route a child notification
+   * Progress goes to the request it belongs to, resource updates to
+   * subscribed sessions, and everything else to every session.
+   *
+   * @param {Object} message - JSON-RPC notification
+   */
+  routeNotification(message) {
+    const params = message.params || {};
+
+    if (message.method === 'notifications/progress' && params.progressToken !== undefined) {
+      const pending = this._progress.get(idKey(params.progressToken));
+      if (!pending) {
+        this.log('Dropping progress for unknown token:', params.progressToken);
+        return;
+      }
+      const restored = { ...message, params: { ...params, progressToken: pending.progressToken } };
+      const { exchange } = pending;
+      if (exchange.stream && exchange.session.exchanges.has(exchange)) {
+        this.writeEvent(exchange.res, restored);
+      } else {
+        this.sendToSession(exchange.session, restored);
+      }
+      return;
+    }
+
+    if (message.method === 'notifications/cancelled' && params.requestId !== undefined) {
+      const session = this._serverRequests.get(idKey(params.requestId));
+      this._serverRequests.delete(idKey(params.requestId));
+      if (session) {
+        this.sendToSession(session, message);
+      }
+      return;
+    }
+
+    if (message.method === 'notifications/resources/updated') {
+      for (const session of this.sessions.values()) {
+        if (session.subscriptions.has(params.uri)) {
+          this.sendToSession(session, message);
+        }
+      }
+      return;
+    }
+
+    for (const session of this.sessions.values()) {
+      this.sendToSession(session, message);
+    }
+  }
+
+  /**
+   * Route a child-initiated request (e.g. sampling/createMessage, roots/list)
+   * It goes to the session with the most recent in-flight request, since
+   * servers usually ask while handling a call, else the most recently active one.
+   *
+   * @param {Object} message - JSON-RPC request
+   */
+  routeServerRequest(message) {
+    let target = null;
+    for (const pending of this._pending.values()) {
+      target = pending.exchange.session;
+    }
+    if (!target) {
+      for (const session of this.sessions.values()) {
+        if (!target || session.lastActive >= target.lastActive) {
+          target = session;
+        }
+      }
+    }
+
+    if (!target || !this.streamFor(target)) {
+      this.log('No session can answer server request:', message.method);
+      this.sendToChild(jsonrpc.createErrorResponse(
+        jsonrpc.ErrorCodes.INTERNAL_ERROR,
+        'No connected client can handle this request',
+        message.id
+      ));
+      return;
+    }
+
+    this._serverRequests.set(idKey(message.id), target);
+    this.sendToSession(target, message);
+  }
+}
+
+module.exports = {
+  StreamableHTTPServer,
+  parseListenAddress,
+  DEFAULT_PATH
+};
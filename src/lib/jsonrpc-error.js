@@ -31,7 +31,11 @@ const ErrorCodes = {
   /** Configuration/validation error */
   CONFIG_ERROR: -32002,
   /** Session error */
-  SESSION_ERROR: -32003
+  SESSION_ERROR: -32003,
+  /** Authorization error (OAuth login/refresh failed) */
+  AUTH_ERROR: -32004,
+  /** TLS handshake error (untrusted certificate, pin mismatch, client certificate rejected) */
+  TLS_ERROR: -32005
 };
 
 /**
@@ -46,9 +50,64 @@ const ErrorMessages = {
   [ErrorCodes.TRANSPORT_ERROR]: 'Transport error',
   [ErrorCodes.HTTP_ERROR]: 'HTTP error',
   [ErrorCodes.CONFIG_ERROR]: 'Configuration error',
-  [ErrorCodes.SESSION_ERROR]: 'Session error'
+  [ErrorCodes.SESSION_ERROR]: 'Session error',
+  [ErrorCodes.AUTH_ERROR]: 'Authorization error',
+  [ErrorCodes.TLS_ERROR]: 'TLS error'
 };
 
+/**
+ * TLS handshake failures by OpenSSL/Node error code
+ * Each maps to a stable errorCode and a message that says what to change.
+ */
+const TLSFailures = [
+  {
+    errorCode: 'CERT_UNTRUSTED',
+    message: 'Server certificate is not trusted; pass the issuing CA with --ca-file',
+    codes: [
+      'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+      'UNABLE_TO_GET_ISSUER_CERT',
+      'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+      'SELF_SIGNED_CERT_IN_CHAIN',
+      'DEPTH_ZERO_SELF_SIGNED_CERT',
+      'CERT_UNTRUSTED',
+      'CERT_SIGNATURE_FAILURE'
+    ]
+  },
+  {
+    errorCode: 'CERT_EXPIRED',
+    message: 'Server certificate has expired or is not yet valid; check the server certificate and the local clock',
+    codes: ['CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID']
+  },
+  {
+    errorCode: 'CERT_HOSTNAME_MISMATCH',
+    message: 'Server certificate does not match the URL host; connect using a hostname listed in the certificate',
+    codes: ['ERR_TLS_CERT_ALTNAME_INVALID']
+  },
+  {
+    errorCode: 'CERT_PIN_MISMATCH',
+    message: 'Server public key does not match --pin-sha256; the key was rotated or the connection is being intercepted',
+    codes: ['CERT_PIN_MISMATCH']
+  },
+  {
+    errorCode: 'CLIENT_CERT_REQUIRED',
+    message: 'Server requires a client certificate; pass one with --cert and --key',
+    codes: ['ERR_SSL_TLSV13_ALERT_CERTIFICATE_REQUIRED', 'ERR_SSL_SSLV3_ALERT_HANDSHAKE_FAILURE']
+  },
+  {
+    errorCode: 'CLIENT_CERT_REJECTED',
+    message: 'Server rejected the client certificate; check that --cert is issued by a CA the server trusts and is still valid',
+    codes: [
+      'ERR_SSL_TLSV1_ALERT_UNKNOWN_CA',
+      'ERR_SSL_SSLV3_ALERT_BAD_CERTIFICATE',
+      'ERR_SSL_SSLV3_ALERT_CERTIFICATE_UNKNOWN',
+      'ERR_SSL_SSLV3_ALERT_CERTIFICATE_EXPIRED',
+      'ERR_SSL_SSLV3_ALERT_CERTIFICATE_REVOKED',
+      'ERR_SSL_TLSV1_ALERT_ACCESS_DENIED',
+      'ERR_SSL_TLSV1_ALERT_DECRYPT_ERROR'
+    ]
+  }
+];
+
 /**
  * @typedef {Object} JSONRPCError
  * @property {number} code - Error code
@@ -171,10 +230,11 @@ function fromHttpError(statusCode, statusText, id, body) {
 
 /**
  * Convert a network/transport error to a JSON-RPC error response
+ * TLS handshake failures get TLS_ERROR with a specific data.errorCode.
  * 
  * @param {Error} error - JavaScript Error object
  * @param {string|number|null} id - Request ID
- * @returns {JSONRPCErrorResponse} Transport error response
+ * @returns {JSONRPCErrorResponse} Transport or TLS error response
  */
 function fromNetworkError(error, id) {
   let message = 'Network error';
@@ -193,9 +253,24 @@ function fromNetworkError(error, id) {
   } else if (error.code === 'ECONNRESET' || error.cause?.code === 'ECONNRESET') {
     message = 'Connection reset';
     data.errorCode = 'ECONNRESET';
-  } else if (error.code === 'CERT_HAS_EXPIRED' || error.message?.includes('certificate')) {
-    message = 'SSL/TLS certificate error';
-    data.errorCode = 'CERT_ERROR';
+  } else if (error.code === 'EPROXY' || error.cause?.code === 'EPROXY') {
+    message = 'Proxy error';
+    data.errorCode = 'EPROXY';
+  } else {
+    const code = error.code || error.cause?.code;
+    const failure = TLSFailures.find(entry => entry.codes.includes(code));
+    if (failure) {
+      data.errorCode = failure.errorCode;
+      return createErrorResponse(ErrorCodes.TLS_ERROR, failure.message, id, data);
+    }
+    if (/^ERR_(SSL|TLS)_/.test(code || '')) {
+      data.errorCode = 'TLS_HANDSHAKE_FAILED';
+      return createErrorResponse(ErrorCodes.TLS_ERROR, `TLS handshake failed (${code})`, id, data);
+    }
+    if (error.message?.includes('certificate') || error.cause?.message?.includes('certificate')) {
+      message = 'SSL/TLS certificate error';
+      data.errorCode = 'CERT_ERROR';
+    }
   }
   
   return createErrorResponse(ErrorCodes.TRANSPORT_ERROR, message, id, data);
@@ -212,6 +287,44 @@ function configError(message, data) {
   return createErrorResponse(ErrorCodes.CONFIG_ERROR, message, null, data);
 }
 
+/**
+ * Create an authorization error response (credentials could not be obtained)
+ * 
+ * @param {string|number|null} id - Request ID
+ * @param {string} message - Error message
+ * @param {*} [data] - Additional error data
+ * @returns {JSONRPCErrorResponse} Authorization error response
+ */
+function authError(id, message, data) {
+  return createErrorResponse(ErrorCodes.AUTH_ERROR, message, id, data);
+}
+
+/**
+ * Create the error response for a request the stdio server never answered
+ * because its process exited
+ * 
+ * @param {string|number} id - Request ID
+ * @param {string} message - Error message
+ * @param {*} [data] - Additional error data
+ * @returns {JSONRPCErrorResponse} Transport error response
+ */
+function serverExited(id, message, data) {
+  return createErrorResponse(ErrorCodes.TRANSPORT_ERROR, message, id, { errorCode: 'SERVER_EXITED', ...data });
+}
+
+/**
+ * Create the error response for a request naming a tool, prompt or
+ * resource hidden by the tool filter (--allow-tools, --deny-tools, ...)
+ * 
+ * @param {string|number} id - Request ID
+ * @param {string} message - Error message
+ * @param {*} [data] - Additional error data
+ * @returns {JSONRPCErrorResponse} Invalid params error response
+ */
+function filtered(id, message, data) {
+  return createErrorResponse(ErrorCodes.INVALID_PARAMS, message, id, { errorCode: 'FILTERED', ...data });
+}
+
 /**
  * Format a JSON-RPC error response as a JSON string
  * 
@@ -268,6 +381,38 @@ function isBatchRequest(obj) {
   return Array.isArray(obj);
 }
 
+/**
+ * Check if an object is a JSON-RPC response (result or error, no method)
+ * 
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if response
+ */
+function isResponse(obj) {
+  return typeof obj === 'object' &&
+    obj !== null &&
+    !Array.isArray(obj) &&
+    obj.method === undefined &&
+    obj.id !== undefined &&
+    (obj.result !== undefined || obj.error !== undefined);
+}
+
+/**
+ * Check if a value is a JSON-RPC message a client can consume: a request,
+ * notification or response, or a non-empty batch of them
+ * 
+ * @param {*} obj - Parsed value
+ * @returns {boolean} True if the value is a JSON-RPC 2.0 message
+ */
+function isMessage(obj) {
+  if (Array.isArray(obj)) {
+    return obj.length > 0 && obj.every(item => !Array.isArray(item) && isMessage(item));
+  }
+  if (typeof obj !== 'object' || obj === null || obj.jsonrpc !== '2.0') {
+    return false;
+  }
+  return typeof obj.method === 'string' || isResponse(obj);
+}
+
 module.exports = {
   ErrorCodes,
   ErrorMessages,
@@ -279,7 +424,12 @@ module.exports = {
   fromHttpError,
   fromNetworkError,
   configError,
+  authError,
+  serverExited,
+  filtered,
   formatAsJson,
   isValidRequest,
-  isBatchRequest
+  isBatchRequest,
+  isResponse,
+  isMessage
 };
@@ -0,0 +1,764 @@
+/**
+ * OAuth Module
+ * MCP authorization for HTTP servers: protected resource and authorization
+ * server discovery, dynamic client registration, authorization code + PKCE
+ * with a loopback redirect, on-disk token storage and refresh, plus the
+ * client credentials grant for headless use.
+ *
+ * @module oauth
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/authorization
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const child_process = require('child_process');
+
+/** Default location of the token store */
+const DEFAULT_STORE_PATH = path.join(os.homedir(), '.config', 'mcp-cross', 'oauth.json');
+
+/** How long to wait for the user to finish the browser login (ms) */
+const AUTHORIZATION_TIMEOUT = 5 * 60 * 1000;
+
+/** Refresh access tokens this long before they expire (ms) */
+const EXPIRY_MARGIN = 60 * 1000;
+
+/** Path of the loopback redirect URI */
+const CALLBACK_PATH = '/callback';
+
+/**
+ * Encode a buffer as base64url without padding
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+function base64url(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ *
+ * @returns {{ verifier: string, challenge: string, method: string }}
+ */
+function generatePKCE() {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge, method: 'S256' };
+}
+
+/**
+ * Parse a WWW-Authenticate header into scheme and parameters
+ *
+ * @param {string|null} header - WWW-Authenticate header value
+ * @returns {{ scheme: string, params: Object<string, string> }|null} Parsed challenge or null
+ */
+function parseWWWAuthenticate(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.trim().match(/^([A-Za-z][A-Za-z0-9!#$%&'*+.^_`|~-]*)\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+  const paramPattern = /([A-Za-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let param;
+  while ((param = paramPattern.exec(match[2])) !== null) {
+    const value = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+    params[param[1].toLowerCase()] = value;
+  }
+
+  return { scheme: match[1], params };
+}
+
+/**
+ * Canonical resource identifier for an MCP server URL (RFC 8707)
+ *
+ * @param {URL|string} url - MCP endpoint URL
+ * @returns {string} Origin and path, without query or fragment
+ */
+function canonicalResource(url) {
+  const urlObj = typeof url === 'string' ? new URL(url) : url;
+  return `${urlObj.origin}${urlObj.pathname}`;
+}
+
+/**
+ * Fetch a JSON document, returning null on 4xx/5xx or invalid JSON
+ *
+ * @param {string} url - Document URL
+ * @param {function} [fetchImpl=fetch] - fetch implementation (e.g. proxy-aware)
+ * @returns {Promise<Object|null>} Parsed document or null
+ */
+async function fetchJson(url, fetchImpl = fetch) {
+  try {
+    const response = await fetchImpl(url, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Discover protected resource metadata (RFC 9728)
+ *
+ * @param {URL} resourceUrl - MCP endpoint URL
+ * @param {string} [metadataUrl] - resource_metadata from WWW-Authenticate
+ * @param {function} [fetchImpl=fetch] - fetch implementation (e.g. proxy-aware)
+ * @returns {Promise<Object|null>} Metadata document or null
+ */
+async function discoverProtectedResource(resourceUrl, metadataUrl, fetchImpl = fetch) {
+  const candidates = [];
+  if (metadataUrl) {
+    candidates.push(metadataUrl);
+  }
+  const pathname = resourceUrl.pathname.replace(/\/$/, '');
+  if (pathname) {
+    candidates.push(`${resourceUrl.origin}/.well-known/oauth-protected-resource${pathname}`);
+  }
+  candidates.push(`${resourceUrl.origin}/.well-known/oauth-protected-resource`);
+
+  for (const candidate of candidates) {
+    const metadata = await fetchJson(candidate, fetchImpl);
+    if (metadata && Array.isArray(metadata.authorization_servers)) {
+      return metadata;
+    }
+  }
+  return null;
+}
+
+/**
+ * Discover authorization server metadata (RFC 8414 / OpenID Connect Discovery)
+ * Falls back to default endpoints on the issuer when no metadata is published.
+ *
+ * @param {string} issuer - Authorization server issuer URL
+ * @param {function} [fetchImpl=fetch] - fetch implementation (e.g. proxy-aware)
+ * @returns {Promise<Object>} Metadata with at least authorization_endpoint and token_endpoint
+ */
+async function discoverAuthorizationServer(issuer, fetchImpl = fetch) {
+  const issuerUrl = new URL(issuer);
+  const pathname = issuerUrl.pathname.replace(/\/$/, '');
+  const candidates = pathname
+    ? [
+      `${issuerUrl.origin}/.well-known/oauth-authorization-server${pathname}`,
+      `${issuerUrl.origin}/.well-known/openid-configuration${pathname}`,
+      `${issuerUrl.origin}${pathname}/.well-known/openid-configuration`
+    ]
+    : [
+      `${issuerUrl.origin}/.well-known/oauth-authorization-server`,
+      `${issuerUrl.origin}/.well-known/openid-configuration`
+    ];
+
+  for (const candidate of candidates) {
+    const metadata = await fetchJson(candidate, fetchImpl);
+    if (metadata && metadata.authorization_endpoint && metadata.token_endpoint) {
+      return metadata;
+    }
+  }
+
+  // Servers without metadata use default endpoint paths
+  return {
+    issuer,
+    authorization_endpoint: new URL('/authorize', issuerUrl).toString(),
+    token_endpoint: new URL('/token', issuerUrl).toString(),
+    registration_endpoint: new URL('/register', issuerUrl).toString()
+  };
+}
+
+/**
+ * Register a public client with the authorization server (RFC 7591)
+ *
+ * @param {string} registrationEndpoint - Registration endpoint URL
+ * @param {string} redirectUri - Loopback redirect URI
+ * @param {function} [fetchImpl=fetch] - fetch implementation (e.g. proxy-aware)
+ * @returns {Promise<Object>} Client information (client_id, optional client_secret)
+ */
+async function registerClient(registrationEndpoint, redirectUri, fetchImpl = fetch) {
+  const response = await fetchImpl(registrationEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({
+      client_name: 'mcp-cross',
+      redirect_uris: [redirectUri],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none'
+    }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Dynamic client registration failed: HTTP ${response.status}`);
+  }
+
+  const client = await response.json();
+  if (!client.client_id) {
+    throw new Error('Dynamic client registration returned no client_id');
+  }
+  return client;
+}
+
+/**
+ * POST a form to a token endpoint and normalize the token response
+ *
+ * @param {string} tokenEndpoint - Token endpoint URL
+ * @param {Object<string, string>} params - Form parameters
+ * @param {Object<string, string>} [headers] - Extra request headers (e.g. client auth)
+ * @param {function} [fetchImpl=fetch] - fetch implementation (e.g. proxy-aware)
+ * @returns {Promise<Object>} Tokens with absolute expires_at (ms since epoch)
+ */
+async function requestToken(tokenEndpoint, params, headers = {}, fetchImpl = fetch) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      body.set(key, value);
+    }
+  }
+
+  const response = await fetchImpl(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json',
+      ...headers
+    },
+    body: body.toString(),
+    signal: AbortSignal.timeout(30000)
+  });
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    data = {};
+  }
+
+  if (!response.ok || !data.access_token) {
+    const detail = data.error_description || data.error || `HTTP ${response.status}`;
+    throw new Error(`Token request failed: ${detail}`);
+  }
+
+  const tokens = {
+    access_token: data.access_token,
+    token_type: data.token_type || 'Bearer'
+  };
+  if (data.refresh_token) {
+    tokens.refresh_token = data.refresh_token;
+  }
+  if (data.scope) {
+    tokens.scope = data.scope;
+  }
+  if (typeof data.expires_in === 'number') {
+    tokens.expires_at = Date.now() + data.expires_in * 1000;
+  }
+  return tokens;
+}
+
+/**
+ * Open a URL in the user's browser
+ * Failures are ignored; the URL is always printed to stderr as well.
+ *
+ * @param {string} url - URL to open
+ */
+function openBrowser(url) {
+  let command, args;
+  if (process.platform === 'win32') {
+    command = 'cmd.exe';
+    args = ['/c', 'start', '""', url.replace(/&/g, '^&')];
+  } else if (process.platform === 'darwin') {
+    command = 'open';
+    args = [url];
+  } else {
+    command = 'xdg-open';
+    args = [url];
+  }
+
+  try {
+    const child = child_process.spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch (err) {
+    // Ignore - the user can open the printed URL manually
+  }
+}
+
+/**
+ * TokenStore - Persists OAuth clients and tokens per resource
+ * The file is written with owner-only permissions.
+ */
+class TokenStore {
+  /**
+   * @param {string} [storePath] - Path to the JSON store file
+   */
+  constructor(storePath = DEFAULT_STORE_PATH) {
+    /** @type {string} */
+    this.storePath = storePath;
+  }
+
+  /**
+   * Read the whole store
+   * @returns {Object} Entries keyed by resource
+   */
+  readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Get the entry for a resource
+   *
+   * @param {string} resource - Canonical resource URL
+   * @returns {Object} Entry ({ client?, tokens?, ... }), empty if none
+   */
+  get(resource) {
+    return this.readAll()[resource] || {};
+  }
+
+  /**
+   * Merge fields into the entry for a resource
+   *
+   * @param {string} resource - Canonical resource URL
+   * @param {Object} fields - Fields to set
+   */
+  update(resource, fields) {
+    const all = this.readAll();
+    all[resource] = { ...(all[resource] || {}), ...fields };
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(all, null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * OAuthClient - Authorization code + PKCE token provider for one MCP server
+ */
+class OAuthClient {
+  /**
+   * @param {Object} options
+   * @param {URL} options.resourceUrl - MCP endpoint URL
+   * @param {string} [options.storePath] - Token store path
+   * @param {function(string): void} [options.openUrl] - Opens the authorization URL (default: system browser)
+   * @param {function} [options.fetch] - fetch implementation (default: global fetch)
+   * @param {function(...any): void} [options.log] - Debug logger
+   */
+  constructor(options) {
+    if (!options || !(options.resourceUrl instanceof URL)) {
+      throw new Error('OAuthClient requires a resourceUrl URL object');
+    }
+
+    /** @type {URL} */
+    this.resourceUrl = options.resourceUrl;
+
+    /** @type {string} */
+    this.resource = canonicalResource(options.resourceUrl);
+
+    /** @type {TokenStore} */
+    this.store = new TokenStore(options.storePath);
+
+    /** @type {function(string): void} */
+    this.openUrl = options.openUrl || openBrowser;
+
+    /** @type {function} */
+    this.fetch = options.fetch || fetch;
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {Promise<boolean>|null} */
+    this._pending = null;
+  }
+
+  /**
+   * Get a usable access token, refreshing it first if it is about to expire
+   *
+   * @returns {Promise<string|null>} Access token, or null if not authorized yet
+   */
+  async getAccessToken() {
+    const { tokens } = this.store.get(this.resource);
+    if (!tokens || !tokens.access_token) {
+      return null;
+    }
+
+    if (tokens.expires_at && tokens.expires_at - EXPIRY_MARGIN <= Date.now()) {
+      if (tokens.refresh_token && await this.singleFlight(() => this.refresh())) {
+        return this.store.get(this.resource).tokens.access_token;
+      }
+      return null;
+    }
+
+    return tokens.access_token;
+  }
+
+  /**
+   * React to a 401: refresh the token, or run the interactive login
+   *
+   * @param {string|null} wwwAuthenticate - WWW-Authenticate header from the 401
+   * @returns {Promise<boolean>} True if new credentials are available
+   */
+  handleUnauthorized(wwwAuthenticate) {
+    return this.singleFlight(async () => {
+      const { tokens } = this.store.get(this.resource);
+      if (tokens && tokens.refresh_token && await this.refresh()) {
+        return true;
+      }
+      return this.authorize(wwwAuthenticate);
+    });
+  }
+
+  /**
+   * Run an operation unless one is already in progress, sharing its result
+   *
+   * @param {function(): Promise<boolean>} fn - Operation
+   * @returns {Promise<boolean>}
+   */
+  singleFlight(fn) {
+    if (!this._pending) {
+      this._pending = Promise.resolve()
+        .then(fn)
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+    return this._pending;
+  }
+
+  /**
+   * Use the stored refresh token to obtain a new access token
+   *
+   * @returns {Promise<boolean>} True on success
+   */
+  async refresh() {
+    const entry = this.store.get(this.resource);
+    if (!entry.tokens || !entry.tokens.refresh_token || !entry.client || !entry.tokenEndpoint) {
+      return false;
+    }
+
+    try {
+      this.log('Refreshing access token');
+      const tokens = await requestToken(entry.tokenEndpoint, {
+        grant_type: 'refresh_token',
+        refresh_token: entry.tokens.refresh_token,
+        client_id: entry.client.client_id,
+        client_secret: entry.client.client_secret,
+        resource: this.resource
+      }, {}, this.fetch);
+      // Keep the old refresh token unless the server rotated it
+      if (!tokens.refresh_token) {
+        tokens.refresh_token = entry.tokens.refresh_token;
+      }
+      this.store.update(this.resource, { tokens });
+      return true;
+    } catch (err) {
+      this.log('Token refresh failed:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Interactive authorization code + PKCE login through the browser
+   *
+   * @param {string|null} wwwAuthenticate - WWW-Authenticate header from the 401
+   * @returns {Promise<boolean>} True once tokens are stored
+   */
+  async authorize(wwwAuthenticate) {
+    const challenge = parseWWWAuthenticate(wwwAuthenticate);
+    const challengeParams = challenge ? challenge.params : {};
+
+    // 1. Discovery
+    const resourceMetadata = await discoverProtectedResource(this.resourceUrl, challengeParams.resource_metadata, this.fetch);
+    const issuer = resourceMetadata
+      ? resourceMetadata.authorization_servers[0]
+      : this.resourceUrl.origin;
+    this.log('Authorization server:', issuer);
+    const serverMetadata = await discoverAuthorizationServer(issuer, this.fetch);
+
+    const scope = challengeParams.scope ||
+      (resourceMetadata && Array.isArray(resourceMetadata.scopes_supported)
+        ? resourceMetadata.scopes_supported.join(' ')
+        : undefined);
+
+    // 2. Loopback listener (reuse the registered port when possible)
+    const entry = this.store.get(this.resource);
+    let client = entry.issuer === issuer ? entry.client : null;
+    const preferredPort = client && client.redirect_uri ? Number(new URL(client.redirect_uri).port) : 0;
+    const listener = await startCallbackServer(preferredPort);
+
+    try {
+      const redirectUri = `http://127.0.0.1:${listener.port}${CALLBACK_PATH}`;
+
+      // 3. Dynamic client registration
+      if (!client || client.redirect_uri !== redirectUri) {
+        if (!serverMetadata.registration_endpoint) {
+          throw new Error('Authorization server does not support dynamic client registration');
+        }
+        this.log('Registering client');
+        const registered = await registerClient(serverMetadata.registration_endpoint, redirectUri, this.fetch);
+        client = { ...registered, redirect_uri: redirectUri };
+        this.store.update(this.resource, { issuer, client });
+      }
+
+      // 4. Authorization request
+      const pkce = generatePKCE();
+      const state = base64url(crypto.randomBytes(16));
+      const authorizationUrl = new URL(serverMetadata.authorization_endpoint);
+      authorizationUrl.searchParams.set('response_type', 'code');
+      authorizationUrl.searchParams.set('client_id', client.client_id);
+      authorizationUrl.searchParams.set('redirect_uri', redirectUri);
+      authorizationUrl.searchParams.set('code_challenge', pkce.challenge);
+      authorizationUrl.searchParams.set('code_challenge_method', pkce.method);
+      authorizationUrl.searchParams.set('state', state);
+      authorizationUrl.searchParams.set('resource', this.resource);
+      if (scope) {
+        authorizationUrl.searchParams.set('scope', scope);
+      }
+
+      console.error(`[oauth] Authorization required for ${this.resource}`);
+      console.error(`[oauth] Opening browser. If it does not open, visit:\n${authorizationUrl.toString()}`);
+      const callback = listener.waitForCallback(state);
+      this.openUrl(authorizationUrl.toString());
+      const code = await callback;
+
+      // 5. Token exchange
+      const tokens = await requestToken(serverMetadata.token_endpoint, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: client.client_id,
+        client_secret: client.client_secret,
+        code_verifier: pkce.verifier,
+        resource: this.resource
+      }, {}, this.fetch);
+
+      this.store.update(this.resource, {
+        issuer,
+        client,
+        tokenEndpoint: serverMetadata.token_endpoint,
+        tokens
+      });
+      console.error('[oauth] Authorization complete');
+      return true;
+    } finally {
+      listener.close();
+    }
+  }
+}
+
+/**
+ * ClientCredentialsProvider - Headless token provider (client credentials grant)
+ * Tokens are cached in memory and re-fetched shortly before they expire.
+ */
+class ClientCredentialsProvider {
+  /**
+   * @param {Object} options
+   * @param {URL} options.tokenUrl - Token endpoint
+   * @param {string} options.clientId - Client id
+   * @param {string} options.clientSecret - Client secret
+   * @param {string} [options.scope] - Requested scope
+   * @param {string} [options.resource] - Resource indicator (RFC 8707)
+   * @param {function} [options.fetch] - fetch implementation (default: global fetch)
+   * @param {function(...any): void} [options.log] - Debug logger
+   */
+  constructor(options) {
+    if (!options || !(options.tokenUrl instanceof URL)) {
+      throw new Error('ClientCredentialsProvider requires a tokenUrl URL object');
+    }
+    if (!options.clientId || !options.clientSecret) {
+      throw new Error('ClientCredentialsProvider requires clientId and clientSecret');
+    }
+
+    /** @type {URL} */
+    this.tokenUrl = options.tokenUrl;
+
+    /** @type {string} */
+    this.clientId = options.clientId;
+
+    /** @type {string} */
+    this.clientSecret = options.clientSecret;
+
+    /** @type {string|undefined} */
+    this.scope = options.scope;
+
+    /** @type {string|undefined} */
+    this.resource = options.resource;
+
+    /** @type {function} */
+    this.fetch = options.fetch || fetch;
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {Object|null} */
+    this.tokens = null;
+
+    /** @type {Promise<Object>|null} */
+    this._pending = null;
+  }
+
+  /**
+   * Get a cached access token, fetching a new one if missing or about to expire
+   *
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.tokens && !(this.tokens.expires_at && this.tokens.expires_at - EXPIRY_MARGIN <= Date.now())) {
+      return this.tokens.access_token;
+    }
+    const tokens = await this.fetchToken();
+    return tokens.access_token;
+  }
+
+  /**
+   * React to a 401 by fetching a fresh token once
+   * Failures are logged and reported as false so the 401 reaches the client.
+   *
+   * @returns {Promise<boolean>} True if a new token was obtained
+   */
+  async handleUnauthorized() {
+    this.tokens = null;
+    try {
+      await this.fetchToken();
+      return true;
+    } catch (err) {
+      this.log('Client credentials token request failed:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Request a token from the token endpoint (shared between concurrent callers)
+   *
+   * @returns {Promise<Object>} Tokens
+   */
+  fetchToken() {
+    if (!this._pending) {
+      this.log('Requesting client credentials token from', this.tokenUrl.toString());
+      const basic = Buffer.from(
+        `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`
+      ).toString('base64');
+
+      this._pending = requestToken(this.tokenUrl.toString(), {
+        grant_type: 'client_credentials',
+        scope: this.scope,
+        resource: this.resource
+      }, { 'Authorization': `Basic ${basic}` }, this.fetch)
+        .then((tokens) => {
+          this.tokens = tokens;
+          return tokens;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+    return this._pending;
+  }
+}
+
+/**
+ * Start the loopback HTTP server that receives the authorization redirect
+ *
+ * @param {number} [preferredPort=0] - Port to try first (0 for any)
+ * @returns {Promise<{ port: number, waitForCallback: function(string): Promise<string>, close: function(): void }>}
+ */
+function startCallbackServer(preferredPort = 0) {
+  let onCallback = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname !== CALLBACK_PATH) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    const error = url.searchParams.get('error');
+    res.end(error
+      ? '<p>Authorization failed. You can close this window.</p>'
+      : '<p>Authorization complete. You can close this window and return to your editor.</p>');
+
+    if (onCallback) {
+      onCallback(url.searchParams);
+    }
+  });
+
+  const listen = (port) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  });
+
+  return listen(preferredPort)
+    .catch((err) => {
+      if (preferredPort !== 0 && err.code === 'EADDRINUSE') {
+        return listen(0);
+      }
+      throw err;
+    })
+    .then(() => ({
+      port: server.address().port,
+      waitForCallback(expectedState) {
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            onCallback = null;
+            reject(new Error('Timed out waiting for browser authorization'));
+          }, AUTHORIZATION_TIMEOUT);
+
+          onCallback = (params) => {
+            if (params.get('state') !== expectedState) {
+              return; // Ignore stray or forged redirects
+            }
+            clearTimeout(timer);
+            onCallback = null;
+            const error = params.get('error');
+            if (error) {
+              reject(new Error(`Authorization denied: ${params.get('error_description') || error}`));
+            } else if (!params.get('code')) {
+              reject(new Error('Authorization redirect did not include a code'));
+            } else {
+              resolve(params.get('code'));
+            }
+          };
+        });
+      },
+      close() {
+        server.close();
+        // Drop browser keep-alive connections so the process can exit
+        if (typeof server.closeAllConnections === 'function') {
+          server.closeAllConnections();
+        }
+      }
+    }));
+}
+
+module.exports = {
+  OAuthClient,
+  ClientCredentialsProvider,
+  TokenStore,
+  generatePKCE,
+  parseWWWAuthenticate,
+  canonicalResource,
+  discoverProtectedResource,
+  discoverAuthorizationServer,
+  registerClient,
+  requestToken,
+  DEFAULT_STORE_PATH
+};
@@ -0,0 +1,663 @@
+/**
+ * Server Supervisor Module
+ * Runs a stdio MCP server as a child process and bridges it line by line.
+ * With --restart on-failure, a server that crashes is respawned with
+ * backoff and re-initialized by replaying the client's handshake, so the
+ * client keeps its tools without restarting the editor.
+ * Shutdown follows the MCP stdio recommendation: close the server's stdin,
+ * then escalate to SIGTERM and SIGKILL for the whole process tree.
+ *
+ * @module server-supervisor
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const { createInterface } = require('readline');
+const jsonrpc = require('./jsonrpc-error');
+const { createToolFilter } = require('./tool-filter');
+
+/** Policies accepted by --restart */
+const RESTART_POLICIES = ['no', 'on-failure'];
+
+/** Default restarts before giving up */
+const DEFAULT_MAX_RESTARTS = 5;
+
+/** Default delay before the first restart, doubled per restart (ms) */
+const DEFAULT_RESTART_BACKOFF = 1000;
+
+/** Upper bound for the delay between restarts */
+const RESTART_MAX_DELAY = 30000;
+
+/** How long a restarted server may take to answer the replayed initialize */
+const REPLAY_TIMEOUT = 30000;
+
+/** Default wait after closing stdin, and after SIGTERM, before escalating (ms) */
+const DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+
+/** Longest non-protocol line echoed to stderr in full */
+const NON_PROTOCOL_ECHO_LIMIT = 1000;
+
+/** Prefix for server stdout that is not JSON-RPC */
+const NON_PROTOCOL_PREFIX = '[mcp-cross] non-protocol output:';
+
+/**
+ * Build a map key for a JSON-RPC id (distinguishes 1 from "1")
+ *
+ * @param {string|number} id - JSON-RPC id
+ * @returns {string} Map key
+ */
+function idKey(id) {
+  return `${typeof id}:${id}`;
+}
+
+/**
+ * Parse a line as JSON, or return null
+ *
+ * @param {string} line - Input line
+ * @returns {*} Parsed value or null
+ */
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Describe how a process ended
+ *
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Terminating signal
+ * @returns {string} e.g. "code 1" or "signal SIGKILL"
+ */
+function describeExit(code, signal) {
+  return signal ? `signal ${signal}` : `code ${code}`;
+}
+
+/**
+ * Signal a server and everything it started
+ * On POSIX the server leads its own process group (spawned detached), so
+ * wrappers like npx or /bin/sh -c do not leave orphans behind. On Windows
+ * taskkill /T walks the tree; /F is only added for SIGKILL.
+ *
+ * @param {import('child_process').ChildProcess} child - Server process
+ * @param {string} signal - 'SIGTERM' or 'SIGKILL'
+ */
+function killProcessTree(child, signal) {
+  if (!child.pid) {
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    const args = ['/pid', String(child.pid), '/T'];
+    if (signal === 'SIGKILL') {
+      args.push('/F');
+    }
+    const taskkill = child_process.spawn('taskkill', args, { stdio: 'ignore', windowsHide: true });
+    taskkill.on('error', () => child.kill(signal));
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    // Not a group leader (spawned without detached) or already gone
+    if (err.code === 'ESRCH' && child.exitCode === null && child.signalCode === null) {
+      child.kill(signal);
+    }
+  }
+}
+
+/**
+ * ServerSupervisor - Owns the stdio server process for a bridge
+ *
+ * Client lines are written to the server's stdin and server lines to the
+ * output. Requests are tracked until answered so that, when the server
+ * dies, they fail with a JSON-RPC error instead of hanging. Lines that
+ * arrive while the server is restarting are queued and sent once the
+ * replayed initialize has been answered; that response is swallowed.
+ *
+ * With filterStdout, only JSON-RPC messages reach the client;
+ * banners, console.log debugging and shell noise on the server's stdout
+ * go to stderr instead, since a single stray line corrupts the stream.
+ *
+ * With filter rules, hidden tools, prompts and resources are removed from
+ * list responses and requests for them are answered with an error.
+ */
+class ServerSupervisor {
+  /**
+   * @param {Object} options
+   * @param {function(): import('child_process').ChildProcess} options.spawn - Starts the server with stdin/stdout piped
+   * @param {import('stream').Readable} options.input - Messages from the client
+   * @param {import('stream').Writable} options.output - Messages for the client
+   * @param {string} [options.restart='no'] - 'no' or 'on-failure'
+   * @param {number} [options.maxRestarts=5] - Restarts before giving up
+   * @param {number} [options.restartBackoff=1000] - Delay before the first restart in ms, doubled per restart
+   * @param {boolean} [options.filterStdout=false] - Divert server stdout that is not JSON-RPC to stderr
+   * @param {number} [options.shutdownTimeout=5000] - Wait after closing stdin, and after SIGTERM, before escalating (ms)
+   * @param {Object} [options.filter] - Tool filter rules (see tool-filter parseFilterOptions)
+   * @param {function(number|null, string|null): void} [options.onExit] - Called once the server has exited for good
+   * @param {function(Error): void} [options.onError] - Called if the server could not be started
+   * @param {function(...any): void} [options.log] - Debug logger
+   */
+  constructor(options) {
+    if (typeof options.spawn !== 'function') {
+      throw new Error('ServerSupervisor requires a spawn function');
+    }
+
+    /** @type {function(): import('child_process').ChildProcess} */
+    this.spawn = options.spawn;
+
+    /** @type {import('stream').Readable} */
+    this.input = options.input;
+
+    /** @type {import('stream').Writable} */
+    this.output = options.output;
+
+    /** @type {string} */
+    this.restart = RESTART_POLICIES.includes(options.restart) ? options.restart : 'no';
+
+    /** @type {number} */
+    this.maxRestarts = options.maxRestarts >= 0 ? options.maxRestarts : DEFAULT_MAX_RESTARTS;
+
+    /** @type {number} */
+    this.restartBackoff = options.restartBackoff >= 0 ? options.restartBackoff : DEFAULT_RESTART_BACKOFF;
+
+    /** @type {number} */
+    this.shutdownTimeout = options.shutdownTimeout >= 0 ? options.shutdownTimeout : DEFAULT_SHUTDOWN_TIMEOUT;
+
+    /** @type {boolean} */
+    this.filterStdout = Boolean(options.filterStdout);
+
+    /** @type {{ lines: number, bytes: number }} Server stdout diverted to stderr */
+    this.nonProtocol = { lines: 0, bytes: 0 };
+
+    /** @type {function(number|null, string|null): void} */
+    this.onExit = options.onExit || (() => {});
+
+    /** @type {function(Error): void} */
+    this.onError = options.onError || (() => {});
+
+    /** @type {function(...any): void} */
+    this.log = options.log || (() => {});
+
+    /** @type {import('./tool-filter').ToolFilter|null} Hides tools, prompts and resources; null without rules */
+    this.filter = createToolFilter(options.filter, this.log);
+
+    /** @type {import('child_process').ChildProcess|null} Running server */
+    this.child = null;
+
+    /** @type {number} Restarts so far */
+    this.restartCount = 0;
+
+    /** @type {boolean} Set by shutdown(); a stopped server is never restarted */
+    this.stopping = false;
+
+    /** @type {boolean} The client closed its end */
+    this.inputEnded = false;
+
+    /** @type {Map<string, string|number>} Requests written to the server and not yet answered, by id key */
+    this._pending = new Map();
+
+    /** @type {string[]} Client lines waiting for a (re)started server */
+    this._queue = [];
+
+    /** @type {Object|null} Client's initialize request, replayed after a restart */
+    this._initializeRequest = null;
+
+    /** @type {Object|null} Client's notifications/initialized, replayed after a restart */
+    this._initializedNotification = null;
+
+    /** @type {{ id: string, resolve: function(Object|null): void }|null} Replayed initialize awaiting its response */
+    this._replay = null;
+
+    /** @type {NodeJS.Timeout|null} Pending restart */
+    this._restartTimer = null;
+
+    /** @type {NodeJS.Timeout|null} Next shutdown escalation step */
+    this._shutdownTimer = null;
+
+    /** @type {{ code: number|null, signal: string|null }} How the last server process ended */
+    this._lastExit = { code: 0, signal: null };
+
+    /** @type {function(): void|null} */
+    this._resolveDone = null;
+
+    /** @type {import('readline').Interface|null} Client input, paused while the server's stdin is full */
+    this._clientLines = null;
+
+    /** @type {Set<import('readline').Interface>} Line readers paused until their destination drains */
+    this._paused = new Set();
+  }
+
+  /**
+   * Start the server and bridge it to input/output
+   *
+   * @returns {Promise<void>} Resolves once the server has exited for good
+   */
+  start() {
+    const done = new Promise((resolve) => {
+      this._resolveDone = resolve;
+    });
+
+    const lines = createInterface({ input: this.input, crlfDelay: Infinity });
+    lines.on('line', line => this.handleClientLine(line));
+    lines.on('close', () => this.handleInputEnd());
+    this._clientLines = lines;
+
+    this.spawnServer();
+    return done;
+  }
+
+  /**
+   * Spawn a server process and wire up its stdio
+   * @returns {import('child_process').ChildProcess}
+   */
+  spawnServer() {
+    const child = this.spawn();
+    this.child = child;
+
+    child.on('error', (err) => {
+      this.log('Server process error:', err.message);
+      this.onError(err);
+    });
+
+    // Writes racing a crash fail with EPIPE; the exit handler reports them
+    child.stdin.on('error', (err) => {
+      this.log('Server stdin error:', err.message);
+    });
+
+    const lines = createInterface({ input: child.stdout, crlfDelay: Infinity });
+    lines.on('line', (line) => {
+      if (!this.handleServerLine(line)) {
+        this.pauseUntilDrained(lines, this.output);
+      }
+    });
+
+    // The server is gone but its own children may still hold stdout open
+    child.on('exit', () => {
+      if (this.child === child && process.platform !== 'win32') {
+        killProcessTree(child, 'SIGTERM');
+        this.escalate(child, ['SIGKILL']);
+      }
+    });
+
+    child.on('close', (code, signal) => this.handleExit(child, code, signal));
+    return child;
+  }
+
+  /**
+   * Handle a line from the client
+   *
+   * @param {string} line - Client line
+   */
+  handleClientLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message = parseLine(line);
+    if (this.filter && message) {
+      const { forward, rejected } = this.filter.filterClientMessage(message);
+      if (rejected.length > 0) {
+        this.output.write(JSON.stringify(Array.isArray(message) ? rejected : rejected[0]) + '\n');
+      }
+      if (forward === null) {
+        return;
+      }
+      if (forward !== message) {
+        message = forward;
+        line = JSON.stringify(forward);
+      }
+    }
+
+    // Cache the handshake for replay after a restart
+    if (message && message.method === 'initialize') {
+      this._initializeRequest = message;
+      this._initializedNotification = null;
+    } else if (message && message.method === 'notifications/initialized') {
+      this._initializedNotification = message;
+    }
+
+    if (!this.child || this._replay || this._queue.length > 0) {
+      this._queue.push(line);
+      return;
+    }
+    this.send(line, message);
+  }
+
+  /**
+   * Write a client line to the running server, tracking its requests
+   *
+   * @param {string} line - Client line
+   * @param {*} [message] - Parsed line
+   */
+  send(line, message = parseLine(line)) {
+    const messages = Array.isArray(message) ? message : [message];
+    for (const item of messages) {
+      if (item && typeof item.method === 'string' && item.id !== undefined && item.id !== null) {
+        this._pending.set(idKey(item.id), item.id);
+      }
+    }
+    if (!this.child.stdin.write(line + '\n')) {
+      this.pauseUntilDrained(this._clientLines, this.child.stdin);
+    }
+  }
+
+  /**
+   * Stop reading lines until a destination that reported itself full drains
+   * (or closes), so a fast sender cannot fill memory behind a slow reader
+   *
+   * @param {import('readline').Interface} lines - Line reader feeding the destination
+   * @param {import('stream').Writable} destination - Stream whose write() returned false
+   */
+  pauseUntilDrained(lines, destination) {
+    if (!lines || this._paused.has(lines)) {
+      return;
+    }
+    this._paused.add(lines);
+    lines.pause();
+
+    const resume = () => {
+      destination.off('drain', resume);
+      destination.off('close', resume);
+      this._paused.delete(lines);
+      lines.resume();
+    };
+    destination.on('drain', resume);
+    destination.on('close', resume);
+  }
+
+  /**
+   * Send queued client lines once the server is ready
+   */
+  flushQueue() {
+    while (this._queue.length > 0 && this.child && !this._replay) {
+      this.send(this._queue.shift());
+    }
+    if (this.inputEnded && this._queue.length === 0 && this.child) {
+      this.child.stdin.end();
+    }
+  }
+
+  /**
+   * Handle the client closing its end
+   * The server's stdin is closed once queued lines are sent; a server that
+   * exits after that is not restarted, and one that does not exit is
+   * terminated after the shutdown timeout.
+   */
+  handleInputEnd() {
+    this.inputEnded = true;
+    this.log('Client input closed');
+    if (this._restartTimer) {
+      clearTimeout(this._restartTimer);
+      this._restartTimer = null;
+      this.finish();
+      return;
+    }
+    this.flushQueue();
+    if (this.child) {
+      this.escalate(this.child, ['SIGTERM', 'SIGKILL']);
+    }
+  }
+
+  /**
+   * Handle a line from the server
+   *
+   * @param {string} line - Server line
+   * @returns {boolean} False if the output is full and reading should wait for 'drain'
+   */
+  handleServerLine(line) {
+    const message = parseLine(line);
+
+    if (this.filterStdout && !jsonrpc.isMessage(message)) {
+      this.divert(line);
+      return true;
+    }
+
+    if (message && this._replay && jsonrpc.isResponse(message) && message.id === this._replay.id) {
+      this._replay.resolve(message);
+      return true;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    for (const item of messages) {
+      if (jsonrpc.isResponse(item)) {
+        this._pending.delete(idKey(item.id));
+      }
+    }
+
+    if (this.filter && message) {
+      const filtered = this.filter.filterServerMessage(message);
+      if (filtered === null) {
+        return true;
+      }
+      if (filtered !== message) {
+        line = JSON.stringify(filtered);
+      }
+    }
+
+    return this.output.write(line + '\n');
+  }
+
+  /**
+   * Send a server stdout line that is not JSON-RPC to stderr
+   *
+   * @param {string} line - Server line
+   */
+  divert(line) {
+    if (!line.trim()) {
+      return;
+    }
+    const bytes = Buffer.byteLength(line);
+    this.nonProtocol.lines++;
+    this.nonProtocol.bytes += bytes;
+
+    const echo = line.length > NON_PROTOCOL_ECHO_LIMIT
+      ? `${line.slice(0, NON_PROTOCOL_ECHO_LIMIT)}... (${bytes} bytes)`
+      : line;
+    console.error(NON_PROTOCOL_PREFIX, echo);
+    this.log(`Diverted ${this.nonProtocol.lines} non-protocol line(s), ${this.nonProtocol.bytes} bytes so far`);
+  }
+
+  /**
+   * Handle a server process ending
+   * Unanswered requests fail; a failed server is restarted if the policy
+   * and restart budget allow it.
+   *
+   * @param {import('child_process').ChildProcess} child - The process that exited
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Terminating signal
+   */
+  handleExit(child, code, signal) {
+    if (this.child !== child) {
+      return;
+    }
+    this.child = null;
+    clearTimeout(this._shutdownTimer);
+    this._shutdownTimer = null;
+    this._lastExit = { code, signal };
+    this.log('MCP server exited:', { code, signal });
+    if (this.nonProtocol.lines > 0) {
+      console.error(`[mcp-cross] Diverted ${this.nonProtocol.lines} non-protocol line(s) ` +
+        `(${this.nonProtocol.bytes} bytes) from server stdout to stderr`);
+    }
+
+    if (this._replay) {
+      this._replay.resolve(null);
+    }
+
+    const failed = code !== 0 || signal !== null;
+    const restart = failed && this.restart === 'on-failure' && !this.stopping && !this.inputEnded &&
+      this.restartCount < this.maxRestarts;
+
+    // A client that already closed its end is not waiting for answers
+    if (!this.inputEnded) {
+      this.failPending(code, signal, restart);
+    }
+
+    if (restart) {
+      this.scheduleRestart(code, signal);
+      return;
+    }
+    if (failed && this.restart === 'on-failure' && !this.stopping && !this.inputEnded) {
+      console.error(`[mcp-cross] MCP server exited (${describeExit(code, signal)}) after ${this.restartCount} restart(s); giving up`);
+    }
+    this.finish();
+  }
+
+  /**
+   * Answer every request the dead server never answered
+   *
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Terminating signal
+   * @param {boolean} restarting - Whether a restart follows
+   */
+  failPending(code, signal, restarting) {
+    const message = `MCP server exited (${describeExit(code, signal)}) before responding` +
+      (restarting ? '; it is being restarted' : '');
+    for (const id of this._pending.values()) {
+      if (this.filter) {
+        this.filter.forget(id);
+      }
+      this.output.write(JSON.stringify(jsonrpc.serverExited(id, message, { exitCode: code, signal })) + '\n');
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * Respawn the server after an exponential backoff
+   *
+   * @param {number|null} code - Exit code of the failed process
+   * @param {string|null} signal - Terminating signal of the failed process
+   */
+  scheduleRestart(code, signal) {
+    this.restartCount++;
+    const delay = Math.min(this.restartBackoff * Math.pow(2, this.restartCount - 1), RESTART_MAX_DELAY);
+    console.error(`[mcp-cross] MCP server exited (${describeExit(code, signal)}); restarting in ${delay}ms ` +
+      `(${this.restartCount}/${this.maxRestarts})`);
+
+    this._restartTimer = setTimeout(() => {
+      this._restartTimer = null;
+      const child = this.spawnServer();
+      this.replayHandshake(child).finally(() => this.flushQueue());
+    }, delay);
+  }
+
+  /**
+   * Re-initialize a restarted server with the client's handshake
+   * The replayed initialize uses its own id and its response is swallowed.
+   *
+   * @param {import('child_process').ChildProcess} child - Restarted server
+   * @returns {Promise<void>}
+   */
+  async replayHandshake(child) {
+    if (!this._initializeRequest) {
+      return;
+    }
+
+    const id = `mcp-cross-reinitialize-${this.restartCount}`;
+    const response = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), REPLAY_TIMEOUT);
+      this._replay = {
+        id,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        }
+      };
+      child.stdin.write(JSON.stringify({ ...this._initializeRequest, id }) + '\n');
+    });
+    this._replay = null;
+
+    if (!response || response.error) {
+      this.log('Re-initialize failed:', response && response.error ? response.error.message : 'no response');
+      return;
+    }
+
+    if (this._initializedNotification && this.child === child) {
+      child.stdin.write(JSON.stringify(this._initializedNotification) + '\n');
+    }
+    this.log('Server re-initialized after restart', this.restartCount);
+  }
+
+  /**
+   * Shut the server down (e.g. on SIGINT/SIGTERM); it will not be restarted
+   * Closes its stdin, then sends SIGTERM and finally SIGKILL to the process
+   * tree, waiting shutdownTimeout before each step. The returned promise of
+   * start() settles only once the server has actually exited. A second call
+   * skips straight to SIGKILL.
+   */
+  shutdown() {
+    if (this.stopping) {
+      if (this.child) {
+        this.log('Shutdown requested again; killing MCP server');
+        killProcessTree(this.child, 'SIGKILL');
+      }
+      return;
+    }
+    this.stopping = true;
+
+    if (this._restartTimer) {
+      clearTimeout(this._restartTimer);
+      this._restartTimer = null;
+      this.finish();
+      return;
+    }
+    if (!this.child) {
+      return;
+    }
+
+    this.log('Shutting down MCP server: closing its stdin');
+    this._queue = [];
+    this.child.stdin.end();
+    this.escalate(this.child, ['SIGTERM', 'SIGKILL']);
+  }
+
+  /**
+   * Signal a server that has not exited within shutdownTimeout, one step
+   * at a time
+   *
+   * @param {import('child_process').ChildProcess} child - Server process
+   * @param {string[]} signals - Signals still to send, in order
+   */
+  escalate(child, signals) {
+    clearTimeout(this._shutdownTimer);
+    this._shutdownTimer = setTimeout(() => {
+      this._shutdownTimer = null;
+      if (this.child !== child) {
+        return;
+      }
+      const [signal, ...rest] = signals;
+      this.log(`MCP server still running after ${this.shutdownTimeout}ms; sending ${signal}`);
+      killProcessTree(child, signal);
+      if (rest.length > 0) {
+        this.escalate(child, rest);
+      }
+    }, this.shutdownTimeout);
+  }
+
+  /**
+   * Report the final exit once
+   */
+  finish() {
+    if (!this._resolveDone) {
+      return;
+    }
+    const resolve = this._resolveDone;
+    this._resolveDone = null;
+    this.onExit(this._lastExit.code, this._lastExit.signal);
+    resolve();
+  }
+}
+
+module.exports = {
+  ServerSupervisor,
+  RESTART_POLICIES,
+  DEFAULT_MAX_RESTARTS,
+  DEFAULT_RESTART_BACKOFF,
+  DEFAULT_SHUTDOWN_TIMEOUT,
+  killProcessTree
+};
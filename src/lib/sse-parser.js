@@ -0,0 +1,224 @@
+/**
+ * SSE Parser Module
+ * Incremental parser for Server-Sent Events (text/event-stream) bodies.
+ *
+ * @module sse-parser
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} SSEEvent
+ * @property {string} event - Event type (defaults to "message")
+ * @property {string} data - Event data (multiple data lines joined with "\n")
+ * @property {string} [id] - Last event ID seen on the stream
+ * @property {number} [retry] - Reconnection time in ms (if the server sent one)
+ */
+
+/**
+ * SSEParser - Incrementally parses an event stream
+ * Chunks may split lines or events at any byte; complete events are
+ * dispatched to the callback as soon as their terminating blank line arrives.
+ */
+class SSEParser {
+  /**
+   * @param {function(SSEEvent): void} onEvent - Called for each complete event
+   */
+  constructor(onEvent) {
+    if (typeof onEvent !== 'function') {
+      throw new Error('SSEParser requires an onEvent callback');
+    }
+
+    /** @type {function(SSEEvent): void} */
+    this.onEvent = onEvent;
+
+    /** @type {string} */
+    this.buffer = '';
+
+    /** @type {string|null} */
+    this.lastEventId = null;
+
+    /** @type {number|null} */
+    this.retry = null;
+
+    /** @type {boolean} */
+    this._pendingCR = false;
+
+    this._resetEvent();
+  }
+
+  /**
+   * Clear the fields of the event currently being assembled
+   * @private
+   */
+  _resetEvent() {
+    this._eventType = '';
+    this._dataLines = [];
+  }
+
+  /**
+   * Feed a chunk of decoded text into the parser
+   *
+   * @param {string} chunk - Text chunk from the stream
+   */
+  feed(chunk) {
+    if (!chunk) return;
+
+    let text = chunk;
+
+    // A CR at the end of the previous chunk may be the first half of CRLF
+    if (this._pendingCR) {
+      this._pendingCR = false;
+      if (text[0] === '\n') {
+        text = text.slice(1);
+      }
+    }
+
+    this.buffer += text;
+
+    let start = 0;
+    for (let i = 0; i < this.buffer.length; i++) {
+      const ch = this.buffer[i];
+      if (ch !== '\n' && ch !== '\r') continue;
+
+      this._processLine(this.buffer.slice(start, i));
+
+      if (ch === '\r') {
+        if (i + 1 === this.buffer.length) {
+          this._pendingCR = true;
+        } else if (this.buffer[i + 1] === '\n') {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+
+    this.buffer = this.buffer.slice(start);
+  }
+
+  /**
+   * Signal end of stream
+   * Per the SSE spec, an incomplete trailing event is discarded.
+   */
+  end() {
+    this.buffer = '';
+    this._pendingCR = false;
+    this._resetEvent();
+  }
+
+  /**
+   * Interpret a single line of the event stream
+   *
+   * @param {string} line - Line without its terminator
+   * @private
+   */
+  _processLine(line) {
+    // Blank line dispatches the event
+    if (line === '') {
+      this._dispatch();
+      return;
+    }
+
+    // Comment line (often used as keep-alive)
+    if (line[0] === ':') {
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    let field, value;
+    if (colonIndex === -1) {
+      field = line;
+      value = '';
+    } else {
+      field = line.slice(0, colonIndex);
+      value = line.slice(colonIndex + 1);
+      if (value[0] === ' ') {
+        value = value.slice(1);
+      }
+    }
+
+    switch (field) {
+      case 'event':
+        this._eventType = value;
+        break;
+      case 'data':
+        this._dataLines.push(value);
+        break;
+      case 'id':
+        // IDs containing NULL are ignored per spec
+        if (!value.includes('\0')) {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  /**
+   * Dispatch the assembled event, if it carries data
+   * @private
+   */
+  _dispatch() {
+    if (this._dataLines.length === 0) {
+      this._resetEvent();
+      return;
+    }
+
+    const event = {
+      event: this._eventType || 'message',
+      data: this._dataLines.join('\n')
+    };
+    if (this.lastEventId !== null) {
+      event.id = this.lastEventId;
+    }
+    if (this.retry !== null) {
+      event.retry = this.retry;
+    }
+
+    this._resetEvent();
+    this.onEvent(event);
+  }
+}
+
+/**
+ * Read an event stream body and dispatch its events incrementally
+ * Reading stops early (and the body is released) once onEvent returns false.
+ *
+ * @param {AsyncIterable<Uint8Array>} body - Response body stream (e.g. fetch Response.body)
+ * @param {function(SSEEvent): (boolean|void)} onEvent - Called for each complete event
+ * @returns {Promise<SSEParser>} The parser, for access to lastEventId/retry after the stream ends
+ */
+async function readEventStream(body, onEvent) {
+  let stopped = false;
+  const parser = new SSEParser((event) => {
+    if (stopped) return;
+    if (onEvent(event) === false) {
+      stopped = true;
+    }
+  });
+  const decoder = new TextDecoder('utf-8');
+
+  for await (const chunk of body) {
+    parser.feed(decoder.decode(chunk, { stream: true }));
+    if (stopped) break;
+  }
+  if (!stopped) {
+    parser.feed(decoder.decode());
+  }
+  parser.end();
+
+  return parser;
+}
+
+module.exports = {
+  SSEParser,
+  readEventStream
+};
@@ -0,0 +1,213 @@
+/**
+ * TLS Options Module
+ * Custom CA bundles, client certificates (mTLS) and public key pinning for
+ * HTTP proxy mode.
+ *
+ * @module tls-options
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const tls = require('tls');
+
+/**
+ * @typedef {Object} TLSConfig
+ * @property {string|null} ca - PEM CA bundle added to the default trust store
+ * @property {string|null} cert - PEM client certificate (mTLS)
+ * @property {string|null} key - PEM client private key (mTLS)
+ * @property {string[]} pins - Base64 SHA-256 hashes of acceptable public keys
+ * @property {string[]} hosts - Target hosts (host[:port]) the certificate and pins apply to
+ */
+
+/**
+ * Normalize a --pin-sha256 value
+ * Accepts plain base64 or curl's "sha256//" prefix.
+ *
+ * @param {string} value - Pin value
+ * @returns {{ success: boolean, pin?: string, error?: string }}
+ */
+function parsePin(value) {
+  const pin = String(value || '').trim().replace(/^sha256\/\/?/i, '');
+  if (!/^[A-Za-z0-9+/]{43}=$/.test(pin) || Buffer.from(pin, 'base64').length !== 32) {
+    return { success: false, error: `Invalid --pin-sha256 "${value}" (expected the base64 SHA-256 of a public key)` };
+  }
+  return { success: true, pin };
+}
+
+/**
+ * Compute the pin for a certificate's public key
+ * Same format as HPKP and curl --pinnedpubkey: base64 SHA-256 of the DER
+ * SubjectPublicKeyInfo.
+ *
+ * @param {Buffer|string} certificate - DER (tls PeerCertificate.raw) or PEM certificate
+ * @returns {string} Base64 hash
+ */
+function publicKeyPin(certificate) {
+  const spki = new crypto.X509Certificate(certificate).publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(spki).digest('base64');
+}
+
+/**
+ * Read a PEM file named by a CLI option
+ *
+ * @param {string} option - Option name for error messages
+ * @param {string} filePath - File path
+ * @param {string[]} errors - Collected errors
+ * @returns {string|null} File contents or null on error
+ */
+function readPemFile(option, filePath, errors) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    errors.push(`Cannot read ${option} "${filePath}": ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build the TLS configuration from CLI arguments
+ *
+ * @param {Object} args
+ * @param {string} [args.caFile] - PEM CA bundle path
+ * @param {string} [args.certFile] - PEM client certificate path
+ * @param {string} [args.keyFile] - PEM client key path
+ * @param {string[]} [args.pins] - --pin-sha256 values
+ * @param {URL|URL[]} targets - Target URL(s)
+ * @returns {{ tls: TLSConfig|null, errors: string[], warnings: string[] }}
+ */
+function loadTlsConfig(args, targets) {
+  const urls = Array.isArray(targets) ? targets : [targets];
+  const errors = [];
+  const warnings = [];
+  const pins = [];
+
+  for (const value of args.pins || []) {
+    const result = parsePin(value);
+    if (result.success) {
+      pins.push(result.pin);
+    } else {
+      errors.push(result.error);
+    }
+  }
+
+  if (Boolean(args.certFile) !== Boolean(args.keyFile)) {
+    errors.push('--cert and --key must be used together');
+  }
+
+  const ca = args.caFile ? readPemFile('--ca-file', args.caFile, errors) : null;
+  const cert = args.certFile ? readPemFile('--cert', args.certFile, errors) : null;
+  const key = args.keyFile ? readPemFile('--key', args.keyFile, errors) : null;
+
+  if (!ca && !cert && !key && pins.length === 0) {
+    return { tls: null, errors, warnings };
+  }
+
+  // Surface unusable PEM files now rather than as a handshake failure later
+  for (const [option, material] of [['--ca-file', { ca }], ['--cert/--key', { cert, key }]]) {
+    if (Object.values(material).every(Boolean)) {
+      try {
+        tls.createSecureContext(material);
+      } catch (err) {
+        errors.push(`Invalid ${option}: ${err.message}`);
+      }
+    }
+  }
+
+  const plain = urls.find(url => url.protocol !== 'https:' && url.protocol !== 'wss:');
+  if (plain && (cert || pins.length > 0)) {
+    warnings.push(`--cert and --pin-sha256 have no effect on ${plain.protocol} URLs`);
+  }
+
+  return { tls: { ca, cert, key, pins, hosts: urls.map(url => url.host) }, errors, warnings };
+}
+
+/**
+ * Verify the server's certificate chain against the pins
+ * Any certificate in the chain may match, so an intermediate CA can be pinned.
+ *
+ * @param {string[]} pins - Accepted pins
+ * @param {tls.PeerCertificate} cert - Leaf certificate (with issuerCertificate chain)
+ * @returns {Error|undefined} Error with code CERT_PIN_MISMATCH, or undefined
+ */
+function checkPins(pins, cert) {
+  const seen = new Set();
+  let current = cert;
+  while (current && current.raw && !seen.has(current.fingerprint256)) {
+    seen.add(current.fingerprint256);
+    if (pins.includes(publicKeyPin(current.raw))) {
+      return undefined;
+    }
+    current = current.issuerCertificate;
+  }
+  const err = new Error(`Server public key ${publicKeyPin(cert.raw)} does not match any --pin-sha256`);
+  err.code = 'CERT_PIN_MISMATCH';
+  return err;
+}
+
+/**
+ * Build tls.connect/https.request options for a target URL
+ * The CA bundle applies to every host (e.g. OAuth endpoints too); the
+ * client certificate and pins only to the configured target hosts.
+ *
+ * @param {TLSConfig|null} tlsConfig - TLS configuration
+ * @param {URL} url - Request URL
+ * @returns {Object|undefined} TLS options, or undefined for defaults
+ */
+function tlsOptionsFor(tlsConfig, url) {
+  if (!tlsConfig) {
+    return undefined;
+  }
+
+  const options = {};
+  if (tlsConfig.ca) {
+    options.ca = [...tls.rootCertificates, tlsConfig.ca];
+  }
+
+  if (tlsConfig.hosts.includes(url.host)) {
+    if (tlsConfig.cert && tlsConfig.key) {
+      options.cert = tlsConfig.cert;
+      options.key = tlsConfig.key;
+    }
+    if (tlsConfig.pins.length > 0) {
+      options.checkServerIdentity = (hostname, cert) => {
+        return tls.checkServerIdentity(hostname, cert) || checkPins(tlsConfig.pins, cert);
+      };
+    }
+  }
+
+  return Object.keys(options).length > 0 ? options : undefined;
+}
+
+/**
+ * Summarize the TLS configuration for debug logging (no key material)
+ *
+ * @param {TLSConfig|null} tlsConfig - TLS configuration
+ * @returns {string} Summary
+ */
+function describeTls(tlsConfig) {
+  if (!tlsConfig) {
+    return 'default';
+  }
+  const parts = [];
+  if (tlsConfig.ca) {
+    parts.push('custom CA');
+  }
+  if (tlsConfig.cert) {
+    parts.push('client certificate');
+  }
+  if (tlsConfig.pins.length > 0) {
+    parts.push(`${tlsConfig.pins.length} pin(s)`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  parsePin,
+  publicKeyPin,
+  loadTlsConfig,
+  checkPins,
+  tlsOptionsFor,
+  describeTls
+};
@@ -0,0 +1,330 @@
+/**
+ * Tool Filter Module
+ * Hides tools, prompts and resources a server offers, so a powerful server
+ * can be exposed with only the subset an agent needs.
+ *
+ * Hidden items are removed from list responses, and requests naming them
+ * are answered with a JSON-RPC error instead of reaching the server.
+ *
+ * @module tool-filter
+ */
+
+'use strict';
+
+const jsonrpc = require('./jsonrpc-error');
+
+/**
+ * Options that set filter patterns, by kind and list
+ * Each takes comma-separated glob patterns and may be repeated.
+ */
+const FILTER_OPTIONS = {
+  '--allow-tools': { kind: 'tools', list: 'allow' },
+  '--deny-tools': { kind: 'tools', list: 'deny' },
+  '--allow-prompts': { kind: 'prompts', list: 'allow' },
+  '--deny-prompts': { kind: 'prompts', list: 'deny' },
+  '--allow-resources': { kind: 'resources', list: 'allow' },
+  '--deny-resources': { kind: 'resources', list: 'deny' }
+};
+
+/** What each kind is called in error messages */
+const KIND_LABELS = { tools: 'Tool', prompts: 'Prompt', resources: 'Resource' };
+
+/**
+ * List methods: the result array to filter, the item field matched against
+ * the patterns, and the kind whose patterns apply
+ */
+const LIST_METHODS = {
+  'tools/list': { kind: 'tools', key: 'tools', field: 'name' },
+  'prompts/list': { kind: 'prompts', key: 'prompts', field: 'name' },
+  'resources/list': { kind: 'resources', key: 'resources', field: 'uri' },
+  'resources/templates/list': { kind: 'resources', key: 'resourceTemplates', field: 'uriTemplate' }
+};
+
+/** Requests naming a single item: the kind and the params field holding the name */
+const ITEM_METHODS = {
+  'tools/call': { kind: 'tools', field: 'name' },
+  'prompts/get': { kind: 'prompts', field: 'name' },
+  'resources/read': { kind: 'resources', field: 'uri' },
+  'resources/subscribe': { kind: 'resources', field: 'uri' },
+  'resources/unsubscribe': { kind: 'resources', field: 'uri' }
+};
+
+/**
+ * Map key for a JSON-RPC id (string "1" and number 1 are different ids)
+ *
+ * @param {string|number} id - JSON-RPC id
+ * @returns {string}
+ */
+function idKey(id) {
+  return `${typeof id}:${id}`;
+}
+
+/**
+ * Compile a glob pattern: `*` matches any run of characters (including
+ * none), `?` matches exactly one, everything else matches itself
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern.split('').map((char) => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Read filter options from an mcp-cross option list
+ *
+ * @param {string[]} options - mcp-cross options (option/value pairs)
+ * @returns {{ rules: Object<string, { allow: string[]|null, deny: string[] }>, errors: string[] }}
+ *   Per kind: allow is null when every item is allowed
+ */
+function parseFilterOptions(options) {
+  const rules = {
+    tools: { allow: null, deny: [] },
+    prompts: { allow: null, deny: [] },
+    resources: { allow: null, deny: [] }
+  };
+  const errors = [];
+
+  for (let i = 0; i < options.length; i++) {
+    const spec = FILTER_OPTIONS[options[i]];
+    if (!spec || i + 1 >= options.length) {
+      continue;
+    }
+    const patterns = options[i + 1].split(',').map(pattern => pattern.trim()).filter(Boolean);
+    if (patterns.length === 0) {
+      errors.push(`${options[i]} requires at least one pattern`);
+    } else {
+      const rule = rules[spec.kind];
+      rule[spec.list] = [...(rule[spec.list] || []), ...patterns];
+    }
+    i++;
+  }
+
+  return { rules, errors };
+}
+
+/**
+ * ToolFilter - Applies allow/deny patterns to one client-server conversation
+ *
+ * An item is visible if it matches an allow pattern (or no allow patterns
+ * are set) and matches no deny pattern. Tool and prompt names are matched;
+ * for resources the URI, and for resource templates the URI template text.
+ *
+ * The filter remembers which client requests were list requests, so it
+ * can find their responses among the server's messages. Entries are
+ * dropped when the response arrives, when the client cancels the request,
+ * or when the proxy calls forget() after answering or dropping it itself.
+ */
+class ToolFilter {
+  /**
+   * @param {Object} [rules] - Rules from parseFilterOptions(); missing kinds allow everything
+   * @param {function(...any): void} [log] - Debug logger
+   */
+  constructor(rules = {}, log) {
+    /** @type {Object<string, { allow: RegExp[]|null, deny: RegExp[] }>} */
+    this.rules = {};
+    for (const kind of Object.keys(KIND_LABELS)) {
+      const rule = rules[kind] || {};
+      this.rules[kind] = {
+        allow: rule.allow ? rule.allow.map(globToRegExp) : null,
+        deny: (rule.deny || []).map(globToRegExp)
+      };
+    }
+
+    /** @type {function(...any): void} */
+    this.log = log || (() => {});
+
+    /** @type {Map<string, string>} List requests awaiting their response: id key -> method */
+    this._lists = new Map();
+  }
+
+  /**
+   * Whether any patterns are set
+   * @returns {boolean}
+   */
+  get active() {
+    return Object.values(this.rules).some(rule => rule.allow !== null || rule.deny.length > 0);
+  }
+
+  /**
+   * Check a name against the patterns for its kind
+   * A missing or non-string name matches no pattern, so it is hidden
+   * whenever an allow list is set.
+   *
+   * @param {string} kind - 'tools', 'prompts' or 'resources'
+   * @param {*} name - Tool or prompt name, resource URI or URI template
+   * @returns {boolean} True if the client may see and use it
+   */
+  isVisible(kind, name) {
+    const rule = this.rules[kind];
+    if (typeof name !== 'string') {
+      return rule.allow === null;
+    }
+    if (rule.allow && !rule.allow.some(pattern => pattern.test(name))) {
+      return false;
+    }
+    return !rule.deny.some(pattern => pattern.test(name));
+  }
+
+  /**
+   * Find the hidden item a request refers to
+   *
+   * @param {Object} request - Client request
+   * @returns {{ kind: string, name: string }|null} The hidden item, or null if the request may pass
+   */
+  hiddenTarget(request) {
+    const params = request.params || {};
+    const item = ITEM_METHODS[request.method];
+    if (item) {
+      return this.isVisible(item.kind, params[item.field]) ? null : { kind: item.kind, name: params[item.field] };
+    }
+
+    // Completions name the prompt or resource template they complete for
+    if (request.method === 'completion/complete' && params.ref) {
+      if (params.ref.type === 'ref/prompt' && !this.isVisible('prompts', params.ref.name)) {
+        return { kind: 'prompts', name: params.ref.name };
+      }
+      if (params.ref.type === 'ref/resource' && !this.isVisible('resources', params.ref.uri)) {
+        return { kind: 'resources', name: params.ref.uri };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Filter a message from the client
+   * Requests for hidden items are answered here; list requests are
+   * remembered so their responses can be filtered.
+   *
+   * @param {Object|Array} message - Client message or batch
+   * @returns {{ forward: Object|Array|null, rejected: Object[] }} What to send to the server
+   *   (null if nothing is left), and error responses to send back to the client
+   */
+  filterClientMessage(message) {
+    const items = Array.isArray(message) ? message : [message];
+    const forward = [];
+    const rejected = [];
+
+    for (const item of items) {
+      if (!item || typeof item.method !== 'string') {
+        forward.push(item);
+        continue;
+      }
+
+      const hidden = this.hiddenTarget(item);
+      if (hidden) {
+        this.log(`Blocked ${item.method} for hidden ${hidden.kind.slice(0, -1)}:`, hidden.name);
+        if (item.id !== undefined && item.id !== null) {
+          const label = typeof hidden.name === 'string' ? `"${hidden.name}"` : 'without a valid name';
+          rejected.push(jsonrpc.filtered(item.id, `${KIND_LABELS[hidden.kind]} ${label} is not available`,
+            { kind: hidden.kind, name: hidden.name }));
+        }
+        continue;
+      }
+
+      if (LIST_METHODS[item.method] && item.id !== undefined && item.id !== null) {
+        this._lists.set(idKey(item.id), item.method);
+      }
+      // The server need not answer a cancelled request, and the client ignores a late answer
+      if (item.method === 'notifications/cancelled' && item.params && item.params.requestId !== undefined) {
+        this.forget(item.params.requestId);
+      }
+      forward.push(item);
+    }
+
+    if (forward.length === items.length) {
+      return { forward: message, rejected };
+    }
+    if (forward.length === 0) {
+      return { forward: null, rejected };
+    }
+    return { forward: Array.isArray(message) ? forward : forward[0], rejected };
+  }
+
+  /**
+   * Stop waiting for the response to a request
+   * Called when the proxy answers a request itself or gives up on it
+   * (failed send, server exit), so a list request that never gets a
+   * server response is not remembered forever.
+   *
+   * @param {string|number} id - JSON-RPC id
+   */
+  forget(id) {
+    this._lists.delete(idKey(id));
+  }
+
+  /**
+   * Filter a message from the server
+   * Hidden items are removed from list responses, and update notifications
+   * for hidden resources are dropped.
+   *
+   * @param {Object|Array} message - Server message or batch
+   * @returns {Object|Array|null} The message to send to the client (the same
+   *   object if nothing changed), or null if nothing is left
+   */
+  filterServerMessage(message) {
+    if (Array.isArray(message)) {
+      const filtered = message.map(item => this.filterServerMessage(item));
+      if (filtered.every((item, i) => item === message[i])) {
+        return message;
+      }
+      const remaining = filtered.filter(item => item !== null);
+      return remaining.length > 0 ? remaining : null;
+    }
+    if (!message || typeof message !== 'object') {
+      return message;
+    }
+
+    if (message.method === 'notifications/resources/updated' && message.params &&
+        !this.isVisible('resources', message.params.uri)) {
+      this.log('Dropped update for hidden resource:', message.params.uri);
+      return null;
+    }
+
+    if (!jsonrpc.isResponse(message) || !this._lists.has(idKey(message.id))) {
+      return message;
+    }
+    const method = this._lists.get(idKey(message.id));
+    this._lists.delete(idKey(message.id));
+
+    const list = LIST_METHODS[method];
+    const items = message.result && message.result[list.key];
+    if (!Array.isArray(items)) {
+      return message;
+    }
+    const visible = items.filter(item => !item || this.isVisible(list.kind, item[list.field]));
+    if (visible.length === items.length) {
+      return message;
+    }
+    this.log(`${method}: hid ${items.length - visible.length} of ${items.length}`);
+    return { ...message, result: { ...message.result, [list.key]: visible } };
+  }
+}
+
+/**
+ * Create a filter for one conversation, if there is anything to filter
+ *
+ * @param {Object} [rules] - Rules from parseFilterOptions()
+ * @param {function(...any): void} [log] - Debug logger
+ * @returns {ToolFilter|null} Null when no patterns are set
+ */
+function createToolFilter(rules, log) {
+  if (!rules) {
+    return null;
+  }
+  const filter = new ToolFilter(rules, log);
+  return filter.active ? filter : null;
+}
+
+module.exports = {
+  FILTER_OPTIONS,
+  globToRegExp,
+  parseFilterOptions,
+  ToolFilter,
+  createToolFilter
+};
@@ -1,6 +1,7 @@
 /**
  * URL Validator Module
- * Validates HTTP/HTTPS URLs for MCP HTTP proxy.
+ * Validates HTTP/HTTPS (and optionally WS/WSS, Unix socket and named pipe)
+ * URLs for MCP HTTP proxy.
  * 
  * @module url-validator
  */
@@ -10,18 +11,74 @@
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the URL is valid
- * @property {URL} [url] - Parsed URL object (if valid)
+ * @property {URL} [url] - Parsed URL object (if valid); http://localhost/<path> for socket targets
+ * @property {string} [socketPath] - Unix socket or named pipe to connect to (socket targets only)
  * @property {string} [error] - Error message (if invalid)
  * @property {string[]} [warnings] - Warnings (e.g., insecure HTTP)
  */
 
+/** Schemes of local socket targets: unix:/path.sock:/mcp and npipe://./pipe/name:/mcp */
+const SOCKET_SCHEME_PATTERN = /^(unix|npipe):/i;
+
+/**
+ * Check if a URL targets a Unix domain socket or Windows named pipe
+ * 
+ * @param {URL|string} url - URL to check
+ * @returns {boolean} True if unix: or npipe:
+ */
+function isSocketUrl(url) {
+  return SOCKET_SCHEME_PATTERN.test(typeof url === 'string' ? url.trim() : url.protocol);
+}
+
+/**
+ * Split a unix: or npipe: URL into the socket path and the HTTP request path
+ * The request path starts at the first ":/" after the socket path and
+ * defaults to "/". Named pipes may be written with / or \ separators.
+ * 
+ * @param {string} urlString - Socket URL, e.g. "unix:/run/user/1000/mcp.sock:/mcp"
+ * @returns {{ success: boolean, socketPath?: string, path?: string, error?: string }}
+ */
+function parseSocketUrl(urlString) {
+  const [, scheme] = urlString.match(SOCKET_SCHEME_PATTERN) || [];
+  if (!scheme) {
+    return { success: false, error: 'Not a unix: or npipe: URL' };
+  }
+
+  const rest = urlString.slice(scheme.length + 1);
+  const separator = rest.indexOf(':/');
+  const path = separator === -1 ? '/' : rest.slice(separator + 1);
+  let socketPath = separator === -1 ? rest : rest.slice(0, separator);
+
+  if (scheme.toLowerCase() === 'unix') {
+    // unix:///run/mcp.sock is the same as unix:/run/mcp.sock
+    socketPath = socketPath.replace(/^\/\/(?=\/)/, '');
+    if (!socketPath.startsWith('/')) {
+      return { success: false, error: `Unix socket path must be absolute: "${socketPath}"` };
+    }
+  } else {
+    socketPath = socketPath.replace(/\//g, '\\').replace(/^\\+/, '\\\\');
+    if (!/^\\\\[^\\]+\\pipe\\[^\\]+/i.test(socketPath)) {
+      return { success: false, error: `Named pipe must look like //./pipe/<name>: "${socketPath}"` };
+    }
+  }
+
+  return { success: true, socketPath, path };
+}
+
 /**
- * Check if a hostname is localhost
+ * Check if a hostname (or URL) is localhost
+ * Unix socket and named pipe URLs never leave the machine and count as local.
  * 
- * @param {string} hostname - Hostname to check
+ * @param {string|URL} hostname - Hostname, or URL whose hostname to check
  * @returns {boolean} True if localhost
  */
 function isLocalhost(hostname) {
+  if (hostname instanceof URL) {
+    if (isSocketUrl(hostname)) {
+      return true;
+    }
+    hostname = hostname.hostname;
+  }
   const localhostPatterns = [
     'localhost',
     '127.0.0.1',
@@ -35,9 +92,12 @@ function isLocalhost(hostname) {
  * Validate a URL for use with the HTTP proxy
  * 
  * @param {string} urlString - URL string to validate
+ * @param {Object} [options]
+ * @param {boolean} [options.allowWebSocket=false] - Also accept ws: and wss: URLs
+ * @param {boolean} [options.allowSocket=false] - Also accept unix: and npipe: URLs
  * @returns {ValidationResult} Validation result
  */
-function validateUrl(urlString) {
+function validateUrl(urlString, options = {}) {
   const warnings = [];
 
   // Check for empty or non-string input
@@ -51,6 +111,21 @@ function validateUrl(urlString) {
     warnings.push('URL contained leading/trailing whitespace');
   }
 
+  // Local sockets: requests go to http://localhost/<path> over the socket
+  if (options.allowSocket && isSocketUrl(trimmed)) {
+    const socket = parseSocketUrl(trimmed);
+    if (!socket.success) {
+      return { valid: false, error: socket.error };
+    }
+    let url;
+    try {
+      url = new URL(socket.path, 'http://localhost');
+    } catch (err) {
+      return { valid: false, error: `Invalid URL format: ${err.message}` };
+    }
+    return { valid: true, url, socketPath: socket.socketPath, warnings };
+  }
+
   // Try to parse the URL
   let url;
   try {
@@ -59,18 +134,28 @@ function validateUrl(urlString) {
     return { valid: false, error: `Invalid URL format: ${err.message}` };
   }
 
-  // Validate protocol (must be http or https)
+  // Validate protocol (must be http or https, or ws/wss when allowed)
   const protocol = url.protocol.toLowerCase();
-  if (protocol !== 'http:' && protocol !== 'https:') {
+  const webSocket = protocol === 'ws:' || protocol === 'wss:';
+  if (protocol !== 'http:' && protocol !== 'https:' && !(webSocket && options.allowWebSocket)) {
+    const supported = ['http:', 'https:'];
+    if (options.allowWebSocket) {
+      supported.push('ws:', 'wss:');
+    }
+    if (options.allowSocket) {
+      supported.push('unix:', 'npipe:');
+    }
     return { 
       valid: false, 
-      error: `Invalid protocol "${protocol}". Only http: and https: are supported.` 
+      error: `Invalid protocol "${protocol}". Only ${supported.slice(0, -1).join(', ')} and ${supported[supported.length - 1]} are supported.`
     };
   }
 
   // Warn about insecure HTTP for non-localhost
-  if (protocol === 'http:' && !isLocalhost(url.hostname)) {
+  if (protocol === 'http:' && !isLocalhost(url)) {
     warnings.push(`Using insecure HTTP for non-localhost URL "${url.hostname}". Consider using HTTPS for security.`);
+  } else if (protocol === 'ws:' && !isLocalhost(url)) {
+    warnings.push(`Using insecure WebSocket for non-localhost URL "${url.hostname}". Consider using wss: for security.`);
   }
 
   // Validate hostname is present
@@ -102,6 +187,18 @@ function isHttps(url) {
   return urlObj.protocol.toLowerCase() === 'https:';
 }
 
+/**
+ * Check if URL is a WebSocket URL
+ * 
+ * @param {URL|string} url - URL to check
+ * @returns {boolean} True if ws: or wss:
+ */
+function isWebSocket(url) {
+  const urlObj = typeof url === 'string' ? new URL(url) : url;
+  const protocol = urlObj.protocol.toLowerCase();
+  return protocol === 'ws:' || protocol === 'wss:';
+}
+
 /**
  * Get the base URL (origin) from a URL
  * 
@@ -137,7 +234,10 @@ function normalizeUrl(urlString) {
 module.exports = {
   validateUrl,
   isLocalhost,
+  isSocketUrl,
+  parseSocketUrl,
   isHttps,
+  isWebSocket,
   getBaseUrl,
   normalizeUrl
 };
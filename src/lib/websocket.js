@@ -0,0 +1,451 @@
+/**
+ * WebSocket Module
+ * Minimal RFC 6455 WebSocket client built on Node's http/https modules,
+ * enough to carry MCP JSON-RPC messages as text frames.
+ *
+ * @module websocket
+ * @see https://www.rfc-editor.org/rfc/rfc6455
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const http = require('http');
+const https = require('https');
+
+/** GUID appended to Sec-WebSocket-Key when computing Sec-WebSocket-Accept */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Frame opcodes */
+const Opcodes = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+/** Largest message accepted from the server */
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+/** Time to wait for the server's close frame before dropping the socket */
+const CLOSE_TIMEOUT = 1000;
+
+/**
+ * @typedef {Object} WebSocketFrame
+ * @property {boolean} fin - Final fragment of a message
+ * @property {number} opcode - Frame opcode
+ * @property {Buffer} payload - Unmasked payload
+ * @property {number} length - Bytes consumed from the buffer
+ */
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ *
+ * @param {string} key - Base64 key sent by the client
+ * @returns {string} Expected accept value
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Encode a single final frame
+ * Clients must mask every frame; servers must not.
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @param {boolean} [mask=true] - Mask the payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload, mask = true) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  if (!mask) {
+    return Buffer.concat([header, payload]);
+  }
+
+  header[1] |= 0x80;
+  const maskKey = crypto.randomBytes(4);
+  const masked = Buffer.alloc(payload.length);
+  for (let i = 0; i < payload.length; i++) {
+    masked[i] = payload[i] ^ maskKey[i % 4];
+  }
+  return Buffer.concat([header, maskKey, masked]);
+}
+
+/**
+ * Parse one frame from the start of a buffer
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {WebSocketFrame|null} Frame, or null if more bytes are needed
+ * @throws {Error} If the frame uses reserved bits or is too large
+ */
+function parseFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  if (buffer[0] & 0x70) {
+    throw new Error('Reserved bits set in WebSocket frame');
+  }
+
+  const fin = Boolean(buffer[0] & 0x80);
+  const opcode = buffer[0] & 0x0f;
+  const masked = Boolean(buffer[1] & 0x80);
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const bigLength = buffer.readBigUInt64BE(2);
+    if (bigLength > BigInt(MAX_MESSAGE_SIZE)) {
+      throw new Error('WebSocket frame exceeds maximum message size');
+    }
+    length = Number(bigLength);
+    offset = 10;
+  }
+
+  if (length > MAX_MESSAGE_SIZE) {
+    throw new Error('WebSocket frame exceeds maximum message size');
+  }
+
+  let maskKey = null;
+  if (masked) {
+    if (buffer.length < offset + 4) return null;
+    maskKey = buffer.subarray(offset, offset + 4);
+    offset += 4;
+  }
+
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (maskKey) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= maskKey[i % 4];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * WebSocketConnection - An open client connection
+ *
+ * Events:
+ * - 'message' (text: string) for each complete text or binary message
+ * - 'close' (code: number, reason: string, error: Error|null) once the socket is gone
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {import('net').Socket} socket - Upgraded socket
+   * @param {Buffer} [head] - Bytes received after the handshake
+   * @param {string|null} [protocol] - Subprotocol selected by the server
+   */
+  constructor(socket, head = Buffer.alloc(0), protocol = null) {
+    super();
+
+    /** @type {import('net').Socket} */
+    this.socket = socket;
+
+    /** @type {string|null} */
+    this.protocol = protocol;
+
+    /** @type {'open'|'closing'|'closed'} */
+    this.readyState = 'open';
+
+    /** @type {Buffer} */
+    this._buffer = Buffer.alloc(0);
+
+    /** @type {Buffer[]} Fragments of a message in progress */
+    this._fragments = [];
+
+    /** @type {number} */
+    this._fragmentSize = 0;
+
+    /** @type {number|null} */
+    this._closeCode = null;
+
+    /** @type {string} */
+    this._closeReason = '';
+
+    /** @type {Error|null} */
+    this._error = null;
+
+    /** @type {NodeJS.Timeout|null} */
+    this._closeTimer = null;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('error', (err) => {
+      this._error = err;
+    });
+    socket.on('close', () => this._onSocketClose());
+
+    // Let the caller attach listeners before early frames are dispatched
+    if (head.length > 0) {
+      setImmediate(() => this._onData(head));
+    }
+  }
+
+  /**
+   * Send a text message
+   *
+   * @param {string} text - Message text
+   * @throws {Error} If the connection is not open
+   */
+  send(text) {
+    if (this.readyState !== 'open') {
+      throw new Error('WebSocket is not open');
+    }
+    this.socket.write(encodeFrame(Opcodes.TEXT, Buffer.from(text, 'utf8')));
+  }
+
+  /**
+   * Start the closing handshake
+   * The socket is destroyed if the server does not answer in time.
+   *
+   * @param {number} [code=1000] - Close status code
+   * @param {string} [reason=''] - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState !== 'open') {
+      return;
+    }
+    this.readyState = 'closing';
+    this._closeCode = code;
+    this._closeReason = reason;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(Opcodes.CLOSE, payload));
+
+    this._closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    this._closeTimer.unref();
+  }
+
+  /**
+   * Handle received bytes, dispatching every complete frame
+   *
+   * @param {Buffer} chunk - Received bytes
+   * @private
+   */
+  _onData(chunk) {
+    this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+    while (this.readyState !== 'closed') {
+      let frame;
+      try {
+        frame = parseFrame(this._buffer);
+      } catch (err) {
+        this._fail(1002, err);
+        return;
+      }
+      if (!frame) {
+        return;
+      }
+      this._buffer = this._buffer.subarray(frame.length);
+      this._onFrame(frame);
+    }
+  }
+
+  /**
+   * Handle a single frame
+   *
+   * @param {WebSocketFrame} frame - Parsed frame
+   * @private
+   */
+  _onFrame(frame) {
+    switch (frame.opcode) {
+      case Opcodes.TEXT:
+      case Opcodes.BINARY:
+      case Opcodes.CONTINUATION: {
+        if ((frame.opcode === Opcodes.CONTINUATION) !== (this._fragments.length > 0)) {
+          this._fail(1002, new Error('Unexpected WebSocket continuation frame'));
+          return;
+        }
+        this._fragmentSize += frame.payload.length;
+        if (this._fragmentSize > MAX_MESSAGE_SIZE) {
+          this._fail(1009, new Error('WebSocket message exceeds maximum message size'));
+          return;
+        }
+        this._fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(this._fragments).toString('utf8');
+          this._fragments = [];
+          this._fragmentSize = 0;
+          if (this.readyState === 'open') {
+            this.emit('message', message);
+          }
+        }
+        break;
+      }
+      case Opcodes.PING:
+        if (this.readyState === 'open') {
+          this.socket.write(encodeFrame(Opcodes.PONG, frame.payload));
+        }
+        break;
+      case Opcodes.PONG:
+        break;
+      case Opcodes.CLOSE: {
+        const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+        const reason = frame.payload.subarray(2).toString('utf8');
+        if (this.readyState === 'open') {
+          // Echo the server's close frame, then let it drop the connection
+          this.readyState = 'closing';
+          this._closeCode = code;
+          this._closeReason = reason;
+          const payload = frame.payload.length >= 2 ? frame.payload.subarray(0, 2) : Buffer.alloc(0);
+          this.socket.write(encodeFrame(Opcodes.CLOSE, payload));
+        }
+        this.socket.end();
+        break;
+      }
+      default:
+        this._fail(1002, new Error(`Unknown WebSocket opcode ${frame.opcode}`));
+    }
+  }
+
+  /**
+   * Abort the connection after a protocol violation
+   *
+   * @param {number} code - Close status code
+   * @param {Error} err - Cause
+   * @private
+   */
+  _fail(code, err) {
+    this._error = err;
+    if (this.readyState === 'open') {
+      this.close(code, err.message.slice(0, 100));
+    }
+    this.socket.destroy();
+  }
+
+  /**
+   * Handle the underlying socket closing
+   * @private
+   */
+  _onSocketClose() {
+    if (this.readyState === 'closed') {
+      return;
+    }
+    this.readyState = 'closed';
+    clearTimeout(this._closeTimer);
+    this.emit('close', this._closeCode === null ? 1006 : this._closeCode, this._closeReason, this._error);
+  }
+}
+
+/**
+ * Open a WebSocket connection
+ * Rejections carry `status`, `statusText` and `wwwAuthenticate` when the
+ * server answered the upgrade request with a normal HTTP response.
+ *
+ * @param {URL} url - ws: or wss: URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers={}] - Extra upgrade request headers
+ * @param {string[]} [options.protocols=[]] - Subprotocols to offer
+ * @param {number} [options.timeout=30000] - Handshake timeout in ms
+ * @param {import('http').Agent} [options.agent] - Agent supplying connected sockets with TLS
+ *   already applied (e.g. an outbound-proxy TunnelAgent)
+ * @param {Object} [options.tls] - Extra tls.connect options for direct wss: connections
+ * @returns {Promise<WebSocketConnection>}
+ */
+function connect(url, options = {}) {
+  const { headers = {}, protocols = [], timeout = 30000, agent, tls } = options;
+  const secure = url.protocol === 'wss:';
+  const key = crypto.randomBytes(16).toString('base64');
+
+  const requestHeaders = {
+    ...headers,
+    'Connection': 'Upgrade',
+    'Upgrade': 'websocket',
+    'Sec-WebSocket-Version': '13',
+    'Sec-WebSocket-Key': key
+  };
+  if (protocols.length > 0) {
+    requestHeaders['Sec-WebSocket-Protocol'] = protocols.join(', ');
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (secure && !agent ? https : http).request({
+      ...(secure && !agent ? tls : undefined),
+      hostname: url.hostname.replace(/^\[|\]$/g, ''),
+      port: url.port || (secure ? 443 : 80),
+      path: url.pathname + url.search,
+      method: 'GET',
+      headers: { 'Host': url.host, ...requestHeaders },
+      agent: agent || false
+    });
+
+    const timer = setTimeout(() => {
+      const err = new Error(`WebSocket handshake timed out after ${timeout}ms`);
+      err.code = 'ETIMEDOUT';
+      request.destroy(err);
+    }, timeout);
+
+    request.on('upgrade', (res, socket, head) => {
+      clearTimeout(timer);
+      if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error('Invalid Sec-WebSocket-Accept in WebSocket handshake'));
+        return;
+      }
+      const protocol = res.headers['sec-websocket-protocol'] || null;
+      if (protocol && !protocols.includes(protocol)) {
+        socket.destroy();
+        reject(new Error(`Server selected unrequested WebSocket subprotocol "${protocol}"`));
+        return;
+      }
+      resolve(new WebSocketConnection(socket, head, protocol));
+    });
+
+    request.on('response', (res) => {
+      clearTimeout(timer);
+      res.resume();
+      const err = new Error(`WebSocket upgrade rejected: HTTP ${res.statusCode}`);
+      err.status = res.statusCode;
+      err.statusText = res.statusMessage;
+      err.wwwAuthenticate = res.headers['www-authenticate'] || null;
+      reject(err);
+    });
+
+    request.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+
+    request.end();
+  });
+}
+
+module.exports = {
+  connect,
+  WebSocketConnection,
+  encodeFrame,
+  parseFrame,
+  acceptKey,
+  Opcodes,
+  MAX_MESSAGE_SIZE
+};
@@ -0,0 +1,622 @@
+/**
+ * WebSocket Proxy Module
+ * Bridges stdio NDJSON to an MCP server reachable over ws:// or wss://.
+ * One socket is kept open; each input line is sent as a text message and
+ * every message from the server is written to stdout as a line.
+ *
+ * @module ws-proxy
+ */
+
+'use strict';
+
+const { createInterface } = require('readline');
+const { isLocalhost } = require('./url-validator');
+const { maskSensitiveValue, headersMapToObject } = require('./header-parser');
+const { HeaderCommand } = require('./header-command');
+const { connect } = require('./websocket');
+const { getProxyForUrl, maskProxyUrl, TunnelAgent } = require('./outbound-proxy');
+const { tlsOptionsFor, describeTls } = require('./tls-options');
+const jsonrpc = require('./jsonrpc-error');
+const { createToolFilter } = require('./tool-filter');
+
+/** WebSocket subprotocol for MCP */
+const MCP_SUBPROTOCOL = 'mcp';
+
+/** Connection attempts before a (re)connect gives up */
+const RECONNECT_MAX_ATTEMPTS = 5;
+
+/** Upper bound for the delay between connection attempts */
+const RECONNECT_MAX_DELAY = 30000;
+
+/** Upgrade rejections worth retrying */
+const RETRYABLE_STATUS_CODES = new Set([429, 502, 503, 504]);
+
+/**
+ * Build a map key for a JSON-RPC id (distinguishes 1 from "1")
+ *
+ * @param {string|number} id - JSON-RPC id
+ * @returns {string} Map key
+ */
+function idKey(id) {
+  return `${typeof id}:${id}`;
+}
+
+/**
+ * Wait for a delay
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * WebSocketProxySession - Runtime state for a stdio-WebSocket bridge
+ * Shares HTTPProxyConfig with the HTTP proxy: headers (already expanded),
+ * header commands, timeout, retry backoff and the outbound proxy apply to
+ * the socket as well.
+ */
+class WebSocketProxySession {
+  /**
+   * @param {import('./http-proxy').HTTPProxyConfig} config - Proxy configuration with a ws: or wss: URL
+   */
+  constructor(config) {
+    if (!config || !(config.url instanceof URL)) {
+      throw new Error('WebSocketProxySession requires an HTTPProxyConfig instance');
+    }
+
+    /** @type {import('./http-proxy').HTTPProxyConfig} */
+    this.config = config;
+
+    /** @type {boolean} */
+    this.isActive = true;
+
+    /** @type {import('./websocket').WebSocketConnection|null} */
+    this.socket = null;
+
+    /** @type {Promise<void>|null} Connection (and handshake replay) in progress */
+    this._connecting = null;
+
+    /** @type {number} Sockets opened so far */
+    this.connectCount = 0;
+
+    /** @type {number} Sessions re-initialized after a reconnect */
+    this.recoveryCount = 0;
+
+    /** @type {number} */
+    this.requestCount = 0;
+
+    /** @type {Map<string, { id: string|number, timer: NodeJS.Timeout }>} Requests awaiting a response, by id key */
+    this._pending = new Map();
+
+    /** @type {Set<string>} Requests that already got a timeout error */
+    this._timedOut = new Set();
+
+    /** @type {function(): void|null} Resolves start() once nothing is pending */
+    this._drained = null;
+
+    /** @type {Object|null} Client's initialize request, replayed after a reconnect */
+    this._initializeRequest = null;
+
+    /** @type {Object|null} Client's notifications/initialized, replayed after a reconnect */
+    this._initializedNotification = null;
+
+    /** @type {{ id: string, resolve: function(Object|null): void }|null} Replayed initialize awaiting its response */
+    this._replay = null;
+
+    /** @type {URL|null} Outbound proxy the socket is tunneled through */
+    this.proxyUrl = getProxyForUrl(config.url, config.proxy);
+
+    /** @type {HeaderCommand[]} Credential helpers, re-run when stale or after a 401 */
+    this.headerCommands = config.headerCommands.map(spec => new HeaderCommand({
+      name: spec.name,
+      command: spec.command,
+      ttl: config.headerCommandTtl,
+      log: (...args) => this.log(...args)
+    }));
+
+    /** @type {import('./tool-filter').ToolFilter|null} Hides tools, prompts and resources */
+    this.filter = createToolFilter(config.filter, (...args) => this.log('[filter]', ...args));
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   */
+  log(...args) {
+    if (this.config.debug) {
+      console.error('[ws-proxy]', ...args);
+    }
+  }
+
+  /**
+   * Build the upgrade request headers
+   * Header command values are always masked in debug output.
+   *
+   * @returns {Promise<Object>} Headers object
+   */
+  async buildUpgradeHeaders() {
+    const headers = headersMapToObject(this.config.headers);
+    for (const headerCommand of this.headerCommands) {
+      try {
+        headers[headerCommand.name] = await headerCommand.getValue();
+      } catch (err) {
+        this.log(err.message);
+      }
+    }
+
+    if (this.config.debug) {
+      const commandHeaders = new Set(this.headerCommands.map(h => h.name.toLowerCase()));
+      const masked = {};
+      for (const [name, value] of Object.entries(headers)) {
+        masked[name] = maskSensitiveValue(name, value, commandHeaders.has(name.toLowerCase()));
+      }
+      this.log('Headers:', masked);
+    }
+    return headers;
+  }
+
+  /**
+   * Make sure a socket is open, connecting (and re-initializing) if needed
+   * Concurrent callers share one attempt.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If no connection could be established
+   */
+  connect() {
+    if (this._connecting) {
+      return this._connecting;
+    }
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    this._connecting = this._connect().finally(() => {
+      this._connecting = null;
+    });
+    return this._connecting;
+  }
+
+  /**
+   * Open a socket with exponential backoff, then replay the handshake
+   * on reconnects
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _connect() {
+    let reauthorized = false;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < RECONNECT_MAX_ATTEMPTS && this.isActive; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(this.config.retryBackoff * Math.pow(2, attempt - 1), RECONNECT_MAX_DELAY);
+        this.log(`Reconnecting in ${delay}ms (attempt ${attempt + 1}/${RECONNECT_MAX_ATTEMPTS})`);
+        await sleep(delay);
+      }
+
+      try {
+        const tlsOptions = tlsOptionsFor(this.config.tls, this.config.url);
+        const socket = await connect(this.config.url, {
+          headers: await this.buildUpgradeHeaders(),
+          protocols: [MCP_SUBPROTOCOL],
+          timeout: this.config.timeout,
+          agent: this.proxyUrl
+            ? new TunnelAgent({
+              proxy: this.proxyUrl,
+              secure: this.config.url.protocol === 'wss:',
+              keepAlive: false,
+              tls: tlsOptions
+            })
+            : undefined,
+          tls: tlsOptions
+        });
+        if (!this.isActive) {
+          socket.close(1000);
+          break;
+        }
+        this.attach(socket);
+        break;
+      } catch (err) {
+        lastError = err;
+        this.log('WebSocket connect failed:', err.message);
+
+        // A rotated credential gets one immediate retry
+        if (err.status === 401 && this.headerCommands.length > 0 && !reauthorized) {
+          reauthorized = true;
+          for (const headerCommand of this.headerCommands) {
+            headerCommand.invalidate();
+          }
+          attempt--;
+          continue;
+        }
+        if (err.status && !RETRYABLE_STATUS_CODES.has(err.status)) {
+          throw err;
+        }
+      }
+    }
+
+    if (!this.socket) {
+      throw lastError || new Error('WebSocket proxy is stopped');
+    }
+
+    if (this.connectCount > 1 && this._initializeRequest) {
+      await this.replayHandshake();
+    }
+  }
+
+  /**
+   * Take ownership of a freshly opened socket
+   *
+   * @param {import('./websocket').WebSocketConnection} socket - Open connection
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.connectCount++;
+    this.log('Connected to', this.config.url.toString());
+
+    socket.on('message', text => this.handleMessage(text));
+    socket.on('close', (code, reason, error) => this.handleClose(socket, code, reason, error));
+  }
+
+  /**
+   * Re-initialize the server after a reconnect
+   * The replayed initialize response is swallowed; the client is told via
+   * a notifications/message log entry.
+   *
+   * @returns {Promise<void>}
+   */
+  async replayHandshake() {
+    const id = `mcp-cross-reinitialize-${this.recoveryCount + 1}`;
+    const response = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), this.config.timeout);
+      this._replay = {
+        id,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        }
+      };
+      this.socket.send(JSON.stringify({ ...this._initializeRequest, id }));
+    });
+    this._replay = null;
+
+    if (!response || response.error) {
+      this.log('Re-initialize failed:', response && response.error ? response.error.message : 'no response');
+      return;
+    }
+
+    if (this._initializedNotification && this.socket) {
+      this.socket.send(JSON.stringify(this._initializedNotification));
+    }
+
+    this.recoveryCount++;
+    this.writeMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: {
+        level: 'warning',
+        logger: 'mcp-cross',
+        data: `Connection to ${this.config.url.toString()} was lost; reconnected and re-initialized. Server-side state (e.g. subscriptions) may need to be re-established.`
+      }
+    });
+  }
+
+  /**
+   * Handle a message from the server
+   *
+   * @param {string} text - Message text
+   */
+  handleMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      this.log('Dropping non-JSON message from server:', err.message);
+      return;
+    }
+
+    if (jsonrpc.isResponse(message)) {
+      if (this._replay && message.id === this._replay.id) {
+        this._replay.resolve(message);
+        return;
+      }
+      if (this._timedOut.delete(idKey(message.id))) {
+        this.log('Dropping late response for timed out request:', message.id);
+        return;
+      }
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    for (const item of messages) {
+      if (jsonrpc.isResponse(item)) {
+        this.settle(item.id);
+      }
+    }
+
+    this.writeMessage(message);
+  }
+
+  /**
+   * Handle the socket going away
+   * In-flight requests fail with a transport error; unless the session is
+   * stopping, a new connection is opened straight away so server messages
+   * keep flowing.
+   *
+   * @param {import('./websocket').WebSocketConnection} socket - Closed connection
+   * @param {number} code - Close status code
+   * @param {string} reason - Close reason
+   * @param {Error|null} error - Underlying socket error
+   */
+  handleClose(socket, code, reason, error) {
+    if (this.socket !== socket) {
+      return;
+    }
+    this.socket = null;
+    this.log(`WebSocket closed (${code}${reason ? `: ${reason}` : ''})`, error ? error.message : '');
+
+    if (this._replay) {
+      this._replay.resolve(null);
+    }
+
+    const err = new Error(`WebSocket closed (${code}${reason ? `: ${reason}` : ''})`);
+    err.code = 'ECONNRESET';
+    for (const { id, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      this.writeMessage(jsonrpc.fromNetworkError(err, id));
+    }
+    this._pending.clear();
+    this.checkDrained();
+
+    if (this.isActive) {
+      this.connect().catch((connectErr) => {
+        this.log('Reconnect failed:', connectErr.message);
+      });
+    }
+  }
+
+  /**
+   * Track a request until its response arrives or the timeout expires
+   *
+   * @param {string|number} id - JSON-RPC id
+   */
+  track(id) {
+    const key = idKey(id);
+    const timer = setTimeout(() => {
+      this._pending.delete(key);
+      this._timedOut.add(key);
+      const err = new Error(`No response within ${this.config.timeout}ms`);
+      err.name = 'TimeoutError';
+      this.writeMessage(jsonrpc.fromNetworkError(err, id));
+      this.checkDrained();
+    }, this.config.timeout);
+    this._pending.set(key, { id, timer });
+  }
+
+  /**
+   * Stop tracking a request that got its response
+   *
+   * @param {string|number} id - JSON-RPC id
+   */
+  settle(id) {
+    const key = idKey(id);
+    const pending = this._pending.get(key);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._pending.delete(key);
+      this.checkDrained();
+    }
+  }
+
+  /**
+   * Resolve a pending start() once no requests are outstanding
+   */
+  checkDrained() {
+    if (this._pending.size === 0 && this._drained) {
+      this._drained();
+    }
+  }
+
+  /**
+   * Build the error response(s) for a message that could not be sent
+   *
+   * @param {Object|Array} message - JSON-RPC message or batch
+   * @param {Error} err - Connection error
+   * @returns {string|null} Output line, or null for notifications
+   */
+  failMessage(message, err) {
+    if (this.filter) {
+      for (const request of Array.isArray(message) ? message : [message]) {
+        if (request && request.method && request.id !== undefined && request.id !== null) {
+          this.filter.forget(request.id);
+        }
+      }
+    }
+
+    const toError = id => (err.status
+      ? jsonrpc.fromHttpError(err.status, err.statusText || 'Unknown Error', id)
+      : jsonrpc.fromNetworkError(err, id));
+
+    if (jsonrpc.isBatchRequest(message)) {
+      const errors = message.filter(m => m && m.id !== undefined && m.method).map(m => toError(m.id));
+      return errors.length > 0 ? JSON.stringify(errors) : null;
+    }
+    if (message.id === undefined || !message.method) {
+      return null;
+    }
+    return JSON.stringify(toError(message.id));
+  }
+
+  /**
+   * Write a JSON-RPC message to stdout as a single NDJSON line
+   *
+   * @param {Object|Array} message - JSON-RPC message
+   */
+  writeMessage(message) {
+    if (this.filter) {
+      message = this.filter.filterServerMessage(message);
+      if (message === null) {
+        return;
+      }
+    }
+    this.writeLine(JSON.stringify(message));
+  }
+
+  /**
+   * Write a single NDJSON line to stdout
+   *
+   * @param {string} line - Serialized JSON-RPC message
+   */
+  writeLine(line) {
+    process.stdout.write(line + '\n');
+  }
+
+  /**
+   * Process a single line of input (NDJSON)
+   * Responses arrive later through handleMessage.
+   *
+   * @param {string} line - Input line
+   * @returns {Promise<string|null>} Immediate output line (errors only) or null
+   */
+  async processLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(trimmed);
+    } catch (err) {
+      this.log('Parse error:', err.message);
+      return JSON.stringify(jsonrpc.parseError(err.message));
+    }
+
+    const isBatch = jsonrpc.isBatchRequest(message);
+    if (isBatch && message.length === 0) {
+      return JSON.stringify(jsonrpc.invalidRequest(null, 'Empty batch'));
+    }
+    if (!isBatch && !jsonrpc.isResponse(message)) {
+      const validation = jsonrpc.isValidRequest(message);
+      if (!validation.valid) {
+        return JSON.stringify(jsonrpc.invalidRequest(message.id || null, validation.error));
+      }
+    }
+
+    // Answer requests for hidden tools, prompts and resources here
+    if (this.filter) {
+      const { forward, rejected } = this.filter.filterClientMessage(message);
+      if (rejected.length > 0) {
+        this.writeLine(JSON.stringify(isBatch ? rejected : rejected[0]));
+      }
+      if (forward === null) {
+        return null;
+      }
+      message = forward;
+    }
+
+    // Cache the handshake for replay after a reconnect
+    if (!isBatch && message.method === 'initialize') {
+      this._initializeRequest = message;
+      this._initializedNotification = null;
+    } else if (!isBatch && message.method === 'notifications/initialized') {
+      this._initializedNotification = message;
+    }
+
+    try {
+      await this.connect();
+    } catch (err) {
+      return this.failMessage(message, err);
+    }
+
+    const requests = isBatch ? message : [message];
+    for (const request of requests) {
+      if (request && request.method && request.id !== undefined) {
+        this.track(request.id);
+      }
+    }
+
+    try {
+      this.socket.send(JSON.stringify(message));
+      this.requestCount++;
+    } catch (err) {
+      for (const request of requests) {
+        if (request && request.method && request.id !== undefined) {
+          this.settle(request.id);
+        }
+      }
+      err.code = 'ECONNRESET';
+      return this.failMessage(message, err);
+    }
+    return null;
+  }
+
+  /**
+   * Start the stdio-WebSocket bridge
+   * Reads NDJSON from stdin and sends each line in order; server messages
+   * are written to stdout as they arrive.
+   *
+   * @param {import('stream').Readable} [input=process.stdin] - NDJSON input stream
+   * @returns {Promise<void>} Resolves when stdin closes and outstanding requests are answered
+   */
+  async start(input = process.stdin) {
+    if (this.config.url.protocol === 'ws:' && !isLocalhost(this.config.url.hostname)) {
+      console.error('[ws-proxy] Warning: Using insecure ws: for non-localhost URL. Consider using wss:.');
+    }
+
+    this.log('Starting WebSocket proxy');
+    this.log('Target URL:', this.config.url.toString());
+    this.log('Timeout:', this.config.timeout, 'ms');
+    this.log('Proxy:', this.proxyUrl ? maskProxyUrl(this.proxyUrl) : 'none');
+    this.log('TLS:', describeTls(this.config.tls));
+
+    const rl = createInterface({
+      input,
+      crlfDelay: Infinity
+    });
+
+    for await (const line of rl) {
+      if (!this.isActive) {
+        break;
+      }
+      const output = await this.processLine(line);
+      if (output !== null) {
+        this.writeLine(output);
+      }
+    }
+
+    if (this._pending.size > 0) {
+      await new Promise((resolve) => {
+        this._drained = resolve;
+      });
+      this._drained = null;
+    }
+
+    this.log('Stdin closed, stopping proxy');
+    await this.stop();
+  }
+
+  /**
+   * Stop the proxy session and close the socket
+   */
+  async stop() {
+    this.isActive = false;
+    for (const { timer } of this._pending.values()) {
+      clearTimeout(timer);
+    }
+    this._pending.clear();
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.close(1000);
+    }
+
+    this.log(`Session ended. Sent ${this.requestCount} messages.`);
+  }
+}
+
+module.exports = {
+  WebSocketProxySession,
+  MCP_SUBPROTOCOL
+};
@@ -7,6 +7,8 @@ const child_process = require('child_process');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const { ServerSupervisor } = require('./server-supervisor');
+const { parseFilterOptions } = require('./tool-filter');
 
 // Standard Windows environment variables to exclude from WSLENV
 const WINDOWS_ENV_BLACKLIST = new Set([
@@ -50,6 +52,22 @@ class WSLBridge {
     return winPath;
   }
 
+  /**
+   * Translate WSL drive mount path back to a Windows path
+   * Inverse of translateWindowsPathToWSL (/mnt/c/x -> C:\x).
+   * @param {string} wslPath - WSL path
+   * @returns {string} Windows path, or the input if it is not under /mnt/<drive>
+   */
+  translateWSLPathToWindows(wslPath) {
+    const mountMatch = wslPath.match(/^\/mnt\/([a-z])(\/.*)?$/);
+    if (mountMatch) {
+      const drive = mountMatch[1].toUpperCase();
+      const rest = (mountMatch[2] || '\\').replace(/\//g, '\\');
+      return `${drive}:${rest}`;
+    }
+    return wslPath;
+  }
+
   /**
    * Resolve and translate arguments that look like paths
    * @param {string[]} args - Original arguments
@@ -218,13 +236,45 @@ class WSLBridge {
     return parts.join(' ');
   }
 
+  /**
+   * Read the --restart policy, --shutdown-timeout, --filter-stdout and the tool
+   * filter (--allow-tools, --deny-tools, ...) from mcp-cross options
+   * @param {string[]} mcpCrossOptions - Options passed to mcp-cross
+   * @returns {Object} { restart, maxRestarts, restartBackoff, shutdownTimeout, filterStdout, filter } (unset values are undefined)
+   */
+  getSupervisorOptions(mcpCrossOptions) {
+    const valueOf = (name) => {
+      const index = mcpCrossOptions.indexOf(name);
+      return index !== -1 && index + 1 < mcpCrossOptions.length ? mcpCrossOptions[index + 1] : undefined;
+    };
+    const numberOf = (name) => {
+      const value = valueOf(name);
+      return value === undefined ? undefined : parseInt(value, 10);
+    };
+    return {
+      restart: valueOf('--restart'),
+      maxRestarts: numberOf('--max-restarts'),
+      restartBackoff: numberOf('--restart-backoff'),
+      shutdownTimeout: numberOf('--shutdown-timeout'),
+      filterStdout: mcpCrossOptions.includes('--filter-stdout'),
+      filter: parseFilterOptions(mcpCrossOptions).rules
+    };
+  }
+
   /**
    * Execute a command in WSL
+   * With --restart on-failure in mcpCrossOptions, a crashed server (wsl.exe
+   * exiting with an error) is respawned and re-initialized. Output that is
+   * not JSON-RPC (e.g. a login shell MOTD) goes to stderr with --filter-stdout.
    * @param {string} command - Command to execute
    * @param {string[]} args - Arguments to pass to the command
    * @param {string[]} mcpCrossOptions - Options passed to mcp-cross
+   * @param {Object} [extraEnv] - Extra environment variables for the process
+   * @param {Object} [stdio] - Streams to bridge instead of process.stdin/stdout
+   * @param {import('stream').Readable} [stdio.input] - Source for the child's stdin
+   * @param {import('stream').Writable} [stdio.output] - Destination for the child's stdout
    */
-  async execute(command, args, mcpCrossOptions = [], extraEnv = {}) {
+  async execute(command, args, mcpCrossOptions = [], extraEnv = {}, stdio = {}) {
     let spawnCommand, spawnArgs;
     const envForSpawn = { ...process.env, ...extraEnv };
 
@@ -286,45 +336,38 @@ class WSLBridge {
       console.error('[WSLBridge] Spawning:', spawnCommand, spawnArgs.join(' '));
     }
 
-    // Spawn the process
-    const child = child_process.spawn(spawnCommand, spawnArgs, {
-      stdio: ['pipe', 'pipe', 'inherit'],
-      env: envForSpawn // Pass environment variables (FR-010)
-    });
-
-    // Handle process errors
-    child.on('error', (err) => {
-      if (this.isWindows && err.code === 'ENOENT' && spawnCommand === 'wsl.exe') {
-        console.error('Error: wsl.exe not found. Please ensure WSL is installed.');
-      } else {
-        console.error(`Failed to start process '${spawnCommand}':`, err.message);
+    // Spawn the process and bridge stdio (FR-007)
+    const supervisor = new ServerSupervisor({
+      spawn: () => child_process.spawn(spawnCommand, spawnArgs, {
+        stdio: ['pipe', 'pipe', 'inherit'],
+        env: envForSpawn, // Pass environment variables (FR-010)
+        detached: !this.isWindows // Own process group for shutdown (see killProcessTree)
+      }),
+      input: stdio.input || process.stdin,
+      output: stdio.output || process.stdout,
+      ...this.getSupervisorOptions(mcpCrossOptions),
+      onError: (err) => {
+        if (this.isWindows && err.code === 'ENOENT' && spawnCommand === 'wsl.exe') {
+          console.error('Error: wsl.exe not found. Please ensure WSL is installed.');
+        } else {
+          console.error(`Failed to start process '${spawnCommand}':`, err.message);
+        }
+        process.exit(1);
+      },
+      onExit: (code) => process.exit(code || 0),
+      log: (...args) => {
+        if (process.env.MCP_CROSS_DEBUG) {
+          console.error('[WSLBridge]', ...args);
+        }
       }
-      process.exit(1);
     });
 
-    // Bridge stdio (FR-007)
-    process.stdin.pipe(child.stdin);
-    child.stdout.pipe(process.stdout);
+    // Signal propagation (FR-008, T013): close stdin, then SIGTERM, then SIGKILL the tree
+    process.on('SIGINT', () => supervisor.shutdown());
+    process.on('SIGTERM', () => supervisor.shutdown());
 
-    // Handle process exit
-    child.on('exit', (code, signal) => {
-      process.exit(code || 0);
-    });
-
-    // Signal propagation (FR-008, T013)
-    const killChild = (signal) => {
-      if (child.pid) {
-        child.kill(signal);
-      }
-    };
-
-    process.on('SIGINT', () => killChild('SIGINT'));
-    process.on('SIGTERM', () => killChild('SIGTERM'));
-
-    // Keep the event loop alive until child exits
-    return new Promise((resolve) => {
-      child.on('close', resolve);
-    });
+    // Keep the event loop alive until the server exits for good
+    return supervisor.start();
   }
 }
 
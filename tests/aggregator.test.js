@@ -0,0 +1,424 @@
+/**
+ * Unit tests for aggregator.js
+ * @module tests/aggregator.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const {
+  Aggregator,
+  parseAggregateArgs,
+  mergeCapabilities,
+  templatePrefix
+} = require('../src/lib/aggregator');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Minimal stdio MCP server configured by a JSON argument: lists the given
+ * tools (one per page), prompts, resources and templates and echoes calls.
+ * Tool "ask" asks the client for roots first, "slow" only answers when
+ * cancelled (and reports the cancellation) and "crash" exits with code 3.
+ * The first config.failInitialize initialize requests fail.
+ */
+const SERVER_SCRIPT = `
+const config = JSON.parse(process.argv[1]);
+const send = (msg) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\\n');
+const reply = (id, result) => send({ id, result });
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+const waiting = {};
+let initializeCalls = 0;
+require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+  const msg = JSON.parse(line);
+  const params = msg.params || {};
+  if (msg.method === undefined) {
+    const pending = waiting[msg.id];
+    delete waiting[msg.id];
+    if (pending) pending(msg);
+    return;
+  }
+  switch (msg.method) {
+    case 'initialize':
+      if (initializeCalls++ < (config.failInitialize || 0)) {
+        return send({ id: msg.id, error: { code: -32603, message: 'Not ready' } });
+      }
+      return reply(msg.id, {
+        protocolVersion: config.protocolVersion || '2025-06-18',
+        capabilities: config.capabilities,
+        serverInfo: { name: config.name, version: '1.0.0' },
+        instructions: 'Use ' + config.name
+      });
+    case 'tools/list': {
+      const index = params.cursor ? Number(params.cursor) : 0;
+      const tools = (config.tools || []).slice(index, index + 1).map(name => ({ name, inputSchema: { type: 'object' } }));
+      return reply(msg.id, { tools, ...(index + 1 < (config.tools || []).length ? { nextCursor: String(index + 1) } : {}) });
+    }
+    case 'tools/call':
+      if (params.name === 'crash') process.exit(3);
+      if (params.name === 'slow') {
+        waiting['cancel:' + msg.id] = () => reply(msg.id, text('cancelled'));
+        return;
+      }
+      if (params.name === 'ask') {
+        waiting['roots-1'] = (response) => reply(msg.id, text('roots:' + response.result.roots.length));
+        return send({ id: 'roots-1', method: 'roots/list' });
+      }
+      return reply(msg.id, text(config.name + ':' + params.name));
+    case 'prompts/list':
+      return reply(msg.id, { prompts: (config.prompts || []).map(name => ({ name })) });
+    case 'prompts/get':
+      return reply(msg.id, { messages: [{ role: 'user', content: { type: 'text', text: config.name + ':' + params.name } }] });
+    case 'resources/list':
+      return reply(msg.id, { resources: config.resources || [] });
+    case 'resources/templates/list':
+      return reply(msg.id, { resourceTemplates: config.templates || [] });
+    case 'resources/read':
+      return reply(msg.id, { contents: [{ uri: params.uri, text: config.name }] });
+    case 'logging/setLevel':
+      send({ method: 'notifications/message', params: { level: params.level, data: config.name } });
+      return reply(msg.id, {});
+    case 'notifications/cancelled': {
+      const pending = waiting['cancel:' + params.requestId];
+      if (pending) {
+        send({ method: 'notifications/message', params: { level: 'info', data: 'cancelled ' + params.requestId } });
+        pending();
+      }
+      return;
+    }
+    default:
+      if (msg.id !== undefined) send({ id: msg.id, error: { code: -32601, message: 'Method not found' } });
+  }
+});
+`;
+
+/**
+ * Build an aggregator around test servers with in-memory client stdio
+ *
+ * @param {Array<{name: string, prefix: string, config: Object}>} servers - Backends
+ * @returns {{ aggregator: Aggregator, done: Promise<number>, call: function(string, Object=): Promise<Object>, send: function(Object): void, waitFor: function(function(Object): boolean): Promise<Object>, input: PassThrough }}
+ */
+function createHarness(servers) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const messages = [];
+  const watchers = [];
+  let buffer = '';
+
+  output.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      const watcher = watchers.find(candidate => candidate.match(message));
+      if (watcher) {
+        watchers.splice(watchers.indexOf(watcher), 1);
+        watcher.resolve(message);
+      } else {
+        messages.push(message);
+      }
+    }
+  });
+
+  const waitFor = (match) => new Promise((resolve) => {
+    const seen = messages.find(match);
+    if (seen) {
+      messages.splice(messages.indexOf(seen), 1);
+      resolve(seen);
+    } else {
+      watchers.push({ match, resolve });
+    }
+  });
+
+  const aggregator = new Aggregator({
+    backends: servers.map(({ name, prefix, config }) => ({
+      name,
+      prefix,
+      spawn: () => spawn(process.execPath, ['-e', SERVER_SCRIPT, JSON.stringify({ name, ...config })], {
+        stdio: ['pipe', 'pipe', 'inherit']
+      })
+    })),
+    input,
+    output,
+    timeout: 5000,
+    shutdownTimeout: 500,
+    version: '9.9.9'
+  });
+
+  const send = (message) => input.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  let nextId = 1;
+  const call = (method, params) => {
+    const id = nextId++;
+    send({ id, method, ...(params ? { params } : {}) });
+    return waitFor(message => message.id === id && message.method === undefined);
+  };
+
+  return { aggregator, done: aggregator.start(), call, send, waitFor, input };
+}
+
+const SERVERS = [
+  {
+    name: 'alpha',
+    prefix: 'a__',
+    config: {
+      protocolVersion: '2025-06-18',
+      capabilities: { tools: {}, resources: { subscribe: true } },
+      tools: ['search', 'shared'],
+      resources: [{ uri: 'file:///alpha/readme.md', name: 'readme' }],
+      templates: [{ uriTemplate: 'alpha://items/{id}', name: 'item' }]
+    }
+  },
+  {
+    name: 'beta',
+    prefix: 'b__',
+    config: {
+      protocolVersion: '2025-03-26',
+      capabilities: { tools: { listChanged: true }, prompts: {}, logging: {} },
+      tools: ['shared', 'ask', 'slow', 'crash'],
+      prompts: ['greet']
+    }
+  }
+];
+
+async function main() {
+  console.log('\n=== Aggregator Tests ===\n');
+
+  // --- parseAggregateArgs tests ---
+
+  runTest('parseAggregateArgs: profiles with default, custom and empty prefixes', () => {
+    const parsed = parseAggregateArgs(['--config', 'c.json', 'github', 'filesystem=fs', 'local=', '--timeout', '5000']);
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.strictEqual(parsed.configPath, 'c.json');
+    assert.strictEqual(parsed.timeout, 5000);
+    assert.deepStrictEqual(parsed.backends, [
+      { name: 'github', prefix: 'github__' },
+      { name: 'filesystem', prefix: 'fs__' },
+      { name: 'local', prefix: '' }
+    ]);
+    assert.strictEqual(parseAggregateArgs(['--separator', '.', 'gh']).backends[0].prefix, 'gh.');
+  });
+
+  runTest('parseAggregateArgs: reports invalid arguments', () => {
+    assert.deepStrictEqual(parseAggregateArgs([]).errors, ['aggregate requires at least one backend profile']);
+    assert.deepStrictEqual(parseAggregateArgs(['a', 'a=x']).errors, ['Backend "a" is listed twice']);
+    assert.deepStrictEqual(parseAggregateArgs(['a', '--wsl']).errors, ['Unknown option --wsl for aggregate']);
+    assert.deepStrictEqual(parseAggregateArgs(['a', '--timeout', '0']).errors, ['--timeout must be a positive number']);
+    assert.deepStrictEqual(parseAggregateArgs(['=x']).errors, ['Invalid backend "=x" (expected <profile>[=<prefix>])']);
+  });
+
+  runTest('mergeCapabilities: union of capabilities and flags', () => {
+    assert.deepStrictEqual(mergeCapabilities([
+      { tools: {}, resources: { subscribe: true }, experimental: { a: {} } },
+      { tools: { listChanged: false }, prompts: {}, logging: {}, experimental: { b: {} } }
+    ]), {
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: { listChanged: true },
+      logging: {},
+      experimental: { a: {}, b: {} }
+    });
+  });
+
+  runTest('templatePrefix: literal part of a URI template', () => {
+    assert.strictEqual(templatePrefix('alpha://items/{id}'), 'alpha://items/');
+    assert.strictEqual(templatePrefix('file:///fixed'), 'file:///fixed');
+  });
+
+  // --- Aggregator tests ---
+
+  const { aggregator, done, call, send, waitFor, input } = createHarness(SERVERS);
+
+  await runAsyncTest('initialize: merges capabilities and picks the oldest protocol version', async () => {
+    const response = await call('initialize', {
+      protocolVersion: '2025-06-18',
+      capabilities: { roots: {} },
+      clientInfo: { name: 'test', version: '1' }
+    });
+    assert.strictEqual(response.result.protocolVersion, '2025-03-26');
+    assert.deepStrictEqual(response.result.serverInfo, { name: 'mcp-cross-aggregate', version: '9.9.9' });
+    assert.deepStrictEqual(response.result.capabilities, {
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: { listChanged: true },
+      logging: {}
+    });
+    assert.strictEqual(response.result.instructions, '[alpha] Use alpha\n\n[beta] Use beta');
+    send({ method: 'notifications/initialized' });
+  });
+
+  await runAsyncTest('tools/list: every page of every backend, prefixed', async () => {
+    const response = await call('tools/list');
+    assert.deepStrictEqual(response.result.tools.map(tool => tool.name),
+      ['a__search', 'a__shared', 'b__shared', 'b__ask', 'b__slow', 'b__crash']);
+    assert.strictEqual(response.result.nextCursor, undefined);
+  });
+
+  await runAsyncTest('tools/call: routed to the owning backend under its own name', async () => {
+    assert.strictEqual((await call('tools/call', { name: 'a__shared', arguments: {} })).result.content[0].text, 'alpha:shared');
+    assert.strictEqual((await call('tools/call', { name: 'b__shared', arguments: {} })).result.content[0].text, 'beta:shared');
+    const unknown = await call('tools/call', { name: 'shared' });
+    assert.strictEqual(unknown.error.code, -32602);
+    assert.strictEqual(unknown.error.message, 'Unknown tool: shared');
+  });
+
+  await runAsyncTest('prompts and resources: listed with prefixes and routed', async () => {
+    const prompts = await call('prompts/list');
+    assert.deepStrictEqual(prompts.result.prompts, [{ name: 'b__greet' }]);
+    const prompt = await call('prompts/get', { name: 'b__greet' });
+    assert.strictEqual(prompt.result.messages[0].content.text, 'beta:greet');
+
+    const resources = await call('resources/list');
+    assert.deepStrictEqual(resources.result.resources, [{ uri: 'file:///alpha/readme.md', name: 'a__readme' }]);
+    const templates = await call('resources/templates/list');
+    assert.deepStrictEqual(templates.result.resourceTemplates, [{ uriTemplate: 'alpha://items/{id}', name: 'a__item' }]);
+    assert.strictEqual((await call('resources/read', { uri: 'file:///alpha/readme.md' })).result.contents[0].text, 'alpha');
+    assert.strictEqual((await call('resources/read', { uri: 'alpha://items/7' })).result.contents[0].text, 'alpha');
+  });
+
+  await runAsyncTest('server-to-client requests are relayed with their own id', async () => {
+    const pending = call('tools/call', { name: 'b__ask' });
+    const request = await waitFor(message => message.method === 'roots/list');
+    assert.strictEqual(request.id, 'mcp-cross-aggregate-1');
+    send({ id: request.id, result: { roots: [{ uri: 'file:///a' }, { uri: 'file:///b' }] } });
+    assert.strictEqual((await pending).result.content[0].text, 'roots:2');
+  });
+
+  await runAsyncTest('notifications/cancelled reaches the backend with its request id and releases the request', async () => {
+    const beta = aggregator.backends.find(backend => backend.name === 'beta');
+    send({ id: 'slow-1', method: 'tools/call', params: { name: 'b__slow' } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const backendId = aggregator.inflight.get('"slow-1"').id;
+    assert.ok(beta.pending.has(backendId));
+
+    send({ method: 'notifications/cancelled', params: { requestId: 'slow-1' } });
+    const notice = await waitFor(message => message.method === 'notifications/message' &&
+      typeof message.params.data === 'string' && message.params.data.startsWith('cancelled '));
+    assert.strictEqual(notice.params.data, `cancelled ${backendId}`);
+    assert.strictEqual(aggregator.inflight.size, 0);
+    assert.strictEqual(beta.pending.has(backendId), false);
+
+    // The backend's late response is not relayed
+    const late = await Promise.race([
+      waitFor(message => message.id === 'slow-1'),
+      new Promise(resolve => setTimeout(() => resolve(null), 100))
+    ]);
+    assert.strictEqual(late, null);
+  });
+
+  await runAsyncTest('logging/setLevel: sent to backends with logging, notifications forwarded', async () => {
+    assert.deepStrictEqual((await call('logging/setLevel', { level: 'debug' })).result, {});
+    const log = await waitFor(message => message.method === 'notifications/message');
+    assert.deepStrictEqual(log.params, { level: 'debug', data: 'beta' });
+  });
+
+  await runAsyncTest('unknown methods and ping are answered locally', async () => {
+    assert.deepStrictEqual((await call('ping')).result, {});
+    assert.strictEqual((await call('sampling/createMessage')).error.code, -32601);
+  });
+
+  await runAsyncTest('a backend exiting fails its request and drops its tools', async () => {
+    const response = await call('tools/call', { name: 'b__crash' });
+    assert.strictEqual(response.error.code, -32000);
+    assert.strictEqual(response.error.data.errorCode, 'SERVER_EXITED');
+    assert.strictEqual(response.error.data.exitCode, 3);
+    await waitFor(message => message.method === 'notifications/tools/list_changed');
+    await waitFor(message => message.method === 'notifications/prompts/list_changed');
+
+    const tools = await call('tools/list');
+    assert.deepStrictEqual(tools.result.tools.map(tool => tool.name), ['a__search', 'a__shared']);
+    assert.strictEqual((await call('tools/call', { name: 'b__shared' })).error.code, -32602);
+    assert.strictEqual((await call('tools/call', { name: 'a__search' })).result.content[0].text, 'alpha:search');
+  });
+
+  await runAsyncTest('closing client input stops the backends', async () => {
+    input.end();
+    assert.strictEqual(await done, 0);
+    assert.strictEqual(aggregator.backends.every(backend => !backend.alive), true);
+  });
+
+  await runAsyncTest('without prefixes the first backend keeps a duplicate name; pipelined requests wait', async () => {
+    const harness = createHarness([
+      { name: 'one', prefix: '', config: { capabilities: { tools: {} }, tools: ['shared', 'only-one'] } },
+      { name: 'two', prefix: '', config: { capabilities: { tools: {} }, tools: ['shared', 'only-two'] } }
+    ]);
+    // Sent back to back: tools/list must wait for the backends' initialize
+    const initialized = harness.call('initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 't' } });
+    harness.send({ method: 'notifications/initialized' });
+    const tools = await harness.call('tools/list');
+    assert.ok((await initialized).result);
+    assert.deepStrictEqual(tools.result.tools.map(tool => tool.name), ['shared', 'only-one', 'only-two']);
+    assert.strictEqual((await harness.call('tools/call', { name: 'shared' })).result.content[0].text, 'one:shared');
+    assert.strictEqual((await harness.call('tools/call', { name: 'only-two' })).result.content[0].text, 'two:only-two');
+    harness.input.end();
+    assert.strictEqual(await harness.done, 0);
+  });
+
+  await runAsyncTest('initialize can be retried after every backend failed it', async () => {
+    const harness = createHarness([
+      { name: 'late', prefix: '', config: { capabilities: { tools: {} }, tools: ['only'], failInitialize: 1 } }
+    ]);
+    const params = { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 't' } };
+    const first = await harness.call('initialize', params);
+    assert.strictEqual(first.error.message, 'No backend could be initialized');
+    const second = await harness.call('initialize', params);
+    assert.strictEqual(second.result.serverInfo.name, 'mcp-cross-aggregate');
+    assert.deepStrictEqual((await harness.call('tools/list')).result.tools.map(tool => tool.name), ['only']);
+    harness.input.end();
+    assert.strictEqual(await harness.done, 0);
+  });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,336 @@
+/**
+ * Unit tests for client-config.js
+ * @module tests/client-config.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  clientConfigPath,
+  defaultServerName,
+  buildServerEntry,
+  mergeServerEntry,
+  wrapEntry,
+  unwrapEntry,
+  rewriteConfigFile,
+  parseEmitArgs,
+  parseWrapArgs,
+  runConfigCommand
+} = require('../src/lib/client-config');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cross-client-config-'));
+
+/**
+ * Run the config command with captured output
+ */
+function run(args) {
+  const out = [];
+  const err = [];
+  const code = runConfigCommand(args, {
+    out: line => out.push(line),
+    err: line => err.push(line),
+    context: { cwd: tmpDir, homedir: tmpDir, env: {}, platform: 'linux' }
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+console.log('\n=== Client Config Tests ===\n');
+
+// --- clientConfigPath tests ---
+
+runTest('clientConfigPath: Claude Desktop per platform', () => {
+  assert.strictEqual(
+    clientConfigPath('claude-desktop', { platform: 'win32', env: { APPDATA: 'C:\\Users\\me\\AppData\\Roaming' }, homedir: 'C:\\Users\\me' }),
+    'C:\\Users\\me\\AppData\\Roaming\\Claude\\claude_desktop_config.json'
+  );
+  assert.strictEqual(
+    clientConfigPath('claude-desktop', { platform: 'darwin', env: {}, homedir: '/Users/me' }),
+    '/Users/me/Library/Application Support/Claude/claude_desktop_config.json'
+  );
+  assert.strictEqual(
+    clientConfigPath('claude-desktop', { platform: 'linux', env: {}, homedir: '/home/me' }),
+    '/home/me/.config/Claude/claude_desktop_config.json'
+  );
+});
+
+runTest('clientConfigPath: VS Code and Claude CLI use the working directory', () => {
+  assert.strictEqual(clientConfigPath('vscode', { cwd: '/work' }), path.join('/work', '.vscode', 'mcp.json'));
+  assert.strictEqual(clientConfigPath('claude-cli', { cwd: '/work' }), path.join('/work', '.mcp.json'));
+});
+
+// --- defaultServerName tests ---
+
+runTest('defaultServerName: profile, --http host, then server script', () => {
+  assert.strictEqual(defaultServerName(['--profile', 'github', '--http', 'https://x.example'], []), 'github');
+  assert.strictEqual(defaultServerName(['--http', 'https://api.githubcopilot.com/mcp/'], []), 'api.githubcopilot.com');
+  assert.strictEqual(defaultServerName([], ['node', '/srv/weather.js']), 'weather');
+  assert.strictEqual(defaultServerName([], ['npx', '-y', '@modelcontextprotocol/server-filesystem', '/home']), 'server-filesystem');
+  assert.strictEqual(defaultServerName([], ['C:\\Program Files\\My Server\\my server.exe']), 'my-server');
+});
+
+// --- buildServerEntry tests ---
+
+runTest('buildServerEntry: puts the server command after --', () => {
+  const result = buildServerEntry('claude-desktop', ['--wsl', 'node', 'C:\\srv\\server.js', '--port', '1']);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.entry, {
+    command: 'mcp-cross',
+    args: ['--wsl', '--', 'node', 'C:\\srv\\server.js', '--port', '1']
+  });
+});
+
+runTest('buildServerEntry: typed stdio entry launched via npx', () => {
+  const result = buildServerEntry('vscode', ['--http', 'https://a.example/mcp', '--header', 'Authorization: Bearer $T'], { npx: true, name: 'a' });
+  assert.strictEqual(result.name, 'a');
+  assert.deepStrictEqual(result.entry, {
+    type: 'stdio',
+    command: 'npx',
+    args: ['-y', 'mcp-cross', '--http', 'https://a.example/mcp', '--header', 'Authorization: Bearer $T']
+  });
+});
+
+runTest('buildServerEntry: rejects arguments that cannot make a client entry', () => {
+  assert.ok(buildServerEntry('vscode', ['--debug']).errors[0].includes('No server command'));
+  assert.ok(buildServerEntry('vscode', ['--serve-http', ':8080', 'node', 's.js']).errors[0].includes('--serve-http'));
+  assert.deepStrictEqual(buildServerEntry('vscode', ['--timeout']).errors.slice(0, 1), ['--timeout requires a value']);
+  assert.ok(buildServerEntry('vscode', ['--verbose', 'node', 's.js']).warnings[0].includes('--verbose'));
+});
+
+// --- parseEmitArgs tests ---
+
+runTest('parseEmitArgs: splits emit options from mcp-cross arguments', () => {
+  const parsed = parseEmitArgs(['--client', 'claude-cli', '--npx', '--write', '--', '--wsl', '--', 'node', 's.js']);
+  assert.deepStrictEqual(parsed.errors, []);
+  assert.strictEqual(parsed.client, 'claude-cli');
+  assert.strictEqual(parsed.npx, true);
+  assert.strictEqual(parsed.write, true);
+  assert.deepStrictEqual(parsed.crossArgs, ['--wsl', '--', 'node', 's.js']);
+});
+
+runTest('parseEmitArgs: reports missing and unknown options', () => {
+  assert.ok(parseEmitArgs(['--', 'node']).errors[0].includes('--client is required'));
+  assert.ok(parseEmitArgs(['--client', 'cursor', '--', 'node']).errors[0].includes('Unknown client "cursor"'));
+  assert.ok(parseEmitArgs(['--client', 'vscode', '--wsl', '--', 'node']).errors[0].includes('Unknown option --wsl'));
+  assert.ok(parseEmitArgs(['--client', 'vscode', 'node']).errors.some(e => e.includes('Missing --')));
+});
+
+// --- mergeServerEntry tests ---
+
+runTest('mergeServerEntry: creates the file and its directory', () => {
+  const file = path.join(tmpDir, 'new', '.vscode', 'mcp.json');
+  const result = mergeServerEntry(file, 'vscode', 'a', { type: 'stdio', command: 'mcp-cross', args: [] });
+  assert.deepStrictEqual(result, { status: 'added', backup: null, errors: [] });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    servers: { a: { type: 'stdio', command: 'mcp-cross', args: [] } }
+  });
+});
+
+runTest('mergeServerEntry: keeps other settings and backs up the previous file', () => {
+  const file = path.join(tmpDir, 'claude_desktop_config.json');
+  const original = JSON.stringify({ globalShortcut: 'Ctrl+Space', mcpServers: { other: { command: 'x' } } });
+  fs.writeFileSync(file, original);
+
+  const entry = { command: 'mcp-cross', args: ['--', 'node', 's.js'] };
+  const result = mergeServerEntry(file, 'claude-desktop', 'mine', entry);
+  assert.strictEqual(result.status, 'added');
+  assert.strictEqual(fs.readFileSync(result.backup, 'utf8'), original);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(config.globalShortcut, 'Ctrl+Space');
+  assert.deepStrictEqual(Object.keys(config.mcpServers), ['other', 'mine']);
+
+  assert.strictEqual(mergeServerEntry(file, 'claude-desktop', 'mine', entry).status, 'unchanged');
+});
+
+runTest('mergeServerEntry: replaces a different entry only with force', () => {
+  const file = path.join(tmpDir, 'force.json');
+  fs.writeFileSync(file, JSON.stringify({ mcpServers: { mine: { command: 'old' } } }));
+  const entry = { command: 'mcp-cross', args: [] };
+
+  const refused = mergeServerEntry(file, 'claude-cli', 'mine', entry);
+  assert.ok(refused.errors[0].includes('already has a server named "mine"'));
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).mcpServers.mine.command, 'old');
+
+  assert.strictEqual(mergeServerEntry(file, 'claude-cli', 'mine', entry, { force: true }).status, 'replaced');
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).mcpServers.mine.command, 'mcp-cross');
+});
+
+runTest('mergeServerEntry: leaves files it cannot parse alone', () => {
+  const file = path.join(tmpDir, 'comments.json');
+  fs.writeFileSync(file, '{\n  // comment\n  "servers": {}\n}\n');
+  const result = mergeServerEntry(file, 'vscode', 'a', { command: 'mcp-cross', args: [] });
+  assert.ok(result.errors[0].includes('is not valid JSON'));
+  assert.ok(!fs.existsSync(`${file}.bak`));
+});
+
+// --- wrapEntry / unwrapEntry tests ---
+
+runTest('wrapEntry: stdio entry runs in WSL with translated paths and --env', () => {
+  const result = wrapEntry({
+    command: 'node',
+    args: ['C:\\srv\\server.js', '--data', 'D:/data', 'plain'],
+    env: { API_KEY: 'k' },
+    disabled: false
+  }, { wsl: true, distro: 'Ubuntu' });
+  assert.deepStrictEqual(result.entry, {
+    command: 'mcp-cross',
+    args: ['--wsl', '--distro', 'Ubuntu', '--env', 'API_KEY=k', '--', 'node', '/mnt/c/srv/server.js', '--data', '/mnt/d/data', 'plain'],
+    disabled: false
+  });
+});
+
+runTest('wrapEntry: url entry becomes --http with headers', () => {
+  const result = wrapEntry({ type: 'sse', url: 'https://a.example/sse', headers: { Authorization: 'Bearer ${T}' } }, { npx: true });
+  assert.deepStrictEqual(result.entry, {
+    type: 'stdio',
+    command: 'npx',
+    args: ['-y', 'mcp-cross', '--http', 'https://a.example/sse', '--header', 'Authorization: Bearer ${T}', '--transport', 'sse']
+  });
+});
+
+runTest('wrapEntry: skips entries it cannot or need not wrap', () => {
+  assert.strictEqual(wrapEntry({ command: 'mcp-cross', args: ['node', 'a.js'] }).skipped, 'already runs mcp-cross');
+  assert.strictEqual(wrapEntry({ command: 'npx', args: ['-y', 'mcp-cross@beta', 'node'] }).skipped, 'already runs mcp-cross');
+  assert.ok(wrapEntry({ command: 'node', env: { PORT: 1 } }).skipped.includes('"env"'));
+  assert.ok(wrapEntry({ disabled: true }).skipped.includes('neither'));
+});
+
+runTest('unwrapEntry: reverses wrapEntry', () => {
+  const entries = [
+    { command: 'C:\\Tools\\server.exe', args: ['--root', 'C:\\work'], env: { A: '1', B: 'x=y' } },
+    { type: 'stdio', command: 'uvx', args: ['mcp-server-git'], disabled: true },
+    { type: 'http', url: 'https://a.example/mcp', headers: { 'X-Tenant': 't1' } },
+    { type: 'sse', url: 'https://a.example/sse' }
+  ];
+  for (const entry of entries) {
+    for (const options of [{}, { wsl: true, distro: 'Debian' }, { wsl: true, npx: true }]) {
+      const wrapped = wrapEntry(entry, options).entry;
+      assert.deepStrictEqual(unwrapEntry(wrapped), { entry, skipped: null });
+    }
+  }
+});
+
+runTest('unwrapEntry: leaves entries with other mcp-cross options alone', () => {
+  assert.strictEqual(unwrapEntry({ command: 'node', args: ['a.js'] }).skipped, 'does not run mcp-cross');
+  assert.ok(unwrapEntry({ command: 'mcp-cross', args: ['--restart', 'on-failure', '--', 'node'] }).skipped.includes('--restart'));
+  assert.ok(unwrapEntry({ command: 'mcp-cross', args: ['--profile', 'github'] }).skipped.includes('--profile'));
+  assert.ok(unwrapEntry({ command: 'mcp-cross', args: ['--http', 'https://a', '--http', 'https://b'] }).skipped.includes('several'));
+});
+
+// --- rewriteConfigFile tests ---
+
+runTest('rewriteConfigFile: wraps every server and keeps a backup', () => {
+  const file = path.join(tmpDir, 'wrap.json');
+  const original = {
+    theme: 'dark',
+    servers: {
+      a: { type: 'stdio', command: 'node', args: ['C:\\a.js'] },
+      b: { command: 'mcp-cross', args: ['--', 'node', 'b.js'] }
+    }
+  };
+  fs.writeFileSync(file, JSON.stringify(original));
+
+  const dry = rewriteConfigFile(file, 'wrap', { wsl: true, dryRun: true });
+  assert.deepStrictEqual(dry.changed, ['a']);
+  assert.strictEqual(dry.backup, null);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), original);
+
+  const wrapped = rewriteConfigFile(file, 'wrap', { wsl: true });
+  assert.deepStrictEqual(wrapped.skipped, [{ name: 'b', reason: 'already runs mcp-cross' }]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(wrapped.backup, 'utf8')), original);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(config.theme, 'dark');
+  assert.deepStrictEqual(config.servers.a.args, ['--wsl', '--', 'node', '/mnt/c/a.js']);
+
+  const unwrapped = rewriteConfigFile(file, 'unwrap');
+  assert.deepStrictEqual(unwrapped.changed, ['a', 'b']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).servers.a, original.servers.a);
+});
+
+runTest('rewriteConfigFile: requires a servers object', () => {
+  const file = path.join(tmpDir, 'empty.json');
+  fs.writeFileSync(file, '{}');
+  assert.ok(rewriteConfigFile(file, 'wrap').errors[0].includes('no "mcpServers" or "servers"'));
+  assert.ok(rewriteConfigFile(path.join(tmpDir, 'missing.json'), 'wrap').errors[0].includes('Cannot read'));
+});
+
+runTest('parseWrapArgs: validates options', () => {
+  assert.deepStrictEqual(parseWrapArgs(['c.json', '--wsl', '--distro', 'Ubuntu', '--dry-run'], 'wrap'), {
+    file: 'c.json', wsl: true, distro: 'Ubuntu', npx: false, dryRun: true, errors: []
+  });
+  assert.ok(parseWrapArgs(['c.json', '--distro', 'Ubuntu'], 'wrap').errors.includes('--distro requires --wsl'));
+  assert.ok(parseWrapArgs(['c.json', '--wsl'], 'unwrap').errors[0].includes('only applies to config wrap'));
+  assert.ok(parseWrapArgs([], 'unwrap').errors[0].includes('requires a client config file'));
+});
+
+// --- runConfigCommand tests ---
+
+runTest('runConfigCommand: prints a snippet by default', () => {
+  const result = run(['emit', '--client', 'claude-cli', '--name', 'fs', '--', 'npx', '-y', 'server-fs', '/home']);
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(JSON.parse(result.out), {
+    mcpServers: {
+      fs: { type: 'stdio', command: 'mcp-cross', args: ['--', 'npx', '-y', 'server-fs', '/home'] }
+    }
+  });
+});
+
+runTest('runConfigCommand: --write merges into the client default file', () => {
+  const result = run(['emit', '--client', 'claude-cli', '--write', '--', '--http', 'https://mcp.example.com/mcp']);
+  assert.strictEqual(result.code, 0, result.err);
+  assert.ok(result.err.includes('Added "mcp.example.com"'));
+  const config = JSON.parse(fs.readFileSync(path.join(tmpDir, '.mcp.json'), 'utf8'));
+  assert.deepStrictEqual(config.mcpServers['mcp.example.com'].args, ['--http', 'https://mcp.example.com/mcp']);
+});
+
+runTest('runConfigCommand: usage and errors exit with 1', () => {
+  const usage = run([]);
+  assert.strictEqual(usage.code, 1);
+  assert.ok(usage.err.includes('Usage: mcp-cross config emit'));
+  assert.ok(run(['generate']).err.includes('Unknown config command "generate"'));
+  assert.strictEqual(run(['emit', '--client', 'vscode', '--']).code, 1);
+});
+
+runTest('runConfigCommand: wrap --dry-run prints the rewritten file', () => {
+  fs.writeFileSync(path.join(tmpDir, 'dry.json'), JSON.stringify({ mcpServers: { a: { command: 'node', args: ['a.js'] } } }));
+  const result = run(['wrap', 'dry.json', '--wsl', '--dry-run']);
+  assert.strictEqual(result.code, 0, result.err);
+  assert.ok(result.err.includes('Wrapped "a"'));
+  assert.deepStrictEqual(JSON.parse(result.out).mcpServers.a.args, ['--wsl', '--', 'node', 'a.js']);
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+// --- Summary ---
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
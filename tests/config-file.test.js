@@ -0,0 +1,295 @@
+/**
+ * Unit tests for config-file.js
+ * @module tests/config-file.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OPTIONS_WITH_VALUES,
+  FLAGS,
+  configFileCandidates,
+  loadConfigFile,
+  splitArgs,
+  profileToArgs,
+  mergeArgs,
+  resolveProfileArgs
+} = require('../src/lib/config-file');
+const { FILTER_OPTIONS } = require('../src/lib/tool-filter');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cross-config-'));
+const homeDir = path.join(tmpDir, 'home');
+const projectDir = path.join(tmpDir, 'project');
+fs.mkdirSync(path.join(homeDir, '.config', 'mcp-cross'), { recursive: true });
+fs.mkdirSync(projectDir);
+
+const userConfig = {
+  profiles: {
+    github: {
+      mode: 'http',
+      url: 'https://api.githubcopilot.com/mcp/',
+      headers: { Authorization: 'Bearer $GH_TOKEN' },
+      wsl: true,
+      distro: 'Ubuntu-22.04',
+      timeout: 30000
+    },
+    fs: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-filesystem', '/home/user'],
+      env: { LOG_LEVEL: 'info' },
+      shell: 'zsh',
+      options: ['--restart', 'on-failure']
+    }
+  }
+};
+fs.writeFileSync(path.join(homeDir, '.config', 'mcp-cross', 'config.json'), JSON.stringify(userConfig));
+const context = { cwd: projectDir, env: {}, homedir: homeDir };
+
+console.log('\n=== Config File Tests ===\n');
+
+// --- loadConfigFile tests ---
+
+runTest('configFileCandidates: working directory first, then the user config', () => {
+  assert.deepStrictEqual(configFileCandidates(context), [
+    path.join(projectDir, 'mcp-cross.json'),
+    path.join(homeDir, '.config', 'mcp-cross', 'config.json')
+  ]);
+  assert.strictEqual(configFileCandidates({ ...context, env: { XDG_CONFIG_HOME: '/xdg' } })[1],
+    path.join('/xdg', 'mcp-cross', 'config.json'));
+});
+
+runTest('loadConfigFile: falls back to the user config', () => {
+  const result = loadConfigFile(context);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.path, path.join(homeDir, '.config', 'mcp-cross', 'config.json'));
+  assert.ok(result.config.profiles.github);
+});
+
+runTest('loadConfigFile: reports a missing explicit file and invalid JSON', () => {
+  const missing = loadConfigFile({ ...context, configPath: 'nope.json' });
+  assert.ok(missing.errors[0].includes('Cannot read config file'));
+
+  const broken = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(broken, '{ "profiles": ');
+  assert.ok(loadConfigFile({ ...context, configPath: broken }).errors[0].includes('Invalid JSON'));
+
+  const noProfiles = path.join(tmpDir, 'no-profiles.json');
+  fs.writeFileSync(noProfiles, '{ "servers": {} }');
+  assert.ok(loadConfigFile({ ...context, configPath: noProfiles }).errors[0].includes('"profiles" object'));
+});
+
+runTest('loadConfigFile: warns about unknown top-level keys', () => {
+  const file = path.join(tmpDir, 'extra.json');
+  fs.writeFileSync(file, JSON.stringify({ profiles: {}, defaults: {} }));
+  const result = loadConfigFile({ ...context, configPath: file });
+  assert.deepStrictEqual(result.errors, []);
+  assert.ok(result.warnings[0].includes('Unknown key "defaults"'));
+});
+
+// --- splitArgs tests ---
+
+runTest('splitArgs: separates options from the server command', () => {
+  assert.deepStrictEqual(splitArgs(['--wsl', '--distro', 'Ubuntu', 'node', 'server.js', '--port', '1']), {
+    options: ['--wsl', '--distro', 'Ubuntu'],
+    command: ['node', 'server.js', '--port', '1']
+  });
+  assert.deepStrictEqual(splitArgs(['--debug', '--', 'node', '--inspect']), {
+    options: ['--debug'],
+    command: ['node', '--inspect']
+  });
+});
+
+// --- profileToArgs tests ---
+
+runTest('profileToArgs: builds HTTP proxy arguments', () => {
+  const result = profileToArgs('github', userConfig.profiles.github);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.options, [
+    '--wsl', '--distro', 'Ubuntu-22.04',
+    '--http', 'https://api.githubcopilot.com/mcp/',
+    '--header', 'Authorization: Bearer $GH_TOKEN',
+    '--timeout', '30000'
+  ]);
+  assert.deepStrictEqual(result.command, []);
+});
+
+runTest('profileToArgs: builds process bridge arguments', () => {
+  const result = profileToArgs('fs', userConfig.profiles.fs);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.options, ['--shell', 'zsh', '--env', 'LOG_LEVEL=info', '--restart', 'on-failure']);
+  assert.deepStrictEqual(result.command, ['npx', '-y', '@modelcontextprotocol/server-filesystem', '/home/user']);
+});
+
+runTest('profileToArgs: reports unknown keys and invalid values', () => {
+  const result = profileToArgs('bad', { mode: 'http', url: 'https://x', tiemout: 5, timeout: '5s', env: ['A=1'] });
+  assert.ok(result.warnings.some(w => w.includes('Unknown key "tiemout"')));
+  assert.ok(result.errors.some(e => e.includes('"timeout"')));
+  assert.ok(result.errors.some(e => e.includes('"env"')));
+});
+
+runTest('profileToArgs: requires what each mode needs', () => {
+  assert.ok(profileToArgs('a', { mode: 'http' }).errors.some(e => e.includes('needs a "url"')));
+  assert.ok(profileToArgs('b', {}).errors.some(e => e.includes('needs a "command"')));
+  assert.ok(profileToArgs('c', { mode: 'serve-http', command: 'node' }).errors.some(e => e.includes('"listen"')));
+  assert.ok(profileToArgs('d', { mode: 'websocket' }).errors.some(e => e.includes('Invalid mode')));
+  assert.ok(profileToArgs('e', { command: 'node', options: ['--debug', 'server.js'] }).errors
+    .some(e => e.includes('only contain mcp-cross options')));
+});
+
+// --- mergeArgs / resolveProfileArgs tests ---
+
+runTest('mergeArgs: command line options come after profile options', () => {
+  const merged = mergeArgs(
+    { options: ['--http', 'https://a', '--timeout', '1000'], command: [] },
+    { options: ['--timeout', '2000'], command: [] }
+  );
+  assert.deepStrictEqual(merged, ['--http', 'https://a', '--timeout', '1000', '--timeout', '2000']);
+});
+
+runTest('mergeArgs: --http and the server command on the command line replace the profile', () => {
+  assert.deepStrictEqual(
+    mergeArgs({ options: ['--http', 'https://a', '--debug'], command: [] }, { options: ['--http', 'https://b'], command: [] }),
+    ['--debug', '--http', 'https://b']
+  );
+  assert.deepStrictEqual(
+    mergeArgs({ options: ['--wsl'], command: ['node', 'a.js'] }, { options: [], command: ['node', 'b.js'] }),
+    ['--wsl', '--', 'node', 'b.js']
+  );
+});
+
+runTest('mergeArgs: command line list options replace the profile\'s list', () => {
+  const profile = {
+    options: [
+      '--allow-tools', 'read_*', '--deny-tools', 'read_secret*', '--pin-sha256', 'AAA=',
+      '--header-command', 'Authorization=gh auth token', '--header', 'X-A: 1', '--env', 'A=1'
+    ],
+    command: []
+  };
+  const cli = {
+    options: ['--allow-tools', 'get_*', '--pin-sha256', 'BBB=', '--header-command', 'Authorization=op read x', '--env', 'A=2'],
+    command: []
+  };
+  assert.deepStrictEqual(mergeArgs(profile, cli), [
+    '--deny-tools', 'read_secret*', '--header', 'X-A: 1', '--env', 'A=1',
+    '--allow-tools', 'get_*', '--pin-sha256', 'BBB=', '--header-command', 'Authorization=op read x', '--env', 'A=2'
+  ]);
+});
+
+runTest('OPTIONS_WITH_VALUES and FLAGS match the options index.js parses', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+  const loop = source.slice(source.indexOf('while (i < optionArgs.length)'), source.indexOf('// If delimiter was used'));
+  const names = (text, pattern) => new Set([...text.matchAll(pattern)].map(match => match[1]));
+
+  // --profile and --config are consumed by resolveProfileArgs before the loop
+  const withValues = names(loop, /arg === '(--[a-z0-9-]+)' && i \+ 1 < optionArgs\.length/g);
+  for (const option of [...Object.keys(FILTER_OPTIONS), '--profile', '--config']) {
+    withValues.add(option);
+  }
+  assert.deepStrictEqual([...OPTIONS_WITH_VALUES].sort(), [...withValues].sort());
+
+  // Flags are looked up in the option list wherever they are used
+  const wslBridge = fs.readFileSync(path.join(__dirname, '..', 'src', 'lib', 'wsl-bridge.js'), 'utf8');
+  const flags = names(source + wslBridge, /mcpCrossOptions\.includes\('(--[a-z0-9-]+)'\)/g);
+  assert.deepStrictEqual([...FLAGS].sort(), [...flags].filter(option => !OPTIONS_WITH_VALUES.has(option)).sort());
+});
+
+runTest('resolveProfileArgs: leaves arguments alone without --profile', () => {
+  const args = ['--debug', 'node', 'server.js', '--profile', 'x'];
+  const result = resolveProfileArgs(args, context);
+  assert.strictEqual(result.args, args);
+  assert.strictEqual(result.profile, null);
+});
+
+runTest('resolveProfileArgs: expands a profile and keeps command line overrides', () => {
+  const result = resolveProfileArgs(['--profile', 'fs', '--env', 'LOG_LEVEL=debug'], context);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.profile, 'fs');
+  assert.deepStrictEqual(result.args, [
+    '--shell', 'zsh', '--env', 'LOG_LEVEL=info', '--restart', 'on-failure',
+    '--env', 'LOG_LEVEL=debug',
+    '--', 'npx', '-y', '@modelcontextprotocol/server-filesystem', '/home/user'
+  ]);
+});
+
+runTest('resolveProfileArgs: a project mcp-cross.json wins over the user config', () => {
+  fs.writeFileSync(path.join(projectDir, 'mcp-cross.json'), JSON.stringify({
+    profiles: { github: { url: 'https://github.internal/mcp' } }
+  }));
+  try {
+    const result = resolveProfileArgs(['--profile', 'github'], context);
+    assert.strictEqual(result.path, path.join(projectDir, 'mcp-cross.json'));
+    assert.deepStrictEqual(result.args, ['--http', 'https://github.internal/mcp']);
+  } finally {
+    fs.unlinkSync(path.join(projectDir, 'mcp-cross.json'));
+  }
+});
+
+runTest('resolveProfileArgs: falls back to the user config for profiles the project file lacks', () => {
+  fs.writeFileSync(path.join(projectDir, 'mcp-cross.json'), JSON.stringify({
+    profiles: { local: { command: 'node', args: ['server.js'] } }
+  }));
+  try {
+    const github = resolveProfileArgs(['--profile', 'github'], context);
+    assert.deepStrictEqual(github.errors, []);
+    assert.strictEqual(github.path, path.join(homeDir, '.config', 'mcp-cross', 'config.json'));
+
+    const local = resolveProfileArgs(['--profile', 'local'], context);
+    assert.strictEqual(local.path, path.join(projectDir, 'mcp-cross.json'));
+
+    // Unknown everywhere: reported against the first file found
+    const unknown = resolveProfileArgs(['--profile', 'gitlab'], context);
+    assert.ok(unknown.errors[0].includes(`Unknown profile "gitlab" in "${path.join(projectDir, 'mcp-cross.json')}"`));
+
+    // An explicit --config is never searched past
+    const pinned = resolveProfileArgs(['--config', path.join(projectDir, 'mcp-cross.json'), '--profile', 'github'], context);
+    assert.ok(pinned.errors[0].includes('Unknown profile "github"'));
+  } finally {
+    fs.unlinkSync(path.join(projectDir, 'mcp-cross.json'));
+  }
+});
+
+runTest('resolveProfileArgs: reports unknown profiles and --config without --profile', () => {
+  const unknown = resolveProfileArgs(['--profile', 'gitlab'], context);
+  assert.ok(unknown.errors[0].includes('Unknown profile "gitlab"'));
+  assert.ok(unknown.errors[0].includes('available: github, fs'));
+
+  const noProfile = resolveProfileArgs(['--config', 'x.json', 'node'], context);
+  assert.deepStrictEqual(noProfile.errors, ['--config requires --profile']);
+});
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+// --- Summary ---
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for endpoint-pool.js
+ * @module tests/endpoint-pool.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { EndpointPool, DEFAULT_UNHEALTHY_AFTER } = require('../src/lib/endpoint-pool');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+const A = new URL('https://eu.example.com/mcp');
+const B = new URL('https://us.example.com/mcp');
+const C = new URL('https://ap.example.com/mcp');
+
+console.log('\n=== Endpoint Pool Tests ===\n');
+
+runTest('EndpointPool: requires at least one URL', () => {
+  assert.throws(() => new EndpointPool({ urls: [] }), /at least one URL/);
+});
+
+runTest('EndpointPool: failover policy starts at the first endpoint', () => {
+  const pool = new EndpointPool({ urls: [A, B] });
+  assert.strictEqual(pool.policy, 'failover');
+  assert.strictEqual(pool.unhealthyAfter, DEFAULT_UNHEALTHY_AFTER);
+  assert.strictEqual(pool.selectForSession(), A);
+  assert.strictEqual(pool.selectForSession(), A);
+});
+
+runTest('EndpointPool: marks an endpoint unhealthy after consecutive failures', () => {
+  const pool = new EndpointPool({ urls: [A, B], unhealthyAfter: 2 });
+  assert.strictEqual(pool.recordFailure(A, new Error('ECONNREFUSED')), false);
+  assert.strictEqual(pool.isHealthy(A), true);
+  assert.strictEqual(pool.recordFailure(A, new Error('ECONNREFUSED')), true);
+  assert.strictEqual(pool.isHealthy(A), false);
+  assert.strictEqual(pool.find(A).lastError, 'ECONNREFUSED');
+  // Already unhealthy: no second transition
+  assert.strictEqual(pool.recordFailure(A), false);
+});
+
+runTest('EndpointPool: a success resets the failure count', () => {
+  const pool = new EndpointPool({ urls: [A, B], unhealthyAfter: 2 });
+  pool.recordFailure(A);
+  pool.recordSuccess(A);
+  assert.strictEqual(pool.recordFailure(A), false);
+  assert.strictEqual(pool.isHealthy(A), true);
+});
+
+runTest('EndpointPool: failover moves to the first other healthy endpoint', () => {
+  const pool = new EndpointPool({ urls: [A, B, C], unhealthyAfter: 1 });
+  pool.recordFailure(A);
+  assert.strictEqual(pool.hasHealthyAlternative(), true);
+  assert.strictEqual(pool.failover(), true);
+  assert.strictEqual(pool.current, B);
+
+  pool.recordFailure(B);
+  pool.recordFailure(C);
+  assert.strictEqual(pool.hasHealthyAlternative(), false);
+  assert.strictEqual(pool.failover(), false);
+  assert.strictEqual(pool.current, B);
+});
+
+runTest('EndpointPool: failover policy returns to a recovered primary for new sessions', () => {
+  const pool = new EndpointPool({ urls: [A, B], unhealthyAfter: 1 });
+  pool.recordFailure(A);
+  assert.strictEqual(pool.selectForSession(), B);
+  pool.recordSuccess(A);
+  assert.strictEqual(pool.selectForSession(), A);
+});
+
+runTest('EndpointPool: round-robin starts at a random endpoint and rotates per session', () => {
+  const pool = new EndpointPool({ urls: [A, B, C], policy: 'round-robin', random: () => 0.5 });
+  assert.strictEqual(pool.selectForSession(), B);
+  assert.strictEqual(pool.selectForSession(), C);
+  assert.strictEqual(pool.selectForSession(), A);
+});
+
+runTest('EndpointPool: round-robin skips unhealthy endpoints', () => {
+  const pool = new EndpointPool({ urls: [A, B, C], policy: 'round-robin', unhealthyAfter: 1, random: () => 0 });
+  pool.recordFailure(B);
+  assert.strictEqual(pool.selectForSession(), A);
+  assert.strictEqual(pool.selectForSession(), C);
+  assert.strictEqual(pool.describe(), `${A} (healthy), ${B} (unhealthy), *${C} (healthy)`);
+});
+
+runTest('EndpointPool: health checks need at least two endpoints', () => {
+  const single = new EndpointPool({ urls: [A] });
+  single.startHealthChecks();
+  assert.strictEqual(single._timer, null);
+
+  const pool = new EndpointPool({ urls: [A, B], healthCheckInterval: 60000 });
+  pool.startHealthChecks();
+  assert.ok(pool._timer);
+  pool.stopHealthChecks();
+  assert.strictEqual(pool._timer, null);
+});
+
+async function main() {
+  await runAsyncTest('EndpointPool: checkHealth probes only unhealthy endpoints', async () => {
+    const probed = [];
+    const pool = new EndpointPool({
+      urls: [A, B, C],
+      unhealthyAfter: 1,
+      probe: async (url) => {
+        probed.push(url.host);
+        return url === B;
+      }
+    });
+    pool.recordFailure(B);
+    pool.recordFailure(C);
+
+    await pool.checkHealth();
+
+    assert.deepStrictEqual(probed.sort(), ['ap.example.com', 'us.example.com']);
+    assert.strictEqual(pool.isHealthy(B), true);
+    assert.strictEqual(pool.isHealthy(C), false);
+  });
+
+  await runAsyncTest('EndpointPool: concurrent checkHealth calls share one round', async () => {
+    let probes = 0;
+    const pool = new EndpointPool({
+      urls: [A, B],
+      unhealthyAfter: 1,
+      probe: async () => {
+        probes++;
+        throw new Error('timeout');
+      }
+    });
+    pool.recordFailure(B);
+
+    await Promise.all([pool.checkHealth(), pool.checkHealth()]);
+
+    assert.strictEqual(probes, 1);
+    assert.strictEqual(pool.isHealthy(B), false);
+  });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,276 @@
+/**
+ * Unit tests for header-command.js
+ * @module tests/header-command.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HeaderCommand, parseHeaderCommand } = require('../src/lib/header-command');
+const { HTTPProxyConfig, HTTPProxySession } = require('../src/lib/http-proxy');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cross-header-command-'));
+
+/**
+ * Build a command that prints a file's contents and counts its runs
+ */
+function fileCommand(name) {
+  const valueFile = path.join(tmpDir, `${name}.txt`);
+  const countFile = path.join(tmpDir, `${name}.count`);
+  const script = "const fs=require('fs');" +
+    "fs.appendFileSync(process.argv[2],'.');" +
+    "process.stdout.write(fs.readFileSync(process.argv[1],'utf8'))";
+  return {
+    command: `"${process.execPath}" -e "${script}" "${valueFile}" "${countFile}"`,
+    setValue: value => fs.writeFileSync(valueFile, value),
+    runs: () => (fs.existsSync(countFile) ? fs.readFileSync(countFile, 'utf8').length : 0)
+  };
+}
+
+console.log('\n=== Header Command Tests ===\n');
+
+// --- parseHeaderCommand tests ---
+
+runTest('parseHeaderCommand: splits on first equals sign', () => {
+  const result = parseHeaderCommand('Authorization=printf %s a=b');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.spec.name, 'Authorization');
+  assert.strictEqual(result.spec.command, 'printf %s a=b');
+});
+
+runTest('parseHeaderCommand: rejects missing separator', () => {
+  const result = parseHeaderCommand('gh auth token');
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error.includes('missing "="'));
+});
+
+runTest('parseHeaderCommand: rejects invalid header name', () => {
+  const result = parseHeaderCommand('Bad Name=gh auth token');
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error.includes('Invalid header name'));
+});
+
+runTest('parseHeaderCommand: rejects empty command', () => {
+  const result = parseHeaderCommand('Authorization=  ');
+  assert.strictEqual(result.success, false);
+});
+
+runTest('HeaderCommand: requires name and command', () => {
+  assert.throws(() => new HeaderCommand({ name: 'Authorization' }), /requires a header name and command/);
+});
+
+runTest('HTTPProxyConfig.fromArgs: collects header command errors', () => {
+  const { config, errors } = HTTPProxyConfig.fromArgs({
+    url: 'https://api.example.com/mcp',
+    headerCommands: ['no-separator']
+  }, {});
+  assert.strictEqual(config, undefined);
+  assert.strictEqual(errors.length, 1);
+});
+
+runTest('HTTPProxyConfig.fromArgs: accepts header commands and TTL', () => {
+  const { config, errors } = HTTPProxyConfig.fromArgs({
+    url: 'https://api.example.com/mcp',
+    headerCommands: ['Authorization=gh auth token'],
+    headerCommandTtl: 1000
+  }, {});
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(config.headerCommands, [{ name: 'Authorization', command: 'gh auth token' }]);
+  assert.strictEqual(config.headerCommandTtl, 1000);
+});
+
+async function main() {
+  // --- HeaderCommand tests ---
+
+  await runAsyncTest('HeaderCommand: returns trimmed output and caches it', async () => {
+    const helper = fileCommand('cache');
+    helper.setValue('Bearer one\n');
+    const headerCommand = new HeaderCommand({ name: 'Authorization', command: helper.command, ttl: 60000 });
+
+    assert.strictEqual(await headerCommand.getValue(), 'Bearer one');
+    helper.setValue('Bearer two');
+    assert.strictEqual(await headerCommand.getValue(), 'Bearer one');
+    assert.strictEqual(helper.runs(), 1);
+  });
+
+  await runAsyncTest('HeaderCommand: concurrent callers share one run', async () => {
+    const helper = fileCommand('shared');
+    helper.setValue('token');
+    const headerCommand = new HeaderCommand({ name: 'X-Token', command: helper.command });
+
+    const values = await Promise.all([headerCommand.getValue(), headerCommand.getValue()]);
+    assert.deepStrictEqual(values, ['token', 'token']);
+    assert.strictEqual(helper.runs(), 1);
+  });
+
+  await runAsyncTest('HeaderCommand: re-runs after the TTL expires', async () => {
+    const helper = fileCommand('ttl');
+    helper.setValue('first');
+    const headerCommand = new HeaderCommand({ name: 'X-Token', command: helper.command, ttl: 0 });
+
+    await headerCommand.getValue();
+    helper.setValue('second');
+    assert.strictEqual(await headerCommand.getValue(), 'second');
+  });
+
+  await runAsyncTest('HeaderCommand: invalidate forces a re-run', async () => {
+    const helper = fileCommand('invalidate');
+    helper.setValue('first');
+    const headerCommand = new HeaderCommand({ name: 'X-Token', command: helper.command });
+
+    await headerCommand.getValue();
+    helper.setValue('second');
+    headerCommand.invalidate();
+    assert.strictEqual(await headerCommand.getValue(), 'second');
+  });
+
+  await runAsyncTest('HeaderCommand: rejects failing, empty and multi-line output', async () => {
+    const failing = new HeaderCommand({ name: 'X-Token', command: `"${process.execPath}" -e "process.exit(3)"` });
+    await assert.rejects(failing.getValue(), /Header command for X-Token failed/);
+
+    const helper = fileCommand('bad-output');
+    const headerCommand = new HeaderCommand({ name: 'X-Token', command: helper.command, ttl: 0 });
+    helper.setValue('  \n');
+    await assert.rejects(headerCommand.getValue(), /produced no output/);
+    helper.setValue('a\nb');
+    await assert.rejects(headerCommand.getValue(), /multi-line/);
+  });
+
+  // --- HTTPProxySession integration ---
+
+  let seenAuthorization = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      seenAuthorization.push(req.headers['authorization']);
+      res.setHeader('Content-Type', 'application/json');
+      if (req.headers['authorization'] !== 'Bearer fresh') {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32001, message: 'Unauthorized' }, id: request.id }));
+        return;
+      }
+      res.end(JSON.stringify({ jsonrpc: '2.0', result: {}, id: request.id }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = new URL(`http://127.0.0.1:${server.address().port}/mcp`);
+
+  await runAsyncTest('HTTPProxySession: header command value is sent and re-run after 401', async () => {
+    seenAuthorization = [];
+    const helper = fileCommand('rotate');
+    helper.setValue('Bearer stale');
+    const session = new HTTPProxySession(new HTTPProxyConfig({
+      url,
+      headerCommands: [{ name: 'Authorization', command: helper.command }]
+    }));
+
+    // Prime the cache, then rotate the token behind its back
+    await session.headerCommands[0].getValue();
+    helper.setValue('Bearer fresh');
+
+    let response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+    assert.deepStrictEqual(response.result, {});
+    assert.deepStrictEqual(seenAuthorization, ['Bearer stale', 'Bearer fresh']);
+    assert.strictEqual(helper.runs(), 2);
+
+    response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+    assert.deepStrictEqual(response.result, {});
+  });
+
+  await runAsyncTest('HTTPProxySession: returns 401 when the re-run token is still rejected', async () => {
+    seenAuthorization = [];
+    const helper = fileCommand('rejected');
+    helper.setValue('Bearer stale');
+    const session = new HTTPProxySession(new HTTPProxyConfig({
+      url,
+      headerCommands: [{ name: 'Authorization', command: helper.command }]
+    }));
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+    assert.strictEqual(response.error.data.statusCode, 401);
+    assert.strictEqual(seenAuthorization.length, 2);
+    assert.strictEqual(helper.runs(), 2);
+  });
+
+  runTest('HTTPProxySession: logHeaders masks header command values', () => {
+    const session = new HTTPProxySession(new HTTPProxyConfig({
+      url,
+      headerCommands: [{ name: 'X-Token', command: 'true' }],
+      debug: true
+    }));
+    const originalError = console.error;
+    const lines = [];
+    console.error = (...args) => lines.push(args);
+    try {
+      session.logHeaders({ 'X-Token': 'super-secret-token-value', 'X-Other': 'visible' });
+    } finally {
+      console.error = originalError;
+    }
+    const masked = lines[0][2];
+    assert.strictEqual(masked['X-Token'], 'supe***alue');
+    assert.strictEqual(masked['X-Other'], 'visible');
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
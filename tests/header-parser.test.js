@@ -237,6 +237,11 @@ runTest('maskSensitiveValue: handles short values', () => {
   assert.strictEqual(result, '***');
 });
 
+runTest('maskSensitiveValue: masks any header when alwaysMask is set', () => {
+  const result = maskSensitiveValue('X-Custom', 'value-from-command', true);
+  assert.strictEqual(result, 'valu***mand');
+});
+
 // --- headersMapToObject tests ---
 
 runTest('headersMapToObject: converts map to object', () => {
@@ -7,7 +7,13 @@
 
 const assert = require('assert');
 const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { spawn } = require('child_process');
+const { createInterface } = require('readline');
 const { HTTPProxyConfig, HTTPProxySession } = require('../src/lib/http-proxy');
+const jsonrpc = require('../src/lib/jsonrpc-error');
 
 /**
  * Test runner
@@ -92,6 +98,60 @@ runTest('HTTPProxyConfig: throws on missing URL', () => {
   }, /requires a valid URL/);
 });
 
+runTest('HTTPProxyConfig: defaults maxConcurrency to 10', () => {
+  const url = new URL('https://api.example.com/mcp');
+  assert.strictEqual(new HTTPProxyConfig({ url }).maxConcurrency, 10);
+  assert.strictEqual(new HTTPProxyConfig({ url, maxConcurrency: 0 }).maxConcurrency, 10);
+  assert.strictEqual(new HTTPProxyConfig({ url, maxConcurrency: 3 }).maxConcurrency, 3);
+});
+
+runTest('HTTPProxyConfig: defaults retry policy to no retries', () => {
+  const url = new URL('https://api.example.com/mcp');
+  const config = new HTTPProxyConfig({ url });
+  assert.strictEqual(config.retries, 0);
+  assert.strictEqual(config.retryBackoff, 500);
+  assert.strictEqual(config.retryToolsCall, false);
+});
+
+runTest('HTTPProxySession: isRetryable only allows idempotent methods', () => {
+  const url = new URL('https://api.example.com/mcp');
+  const session = new HTTPProxySession(new HTTPProxyConfig({ url, retries: 2 }));
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'tools/list', id: 1 }), true);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'resources/read', id: 1 }), true);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'prompts/get', id: 1 }), true);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'initialize', id: 1 }), true);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'ping', id: 1 }), true);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'tools/call', id: 1 }), false);
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'notifications/initialized' }), false);
+  assert.strictEqual(session.isRetryable([
+    { jsonrpc: '2.0', method: 'tools/list', id: 1 },
+    { jsonrpc: '2.0', method: 'tools/call', id: 2 }
+  ]), false);
+});
+
+runTest('HTTPProxySession: isRetryable allows tools/call when opted in', () => {
+  const url = new URL('https://api.example.com/mcp');
+  const session = new HTTPProxySession(new HTTPProxyConfig({ url, retries: 1, retryToolsCall: true }));
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'tools/call', id: 1 }), true);
+});
+
+runTest('HTTPProxySession: isRetryable is false without retries', () => {
+  const url = new URL('https://api.example.com/mcp');
+  const session = new HTTPProxySession(new HTTPProxyConfig({ url }));
+  assert.strictEqual(session.isRetryable({ jsonrpc: '2.0', method: 'ping', id: 1 }), false);
+});
+
+runTest('HTTPProxySession: getRetryDelay honors Retry-After and applies jitter', () => {
+  const url = new URL('https://api.example.com/mcp');
+  const session = new HTTPProxySession(new HTTPProxyConfig({ url, retries: 3, retryBackoff: 100 }));
+  assert.strictEqual(session.getRetryDelay(1, 2000), 2000);
+  assert.strictEqual(session.getRetryDelay(1, 10 * 60 * 1000), 60000); // capped
+  for (let i = 0; i < 20; i++) {
+    const delay = session.getRetryDelay(3, null);
+    assert.ok(delay >= 200 && delay <= 400, `delay ${delay} out of range`);
+  }
+});
+
 runTest('HTTPProxyConfig: is frozen after creation', () => {
   const url = new URL('https://api.example.com/mcp');
   const config = new HTTPProxyConfig({ url });
@@ -135,6 +195,44 @@ runTest('HTTPProxyConfig.fromArgs: warns for insecure HTTP', () => {
   assert.ok(result.warnings.some(w => w.includes('insecure')));
 });
 
+runTest('HTTPProxyConfig.fromArgs: accepts unix: and npipe: targets without warnings', () => {
+  const unix = HTTPProxyConfig.fromArgs({ url: 'unix:/run/user/1000/mcp.sock:/mcp' }, {});
+  assert.strictEqual(unix.config.url.href, 'http://localhost/mcp');
+  assert.strictEqual(unix.config.socketPath, '/run/user/1000/mcp.sock');
+  assert.deepStrictEqual(unix.warnings, []);
+
+  const pipe = HTTPProxyConfig.fromArgs({ url: 'npipe://./pipe/mcp:/mcp' }, {});
+  assert.strictEqual(pipe.config.socketPath, '\\\\.\\pipe\\mcp');
+});
+
+runTest('HTTPProxyConfig.fromArgs: accepts several endpoints with a policy', () => {
+  const result = HTTPProxyConfig.fromArgs({
+    url: ['https://eu.example.com/mcp', 'https://us.example.com/mcp'],
+    policy: 'round-robin',
+    unhealthyAfter: 2
+  }, {});
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.config.url.href, 'https://eu.example.com/mcp');
+  assert.deepStrictEqual(result.config.urls.map(url => url.host), ['eu.example.com', 'us.example.com']);
+  assert.strictEqual(result.config.policy, 'round-robin');
+  assert.strictEqual(result.config.unhealthyAfter, 2);
+});
+
+runTest('HTTPProxyConfig.fromArgs: rejects an unknown policy and non-HTTP peers', () => {
+  const policy = HTTPProxyConfig.fromArgs({ url: ['https://a.example.com', 'https://b.example.com'], policy: 'random' }, {});
+  assert.ok(policy.errors.some(e => e.includes('--http-policy')));
+
+  const socket = HTTPProxyConfig.fromArgs({ url: ['unix:/tmp/mcp.sock:/mcp', 'https://b.example.com'] }, {});
+  assert.ok(socket.errors.some(e => e.includes('Multiple --http URLs')));
+});
+
+runTest('HTTPProxyConfig.fromArgs: validates transport', () => {
+  const valid = HTTPProxyConfig.fromArgs({ url: 'https://api.example.com/sse', transport: 'sse' });
+  assert.strictEqual(valid.config.transport, 'sse');
+  const invalid = HTTPProxyConfig.fromArgs({ url: 'https://api.example.com/sse', transport: 'websocket' });
+  assert.ok(invalid.errors.some(e => e.includes('--transport')));
+});
+
 // --- HTTPProxySession tests ---
 
 runTest('HTTPProxySession: creates session with config', () => {
@@ -164,7 +262,7 @@ runTest('HTTPProxySession: buildRequestHeaders includes custom headers', () => {
   
   const requestHeaders = session.buildRequestHeaders();
   assert.strictEqual(requestHeaders['Content-Type'], 'application/json');
-  assert.strictEqual(requestHeaders['Accept'], 'application/json');
+  assert.strictEqual(requestHeaders['Accept'], 'application/json, text/event-stream');
   assert.strictEqual(requestHeaders['Authorization'], 'Bearer token');
   assert.strictEqual(requestHeaders['X-Custom'], 'value');
 });
@@ -217,6 +315,66 @@ runTest('HTTPProxySession: processLine returns invalid request error', async ()
 
 let mockServer;
 let mockServerPort;
+const receivedPosts = [];
+const flakyAttempts = new Map();
+const expiring = { session: null, count: 0, initialized: [] };
+const legacy = { streams: new Map(), count: 0, initializeCount: 0 };
+
+/**
+ * Legacy HTTP+SSE transport (2024-11-05): GET /legacy/sse announces a
+ * per-stream POST endpoint; responses are delivered on the stream
+ */
+function handleLegacy(req, res, body) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/legacy/sse' && req.method === 'POST') {
+    res.statusCode = 405;
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const sessionId = `legacy-${++legacy.count}`;
+    legacy.streams.set(sessionId, res);
+    res.on('close', () => legacy.streams.delete(sessionId));
+    res.setHeader('Content-Type', 'text/event-stream');
+    const endpoint = pathname === '/legacy/offsite-sse'
+      ? 'http://evil.example/messages'
+      : `/legacy/messages?sessionId=${sessionId}`;
+    res.write(`event: endpoint\ndata: ${endpoint}\n\n`);
+    return;
+  }
+
+  const sessionId = searchParams.get('sessionId');
+  const stream = legacy.streams.get(sessionId);
+  if (!stream) {
+    res.statusCode = 404;
+    res.end('Unknown session');
+    return;
+  }
+
+  const request = JSON.parse(body);
+  res.statusCode = 202;
+  res.end('Accepted');
+
+  if (request.method === 'initialize') {
+    legacy.initializeCount++;
+  }
+  if (request.id === undefined || request.method === 'silent') {
+    return;
+  }
+  if (request.method === 'notify/echo') {
+    stream.write('event: message\ndata: ' + JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'notifications/tools/list_changed'
+    }) + '\n\n');
+  }
+  stream.write('event: message\ndata: ' + JSON.stringify({
+    jsonrpc: '2.0',
+    result: { method: request.method, session: sessionId },
+    id: request.id
+  }) + '\n\n');
+}
 
 async function startMockServer() {
   return new Promise((resolve) => {
@@ -224,6 +382,36 @@ async function startMockServer() {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
+        if (req.url.startsWith('/legacy')) {
+          handleLegacy(req, res, body);
+          return;
+        }
+
+        // GET event stream for server-initiated messages
+        if (req.method === 'GET') {
+          if (req.url === '/no-stream') {
+            res.statusCode = 405;
+            res.end();
+            return;
+          }
+          if (req.headers['mcp-session-id'] !== 'mock-session-123') {
+            res.statusCode = 400;
+            res.end();
+            return;
+          }
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write('id: 1\ndata: ' + JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'notifications/tools/list_changed'
+          }) + '\n\n');
+          res.write('id: 2\ndata: ' + JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'roots/list',
+            id: 'srv-1'
+          }) + '\n\n');
+          return;
+        }
+
         // Echo back the request as a JSON-RPC response
         let request;
         try {
@@ -234,6 +422,43 @@ async function startMockServer() {
           return;
         }
 
+        // Client responses to server-initiated requests are accepted without a body
+        if (!Array.isArray(request) && request.method === undefined) {
+          receivedPosts.push(request);
+          res.statusCode = 202;
+          res.end();
+          return;
+        }
+
+        // Streamable HTTP: progress notification then the response over SSE
+        if (req.url === '/sse') {
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write(': keep-alive\n\n');
+          res.write('data: ' + JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'notifications/progress',
+            params: { progressToken: 'p1', progress: 50 }
+          }) + '\n\n');
+          // Split an event across writes to exercise incremental parsing
+          const final = JSON.stringify({
+            jsonrpc: '2.0',
+            result: { method: request.method, streamed: true },
+            id: request.id
+          });
+          res.write('id: 2\ndata: ' + final.slice(0, 10));
+          setTimeout(() => {
+            res.end(final.slice(10) + '\n\n');
+          }, 10);
+          return;
+        }
+
+        // SSE stream that closes without answering
+        if (req.url === '/sse-empty') {
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.end('event: ping\ndata: {}\n\n');
+          return;
+        }
+
         // Handle batch requests
         if (Array.isArray(request)) {
           const responses = request.map(r => ({
@@ -246,6 +471,61 @@ async function startMockServer() {
           return;
         }
 
+        // Server that forgets sessions (simulated restart via expiring.session = null)
+        if (req.url === '/expiring') {
+          if (request.method === 'initialize') {
+            expiring.count++;
+            expiring.session = `s-${expiring.count}`;
+            res.setHeader('Mcp-Session-Id', expiring.session);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', result: { protocolVersion: '2025-03-26' }, id: request.id }));
+            return;
+          }
+          if (req.headers['mcp-session-id'] !== expiring.session) {
+            res.statusCode = 404;
+            res.end('Session not found');
+            return;
+          }
+          if (request.id === undefined) {
+            expiring.initialized.push(expiring.session);
+            res.statusCode = 202;
+            res.end();
+            return;
+          }
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ jsonrpc: '2.0', result: { session: expiring.session }, id: request.id }));
+          return;
+        }
+
+        // Fail the first two attempts of each request id with 503
+        if (req.url === '/flaky' && !Array.isArray(request)) {
+          const attempts = (flakyAttempts.get(request.id) || 0) + 1;
+          flakyAttempts.set(request.id, attempts);
+          if (attempts <= 2) {
+            res.statusCode = 503;
+            res.setHeader('Retry-After', '0');
+            res.end('Service Unavailable');
+            return;
+          }
+        }
+
+        // Record cancellations for notifications/cancelled tests
+        if (request.method === 'notifications/cancelled') {
+          receivedPosts.push(request);
+          res.statusCode = 202;
+          res.end();
+          return;
+        }
+
+        // Slow method for concurrency tests
+        if (request.method === 'slow') {
+          setTimeout(() => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', result: { slow: true }, id: request.id }));
+          }, 200);
+          return;
+        }
+
         // Set session ID on response
         res.setHeader('Mcp-Session-Id', 'mock-session-123');
         res.setHeader('Content-Type', 'application/json');
@@ -389,6 +669,584 @@ async function runIntegrationTests() {
     assert.strictEqual(response.error.code, -32000); // Transport error
   });
 
+  await runAsyncTest('HTTPProxySession: forwards SSE messages and returns final response', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/sse`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    const written = [];
+    session.writeMessage = (msg) => written.push(msg);
+
+    const response = await session.sendRequest({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      id: 7
+    });
+
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(written[0].method, 'notifications/progress');
+    assert.strictEqual(response.id, 7);
+    assert.deepStrictEqual(response.result, { method: 'tools/call', streamed: true });
+  });
+
+  await runAsyncTest('HTTPProxySession: SSE stream without response yields error', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/sse-empty`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.writeMessage = () => {};
+
+    const response = await session.sendRequest({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      id: 8
+    });
+
+    assert.ok(response.error);
+    assert.strictEqual(response.error.code, -32603); // Internal error
+    assert.strictEqual(response.id, 8);
+  });
+
+  await runAsyncTest('HTTPProxySession: GET event stream forwards server-initiated messages', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    const written = [];
+    session.writeMessage = (msg) => written.push(msg);
+    session.sessionId = 'mock-session-123';
+
+    const listener = session.startEventStream();
+    for (let i = 0; i < 50 && written.length < 2; i++) {
+      await new Promise(r => setTimeout(r, 10));
+    }
+    session.stopEventStream();
+    await listener;
+
+    assert.strictEqual(written.length, 2);
+    assert.strictEqual(written[0].method, 'notifications/tools/list_changed');
+    assert.strictEqual(written[1].method, 'roots/list');
+  });
+
+  await runAsyncTest('HTTPProxySession: GET event stream stops on 405', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/no-stream`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.sessionId = 'mock-session-123';
+
+    // Resolves on its own when the server declines the stream
+    await session.startEventStream();
+    assert.strictEqual(session._eventStream, null);
+  });
+
+  await runAsyncTest('HTTPProxySession: processLine starts listener once session ID is known', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.writeMessage = () => {};
+
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', id: 1 }));
+    assert.ok(session._eventStream);
+    const listener = session._eventStream;
+    session.stopEventStream();
+    await listener;
+  });
+
+  await runAsyncTest('HTTPProxySession: processLine posts client responses back to server', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+
+    const output = await session.processLine(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 'srv-1',
+      result: { roots: [] }
+    }));
+
+    assert.strictEqual(output, null);
+    assert.ok(receivedPosts.some(p => p.id === 'srv-1'));
+  });
+
+  /**
+   * Run session.start() over the given lines and collect output lines in order
+   */
+  async function runLines(session, lines) {
+    const output = [];
+    session.writeLine = (line) => output.push(JSON.parse(line));
+    const input = new PassThrough();
+    const done = session.start(input);
+    for (const line of lines) {
+      input.write(JSON.stringify(line) + '\n');
+    }
+    input.end();
+    await done;
+    return output;
+  }
+
+  await runAsyncTest('HTTPProxySession: start dispatches requests concurrently', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/concurrent`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+
+    const output = await runLines(session, [
+      { jsonrpc: '2.0', method: 'slow', id: 1 },
+      { jsonrpc: '2.0', method: 'ping', id: 2 }
+    ]);
+
+    assert.deepStrictEqual(output.map(m => m.id), [2, 1]);
+  });
+
+  await runAsyncTest('HTTPProxySession: start honors maxConcurrency', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/concurrent`);
+    const config = new HTTPProxyConfig({ url, maxConcurrency: 1 });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+
+    const output = await runLines(session, [
+      { jsonrpc: '2.0', method: 'slow', id: 1 },
+      { jsonrpc: '2.0', method: 'ping', id: 2 }
+    ]);
+
+    assert.deepStrictEqual(output.map(m => m.id), [1, 2]);
+  });
+
+  await runAsyncTest('HTTPProxySession: start waits for initialize before other requests', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/concurrent`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+    const seen = [];
+    const originalSend = session.sendRequest.bind(session);
+    session.sendRequest = (message) => {
+      seen.push(`${message.method}:${session.sessionId}`);
+      return originalSend(message);
+    };
+
+    await runLines(session, [
+      { jsonrpc: '2.0', method: 'initialize', id: 1 },
+      { jsonrpc: '2.0', method: 'tools/list', id: 2 }
+    ]);
+
+    assert.deepStrictEqual(seen, ['initialize:null', 'tools/list:mock-session-123']);
+  });
+
+  await runAsyncTest('HTTPProxySession: filters tools/list and rejects calls to hidden tools', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url, filter: { tools: { allow: null, deny: ['delete_*'] } } });
+    const session = new HTTPProxySession(config);
+    const sent = [];
+    session.sendRequest = async (message) => {
+      sent.push(message);
+      const requests = Array.isArray(message) ? message : [message];
+      const responses = requests.map(request => ({
+        jsonrpc: '2.0',
+        id: request.id,
+        result: { tools: [{ name: 'get_issue' }, { name: 'delete_repo' }] }
+      }));
+      return Array.isArray(message) ? responses : responses[0];
+    };
+
+    const list = JSON.parse(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 })));
+    assert.deepStrictEqual(list.result.tools, [{ name: 'get_issue' }]);
+
+    const call = JSON.parse(await session.processLine(JSON.stringify({
+      jsonrpc: '2.0', method: 'tools/call', params: { name: 'delete_repo' }, id: 2
+    })));
+    assert.strictEqual(call.error.code, -32602);
+    assert.strictEqual(call.error.message, 'Tool "delete_repo" is not available');
+    assert.strictEqual(sent.length, 1);
+
+    // Rejected batch items are answered alongside the server's responses
+    const batch = JSON.parse(await session.processLine(JSON.stringify([
+      { jsonrpc: '2.0', method: 'tools/list', id: 3 },
+      { jsonrpc: '2.0', method: 'tools/call', params: { name: 'delete_repo' }, id: 4 }
+    ])));
+    assert.deepStrictEqual(sent[1].map(request => request.id), [3]);
+    assert.deepStrictEqual(batch.map(response => response.id), [3, 4]);
+    assert.deepStrictEqual(batch[0].result.tools, [{ name: 'get_issue' }]);
+    assert.strictEqual(batch[1].error.data.errorCode, 'FILTERED');
+  });
+
+  if (process.platform !== 'win32') {
+    // Outside Windows --wsl runs the inner proxy directly, so the forwarded arguments can be checked end to end
+    await runAsyncTest('CLI --wsl --http forwards the tool filter to the proxy', async () => {
+      const server = http.createServer((req, res) => {
+        if (req.method !== 'POST') {
+          res.writeHead(405);
+          res.end();
+          return;
+        }
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const request = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            jsonrpc: '2.0', id: request.id, result: { tools: [{ name: 'get_issue' }, { name: 'delete_repo' }] }
+          }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const cli = spawn(process.execPath, [
+        path.resolve(__dirname, '..', 'index.js'),
+        '--wsl', '--http', `http://127.0.0.1:${server.address().port}/mcp`, '--deny-tools', 'delete_*'
+      ], { stdio: ['pipe', 'pipe', 'ignore'] });
+      try {
+        const lines = createInterface({ input: cli.stdout })[Symbol.asyncIterator]();
+        cli.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 }) + '\n');
+        const list = JSON.parse((await lines.next()).value);
+        assert.deepStrictEqual(list.result.tools, [{ name: 'get_issue' }]);
+
+        cli.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'delete_repo' }, id: 2 }) + '\n');
+        const call = JSON.parse((await lines.next()).value);
+        assert.strictEqual(call.error.data.errorCode, 'FILTERED');
+        cli.stdin.end();
+        await new Promise(resolve => cli.on('exit', resolve));
+      } finally {
+        cli.kill();
+        server.close();
+      }
+    });
+  }
+
+  await runAsyncTest('HTTPProxySession: forgets filtered list requests without a server response', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url, filter: { tools: { allow: null, deny: ['delete_*'] } } });
+    const session = new HTTPProxySession(config);
+
+    // Cancelled while in flight: nothing comes back
+    session.sendRequest = async () => null;
+    assert.strictEqual(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 })), null);
+    assert.strictEqual(session.filter._lists.size, 0);
+
+    session.sendRequest = async () => { throw new Error('boom'); };
+    await assert.rejects(session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 2 })), /boom/);
+    assert.strictEqual(session.filter._lists.size, 0);
+  });
+
+  await runAsyncTest('HTTPProxySession: notifications/cancelled aborts request and is forwarded', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/concurrent`);
+    const config = new HTTPProxyConfig({ url, maxConcurrency: 1 });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+    const started = Date.now();
+
+    const output = await runLines(session, [
+      { jsonrpc: '2.0', method: 'slow', id: 'c1' },
+      { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'c1', reason: 'user' } }
+    ]);
+
+    assert.strictEqual(output.length, 0, 'cancelled response must be dropped');
+    assert.ok(Date.now() - started < 200, 'slow request should be aborted early');
+    assert.ok(receivedPosts.some(p => p.method === 'notifications/cancelled' && p.params.requestId === 'c1'));
+    assert.strictEqual(session._inFlight.size, 0);
+    assert.strictEqual(session._cancelledIds.size, 0);
+  });
+
+  await runAsyncTest('HTTPProxySession: cancelRequest ignores unknown ids', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url }));
+    assert.strictEqual(session.cancelRequest(42), false);
+    assert.strictEqual(session._cancelledIds.size, 0);
+  });
+
+  await runAsyncTest('HTTPProxySession: retries transient 503 for idempotent methods', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/flaky`);
+    const config = new HTTPProxyConfig({ url, retries: 2, retryBackoff: 1 });
+    const session = new HTTPProxySession(config);
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 'r1' });
+
+    assert.ok(response.result);
+    assert.strictEqual(flakyAttempts.get('r1'), 3);
+  });
+
+  await runAsyncTest('HTTPProxySession: returns HTTP error once retries are exhausted', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/flaky`);
+    const config = new HTTPProxyConfig({ url, retries: 1, retryBackoff: 1 });
+    const session = new HTTPProxySession(config);
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 'r2' });
+
+    assert.strictEqual(response.error.code, -32001);
+    assert.strictEqual(response.error.data.statusCode, 503);
+    assert.strictEqual(flakyAttempts.get('r2'), 2);
+  });
+
+  await runAsyncTest('HTTPProxySession: does not retry tools/call by default', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/flaky`);
+    const config = new HTTPProxyConfig({ url, retries: 2, retryBackoff: 1 });
+    const session = new HTTPProxySession(config);
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/call', id: 'r3' });
+
+    assert.strictEqual(response.error.code, -32001);
+    assert.strictEqual(flakyAttempts.get('r3'), 1);
+  });
+
+  await runAsyncTest('HTTPProxySession: retries tools/call when opted in', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/flaky`);
+    const config = new HTTPProxyConfig({ url, retries: 2, retryBackoff: 1, retryToolsCall: true });
+    const session = new HTTPProxySession(config);
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/call', id: 'r4' });
+
+    assert.ok(response.result);
+    assert.strictEqual(flakyAttempts.get('r4'), 3);
+  });
+
+  await runAsyncTest('HTTPProxySession: session recovery does not use up the retry budget', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/mcp`);
+    const config = new HTTPProxyConfig({ url, retries: 1, retryBackoff: 1 });
+    const session = new HTTPProxySession(config);
+    session._initializeRequest = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 };
+    session.recoverSession = async () => true;
+    const unavailable = jsonrpc.fromHttpError(503, 'Service Unavailable', 'r5');
+    const outcomes = [
+      { response: null, retryable: false, sessionExpired: true, sessionId: 's-1' },
+      { response: unavailable, retryable: true },
+      { response: { jsonrpc: '2.0', id: 'r5', result: {} }, retryable: false }
+    ];
+    session.attemptRequest = async () => outcomes.shift();
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 'r5' });
+
+    assert.deepStrictEqual(response.result, {});
+    assert.strictEqual(outcomes.length, 0);
+  });
+
+  await runAsyncTest('HTTPProxySession: recovers expired session by replaying initialize', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/expiring`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+    const written = [];
+    session.writeMessage = (msg) => written.push(msg);
+
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }));
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+    assert.strictEqual(session.sessionId, 's-1');
+
+    // Server restarts and forgets the session
+    expiring.session = null;
+
+    const output = await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 2 }));
+    const response = JSON.parse(output);
+
+    assert.strictEqual(response.id, 2);
+    assert.deepStrictEqual(response.result, { session: 's-2' });
+    assert.strictEqual(session.sessionId, 's-2');
+    assert.strictEqual(session.recoveryCount, 1);
+    assert.deepStrictEqual(expiring.initialized, ['s-1', 's-2']);
+    // Replayed initialize response is swallowed; only the log notification is written
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(written[0].method, 'notifications/message');
+    assert.strictEqual(written[0].params.logger, 'mcp-cross');
+  });
+
+  await runAsyncTest('HTTPProxySession: returns HTTP error for 404 without cached initialize', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/expiring`);
+    const config = new HTTPProxyConfig({ url });
+    const session = new HTTPProxySession(config);
+    session.sessionId = 'stale';
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 3 });
+
+    assert.strictEqual(response.error.code, -32001);
+    assert.strictEqual(response.error.data.statusCode, 404);
+    assert.strictEqual(session.recoveryCount, 0);
+  });
+
+  await runAsyncTest('HTTPProxySession: legacy transport POSTs to announced endpoint', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'sse' }));
+    try {
+      const init = await session.sendRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+      assert.strictEqual(init.result.method, 'initialize');
+      const list = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+      assert.strictEqual(list.id, 2);
+      assert.strictEqual(list.result.session, init.result.session);
+      assert.ok(session._legacyEndpoint.toString().includes('/legacy/messages?sessionId='));
+      assert.strictEqual(session.sessionId, null);
+    } finally {
+      session.closeLegacyStream();
+    }
+  });
+
+  await runAsyncTest('HTTPProxySession: auto transport falls back to legacy on POST 405', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url }));
+    try {
+      const response = await session.sendRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+      assert.strictEqual(response.result.method, 'initialize');
+      assert.strictEqual(session.transport, 'sse');
+    } finally {
+      session.closeLegacyStream();
+    }
+  });
+
+  await runAsyncTest('HTTPProxySession: streamable-http transport does not fall back', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'streamable-http' }));
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+    assert.strictEqual(response.error.data.statusCode, 405);
+    assert.strictEqual(session.transport, 'streamable-http');
+  });
+
+  await runAsyncTest('HTTPProxySession: legacy stream forwards server messages to stdout', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'sse' }));
+    const output = await runLines(session, [
+      { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 },
+      { jsonrpc: '2.0', method: 'notify/echo', id: 2 }
+    ]);
+    assert.deepStrictEqual(output.map(m => m.method || m.id), [1, 'notifications/tools/list_changed', 2]);
+  });
+
+  await runAsyncTest('HTTPProxySession: legacy stream loss reconnects and replays initialize', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'sse' }));
+    const notices = [];
+    session.writeLine = line => notices.push(JSON.parse(line));
+    try {
+      const initialize = { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 };
+      session.captureLifecycleMessage(initialize);
+      const first = await session.sendRequest(initialize);
+      const before = legacy.initializeCount;
+
+      legacy.streams.get(first.result.session).end();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+      assert.strictEqual(response.result.method, 'tools/list');
+      assert.notStrictEqual(response.result.session, first.result.session);
+      assert.strictEqual(legacy.initializeCount, before + 1);
+      assert.strictEqual(session.recoveryCount, 1);
+      assert.strictEqual(notices[0].method, 'notifications/message');
+    } finally {
+      session.closeLegacyStream();
+    }
+  });
+
+  await runAsyncTest('HTTPProxySession: legacy endpoint on another origin is rejected', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/offsite-sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'sse' }));
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+    assert.ok(response.error);
+    assert.ok(response.error.data.originalError.includes('does not match server origin'));
+    assert.strictEqual(session._legacyEndpoint, null);
+  });
+
+  await runAsyncTest('HTTPProxySession: legacy request times out waiting on the stream', async () => {
+    const url = new URL(`http://127.0.0.1:${mockServerPort}/legacy/sse`);
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url, transport: 'sse', timeout: 200 }));
+    try {
+      const response = await session.sendRequest({ jsonrpc: '2.0', method: 'silent', id: 1 });
+      assert.strictEqual(response.error.code, -32000);
+      assert.ok(response.error.message.includes('timeout') || response.error.data.details.includes('timeout'));
+      assert.strictEqual(session._legacyWaiters.size, 0);
+    } finally {
+      session.closeLegacyStream();
+    }
+  });
+
+  await runAsyncTest('HTTPProxySession: sends requests over a unix socket or named pipe', async () => {
+    const socketPath = process.platform === 'win32'
+      ? `\\\\.\\pipe\\mcp-cross-test-${process.pid}`
+      : path.join(os.tmpdir(), `mcp-cross-test-${process.pid}.sock`);
+    const socketServer = http.createServer(mockServer.listeners('request')[0]);
+    await new Promise(resolve => socketServer.listen(socketPath, resolve));
+    try {
+      const scheme = process.platform === 'win32' ? 'npipe' : 'unix';
+      const { config } = HTTPProxyConfig.fromArgs({ url: `${scheme}:${socketPath}:/mcp` }, {});
+      const session = new HTTPProxySession(config);
+
+      const response = await session.sendRequest({ jsonrpc: '2.0', method: 'test/method', id: 1 });
+      assert.deepStrictEqual(response.result, { method: 'test/method', echoed: true });
+      assert.ok(session.sessionId, 'session id is read from the socket response');
+    } finally {
+      socketServer.closeAllConnections();
+      await new Promise(resolve => socketServer.close(resolve));
+    }
+  });
+
+  /**
+   * Reserve a local port with nothing listening on it
+   * @returns {Promise<number>}
+   */
+  async function closedPort() {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    await new Promise(resolve => server.close(resolve));
+    return port;
+  }
+
+  await runAsyncTest('HTTPProxySession: fails over when the first endpoint is down', async () => {
+    const down = await closedPort();
+    const config = new HTTPProxyConfig({
+      url: new URL(`http://127.0.0.1:${down}/mcp`),
+      urls: [new URL(`http://127.0.0.1:${down}/mcp`), new URL(`http://127.0.0.1:${mockServerPort}/mcp`)],
+      unhealthyAfter: 1
+    });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+
+    assert.deepStrictEqual(response.result, { method: 'initialize', echoed: true });
+    assert.strictEqual(session.url.port, String(mockServerPort));
+    assert.strictEqual(session.endpoints.isHealthy(config.urls[0]), false);
+  });
+
+  await runAsyncTest('HTTPProxySession: failover re-initializes the session on the next endpoint', async () => {
+    const primary = http.createServer(mockServer.listeners('request')[0]);
+    await new Promise(resolve => primary.listen(0, '127.0.0.1', resolve));
+    const urls = [
+      new URL(`http://127.0.0.1:${primary.address().port}/expiring`),
+      new URL(`http://127.0.0.1:${mockServerPort}/expiring`)
+    ];
+    const config = new HTTPProxyConfig({ url: urls[0], urls, unhealthyAfter: 1 });
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+    const written = [];
+    session.writeMessage = (msg) => written.push(msg);
+
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }));
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+    const firstSession = session.sessionId;
+
+    // Primary region goes away
+    primary.closeAllConnections();
+    await new Promise(resolve => primary.close(resolve));
+
+    const output = await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 2 }));
+    const response = JSON.parse(output);
+
+    assert.strictEqual(response.id, 2);
+    assert.ok(response.result, 'request is resent on the healthy endpoint');
+    assert.strictEqual(session.url.href, urls[1].href);
+    assert.notStrictEqual(session.sessionId, firstSession);
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(written[0].method, 'notifications/message');
+    assert.ok(written[0].params.data.includes('switched to'));
+  });
+
+  await runAsyncTest('HTTPProxySession: health check probe marks an endpoint healthy again', async () => {
+    const urls = [
+      new URL(`http://127.0.0.1:${mockServerPort}/mcp`),
+      new URL(`http://127.0.0.1:${await closedPort()}/mcp`)
+    ];
+    const config = new HTTPProxyConfig({ url: urls[0], urls, unhealthyAfter: 1 });
+    const session = new HTTPProxySession(config);
+
+    session.endpoints.recordFailure(urls[0], new Error('ECONNRESET'));
+    session.endpoints.recordFailure(urls[1], new Error('ECONNREFUSED'));
+    await session.endpoints.checkHealth();
+
+    assert.strictEqual(session.endpoints.isHealthy(urls[0]), true);
+    assert.strictEqual(session.endpoints.isHealthy(urls[1]), false);
+  });
+
   await stopMockServer();
   console.log('Mock server stopped');
 }
@@ -0,0 +1,618 @@
+/**
+ * Unit tests for http-server.js
+ * @module tests/http-server.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const { createInterface } = require('readline');
+const { StreamableHTTPServer, parseListenAddress } = require('../src/lib/http-server');
+const { readEventStream } = require('../src/lib/sse-parser');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * In-process stand-in for a stdio MCP server
+ * Echoes requests; "progress/echo" first reports progress, "notify/echo"
+ * first emits an unrelated notification, "update/echo" first reports a
+ * resource update and "delay/echo" answers after a short delay.
+ */
+function createFakeChild() {
+  const toChild = new PassThrough();
+  const fromChild = new PassThrough();
+  const received = [];
+  const send = message => fromChild.write(JSON.stringify(message) + '\n');
+
+  createInterface({ input: toChild }).on('line', (line) => {
+    const message = JSON.parse(line);
+    received.push(message);
+    if (message.id === undefined || message.method === undefined) return;
+
+    if (message.method === 'progress/echo') {
+      send({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: message.params._meta.progressToken, progress: 1 }
+      });
+    } else if (message.method === 'notify/echo') {
+      send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+    } else if (message.method === 'update/echo') {
+      send({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: message.params.uri } });
+    } else if (message.method === 'delay/echo') {
+      setTimeout(() => send({ jsonrpc: '2.0', result: { method: message.method, params: message.params }, id: message.id }), 30);
+      return;
+    }
+    send({ jsonrpc: '2.0', result: { method: message.method }, id: message.id });
+  });
+
+  return { toChild, fromChild, received, send };
+}
+
+async function startServer() {
+  const child = createFakeChild();
+  const server = new StreamableHTTPServer({ port: 0 });
+  server.attach(child.toChild, child.fromChild);
+  const { port } = await server.listen();
+  return { server, child, url: `http://127.0.0.1:${port}/mcp` };
+}
+
+function post(url, body, headers = {}, signal) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    signal
+  });
+}
+
+async function initialize(url) {
+  const response = await post(url, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 0 });
+  return response.headers.get('Mcp-Session-Id');
+}
+
+/**
+ * Open a GET stream and collect its messages
+ */
+async function openStream(url, sessionId) {
+  const controller = new AbortController();
+  const response = await fetch(url, {
+    headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': sessionId },
+    signal: controller.signal
+  });
+  const messages = [];
+  readEventStream(response.body, event => messages.push(JSON.parse(event.data))).catch(() => {});
+  return { messages, close: () => controller.abort() };
+}
+
+function tick(ms = 50) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds (polled every 5ms, for up to 2s)
+ */
+async function until(condition) {
+  for (let waited = 0; !condition(); waited += 5) {
+    if (waited >= 2000) throw new Error('Timed out waiting for condition');
+    await tick(5);
+  }
+}
+
+async function collectEvents(response) {
+  const events = [];
+  await readEventStream(response.body, event => events.push(JSON.parse(event.data)));
+  return events;
+}
+
+console.log('\n=== HTTP Server Tests ===\n');
+
+// --- parseListenAddress tests ---
+
+runTest('parseListenAddress: ":port" binds loopback', () => {
+  assert.deepStrictEqual(parseListenAddress(':8080'), { valid: true, host: '127.0.0.1', port: 8080 });
+});
+
+runTest('parseListenAddress: bare port binds loopback', () => {
+  assert.deepStrictEqual(parseListenAddress('8080'), { valid: true, host: '127.0.0.1', port: 8080 });
+});
+
+runTest('parseListenAddress: accepts host and bracketed IPv6', () => {
+  assert.deepStrictEqual(parseListenAddress('0.0.0.0:9000'), { valid: true, host: '0.0.0.0', port: 9000 });
+  assert.deepStrictEqual(parseListenAddress('[::1]:9000'), { valid: true, host: '::1', port: 9000 });
+});
+
+runTest('parseListenAddress: rejects invalid values', () => {
+  assert.strictEqual(parseListenAddress('').valid, false);
+  assert.strictEqual(parseListenAddress('localhost').valid, false);
+  assert.strictEqual(parseListenAddress(':70000').valid, false);
+});
+
+runTest('StreamableHTTPServer: ignores child lines that are not message objects', () => {
+  const server = new StreamableHTTPServer({ port: 0 });
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    for (const line of ['null', '42', '"text"', '[1, 2]']) {
+      server.handleChildLine(line);
+    }
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(logged.length, 4);
+  assert.ok(logged.every(line => line.startsWith('[mcp-cross] Ignoring non-message output from server:')));
+});
+
+async function main() {
+  const { server, child, url } = await startServer();
+
+  await runAsyncTest('POST initialize returns JSON response and session id', async () => {
+    const response = await post(url, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.headers.get('Mcp-Session-Id'));
+    const body = await response.json();
+    assert.deepStrictEqual(body, { jsonrpc: '2.0', result: { method: 'initialize' }, id: 1 });
+  });
+
+  await runAsyncTest('POST without session id is rejected with 400', async () => {
+    const response = await post(url, { jsonrpc: '2.0', method: 'tools/list', id: 2 });
+    assert.strictEqual(response.status, 400);
+  });
+
+  await runAsyncTest('POST with unknown session id is rejected with 404', async () => {
+    const response = await post(url, { jsonrpc: '2.0', method: 'tools/list', id: 2 }, { 'Mcp-Session-Id': 'bogus' });
+    assert.strictEqual(response.status, 404);
+  });
+
+  await runAsyncTest('POST of a notification is accepted with 202', async () => {
+    const sessionId = await initialize(url);
+    const response = await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual(response.status, 202);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(child.received[child.received.length - 1].method, 'notifications/initialized');
+  });
+
+  await runAsyncTest('POST batch returns an array of responses', async () => {
+    const sessionId = await initialize(url);
+    const response = await post(url, [
+      { jsonrpc: '2.0', method: 'tools/list', id: 'a' },
+      { jsonrpc: '2.0', method: 'prompts/list', id: 'b' }
+    ], { 'Mcp-Session-Id': sessionId });
+    const body = await response.json();
+    assert.strictEqual(body.length, 2);
+    assert.deepStrictEqual(body.map(r => r.id).sort(), ['a', 'b']);
+  });
+
+  await runAsyncTest('POST with invalid JSON returns parse error', async () => {
+    const response = await post(url, '{not json');
+    assert.strictEqual(response.status, 400);
+    const body = await response.json();
+    assert.strictEqual(body.error.code, -32700);
+  });
+
+  await runAsyncTest('POST streams progress then response over SSE', async () => {
+    const sessionId = await initialize(url);
+    const response = await post(url, {
+      jsonrpc: '2.0', method: 'progress/echo', params: { _meta: { progressToken: 'p1' } }, id: 3
+    }, { 'Mcp-Session-Id': sessionId, 'Accept': 'application/json, text/event-stream' });
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/event-stream');
+    const events = await collectEvents(response);
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].method, 'notifications/progress');
+    assert.strictEqual(events[1].id, 3);
+  });
+
+  await runAsyncTest('GET stream receives server-initiated messages', async () => {
+    const sessionId = await initialize(url);
+    const controller = new AbortController();
+    const stream = await fetch(url, {
+      headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': sessionId },
+      signal: controller.signal
+    });
+    assert.strictEqual(stream.status, 200);
+
+    const received = new Promise((resolve) => {
+      readEventStream(stream.body, (event) => {
+        resolve(JSON.parse(event.data));
+        return false;
+      }).catch(() => {});
+    });
+    await post(url, { jsonrpc: '2.0', method: 'notify/echo', id: 4 }, { 'Mcp-Session-Id': sessionId });
+
+    const message = await received;
+    assert.strictEqual(message.method, 'notifications/tools/list_changed');
+    controller.abort();
+  });
+
+  await runAsyncTest('GET without event-stream Accept returns 405', async () => {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    assert.strictEqual(response.status, 405);
+  });
+
+  await runAsyncTest('DELETE ends the session', async () => {
+    const sessionId = await initialize(url);
+    const response = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    assert.strictEqual(response.status, 200);
+    const after = await post(url, { jsonrpc: '2.0', method: 'tools/list', id: 5 }, { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual(after.status, 404);
+  });
+
+  await runAsyncTest('rejects non-local Origin when bound to loopback', async () => {
+    const response = await post(url, { jsonrpc: '2.0', method: 'initialize', id: 6 }, { 'Origin': 'http://evil.example' });
+    assert.strictEqual(response.status, 403);
+  });
+
+  await runAsyncTest('accepts local Origins and requests without Origin', async () => {
+    const local = await post(url, { jsonrpc: '2.0', method: 'initialize', id: 8 }, { 'Origin': 'http://localhost:3000' });
+    assert.strictEqual(local.status, 200);
+    const none = await post(url, { jsonrpc: '2.0', method: 'initialize', id: 9 });
+    assert.strictEqual(none.status, 200);
+  });
+
+  await runAsyncTest('unknown paths return 404', async () => {
+    const response = await post(url.replace('/mcp', '/other'), { jsonrpc: '2.0', method: 'ping', id: 7 });
+    assert.strictEqual(response.status, 404);
+  });
+
+  await server.close();
+
+  // --- Remote binding ---
+
+  await runAsyncTest('refuses a non-loopback address without allowRemote', async () => {
+    const remote = new StreamableHTTPServer({ host: '0.0.0.0', port: 0 });
+    await assert.rejects(remote.listen(), /without --allow-remote/);
+    assert.strictEqual(remote.server, null);
+  });
+
+  await runAsyncTest('allowRemote: binds and still rejects foreign Origins', async () => {
+    const remote = new StreamableHTTPServer({ host: '0.0.0.0', port: 0, allowRemote: true, allowedOrigins: ['https://app.example.com'] });
+    const child = createFakeChild();
+    remote.attach(child.toChild, child.fromChild);
+    const { port } = await remote.listen();
+    const remoteUrl = `http://127.0.0.1:${port}/mcp`;
+    try {
+      const foreign = await post(remoteUrl, { jsonrpc: '2.0', method: 'initialize', id: 1 }, { 'Origin': 'http://evil.example' });
+      assert.strictEqual(foreign.status, 403);
+      const allowed = await post(remoteUrl, { jsonrpc: '2.0', method: 'initialize', id: 2 }, { 'Origin': 'https://app.example.com' });
+      assert.strictEqual(allowed.status, 200);
+    } finally {
+      await remote.close();
+    }
+  });
+
+  // --- Multi-client multiplexing ---
+
+  await runAsyncTest('multiplexing: child is initialized once for several sessions', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    try {
+      const first = await post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+      const second = await post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 'init' });
+      assert.notStrictEqual(first.headers.get('Mcp-Session-Id'), second.headers.get('Mcp-Session-Id'));
+      assert.deepStrictEqual(await second.json(), { jsonrpc: '2.0', result: { method: 'initialize' }, id: 'init' });
+
+      for (const response of [first, second]) {
+        await post(gatewayUrl, { jsonrpc: '2.0', method: 'notifications/initialized' }, {
+          'Mcp-Session-Id': response.headers.get('Mcp-Session-Id')
+        });
+      }
+      await tick(10);
+      assert.strictEqual(shared.received.filter(m => m.method === 'initialize').length, 1);
+      assert.strictEqual(shared.received.filter(m => m.method === 'notifications/initialized').length, 1);
+      assert.strictEqual(gateway.sessions.size, 2);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  /**
+   * Gateway in front of a child the test answers by hand
+   */
+  async function startManualServer(options = {}) {
+    const toChild = new PassThrough();
+    const fromChild = new PassThrough();
+    const received = [];
+    createInterface({ input: toChild }).on('line', line => received.push(JSON.parse(line)));
+    const gateway = new StreamableHTTPServer({ port: 0, ...options });
+    gateway.attach(toChild, fromChild);
+    const { port } = await gateway.listen();
+    return { gateway, received, fromChild, url: `http://127.0.0.1:${port}/mcp` };
+  }
+
+  await runAsyncTest('multiplexing: DELETE during the first initialize lets waiting sessions initialize', async () => {
+    const { gateway, received, fromChild, url: gatewayUrl } = await startManualServer();
+    try {
+      const first = post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }).catch(() => null);
+      await until(() => received.length === 1);
+      const [firstSession] = gateway.sessions.keys();
+      const second = post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 2 });
+      await until(() => gateway.sessions.size === 2);
+
+      await fetch(gatewayUrl, { method: 'DELETE', headers: { 'Mcp-Session-Id': firstSession } });
+      await until(() => received.filter(m => m.method === 'initialize').length === 2);
+      const initializes = received.filter(m => m.method === 'initialize');
+      assert.strictEqual(initializes.length, 2);
+
+      fromChild.write(JSON.stringify({ jsonrpc: '2.0', result: { ok: true }, id: initializes[1].id }) + '\n');
+      assert.deepStrictEqual(await (await second).json(), { jsonrpc: '2.0', result: { ok: true }, id: 2 });
+      await first;
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: a later initialize times out if the first is never answered', async () => {
+    const { gateway, url: gatewayUrl } = await startManualServer({ initializeTimeout: 50 });
+    try {
+      post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }).catch(() => null);
+      await until(() => gateway.sessions.size === 1);
+      const second = await (await post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 2 })).json();
+      assert.strictEqual(second.id, 2);
+      assert.strictEqual(second.error.message, 'Request timeout');
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('sessions idle longer than sessionTimeout are ended', async () => {
+    const { gateway, received, fromChild, url: gatewayUrl } = await startManualServer({ sessionTimeout: 50 });
+    try {
+      const initialize = post(gatewayUrl, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+      await until(() => received.length === 1);
+      fromChild.write(JSON.stringify({ jsonrpc: '2.0', result: {}, id: received[0].id }) + '\n');
+      const sessionId = (await initialize).headers.get('Mcp-Session-Id');
+
+      // A request the client stopped waiting for is cancelled on the child
+      const controller = new AbortController();
+      post(gatewayUrl, { jsonrpc: '2.0', method: 'slow', id: 2 }, { 'Mcp-Session-Id': sessionId }, controller.signal)
+        .catch(() => null);
+      await until(() => received.length === 2);
+      controller.abort();
+
+      await until(() => gateway.sessions.size === 0);
+      const cancel = received.find(m => m.method === 'notifications/cancelled');
+      assert.deepStrictEqual(cancel.params, { requestId: received[1].id, reason: 'Session expired' });
+      const after = await post(gatewayUrl, { jsonrpc: '2.0', method: 'ping', id: 3 }, { 'Mcp-Session-Id': sessionId });
+      assert.strictEqual(after.status, 404);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: colliding request ids route to the right session', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    try {
+      const a = await initialize(gatewayUrl);
+      const b = await initialize(gatewayUrl);
+      const [responseA, responseB] = await Promise.all([
+        post(gatewayUrl, { jsonrpc: '2.0', method: 'delay/echo', params: { from: 'a' }, id: 7 }, { 'Mcp-Session-Id': a }),
+        post(gatewayUrl, { jsonrpc: '2.0', method: 'delay/echo', params: { from: 'b' }, id: 7 }, { 'Mcp-Session-Id': b })
+      ]);
+      const bodyA = await responseA.json();
+      const bodyB = await responseB.json();
+      assert.strictEqual(bodyA.id, 7);
+      assert.strictEqual(bodyA.result.params.from, 'a');
+      assert.strictEqual(bodyB.id, 7);
+      assert.strictEqual(bodyB.result.params.from, 'b');
+
+      const childIds = shared.received.filter(m => m.method === 'delay/echo').map(m => m.id);
+      assert.notStrictEqual(childIds[0], childIds[1]);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: progress tokens are rewritten and restored', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    try {
+      const a = await initialize(gatewayUrl);
+      const response = await post(gatewayUrl, {
+        jsonrpc: '2.0', method: 'progress/echo', params: { _meta: { progressToken: 1 } }, id: 1
+      }, { 'Mcp-Session-Id': a, 'Accept': 'application/json, text/event-stream' });
+      const events = await collectEvents(response);
+      assert.strictEqual(events[0].params.progressToken, 1);
+      const sent = shared.received.find(m => m.method === 'progress/echo');
+      assert.notStrictEqual(sent.params._meta.progressToken, 1);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: notifications broadcast, resource updates go to subscribers', async () => {
+    const { server: gateway, url: gatewayUrl } = await startServer();
+    const streams = [];
+    try {
+      const a = await initialize(gatewayUrl);
+      const b = await initialize(gatewayUrl);
+      streams.push(await openStream(gatewayUrl, a), await openStream(gatewayUrl, b));
+
+      await post(gatewayUrl, { jsonrpc: '2.0', method: 'resources/subscribe', params: { uri: 'file:///a' }, id: 1 }, { 'Mcp-Session-Id': a });
+      await post(gatewayUrl, { jsonrpc: '2.0', method: 'update/echo', params: { uri: 'file:///a' }, id: 2 }, { 'Mcp-Session-Id': b });
+      await post(gatewayUrl, { jsonrpc: '2.0', method: 'notify/echo', id: 3 }, { 'Mcp-Session-Id': b });
+      await tick();
+
+      assert.deepStrictEqual(streams[0].messages.map(m => m.method), [
+        'notifications/resources/updated',
+        'notifications/tools/list_changed'
+      ]);
+      assert.deepStrictEqual(streams[1].messages.map(m => m.method), ['notifications/tools/list_changed']);
+    } finally {
+      streams.forEach(stream => stream.close());
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: unsubscribe is answered locally while others are subscribed', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    try {
+      const a = await initialize(gatewayUrl);
+      const b = await initialize(gatewayUrl);
+      const subscribe = { jsonrpc: '2.0', method: 'resources/subscribe', params: { uri: 'file:///a' }, id: 1 };
+      await post(gatewayUrl, subscribe, { 'Mcp-Session-Id': a });
+      await post(gatewayUrl, subscribe, { 'Mcp-Session-Id': b });
+
+      const unsubscribe = { jsonrpc: '2.0', method: 'resources/unsubscribe', params: { uri: 'file:///a' }, id: 2 };
+      const response = await post(gatewayUrl, unsubscribe, { 'Mcp-Session-Id': a });
+      assert.deepStrictEqual(await response.json(), { jsonrpc: '2.0', result: {}, id: 2 });
+      assert.strictEqual(shared.received.filter(m => m.method === 'resources/unsubscribe').length, 0);
+
+      await post(gatewayUrl, unsubscribe, { 'Mcp-Session-Id': b });
+      assert.strictEqual(shared.received.filter(m => m.method === 'resources/unsubscribe').length, 1);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: server requests go to the session with an in-flight call', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    const streams = [];
+    try {
+      const a = await initialize(gatewayUrl);
+      const b = await initialize(gatewayUrl);
+      streams.push(await openStream(gatewayUrl, a), await openStream(gatewayUrl, b));
+
+      const call = post(gatewayUrl, { jsonrpc: '2.0', method: 'delay/echo', id: 9 }, { 'Mcp-Session-Id': a });
+      await until(() => shared.received.some(m => m.method === 'delay/echo'));
+      shared.send({ jsonrpc: '2.0', method: 'sampling/createMessage', params: {}, id: 'srv-1' });
+      await call;
+      await tick();
+
+      assert.strictEqual(streams[0].messages.length, 1);
+      assert.strictEqual(streams[0].messages[0].method, 'sampling/createMessage');
+      assert.strictEqual(streams[1].messages.length, 0);
+
+      // Another session cannot answer it
+      await post(gatewayUrl, { jsonrpc: '2.0', result: { content: 'forged' }, id: 'srv-1' }, { 'Mcp-Session-Id': b });
+      await tick(10);
+      assert.ok(!shared.received.some(m => m.id === 'srv-1'));
+
+      // The client's reply is forwarded unchanged
+      await post(gatewayUrl, { jsonrpc: '2.0', result: { content: {} }, id: 'srv-1' }, { 'Mcp-Session-Id': a });
+      await tick(10);
+      assert.deepStrictEqual(shared.received[shared.received.length - 1], { jsonrpc: '2.0', result: { content: {} }, id: 'srv-1' });
+    } finally {
+      streams.forEach(stream => stream.close());
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('multiplexing: DELETE cancels the session\'s in-flight requests', async () => {
+    const { server: gateway, child: shared, url: gatewayUrl } = await startServer();
+    try {
+      const a = await initialize(gatewayUrl);
+      const call = post(gatewayUrl, { jsonrpc: '2.0', method: 'delay/echo', id: 1 }, { 'Mcp-Session-Id': a }).catch(() => null);
+      await tick(5);
+      await fetch(gatewayUrl, { method: 'DELETE', headers: { 'Mcp-Session-Id': a } });
+      await call;
+
+      const sent = shared.received.find(m => m.method === 'delay/echo');
+      const cancelled = shared.received.find(m => m.method === 'notifications/cancelled');
+      assert.ok(cancelled);
+      assert.strictEqual(cancelled.params.requestId, sent.id);
+    } finally {
+      await gateway.close();
+    }
+  });
+
+  await runAsyncTest('CLI --serve-http serves a stdio server over HTTP', async () => {
+    const serverScript = [
+      "require('readline').createInterface({ input: process.stdin }).on('line', (line) => {",
+      '  const msg = JSON.parse(line);',
+      "  if (msg.id !== undefined) process.stdout.write(JSON.stringify({ jsonrpc: '2.0', result: { pid: process.pid }, id: msg.id }) + '\\n');",
+      '});'
+    ].join('\n');
+    const cli = spawn(process.execPath, [
+      path.resolve(__dirname, '..', 'index.js'),
+      '--serve-http', '127.0.0.1:0',
+      '--', process.execPath, '-e', serverScript
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    try {
+      const endpoint = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('CLI did not start serving')), 10000);
+        createInterface({ input: cli.stderr }).on('line', (line) => {
+          const match = line.match(/at (http:\/\/\S+)/);
+          if (match) {
+            clearTimeout(timer);
+            resolve(match[1]);
+          }
+        });
+      });
+
+      const response = await post(endpoint, { jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 });
+      const body = await response.json();
+      assert.strictEqual(body.id, 1);
+      assert.ok(Number.isInteger(body.result.pid));
+    } finally {
+      cli.kill();
+    }
+  });
+
+  await runAsyncTest('CLI --serve-http refuses a non-loopback host without --allow-remote', async () => {
+    const cli = spawn(process.execPath, [
+      path.resolve(__dirname, '..', 'index.js'),
+      '--serve-http', '0.0.0.0:0',
+      '--', process.execPath, '-e', ''
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    cli.stderr.on('data', chunk => { stderr += chunk; });
+    const code = await new Promise(resolve => cli.on('exit', resolve));
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Refusing to serve on non-loopback address 0\.0\.0\.0 without --allow-remote/);
+  });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
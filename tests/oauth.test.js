@@ -0,0 +1,460 @@
+/**
+ * Unit and integration tests for oauth.js
+ * Integration tests run against a local stand-in authorization server.
+ * @module tests/oauth.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const {
+  OAuthClient,
+  ClientCredentialsProvider,
+  TokenStore,
+  generatePKCE,
+  parseWWWAuthenticate,
+  canonicalResource
+} = require('../src/lib/oauth');
+const { HTTPProxyConfig, HTTPProxySession } = require('../src/lib/http-proxy');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+function tempStorePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cross-oauth-')), 'oauth.json');
+}
+
+console.log('\n=== OAuth Tests ===\n');
+
+// --- Unit tests ---
+
+runTest('generatePKCE: challenge is S256 of verifier', () => {
+  const pkce = generatePKCE();
+  const expected = crypto.createHash('sha256').update(pkce.verifier).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  assert.strictEqual(pkce.method, 'S256');
+  assert.strictEqual(pkce.challenge, expected);
+  assert.ok(pkce.verifier.length >= 43);
+});
+
+runTest('parseWWWAuthenticate: parses Bearer challenge parameters', () => {
+  const result = parseWWWAuthenticate('Bearer resource_metadata="https://a.example/.well-known/oauth-protected-resource", scope="read write", error=invalid_token');
+  assert.strictEqual(result.scheme, 'Bearer');
+  assert.strictEqual(result.params.resource_metadata, 'https://a.example/.well-known/oauth-protected-resource');
+  assert.strictEqual(result.params.scope, 'read write');
+  assert.strictEqual(result.params.error, 'invalid_token');
+});
+
+runTest('parseWWWAuthenticate: returns null for empty header', () => {
+  assert.strictEqual(parseWWWAuthenticate(null), null);
+  assert.strictEqual(parseWWWAuthenticate(''), null);
+});
+
+runTest('canonicalResource: strips query and fragment', () => {
+  assert.strictEqual(canonicalResource('https://api.example.com/mcp?x=1#y'), 'https://api.example.com/mcp');
+});
+
+runTest('TokenStore: persists entries with owner-only permissions', () => {
+  const storePath = tempStorePath();
+  const store = new TokenStore(storePath);
+  store.update('https://a.example/mcp', { tokens: { access_token: 't' } });
+  store.update('https://a.example/mcp', { issuer: 'https://auth.example' });
+  const entry = new TokenStore(storePath).get('https://a.example/mcp');
+  assert.strictEqual(entry.tokens.access_token, 't');
+  assert.strictEqual(entry.issuer, 'https://auth.example');
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(storePath).mode & 0o777, 0o600);
+  }
+});
+
+runTest('OAuthClient: requires a resource URL', () => {
+  assert.throws(() => new OAuthClient({}), /requires a resourceUrl/);
+});
+
+runTest('HTTPProxySession: --oauth config creates an OAuthClient', () => {
+  const config = new HTTPProxyConfig({ url: new URL('https://api.example.com/mcp'), oauth: true });
+  assert.ok(new HTTPProxySession(config).authProvider instanceof OAuthClient);
+  const plain = new HTTPProxyConfig({ url: new URL('https://api.example.com/mcp') });
+  assert.strictEqual(new HTTPProxySession(plain).authProvider, null);
+});
+
+runTest('ClientCredentialsProvider: requires token URL and credentials', () => {
+  assert.throws(() => new ClientCredentialsProvider({}), /requires a tokenUrl/);
+  assert.throws(() => new ClientCredentialsProvider({ tokenUrl: new URL('https://a.example/token') }), /clientId and clientSecret/);
+});
+
+runTest('HTTPProxyConfig.fromArgs: client credentials read secret from environment', () => {
+  const result = HTTPProxyConfig.fromArgs({
+    url: 'https://api.example.com/mcp',
+    oauthTokenUrl: 'https://auth.example.com/token',
+    oauthClientId: 'ci-agent'
+  }, { MCP_CROSS_OAUTH_CLIENT_SECRET: 's3cret' });
+  assert.strictEqual(result.errors.length, 0);
+  assert.strictEqual(result.config.oauthClientSecret, 's3cret');
+  const session = new HTTPProxySession(result.config);
+  assert.ok(session.authProvider instanceof ClientCredentialsProvider);
+});
+
+runTest('HTTPProxyConfig.fromArgs: client credentials require secret and client id', () => {
+  const result = HTTPProxyConfig.fromArgs({
+    url: 'https://api.example.com/mcp',
+    oauthTokenUrl: 'https://auth.example.com/token'
+  }, {});
+  assert.ok(result.errors.some(e => e.includes('--oauth-client-id')));
+  assert.ok(result.errors.some(e => e.includes('MCP_CROSS_OAUTH_CLIENT_SECRET')));
+});
+
+// --- Stand-in authorization server + protected MCP server ---
+
+let server;
+let base;
+const state = {
+  clients: new Map(),
+  codes: new Map(),
+  accessTokens: new Set(),
+  refreshTokens: new Set(),
+  registrations: 0,
+  tokenRequests: []
+};
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+  });
+}
+
+function issueTokens(clientId, expiresIn = 3600) {
+  const access = `at-${crypto.randomBytes(4).toString('hex')}`;
+  const refresh = `rt-${crypto.randomBytes(4).toString('hex')}`;
+  state.accessTokens.add(access);
+  state.refreshTokens.add(refresh);
+  return { access_token: access, refresh_token: refresh, token_type: 'Bearer', expires_in: expiresIn };
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+async function startServer() {
+  server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, base);
+    const body = await readBody(req);
+
+    if (url.pathname === '/.well-known/oauth-protected-resource/mcp') {
+      return sendJson(res, 200, { resource: `${base}/mcp`, authorization_servers: [`${base}/auth`] });
+    }
+
+    if (url.pathname === '/.well-known/oauth-authorization-server/auth') {
+      return sendJson(res, 200, {
+        issuer: `${base}/auth`,
+        authorization_endpoint: `${base}/auth/authorize`,
+        token_endpoint: `${base}/auth/token`,
+        registration_endpoint: `${base}/auth/register`,
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (url.pathname === '/auth/register' && req.method === 'POST') {
+      const registration = JSON.parse(body);
+      state.registrations++;
+      const clientId = `client-${state.registrations}`;
+      state.clients.set(clientId, registration.redirect_uris);
+      return sendJson(res, 201, { client_id: clientId, redirect_uris: registration.redirect_uris });
+    }
+
+    if (url.pathname === '/auth/authorize') {
+      const redirectUri = url.searchParams.get('redirect_uri');
+      const clientId = url.searchParams.get('client_id');
+      if (!state.clients.has(clientId) || !state.clients.get(clientId).includes(redirectUri) ||
+          url.searchParams.get('code_challenge_method') !== 'S256' ||
+          url.searchParams.get('resource') !== `${base}/mcp`) {
+        res.statusCode = 400;
+        return res.end('bad authorization request');
+      }
+      const code = `code-${crypto.randomBytes(4).toString('hex')}`;
+      state.codes.set(code, { clientId, challenge: url.searchParams.get('code_challenge'), redirectUri });
+      const target = new URL(redirectUri);
+      target.searchParams.set('code', code);
+      target.searchParams.set('state', url.searchParams.get('state'));
+      res.statusCode = 302;
+      res.setHeader('Location', target.toString());
+      return res.end();
+    }
+
+    if (url.pathname === '/auth/token' && req.method === 'POST') {
+      const params = new URLSearchParams(body);
+      state.tokenRequests.push(params.get('grant_type'));
+      if (params.get('grant_type') === 'authorization_code') {
+        const grant = state.codes.get(params.get('code'));
+        state.codes.delete(params.get('code'));
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64')
+          .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== params.get('redirect_uri')) {
+          return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+        return sendJson(res, 200, issueTokens(grant.clientId));
+      }
+      if (params.get('grant_type') === 'refresh_token') {
+        if (!state.refreshTokens.has(params.get('refresh_token'))) {
+          return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+        return sendJson(res, 200, issueTokens(params.get('client_id')));
+      }
+      if (params.get('grant_type') === 'client_credentials') {
+        const expected = 'Basic ' + Buffer.from('ci-agent:s3cret').toString('base64');
+        if (req.headers['authorization'] !== expected) {
+          return sendJson(res, 401, { error: 'invalid_client' });
+        }
+        const tokens = issueTokens('ci-agent', 3600);
+        delete tokens.refresh_token;
+        return sendJson(res, 200, tokens);
+      }
+      return sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    if (url.pathname === '/mcp') {
+      const auth = req.headers['authorization'] || '';
+      const token = auth.replace(/^Bearer /, '');
+      if (!state.accessTokens.has(token)) {
+        res.statusCode = 401;
+        res.setHeader('WWW-Authenticate',
+          `Bearer resource_metadata="${base}/.well-known/oauth-protected-resource/mcp"`);
+        return res.end();
+      }
+      const request = JSON.parse(body);
+      return sendJson(res, 200, { jsonrpc: '2.0', result: { ok: true }, id: request.id });
+    }
+
+    res.statusCode = 404;
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Stand-in for the browser: follow the authorization redirect to the loopback callback
+ */
+function browser(url) {
+  fetch(url).catch(() => {});
+}
+
+async function runIntegrationTests() {
+  console.log('\n--- Integration Tests with Stand-in Authorization Server ---\n');
+
+  await startServer();
+
+  const storePath = tempStorePath();
+
+  await runAsyncTest('HTTPProxySession: 401 triggers discovery, registration and PKCE login', async () => {
+    const config = new HTTPProxyConfig({ url: new URL(`${base}/mcp`) });
+    const session = new HTTPProxySession(config);
+    session.authProvider = new OAuthClient({ resourceUrl: config.url, storePath, openUrl: browser });
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+
+    assert.deepStrictEqual(response.result, { ok: true });
+    assert.strictEqual(state.registrations, 1);
+    const entry = new TokenStore(storePath).get(`${base}/mcp`);
+    assert.ok(entry.tokens.access_token);
+    assert.ok(entry.tokens.refresh_token);
+    assert.strictEqual(entry.client.client_id, 'client-1');
+  });
+
+  await runAsyncTest('OAuthClient: reuses stored token without a new login', async () => {
+    const config = new HTTPProxyConfig({ url: new URL(`${base}/mcp`) });
+    const session = new HTTPProxySession(config);
+    let opened = 0;
+    session.authProvider = new OAuthClient({ resourceUrl: config.url, storePath, openUrl: () => opened++ });
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 2 });
+
+    assert.deepStrictEqual(response.result, { ok: true });
+    assert.strictEqual(opened, 0);
+  });
+
+  await runAsyncTest('OAuthClient: refreshes expired token proactively', async () => {
+    const store = new TokenStore(storePath);
+    const entry = store.get(`${base}/mcp`);
+    store.update(`${base}/mcp`, { tokens: { ...entry.tokens, expires_at: Date.now() - 1000 } });
+    state.tokenRequests.length = 0;
+
+    const client = new OAuthClient({ resourceUrl: new URL(`${base}/mcp`), storePath, openUrl: () => {} });
+    const token = await client.getAccessToken();
+
+    assert.ok(token);
+    assert.notStrictEqual(token, entry.tokens.access_token);
+    assert.deepStrictEqual(state.tokenRequests, ['refresh_token']);
+  });
+
+  await runAsyncTest('HTTPProxySession: revoked token is refreshed on 401', async () => {
+    state.accessTokens.clear();
+    state.tokenRequests.length = 0;
+    const config = new HTTPProxyConfig({ url: new URL(`${base}/mcp`) });
+    const session = new HTTPProxySession(config);
+    session.authProvider = new OAuthClient({ resourceUrl: config.url, storePath, openUrl: () => {} });
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 3 });
+
+    assert.deepStrictEqual(response.result, { ok: true });
+    assert.deepStrictEqual(state.tokenRequests, ['refresh_token']);
+  });
+
+  await runAsyncTest('HTTPProxySession: failed login surfaces an authorization error', async () => {
+    const config = new HTTPProxyConfig({ url: new URL(`${base}/mcp`) });
+    const session = new HTTPProxySession(config);
+    const client = new OAuthClient({ resourceUrl: config.url, storePath: tempStorePath(), openUrl: () => {} });
+    client.authorize = async () => {
+      throw new Error('Authorization denied: access_denied');
+    };
+    session.authProvider = client;
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 4 });
+
+    assert.strictEqual(response.error.code, -32004);
+    assert.ok(response.error.message.includes('access_denied'));
+  });
+
+  const clientCredentials = (secret = 's3cret') => new ClientCredentialsProvider({
+    tokenUrl: new URL(`${base}/auth/token`),
+    clientId: 'ci-agent',
+    clientSecret: secret,
+    resource: `${base}/mcp`
+  });
+
+  await runAsyncTest('ClientCredentialsProvider: fetches token before first request and caches it', async () => {
+    state.tokenRequests.length = 0;
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url: new URL(`${base}/mcp`) }));
+    session.authProvider = clientCredentials();
+
+    const first = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 10 });
+    const second = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 11 });
+
+    assert.deepStrictEqual(first.result, { ok: true });
+    assert.deepStrictEqual(second.result, { ok: true });
+    assert.deepStrictEqual(state.tokenRequests, ['client_credentials']);
+  });
+
+  await runAsyncTest('ClientCredentialsProvider: refreshes proactively before expiry', async () => {
+    state.tokenRequests.length = 0;
+    const provider = clientCredentials();
+    const first = await provider.getAccessToken();
+    provider.tokens.expires_at = Date.now() + 1000; // inside the refresh margin
+    const second = await provider.getAccessToken();
+
+    assert.notStrictEqual(first, second);
+    assert.deepStrictEqual(state.tokenRequests, ['client_credentials', 'client_credentials']);
+  });
+
+  await runAsyncTest('ClientCredentialsProvider: re-fetches once on 401', async () => {
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url: new URL(`${base}/mcp`) }));
+    session.authProvider = clientCredentials();
+    await session.authProvider.getAccessToken();
+    state.accessTokens.clear();
+    state.tokenRequests.length = 0;
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 12 });
+
+    assert.deepStrictEqual(response.result, { ok: true });
+    assert.deepStrictEqual(state.tokenRequests, ['client_credentials']);
+  });
+
+  await runAsyncTest('ClientCredentialsProvider: bad secret surfaces HTTP 401 error', async () => {
+    const session = new HTTPProxySession(new HTTPProxyConfig({ url: new URL(`${base}/mcp`) }));
+    session.authProvider = clientCredentials('wrong');
+
+    const response = await session.sendRequest({ jsonrpc: '2.0', method: 'tools/list', id: 13 });
+
+    assert.strictEqual(response.error.code, -32001);
+    assert.strictEqual(response.error.data.statusCode, 401);
+  });
+
+  await runAsyncTest('HTTPProxyConfig.fromArgs: --oauth logs in when the proxy runs', async () => {
+    const { config, errors } = HTTPProxyConfig.fromArgs({ url: `${base}/mcp`, oauth: true });
+    assert.deepStrictEqual(errors, []);
+    const session = new HTTPProxySession(config);
+    session.startEventStream = () => null;
+    // Keep the provider the session built; only redirect its store and browser
+    const storePath = tempStorePath();
+    session.authProvider.store = new TokenStore(storePath);
+    session.authProvider.openUrl = browser;
+    const output = [];
+    session.writeLine = line => output.push(JSON.parse(line));
+
+    const input = new PassThrough();
+    const done = session.start(input);
+    input.end(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 14 }) + '\n');
+    await done;
+
+    assert.deepStrictEqual(output, [{ jsonrpc: '2.0', result: { ok: true }, id: 14 }]);
+    assert.ok(new TokenStore(storePath).get(`${base}/mcp`).tokens.access_token);
+  });
+
+  await new Promise(resolve => server.close(resolve));
+}
+
+async function main() {
+  await runIntegrationTests();
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,469 @@
+/**
+ * Unit tests for server-supervisor.js
+ * @module tests/server-supervisor.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { PassThrough, Writable } = require('stream');
+const { ServerSupervisor } = require('../src/lib/server-supervisor');
+const jsonrpc = require('../src/lib/jsonrpc-error');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Minimal stdio MCP server: answers every request with its method and pid,
+ * exits with code 1 on "crash" and never answers "hang".
+ */
+const SERVER_SCRIPT = `
+const rl = require('readline').createInterface({ input: process.stdin });
+rl.on('line', (line) => {
+  const msg = JSON.parse(line);
+  if (msg.method === 'crash') process.exit(1);
+  if (msg.method === 'hang' || msg.id === undefined) return;
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: { method: msg.method, pid: process.pid } }) + '\\n');
+});
+`;
+
+/**
+ * Build a supervisor around the test server with in-memory stdio
+ *
+ * @param {Object} [options] - Extra ServerSupervisor options
+ * @returns {{ supervisor: ServerSupervisor, input: PassThrough, messages: Object[], next: function(): Promise<Object>, exited: Promise<Object> }}
+ */
+function createHarness(options = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const messages = [];
+  const waiters = [];
+  let buffer = '';
+
+  output.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      messages.push(message);
+      const waiter = waiters.shift();
+      if (waiter) {
+        waiter();
+      }
+    }
+  });
+
+  let resolveExit;
+  const exited = new Promise(resolve => { resolveExit = resolve; });
+  const supervisor = new ServerSupervisor({
+    spawn: () => spawn(process.execPath, ['-e', SERVER_SCRIPT], { stdio: ['pipe', 'pipe', 'inherit'] }),
+    input,
+    output,
+    restartBackoff: 10,
+    onExit: (code, signal) => resolveExit({ code, signal }),
+    ...options
+  });
+
+  let seen = 0;
+  const next = () => new Promise((resolve) => {
+    const take = () => resolve(messages[seen++]);
+    if (messages.length > seen) {
+      take();
+    } else {
+      waiters.push(take);
+    }
+  });
+
+  return { supervisor, input, messages, next, exited };
+}
+
+/**
+ * Send a message to the supervisor as a line
+ *
+ * @param {PassThrough} input - Client input stream
+ * @param {Object} message - JSON-RPC message
+ */
+function send(input, message) {
+  input.write(JSON.stringify(message) + '\n');
+}
+
+/**
+ * Check whether a process is still running (an unreaped zombie is not)
+ *
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] !== 'Z';
+  } catch (err) {
+    // No procfs (macOS): fall back to signal 0
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function main() {
+  console.log('\n=== Server Supervisor Tests ===\n');
+
+  await runAsyncTest('ServerSupervisor: bridges requests and reports the exit code', async () => {
+    const { supervisor, input, next, exited } = createHarness();
+    supervisor.start();
+
+    send(input, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const response = await next();
+    assert.strictEqual(response.id, 1);
+    assert.strictEqual(response.result.method, 'tools/list');
+
+    input.end();
+    assert.deepStrictEqual(await exited, { code: 0, signal: null });
+  });
+
+  await runAsyncTest('ServerSupervisor: without --restart a crash ends the bridge', async () => {
+    const { supervisor, input, next, exited } = createHarness();
+    supervisor.start();
+
+    send(input, { jsonrpc: '2.0', id: 1, method: 'hang' });
+    send(input, { jsonrpc: '2.0', method: 'crash' });
+
+    const error = await next();
+    assert.strictEqual(error.id, 1);
+    assert.strictEqual(error.error.code, -32000);
+    assert.strictEqual(error.error.data.errorCode, 'SERVER_EXITED');
+    assert.strictEqual(error.error.data.exitCode, 1);
+    assert.strictEqual((await exited).code, 1);
+    input.end();
+  });
+
+  await runAsyncTest('ServerSupervisor: restarts on failure and replays initialize', async () => {
+    const { supervisor, input, messages, next, exited } = createHarness({ restart: 'on-failure' });
+    supervisor.start();
+
+    send(input, { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+    const init = await next();
+    send(input, { jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    send(input, { jsonrpc: '2.0', id: 2, method: 'hang' });
+    send(input, { jsonrpc: '2.0', method: 'crash' });
+
+    const error = await next();
+    assert.strictEqual(error.id, 2);
+    assert.ok(error.error.message.includes('being restarted'));
+
+    // Sent while the server is down: delivered after the replayed handshake
+    send(input, { jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    const response = await next();
+    assert.strictEqual(response.id, 3);
+    assert.notStrictEqual(response.result.pid, init.result.pid);
+    assert.strictEqual(supervisor.restartCount, 1);
+
+    // The replayed initialize response is swallowed
+    assert.strictEqual(messages.length, 3);
+
+    input.end();
+    assert.strictEqual((await exited).code, 0);
+  });
+
+  await runAsyncTest('ServerSupervisor: gives up after --max-restarts', async () => {
+    const { supervisor, input, exited } = createHarness({ restart: 'on-failure', maxRestarts: 1 });
+    const originalError = console.error;
+    const logged = [];
+    console.error = (...args) => logged.push(args.join(' '));
+    try {
+      supervisor.start();
+      send(input, { jsonrpc: '2.0', method: 'crash' });
+      await new Promise(resolve => setTimeout(resolve, 500));
+      send(input, { jsonrpc: '2.0', method: 'crash' });
+      assert.strictEqual((await exited).code, 1);
+    } finally {
+      console.error = originalError;
+    }
+    assert.strictEqual(supervisor.restartCount, 1);
+    assert.ok(logged.some(line => line.includes('restarting in 10ms (1/1)')));
+    assert.ok(logged.some(line => line.includes('giving up')));
+    input.end();
+  });
+
+  await runAsyncTest('ServerSupervisor: shutdown() closes stdin and does not restart the server', async () => {
+    const { supervisor, exited } = createHarness({ restart: 'on-failure' });
+    supervisor.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    supervisor.shutdown();
+
+    // The test server exits on its own once stdin closes
+    assert.deepStrictEqual(await exited, { code: 0, signal: null });
+    assert.strictEqual(supervisor.restartCount, 0);
+  });
+
+  await runAsyncTest('ServerSupervisor: shutdown() escalates to SIGTERM', async () => {
+    const stubborn = 'process.stdin.resume(); process.stdin.on("end", () => {}); setInterval(() => {}, 1000);';
+    const { supervisor, exited } = createHarness({
+      spawn: () => spawn(process.execPath, ['-e', stubborn], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      shutdownTimeout: 100
+    });
+    supervisor.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const started = Date.now();
+    supervisor.shutdown();
+
+    assert.deepStrictEqual(await exited, { code: null, signal: 'SIGTERM' });
+    assert.ok(Date.now() - started >= 90, 'waits for the shutdown timeout first');
+  });
+
+  await runAsyncTest('ServerSupervisor: shutdown() escalates to SIGKILL', async () => {
+    const stubborn = 'process.stdin.resume(); process.on("SIGTERM", () => {}); setInterval(() => {}, 1000);';
+    const { supervisor, exited } = createHarness({
+      spawn: () => spawn(process.execPath, ['-e', stubborn], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      shutdownTimeout: 100
+    });
+    supervisor.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    supervisor.shutdown();
+
+    assert.deepStrictEqual(await exited, { code: null, signal: 'SIGKILL' });
+  });
+
+  if (process.platform !== 'win32') {
+    await runAsyncTest('ServerSupervisor: cleans up processes the server left behind', async () => {
+      // A wrapper (like npx) that starts the real server and exits with stdin
+      const wrapper = `
+const { spawn } = require('child_process');
+const grandchild = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+console.log(JSON.stringify({ jsonrpc: '2.0', method: 'test/pid', params: { pid: grandchild.pid } }));
+process.stdin.resume();
+process.stdin.on('end', () => process.exit(0));
+`;
+      const { supervisor, input, next, exited } = createHarness({
+        spawn: () => spawn(process.execPath, ['-e', wrapper], { stdio: ['pipe', 'pipe', 'inherit'], detached: true }),
+        shutdownTimeout: 100
+      });
+      supervisor.start();
+      const { params } = await next();
+      input.end();
+      await exited;
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(isRunning(params.pid), false);
+    });
+  }
+
+  await runAsyncTest('ServerSupervisor: filterStdout diverts non-protocol stdout to stderr', async () => {
+    const noisy = 'console.log("Server v1.2 listening"); console.log(""); console.log("{\\"not\\": \\"jsonrpc\\"}");' +
+      SERVER_SCRIPT;
+    const { supervisor, input, messages, next, exited } = createHarness({
+      spawn: () => spawn(process.execPath, ['-e', noisy], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      filterStdout: true
+    });
+    const originalError = console.error;
+    const logged = [];
+    console.error = (...args) => logged.push(args.join(' '));
+    try {
+      supervisor.start();
+      send(input, { jsonrpc: '2.0', id: 1, method: 'ping' });
+      const response = await next();
+      assert.strictEqual(response.id, 1);
+      input.end();
+      await exited;
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(supervisor.nonProtocol, { lines: 2, bytes: 39 });
+    assert.ok(logged.includes('[mcp-cross] non-protocol output: Server v1.2 listening'));
+    assert.ok(logged.includes('[mcp-cross] non-protocol output: {"not": "jsonrpc"}'));
+    assert.ok(logged.some(line => line.includes('Diverted 2 non-protocol line(s) (39 bytes)')));
+  });
+
+  await runAsyncTest('ServerSupervisor: forwards stdout unchanged by default', async () => {
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => { text += chunk; });
+    const input = new PassThrough();
+    const supervisor = new ServerSupervisor({
+      spawn: () => spawn(process.execPath, ['-e', 'console.log("banner")'], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      input,
+      output
+    });
+    await supervisor.start();
+    input.end();
+    assert.strictEqual(text, 'banner\n');
+  });
+
+  await runAsyncTest('ServerSupervisor: stops reading the server while the client is slow', async () => {
+    // 20000 lines of 100 bytes, far more than the pipe and readline buffer hold
+    const chatty = `
+      const line = JSON.stringify({ jsonrpc: '2.0', method: 'log', params: { text: 'x'.repeat(60) } }) + '\\n';
+      let sent = 0;
+      (function write() {
+        while (sent < 20000) {
+          sent++;
+          if (!process.stdout.write(line)) return process.stdout.once('drain', write);
+        }
+        process.stdin.resume();
+      })();
+    `;
+    let received = 0;
+    let maxBuffered = 0;
+    const output = new Writable({
+      highWaterMark: 1024,
+      write(chunk, encoding, callback) {
+        received += chunk.toString().split('\n').length - 1;
+        setImmediate(callback);
+      }
+    });
+    const input = new PassThrough();
+    const supervisor = new ServerSupervisor({
+      spawn: () => spawn(process.execPath, ['-e', chatty], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      input,
+      output
+    });
+    const done = supervisor.start();
+    while (received < 20000) {
+      maxBuffered = Math.max(maxBuffered, output.writableLength);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    input.end();
+    await done;
+    assert.ok(maxBuffered < 500000, `buffered ${maxBuffered} bytes for the client`);
+  });
+
+  await runAsyncTest('ServerSupervisor: stops reading the client while the server is slow', async () => {
+    // Never reads its stdin; stopped by shutdown()
+    const deaf = 'setInterval(() => {}, 1000);';
+    const input = new PassThrough();
+    const supervisor = new ServerSupervisor({
+      spawn: () => spawn(process.execPath, ['-e', deaf], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      input,
+      output: new PassThrough(),
+      shutdownTimeout: 10
+    });
+    const done = supervisor.start();
+    const line = JSON.stringify({ jsonrpc: '2.0', method: 'log', params: { text: 'x'.repeat(60) } }) + '\n';
+    for (let i = 0; i < 200; i++) {
+      input.write(line.repeat(100));
+    }
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.ok(supervisor.child.stdin.writableLength < 500000, `buffered ${supervisor.child.stdin.writableLength} bytes for the server`);
+    assert.ok(input.readableLength > 0, 'client input was not paused');
+    supervisor.shutdown();
+    await done;
+  });
+
+  await runAsyncTest('ServerSupervisor: filter hides tools and rejects calls to them', async () => {
+    const script = `
+      const rl = require('readline').createInterface({ input: process.stdin });
+      rl.on('line', (line) => {
+        const msg = JSON.parse(line);
+        const result = msg.method === 'tools/list'
+          ? { tools: [{ name: 'read_file' }, { name: 'write_file' }] }
+          : { called: msg.params.name };
+        process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result }) + '\\n');
+      });
+    `;
+    const { supervisor, input, next, exited } = createHarness({
+      spawn: () => spawn(process.execPath, ['-e', script], { stdio: ['pipe', 'pipe', 'inherit'] }),
+      filter: { tools: { allow: null, deny: ['write_*'] } }
+    });
+    supervisor.start();
+
+    send(input, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    assert.deepStrictEqual((await next()).result.tools, [{ name: 'read_file' }]);
+
+    send(input, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'write_file' } });
+    send(input, { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'read_file' } });
+    const rejected = await next();
+    assert.strictEqual(rejected.id, 2);
+    assert.strictEqual(rejected.error.code, -32602);
+    assert.strictEqual(rejected.error.data.errorCode, 'FILTERED');
+    assert.deepStrictEqual(await next(), { jsonrpc: '2.0', id: 3, result: { called: 'read_file' } });
+
+    input.end();
+    assert.strictEqual((await exited).code, 0);
+  });
+
+  await runAsyncTest('ServerSupervisor: filter forgets list requests the server died on', async () => {
+    const { supervisor, input, next, exited } = createHarness({
+      spawn: () => spawn(process.execPath, ['-e', 'process.stdin.once("data", () => process.exit(3))'],
+        { stdio: ['pipe', 'pipe', 'inherit'] }),
+      filter: { tools: { allow: null, deny: ['write_*'] } }
+    });
+    supervisor.start();
+
+    send(input, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    assert.strictEqual((await next()).error.data.errorCode, 'SERVER_EXITED');
+    assert.strictEqual(supervisor.filter._lists.size, 0);
+    await exited;
+  });
+
+  await runAsyncTest('jsonrpc.isMessage: accepts requests, notifications, responses and batches', async () => {
+    assert.strictEqual(jsonrpc.isMessage({ jsonrpc: '2.0', id: 1, method: 'ping' }), true);
+    assert.strictEqual(jsonrpc.isMessage({ jsonrpc: '2.0', method: 'notifications/progress' }), true);
+    assert.strictEqual(jsonrpc.isMessage({ jsonrpc: '2.0', id: 1, result: {} }), true);
+    assert.strictEqual(jsonrpc.isMessage([{ jsonrpc: '2.0', id: 1, error: { code: 1, message: 'x' } }]), true);
+    assert.strictEqual(jsonrpc.isMessage([]), false);
+    assert.strictEqual(jsonrpc.isMessage({ id: 1, result: {} }), false);
+    assert.strictEqual(jsonrpc.isMessage(42), false);
+    assert.strictEqual(jsonrpc.isMessage(null), false);
+  });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
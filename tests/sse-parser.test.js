@@ -0,0 +1,184 @@
+/**
+ * Unit tests for sse-parser.js
+ * @module tests/sse-parser.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { SSEParser, readEventStream } = require('../src/lib/sse-parser');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Parse a sequence of chunks and collect the dispatched events
+ */
+function parseChunks(chunks) {
+  const events = [];
+  const parser = new SSEParser(event => events.push(event));
+  for (const chunk of chunks) {
+    parser.feed(chunk);
+  }
+  parser.end();
+  return { events, parser };
+}
+
+console.log('\n=== SSE Parser Tests ===\n');
+
+// --- SSEParser tests ---
+
+runTest('SSEParser: throws without callback', () => {
+  assert.throws(() => new SSEParser(), /requires an onEvent callback/);
+});
+
+runTest('SSEParser: parses a single event', () => {
+  const { events } = parseChunks(['data: {"a":1}\n\n']);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].event, 'message');
+  assert.strictEqual(events[0].data, '{"a":1}');
+});
+
+runTest('SSEParser: joins multiple data lines with newline', () => {
+  const { events } = parseChunks(['data: first\ndata: second\n\n']);
+  assert.strictEqual(events[0].data, 'first\nsecond');
+});
+
+runTest('SSEParser: handles events split across chunks', () => {
+  const { events } = parseChunks(['da', 'ta: hel', 'lo\n', '\n']);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].data, 'hello');
+});
+
+runTest('SSEParser: handles CRLF split across chunks', () => {
+  const { events } = parseChunks(['data: a\r', '\n\r', '\ndata: b\r\n\r\n']);
+  assert.strictEqual(events.length, 2);
+  assert.strictEqual(events[0].data, 'a');
+  assert.strictEqual(events[1].data, 'b');
+});
+
+runTest('SSEParser: handles bare CR line endings', () => {
+  const { events } = parseChunks(['data: x\r\r']);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].data, 'x');
+});
+
+runTest('SSEParser: ignores comment lines', () => {
+  const { events } = parseChunks([': keep-alive\n\n', 'data: x\n\n']);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].data, 'x');
+});
+
+runTest('SSEParser: records event type, id and retry', () => {
+  const { events, parser } = parseChunks(['event: endpoint\nid: 42\nretry: 3000\ndata: /messages\n\n']);
+  assert.strictEqual(events[0].event, 'endpoint');
+  assert.strictEqual(events[0].id, '42');
+  assert.strictEqual(events[0].retry, 3000);
+  assert.strictEqual(parser.lastEventId, '42');
+});
+
+runTest('SSEParser: ignores non-numeric retry', () => {
+  const { parser } = parseChunks(['retry: soon\ndata: x\n\n']);
+  assert.strictEqual(parser.retry, null);
+});
+
+runTest('SSEParser: does not dispatch events without data', () => {
+  const { events } = parseChunks(['event: ping\n\n']);
+  assert.strictEqual(events.length, 0);
+});
+
+runTest('SSEParser: discards incomplete trailing event on end', () => {
+  const { events } = parseChunks(['data: complete\n\ndata: partial']);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].data, 'complete');
+});
+
+runTest('SSEParser: only strips one leading space from values', () => {
+  const { events } = parseChunks(['data:  two spaces\n\n']);
+  assert.strictEqual(events[0].data, ' two spaces');
+});
+
+// --- readEventStream tests ---
+
+async function* toStream(chunks) {
+  const encoder = new TextEncoder();
+  for (const chunk of chunks) {
+    yield typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+  }
+}
+
+async function main() {
+  await runAsyncTest('readEventStream: decodes multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: héllo\n\n');
+    // Split inside the two-byte "é"
+    const splitAt = 'data: h'.length + 1;
+    const events = [];
+    await readEventStream(toStream([bytes.slice(0, splitAt), bytes.slice(splitAt)]), e => events.push(e));
+    assert.strictEqual(events[0].data, 'héllo');
+  });
+
+  await runAsyncTest('readEventStream: stops when callback returns false', async () => {
+    const events = [];
+    await readEventStream(toStream(['data: 1\n\n', 'data: 2\n\n']), (e) => {
+      events.push(e);
+      return false;
+    });
+    assert.strictEqual(events.length, 1);
+  });
+
+  await runAsyncTest('readEventStream: returns parser with lastEventId', async () => {
+    const parser = await readEventStream(toStream(['id: abc\ndata: x\n\n']), () => {});
+    assert.strictEqual(parser.lastEventId, 'abc');
+  });
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
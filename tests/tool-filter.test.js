@@ -0,0 +1,254 @@
+/**
+ * Unit tests for tool-filter.js
+ * @module tests/tool-filter.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { globToRegExp, parseFilterOptions, ToolFilter, createToolFilter } = require('../src/lib/tool-filter');
+const { ErrorCodes } = require('../src/lib/jsonrpc-error');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Build a filter from command line style options
+ *
+ * @param {string[]} options - e.g. ['--deny-tools', 'write_*']
+ * @returns {ToolFilter}
+ */
+function filterFor(options) {
+  return new ToolFilter(parseFilterOptions(options).rules);
+}
+
+const toolsList = (id, names) => ({
+  jsonrpc: '2.0',
+  id,
+  result: { tools: names.map(name => ({ name, inputSchema: { type: 'object' } })), nextCursor: 'page2' }
+});
+
+// --- globToRegExp ---
+
+runTest('globToRegExp: * matches any run of characters, ? exactly one', () => {
+  assert.ok(globToRegExp('read_*').test('read_file'));
+  assert.ok(globToRegExp('read_*').test('read_'));
+  assert.ok(!globToRegExp('read_*').test('write_file'));
+  assert.ok(globToRegExp('file:///home/*').test('file:///home/user/notes.md'));
+  assert.ok(globToRegExp('get_?').test('get_a'));
+  assert.ok(!globToRegExp('get_?').test('get_ab'));
+});
+
+runTest('globToRegExp: other characters match literally', () => {
+  assert.ok(globToRegExp('a.b+c').test('a.b+c'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+  assert.ok(globToRegExp('repo://{owner}/(x)').test('repo://{owner}/(x)'));
+  assert.ok(!globToRegExp('list').test('list_files'));
+});
+
+// --- parseFilterOptions ---
+
+runTest('parseFilterOptions: splits comma lists and merges repeated options', () => {
+  const { rules, errors } = parseFilterOptions([
+    '--debug', '--allow-tools', 'read_*, list_*', '--allow-tools', 'search', '--deny-resources', 'file:///etc/*'
+  ]);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rules.tools, { allow: ['read_*', 'list_*', 'search'], deny: [] });
+  assert.deepStrictEqual(rules.prompts, { allow: null, deny: [] });
+  assert.deepStrictEqual(rules.resources, { allow: null, deny: ['file:///etc/*'] });
+});
+
+runTest('parseFilterOptions: rejects an empty pattern list', () => {
+  const { errors } = parseFilterOptions(['--deny-prompts', ' , ']);
+  assert.deepStrictEqual(errors, ['--deny-prompts requires at least one pattern']);
+});
+
+runTest('createToolFilter: null without patterns', () => {
+  assert.strictEqual(createToolFilter(undefined), null);
+  assert.strictEqual(createToolFilter(parseFilterOptions(['--debug']).rules), null);
+  assert.ok(createToolFilter(parseFilterOptions(['--deny-tools', 'x']).rules) instanceof ToolFilter);
+});
+
+// --- isVisible ---
+
+runTest('ToolFilter: allow list hides everything else, deny wins over allow', () => {
+  const filter = filterFor(['--allow-tools', 'read_*,list_*', '--deny-tools', 'read_secret*']);
+  assert.strictEqual(filter.isVisible('tools', 'read_file'), true);
+  assert.strictEqual(filter.isVisible('tools', 'list_directory'), true);
+  assert.strictEqual(filter.isVisible('tools', 'write_file'), false);
+  assert.strictEqual(filter.isVisible('tools', 'read_secrets'), false);
+  // Patterns for one kind do not affect the others
+  assert.strictEqual(filter.isVisible('prompts', 'write_file'), true);
+});
+
+// --- filterClientMessage ---
+
+runTest('ToolFilter: rejects tools/call for a hidden tool with INVALID_PARAMS', () => {
+  const filter = filterFor(['--deny-tools', 'delete_*']);
+  const message = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'delete_repo', arguments: {} } };
+  const { forward, rejected } = filter.filterClientMessage(message);
+
+  assert.strictEqual(forward, null);
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].id, 7);
+  assert.strictEqual(rejected[0].error.code, ErrorCodes.INVALID_PARAMS);
+  assert.strictEqual(rejected[0].error.message, 'Tool "delete_repo" is not available');
+  assert.deepStrictEqual(rejected[0].error.data, { errorCode: 'FILTERED', kind: 'tools', name: 'delete_repo' });
+});
+
+runTest('ToolFilter: passes allowed requests through unchanged', () => {
+  const filter = filterFor(['--deny-tools', 'delete_*']);
+  const message = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_repo' } };
+  const { forward, rejected } = filter.filterClientMessage(message);
+  assert.strictEqual(forward, message);
+  assert.deepStrictEqual(rejected, []);
+});
+
+runTest('ToolFilter: rejects prompts/get, resources/read and completions for hidden items', () => {
+  const filter = filterFor(['--deny-prompts', 'admin_*', '--allow-resources', 'file:///home/*']);
+  const reject = message => filter.filterClientMessage({ jsonrpc: '2.0', id: 1, ...message }).rejected;
+
+  assert.strictEqual(reject({ method: 'prompts/get', params: { name: 'admin_reset' } })[0].error.message,
+    'Prompt "admin_reset" is not available');
+  assert.strictEqual(reject({ method: 'resources/read', params: { uri: 'file:///etc/passwd' } })[0].error.message,
+    'Resource "file:///etc/passwd" is not available');
+  assert.strictEqual(reject({ method: 'resources/subscribe', params: { uri: 'file:///etc/hosts' } }).length, 1);
+  assert.strictEqual(reject({ method: 'resources/read', params: { uri: 'file:///home/user/a.md' } }).length, 0);
+  assert.strictEqual(reject({
+    method: 'completion/complete',
+    params: { ref: { type: 'ref/prompt', name: 'admin_reset' }, argument: { name: 'x', value: '' } }
+  }).length, 1);
+});
+
+runTest('ToolFilter: a missing or non-string name is hidden under an allow list', () => {
+  const filter = filterFor(['--allow-tools', 'read_*', '--allow-resources', 'file:///home/*']);
+  const reject = message => filter.filterClientMessage({ jsonrpc: '2.0', id: 1, ...message }).rejected;
+
+  const unnamed = reject({ method: 'tools/call', params: { arguments: {} } });
+  assert.strictEqual(unnamed.length, 1);
+  assert.strictEqual(unnamed[0].error.message, 'Tool without a valid name is not available');
+  assert.strictEqual(reject({ method: 'tools/call' }).length, 1);
+  assert.strictEqual(reject({ method: 'tools/call', params: { name: 42 } }).length, 1);
+  assert.strictEqual(reject({ method: 'resources/read', params: { uri: ['file:///home/a'] } }).length, 1);
+
+  // Without an allow list there is nothing to bypass; the server rejects the bad name itself
+  const denyOnly = filterFor(['--deny-tools', 'write_*']);
+  assert.deepStrictEqual(denyOnly.filterClientMessage({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 42 } }).rejected, []);
+});
+
+runTest('ToolFilter: drops hidden notifications without a response', () => {
+  const filter = filterFor(['--deny-tools', 'x']);
+  const { forward, rejected } = filter.filterClientMessage({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'x' } });
+  assert.strictEqual(forward, null);
+  assert.deepStrictEqual(rejected, []);
+});
+
+runTest('ToolFilter: splits a batch into forwarded and rejected requests', () => {
+  const filter = filterFor(['--deny-tools', 'x']);
+  const allowed = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'y' } };
+  const { forward, rejected } = filter.filterClientMessage([
+    allowed,
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'x' } }
+  ]);
+  assert.deepStrictEqual(forward, [allowed]);
+  assert.deepStrictEqual(rejected.map(response => response.id), [2]);
+});
+
+// --- filterServerMessage ---
+
+runTest('ToolFilter: removes hidden tools from the tools/list response', () => {
+  const filter = filterFor(['--allow-tools', 'read_*']);
+  filter.filterClientMessage({ jsonrpc: '2.0', id: 'a', method: 'tools/list' });
+
+  const filtered = filter.filterServerMessage(toolsList('a', ['read_file', 'write_file', 'read_dir']));
+  assert.deepStrictEqual(filtered.result.tools.map(tool => tool.name), ['read_file', 'read_dir']);
+  assert.strictEqual(filtered.result.nextCursor, 'page2');
+});
+
+runTest('ToolFilter: only filters responses to list requests it has seen', () => {
+  const filter = filterFor(['--deny-tools', 'write_*']);
+  filter.filterClientMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+  // Number id 1 and string id "1" are different requests
+  const other = toolsList('1', ['write_file']);
+  assert.strictEqual(filter.filterServerMessage(other), other);
+
+  assert.deepStrictEqual(filter.filterServerMessage(toolsList(1, ['write_file'])).result.tools, []);
+  // Answered: a repeated id is not filtered again
+  const repeated = toolsList(1, ['write_file']);
+  assert.strictEqual(filter.filterServerMessage(repeated), repeated);
+});
+
+runTest('ToolFilter: forgets list requests that are cancelled or given up on', () => {
+  const filter = filterFor(['--deny-tools', 'write_*']);
+  filter.filterClientMessage([
+    { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+  ]);
+  filter.filterClientMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 1 } });
+  assert.strictEqual(filter._lists.size, 1);
+  filter.forget(2);
+  assert.strictEqual(filter._lists.size, 0);
+});
+
+runTest('ToolFilter: returns the same message when nothing is hidden', () => {
+  const filter = filterFor(['--deny-tools', 'write_*']);
+  filter.filterClientMessage({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+  const response = toolsList(3, ['read_file']);
+  assert.strictEqual(filter.filterServerMessage(response), response);
+});
+
+runTest('ToolFilter: filters prompts, resources and resource templates', () => {
+  const filter = filterFor(['--deny-prompts', 'admin_*', '--deny-resources', 'file:///etc/*']);
+  for (const [id, method] of [[1, 'prompts/list'], [2, 'resources/list'], [3, 'resources/templates/list']]) {
+    filter.filterClientMessage({ jsonrpc: '2.0', id, method });
+  }
+
+  const prompts = filter.filterServerMessage({ jsonrpc: '2.0', id: 1, result: { prompts: [{ name: 'admin_reset' }, { name: 'review' }] } });
+  assert.deepStrictEqual(prompts.result.prompts, [{ name: 'review' }]);
+
+  const resources = filter.filterServerMessage({
+    jsonrpc: '2.0', id: 2, result: { resources: [{ uri: 'file:///etc/passwd' }, { uri: 'file:///home/a' }] }
+  });
+  assert.deepStrictEqual(resources.result.resources, [{ uri: 'file:///home/a' }]);
+
+  const templates = filter.filterServerMessage({
+    jsonrpc: '2.0', id: 3, result: { resourceTemplates: [{ uriTemplate: 'file:///etc/{name}' }, { uriTemplate: 'file:///{path}' }] }
+  });
+  assert.deepStrictEqual(templates.result.resourceTemplates, [{ uriTemplate: 'file:///{path}' }]);
+});
+
+runTest('ToolFilter: drops update notifications for hidden resources', () => {
+  const filter = filterFor(['--deny-resources', 'file:///etc/*']);
+  const update = uri => ({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+
+  assert.strictEqual(filter.filterServerMessage(update('file:///etc/hosts')), null);
+  const visible = update('file:///home/a');
+  assert.strictEqual(filter.filterServerMessage(visible), visible);
+});
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -9,6 +9,8 @@ const assert = require('assert');
 const { 
   validateUrl, 
   isLocalhost, 
+  isSocketUrl,
+  parseSocketUrl,
   isHttps, 
   getBaseUrl, 
   normalizeUrl 
@@ -63,6 +65,39 @@ runTest('validateUrl: warns for non-localhost HTTP', () => {
   assert.ok(result.warnings.some(w => w.includes('insecure')));
 });
 
+runTest('validateUrl: accepts ws and wss only when allowed', () => {
+  assert.strictEqual(validateUrl('wss://example.com/ws').valid, false);
+  const result = validateUrl('wss://example.com/ws', { allowWebSocket: true });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.warnings.length, 0);
+  assert.ok(validateUrl('ws://example.com/ws', { allowWebSocket: true }).warnings.some(w => w.includes('insecure WebSocket')));
+});
+
+runTest('validateUrl: accepts unix: and npipe: only when allowed', () => {
+  assert.strictEqual(validateUrl('unix:/run/user/1000/mcp.sock:/mcp').valid, false);
+  const result = validateUrl('unix:/run/user/1000/mcp.sock:/mcp', { allowSocket: true });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.url.href, 'http://localhost/mcp');
+  assert.strictEqual(result.socketPath, '/run/user/1000/mcp.sock');
+  assert.deepStrictEqual(result.warnings, []);
+  assert.ok(validateUrl('unix:/tmp/x.sock', { allowWebSocket: true, allowSocket: true }).valid);
+  assert.ok(validateUrl('ftp://x', { allowSocket: true }).error.includes('unix: and npipe:'));
+});
+
+runTest('parseSocketUrl: splits the socket path from the request path', () => {
+  assert.deepStrictEqual(parseSocketUrl('unix:///run/mcp.sock:/mcp?x=1'), { success: true, socketPath: '/run/mcp.sock', path: '/mcp?x=1' });
+  assert.deepStrictEqual(parseSocketUrl('unix:/run/mcp.sock'), { success: true, socketPath: '/run/mcp.sock', path: '/' });
+  assert.strictEqual(parseSocketUrl('unix:mcp.sock').success, false);
+});
+
+runTest('parseSocketUrl: normalizes named pipe paths', () => {
+  const expected = { success: true, socketPath: '\\\\.\\pipe\\mcp', path: '/mcp' };
+  assert.deepStrictEqual(parseSocketUrl('npipe://./pipe/mcp:/mcp'), expected);
+  assert.deepStrictEqual(parseSocketUrl('npipe:////./pipe/mcp:/mcp'), expected);
+  assert.deepStrictEqual(parseSocketUrl('npipe:\\\\.\\pipe\\mcp:/mcp'), expected);
+  assert.strictEqual(parseSocketUrl('npipe:mcp').success, false);
+});
+
 runTest('validateUrl: rejects invalid protocol', () => {
   const result = validateUrl('ftp://example.com/mcp');
   assert.strictEqual(result.valid, false);
@@ -132,6 +167,14 @@ runTest('isLocalhost: rejects non-localhost', () => {
   assert.strictEqual(isLocalhost('192.168.1.1'), false);
 });
 
+runTest('isLocalhost: treats socket URLs as local', () => {
+  assert.strictEqual(isLocalhost(new URL('unix:/run/mcp.sock:/mcp')), true);
+  assert.strictEqual(isLocalhost(new URL('npipe://./pipe/mcp')), true);
+  assert.strictEqual(isLocalhost(new URL('http://example.com/mcp')), false);
+  assert.strictEqual(isSocketUrl('unix:/run/mcp.sock'), true);
+  assert.strictEqual(isSocketUrl('https://example.com'), false);
+});
+
 // --- isHttps tests ---
 
 runTest('isHttps: returns true for HTTPS', () => {
@@ -0,0 +1,246 @@
+/**
+ * Unit tests for websocket.js
+ * @module tests/websocket.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { connect, encodeFrame, parseFrame, acceptKey, Opcodes } = require('../src/lib/websocket');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Wait for the next event of an emitter
+ */
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+console.log('\n=== WebSocket Tests ===\n');
+
+// --- Frame tests ---
+
+runTest('acceptKey: matches the RFC 6455 example', () => {
+  assert.strictEqual(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+runTest('encodeFrame/parseFrame: round-trips a masked text frame', () => {
+  const frame = encodeFrame(Opcodes.TEXT, Buffer.from('{"jsonrpc":"2.0"}'));
+  assert.ok(frame[1] & 0x80, 'client frames are masked');
+  const parsed = parseFrame(frame);
+  assert.strictEqual(parsed.fin, true);
+  assert.strictEqual(parsed.opcode, Opcodes.TEXT);
+  assert.strictEqual(parsed.payload.toString(), '{"jsonrpc":"2.0"}');
+  assert.strictEqual(parsed.length, frame.length);
+});
+
+runTest('encodeFrame/parseFrame: uses extended lengths', () => {
+  for (const size of [125, 126, 65535, 65536]) {
+    const frame = encodeFrame(Opcodes.BINARY, Buffer.alloc(size, 1), false);
+    const parsed = parseFrame(frame);
+    assert.strictEqual(parsed.payload.length, size);
+  }
+});
+
+runTest('parseFrame: returns null for incomplete frames', () => {
+  const frame = encodeFrame(Opcodes.TEXT, Buffer.from('hello'));
+  assert.strictEqual(parseFrame(frame.subarray(0, 1)), null);
+  assert.strictEqual(parseFrame(frame.subarray(0, frame.length - 1)), null);
+});
+
+runTest('parseFrame: rejects reserved bits', () => {
+  const frame = encodeFrame(Opcodes.TEXT, Buffer.from('x'), false);
+  frame[0] |= 0x40;
+  assert.throws(() => parseFrame(frame), /Reserved bits/);
+});
+
+async function main() {
+  // --- Connection tests against a raw upgrade handler ---
+
+  let onSocket = null;
+  let rejectWith = null;
+  let lastHeaders = null;
+  const server = http.createServer((req, res) => {
+    res.statusCode = 426;
+    res.end();
+  });
+  const upgraded = new Set();
+  server.on('upgrade', (req, socket) => {
+    upgraded.add(socket);
+    socket.on('close', () => upgraded.delete(socket));
+    lastHeaders = req.headers;
+    if (rejectWith) {
+      socket.end(`HTTP/1.1 ${rejectWith} Unauthorized\r\nWWW-Authenticate: Bearer\r\nContent-Length: 0\r\n\r\n`);
+      return;
+    }
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}\r\n` +
+      'Sec-WebSocket-Protocol: mcp\r\n\r\n');
+    onSocket(socket);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = new URL(`ws://127.0.0.1:${server.address().port}/ws`);
+
+  await runAsyncTest('connect: sends headers and exchanges text messages', async () => {
+    onSocket = (socket) => {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = parseFrame(buffer))) {
+          buffer = buffer.subarray(frame.length);
+          if (frame.opcode === Opcodes.TEXT) {
+            socket.write(encodeFrame(Opcodes.TEXT, Buffer.from(`echo:${frame.payload}`), false));
+          }
+        }
+      });
+    };
+    const ws = await connect(url, { headers: { 'X-Tenant': 'acme' }, protocols: ['mcp'] });
+    assert.strictEqual(lastHeaders['x-tenant'], 'acme');
+    assert.strictEqual(lastHeaders['sec-websocket-protocol'], 'mcp');
+    assert.strictEqual(ws.protocol, 'mcp');
+
+    const message = once(ws, 'message');
+    ws.send('hello');
+    assert.deepStrictEqual(await message, ['echo:hello']);
+
+    const closed = once(ws, 'close');
+    ws.close();
+    const [code] = await closed;
+    assert.strictEqual(code, 1000);
+  });
+
+  await runAsyncTest('connect: reassembles fragments and answers pings', async () => {
+    const pongs = [];
+    onSocket = (socket) => {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = parseFrame(buffer))) {
+          buffer = buffer.subarray(frame.length);
+          if (frame.opcode === Opcodes.PONG) {
+            pongs.push(frame.payload.toString());
+          }
+        }
+      });
+      const first = encodeFrame(Opcodes.TEXT, Buffer.from('{"a":'), false);
+      first[0] &= 0x7f;
+      socket.write(Buffer.concat([
+        first,
+        encodeFrame(Opcodes.PING, Buffer.from('beat'), false),
+        encodeFrame(Opcodes.CONTINUATION, Buffer.from('1}'), false)
+      ]));
+    };
+    const ws = await connect(url, { protocols: ['mcp'] });
+    const [message] = await once(ws, 'message');
+    assert.strictEqual(message, '{"a":1}');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(pongs, ['beat']);
+    ws.socket.destroy();
+  });
+
+  await runAsyncTest('connect: reports the server close code', async () => {
+    onSocket = (socket) => {
+      const payload = Buffer.alloc(2 + 7);
+      payload.writeUInt16BE(1001, 0);
+      payload.write('restart', 2);
+      socket.write(encodeFrame(Opcodes.CLOSE, payload, false));
+      socket.on('data', () => socket.end());
+    };
+    const ws = await connect(url, { protocols: ['mcp'] });
+    const [code, reason] = await once(ws, 'close');
+    assert.strictEqual(code, 1001);
+    assert.strictEqual(reason, 'restart');
+    assert.strictEqual(ws.readyState, 'closed');
+  });
+
+  await runAsyncTest('connect: reports 1006 when the socket drops', async () => {
+    onSocket = socket => setTimeout(() => socket.destroy(), 10);
+    const ws = await connect(url, { protocols: ['mcp'] });
+    const [code] = await once(ws, 'close');
+    assert.strictEqual(code, 1006);
+    assert.throws(() => ws.send('late'), /not open/);
+  });
+
+  await runAsyncTest('connect: rejects with the HTTP status of a refused upgrade', async () => {
+    rejectWith = 401;
+    try {
+      await assert.rejects(connect(url), (err) => {
+        assert.strictEqual(err.status, 401);
+        assert.strictEqual(err.wwwAuthenticate, 'Bearer');
+        return true;
+      });
+    } finally {
+      rejectWith = null;
+    }
+  });
+
+  await runAsyncTest('connect: rejects a server that is not listening', async () => {
+    const closedServer = http.createServer();
+    await new Promise(resolve => closedServer.listen(0, '127.0.0.1', resolve));
+    const port = closedServer.address().port;
+    await new Promise(resolve => closedServer.close(resolve));
+    await assert.rejects(connect(new URL(`ws://127.0.0.1:${port}/`)), { code: 'ECONNREFUSED' });
+  });
+
+  for (const socket of upgraded) {
+    socket.destroy();
+  }
+  await new Promise(resolve => server.close(resolve));
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,350 @@
+/**
+ * Unit tests for ws-proxy.js
+ * @module tests/ws-proxy.test
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const { PassThrough } = require('stream');
+const { encodeFrame, parseFrame, acceptKey, Opcodes } = require('../src/lib/websocket');
+const { WebSocketProxySession } = require('../src/lib/ws-proxy');
+const { HTTPProxyConfig } = require('../src/lib/http-proxy');
+
+/**
+ * Test runner
+ */
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    return false;
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  if (test(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+async function runAsyncTest(name, fn) {
+  if (await asyncTest(name, fn)) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Create a session whose stdout lines are collected
+ */
+function createSession(options) {
+  const session = new WebSocketProxySession(new HTTPProxyConfig({ retryBackoff: 10, ...options }));
+  const output = [];
+  session.writeLine = line => output.push(JSON.parse(line));
+  return { session, output };
+}
+
+console.log('\n=== WebSocket Proxy Tests ===\n');
+
+// --- HTTPProxyConfig tests for ws: URLs ---
+
+runTest('HTTPProxyConfig.fromArgs: accepts ws and wss URLs', () => {
+  const result = HTTPProxyConfig.fromArgs({
+    url: 'wss://mcp.example.com/ws',
+    headers: ['X-Tenant: $TENANT']
+  }, { TENANT: 'acme' });
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.config.url.protocol, 'wss:');
+  assert.strictEqual(result.config.headers.get('X-Tenant'), 'acme');
+});
+
+runTest('HTTPProxyConfig.fromArgs: warns for insecure ws', () => {
+  const result = HTTPProxyConfig.fromArgs({ url: 'ws://mcp.example.com/ws' });
+  assert.ok(result.warnings.some(w => w.includes('insecure WebSocket')));
+});
+
+runTest('HTTPProxyConfig.fromArgs: rejects OAuth and HTTP transports for ws', () => {
+  const oauth = HTTPProxyConfig.fromArgs({ url: 'wss://mcp.example.com/ws', oauth: true });
+  assert.ok(oauth.errors.some(e => e.includes('OAuth is not supported')));
+  const transport = HTTPProxyConfig.fromArgs({ url: 'wss://mcp.example.com/ws', transport: 'sse' });
+  assert.ok(transport.errors.some(e => e.includes('--transport sse')));
+});
+
+runTest('WebSocketProxySession: requires a config', () => {
+  assert.throws(() => new WebSocketProxySession({}), /requires an HTTPProxyConfig/);
+});
+
+async function main() {
+  // --- Mock MCP server over WebSocket ---
+
+  const state = { connections: 0, initializeCount: 0, headers: [], requiredAuth: null, sockets: new Set() };
+
+  const server = http.createServer((req, res) => {
+    res.statusCode = 426;
+    res.end();
+  });
+  server.on('upgrade', (req, socket) => {
+    state.headers.push(req.headers);
+    if (state.requiredAuth && req.headers['authorization'] !== state.requiredAuth) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nContent-Length: 0\r\n\r\n');
+      return;
+    }
+    const connection = ++state.connections;
+    state.sockets.add(socket);
+    socket.on('close', () => state.sockets.delete(socket));
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}\r\n` +
+      'Sec-WebSocket-Protocol: mcp\r\n\r\n');
+
+    const send = message => socket.write(encodeFrame(Opcodes.TEXT, Buffer.from(JSON.stringify(message)), false));
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let frame;
+      while ((frame = parseFrame(buffer))) {
+        buffer = buffer.subarray(frame.length);
+        if (frame.opcode === Opcodes.CLOSE) {
+          socket.end(encodeFrame(Opcodes.CLOSE, frame.payload.subarray(0, 2), false));
+          return;
+        }
+        if (frame.opcode !== Opcodes.TEXT) {
+          continue;
+        }
+        const request = JSON.parse(frame.payload.toString());
+        if (request.method === 'initialize') {
+          state.initializeCount++;
+        }
+        if (request.method === 'drop') {
+          socket.destroy();
+          return;
+        }
+        if (request.id === undefined || request.method === 'silent') {
+          continue;
+        }
+        if (request.method === 'notify') {
+          send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+        }
+        const response = { jsonrpc: '2.0', result: { method: request.method, connection }, id: request.id };
+        if (request.method === 'slow') {
+          setTimeout(() => send(response), 150);
+        } else {
+          send(response);
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = new URL(`ws://127.0.0.1:${server.address().port}/ws`);
+
+  await runAsyncTest('WebSocketProxySession: forwards requests and responses', async () => {
+    const { session, output } = createSession({ url, headers: new Map([['X-Tenant', 'acme']]) });
+    try {
+      assert.strictEqual(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 })), null);
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'notify', id: 'two' }));
+      await waitFor(() => output.length === 3);
+
+      assert.strictEqual(output[0].id, 1);
+      assert.strictEqual(output[1].method, 'notifications/tools/list_changed');
+      assert.strictEqual(output[2].id, 'two');
+      assert.strictEqual(state.headers[state.headers.length - 1]['x-tenant'], 'acme');
+      assert.strictEqual(state.headers[state.headers.length - 1]['sec-websocket-protocol'], 'mcp');
+      assert.strictEqual(session._pending.size, 0);
+    } finally {
+      await session.stop();
+    }
+  });
+
+  await runAsyncTest('WebSocketProxySession: returns parse errors locally', async () => {
+    const { session } = createSession({ url });
+    const output = JSON.parse(await session.processLine('{not json'));
+    assert.strictEqual(output.error.code, -32700);
+    assert.strictEqual(session.socket, null);
+  });
+
+  await runAsyncTest('WebSocketProxySession: answers calls to filtered tools without connecting', async () => {
+    const { session, output } = createSession({ url, filter: { tools: { allow: ['read_*'], deny: [] } } });
+    const result = await session.processLine(JSON.stringify({
+      jsonrpc: '2.0', method: 'tools/call', params: { name: 'write_file' }, id: 5
+    }));
+    assert.strictEqual(result, null);
+    assert.strictEqual(output[0].id, 5);
+    assert.strictEqual(output[0].error.data.errorCode, 'FILTERED');
+    assert.strictEqual(session.socket, null);
+  });
+
+  await runAsyncTest('WebSocketProxySession: disconnect fails in-flight requests, reconnects and replays initialize', async () => {
+    const { session, output } = createSession({ url });
+    try {
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }));
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+      await waitFor(() => output.length === 1);
+      const firstConnection = output[0].result.connection;
+      const initializeCount = state.initializeCount;
+
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'silent', id: 2 }));
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'drop' }));
+      await waitFor(() => session.recoveryCount === 1);
+
+      const failure = output.find(m => m.id === 2);
+      assert.strictEqual(failure.error.code, -32000);
+      assert.strictEqual(failure.error.message, 'Connection reset');
+      assert.strictEqual(state.initializeCount, initializeCount + 1);
+      assert.ok(!output.some(m => typeof m.id === 'string' && m.id.startsWith('mcp-cross-reinitialize')));
+      assert.ok(output.some(m => m.method === 'notifications/message' && m.params.logger === 'mcp-cross'));
+
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 3 }));
+      await waitFor(() => output.some(m => m.id === 3));
+      assert.notStrictEqual(output.find(m => m.id === 3).result.connection, firstConnection);
+    } finally {
+      await session.stop();
+    }
+  });
+
+  await runAsyncTest('WebSocketProxySession: times out unanswered requests and drops late responses', async () => {
+    const { session, output } = createSession({ url, timeout: 50 });
+    try {
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'slow', id: 1 }));
+      await waitFor(() => output.length === 1);
+      assert.strictEqual(output[0].error.message, 'Request timeout');
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.strictEqual(output.length, 1);
+    } finally {
+      await session.stop();
+    }
+  });
+
+  await runAsyncTest('WebSocketProxySession: refused upgrade maps to an HTTP error', async () => {
+    state.requiredAuth = 'Bearer right';
+    const { session } = createSession({ url, headers: new Map([['Authorization', 'Bearer wrong']]) });
+    try {
+      const output = JSON.parse(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 })));
+      assert.strictEqual(output.error.code, -32001);
+      assert.strictEqual(output.error.data.statusCode, 401);
+    } finally {
+      state.requiredAuth = null;
+      await session.stop();
+    }
+  });
+
+  await runAsyncTest('WebSocketProxySession: connection refused maps to a transport error', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const { session } = createSession({ url: new URL(`ws://127.0.0.1:${port}/ws`), retryBackoff: 1 });
+    const output = JSON.parse(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 })));
+    assert.strictEqual(output.error.message, 'Connection refused');
+    assert.strictEqual(await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })), null);
+  });
+
+  await runAsyncTest('WebSocketProxySession: forgets filtered list requests that could not be sent', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const { session } = createSession({
+      url: new URL(`ws://127.0.0.1:${port}/ws`), retryBackoff: 1, filter: { tools: { allow: null, deny: ['write_*'] } }
+    });
+    await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 1 }));
+    assert.strictEqual(session.filter._lists.size, 0);
+  });
+
+  await runAsyncTest('WebSocketProxySession: tunnels through the outbound proxy with CONNECT', async () => {
+    const connects = [];
+    const proxy = http.createServer();
+    proxy.on('connect', (req, socket) => {
+      connects.push({ url: req.url, auth: req.headers['proxy-authorization'] });
+      const upstream = net.connect(Number(req.url.split(':')[1]), '127.0.0.1', () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+      });
+      socket.on('close', () => upstream.destroy());
+    });
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+    const { session, output } = createSession({
+      url,
+      proxy: { httpProxy: `http://bob:pw@127.0.0.1:${proxy.address().port}`, httpsProxy: null, noProxy: null }
+    });
+    try {
+      await session.processLine(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }));
+      await waitFor(() => output.length === 1);
+      assert.strictEqual(output[0].result.method, 'ping');
+      assert.deepStrictEqual(connects, [{
+        url: `127.0.0.1:${url.port}`,
+        auth: `Basic ${Buffer.from('bob:pw').toString('base64')}`
+      }]);
+    } finally {
+      await session.stop();
+      proxy.closeAllConnections();
+      await new Promise(resolve => proxy.close(resolve));
+    }
+  });
+
+  await runAsyncTest('WebSocketProxySession: start drains responses before closing', async () => {
+    const { session, output } = createSession({ url });
+    const input = new PassThrough();
+    const done = session.start(input);
+    input.write(JSON.stringify({ jsonrpc: '2.0', method: 'slow', id: 1 }) + '\n');
+    input.end();
+    await done;
+    assert.strictEqual(output.length, 1);
+    assert.strictEqual(output[0].result.method, 'slow');
+    assert.strictEqual(session.isActive, false);
+  });
+
+  for (const socket of state.sockets) {
+    socket.destroy();
+  }
+  await new Promise(resolve => server.close(resolve));
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Test error:', err);
+  process.exit(1);
+});